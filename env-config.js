@@ -24,6 +24,9 @@ export const firebaseConfig = {
   appId: envSource.VITE_FIREBASE_APP_ID || ""
 };
 
+// Point Auth, Firestore, Storage and Cloud Functions at the local emulators
+export const useEmulators = String(envSource.VITE_USE_FIREBASE_EMULATORS) === "true";
+
 // Validate that all required config values are present
 const requiredKeys = ['apiKey', 'authDomain', 'projectId', 'storageBucket', 'messagingSenderId', 'appId'];
 const missingKeys = requiredKeys.filter(key => !firebaseConfig[key]);
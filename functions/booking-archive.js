@@ -1,33 +1,248 @@
-// Cloud Function: archive old bookings and release date locks
+// Cloud Functions: flag overdue rentals, remind both parties of handovers, archive finished bookings,
+// expire unanswered requests and release date locks
 import { onSchedule } from "firebase-functions/v2/scheduler";
-import { getFirestore, Timestamp } from "firebase-admin/firestore";
-import { initializeApp } from "firebase-admin/app";
+import { defineBoolean, defineInt } from "firebase-functions/params";
+import * as logger from "firebase-functions/logger";
+import { getFirestore, Timestamp, FieldValue, FieldPath } from "firebase-admin/firestore";
+import { initializeApp, getApps } from "firebase-admin/app";
+import { createBatchWriter, queueSystemTransition } from "./booking-state.js";
+import { describeHandoverTime, returnDueAt } from "./booking-rules.js";
 
-initializeApp();
+if (getApps().length === 0) initializeApp();
 
-export const archiveExpiredBookings = onSchedule("every 24 hours", async () => {
+const PAGE_SIZE = 200;
+
+// Page through an ordered query's results
+async function* paginate(query) {
+    let last = null;
+    do {
+        const page = await (last ? query.startAfter(last) : query).limit(PAGE_SIZE).get();
+        yield page.docs;
+        last = page.docs.length === PAGE_SIZE ? page.docs[page.docs.length - 1] : null;
+    } while (last);
+}
+
+// Flag picked-up rentals that are past due without a confirmed return. Accepted
+// bookings that were never picked up stay open so the pickup can still be confirmed.
+export const flagOverdueBookings = onSchedule("every 1 hours", async () => {
     const db = getFirestore();
     const now = Timestamp.now();
-    const snap = await db.collection("bookings")
-        .where("status", "in", ["accepted", "declined"])
+    const writer = createBatchWriter(db, false);
+    const query = db.collection("bookings")
+        .where("status", "==", "picked_up")
         .where("endDate", "<", now)
-        .get();
-
-    if (snap.empty) return;
-
-    const batch = db.batch();
-    snap.forEach((docSnap) => {
-        const data = docSnap.data();
-        batch.update(docSnap.ref, {
-            status: "archived",
-            statusHistory: [...(data.statusHistory || []), { status: "archived", at: now, by: "system" }],
-            archivedAt: now,
-            updatedAt: now
-        });
-        (data.lockIds || []).forEach((lockId) => {
-            batch.delete(db.collection("bookingLocks").doc(lockId));
-        });
-    });
-
-    await batch.commit();
+        .orderBy("endDate");
+
+    for await (const docs of paginate(query)) {
+        if (docs.length === 0) continue;
+
+        const itemIds = [...new Set(docs.map((docSnap) => docSnap.data().itemId))];
+        const itemSnaps = await db.getAll(...itemIds.map((itemId) => db.collection("items").doc(itemId)));
+        const items = Object.fromEntries(itemSnaps.map((itemSnap) => [itemSnap.id, itemSnap.exists ? itemSnap.data() : {}]));
+
+        for (const docSnap of docs) {
+            const data = docSnap.data();
+            if (returnDueAt(data, items[data.itemId]) >= now.toDate()) continue;
+
+            const { effects } = await queueSystemTransition(db, writer, docSnap, "overdue", now);
+            const recipients = [
+                ...(effects.includes("notifyRenter") ? [data.renterId] : []),
+                ...(effects.includes("notifyOwner") ? [data.ownerId] : [])
+            ];
+            recipients.forEach((userId) => {
+                writer.set(db.collection("notifications").doc(), {
+                    userId,
+                    type: "booking_overdue",
+                    bookingId: docSnap.id,
+                    itemId: data.itemId,
+                    message: `${data.itemName} was due back on ${data.endDate.toDate().toLocaleDateString()} and has not been returned.`,
+                    read: false,
+                    createdAt: FieldValue.serverTimestamp()
+                });
+            });
+            await writer.flush();
+        }
+    }
+
+    await writer.close();
+});
+
+// How far ahead of a pickup or return the reminders go out
+const REMINDER_WINDOW_HOURS = defineInt("REMINDER_WINDOW_HOURS", { default: 24 });
+
+// Remind owner and renter of pickups and returns coming up within the window.
+// Each booking records the handover date it was reminded of and notifications
+// use deterministic IDs, so reruns never send a reminder twice; an extension
+// that moves the return date earns a fresh return reminder.
+export const sendHandoverReminders = onSchedule("every 1 hours", async () => {
+    const db = getFirestore();
+    const now = Timestamp.now();
+    const until = Timestamp.fromMillis(now.toMillis() + REMINDER_WINDOW_HOURS.value() * 60 * 60 * 1000);
+    const writer = createBatchWriter(db, false);
+    const stages = [
+        {
+            stage: "pickup",
+            field: "startDate",
+            query: db.collection("bookings")
+                .where("status", "==", "accepted")
+                .where("startDate", ">=", now)
+                .where("startDate", "<=", until)
+                .orderBy("startDate")
+        },
+        {
+            stage: "return",
+            field: "endDate",
+            query: db.collection("bookings")
+                .where("status", "in", ["accepted", "picked_up"])
+                .where("endDate", ">=", now)
+                .where("endDate", "<=", until)
+                .orderBy("endDate")
+        }
+    ];
+
+    for (const { stage, field, query } of stages) {
+        for await (const docs of paginate(query)) {
+            const due = docs.filter((docSnap) => {
+                const data = docSnap.data();
+                return !data.remindersSent?.[stage]?.isEqual(data[field]);
+            });
+            if (due.length === 0) continue;
+
+            const itemIds = [...new Set(due.map((docSnap) => docSnap.data().itemId))];
+            const itemSnaps = await db.getAll(...itemIds.map((itemId) => db.collection("items").doc(itemId)));
+            const items = Object.fromEntries(itemSnaps.map((itemSnap) => [itemSnap.id, itemSnap.exists ? itemSnap.data() : {}]));
+
+            for (const docSnap of due) {
+                const data = docSnap.data();
+                const when = describeHandoverTime(items[data.itemId], data, data[field].toDate());
+                const messages = stage === "pickup"
+                    ? {
+                        [data.renterId]: `Reminder: pick up ${data.itemName} from ${data.ownerName} on ${when}.`,
+                        [data.ownerId]: `Reminder: ${data.renterName} picks up ${data.itemName} on ${when}.`
+                    }
+                    : {
+                        [data.renterId]: `Reminder: return ${data.itemName} to ${data.ownerName} on ${when}.`,
+                        [data.ownerId]: `Reminder: ${data.renterName} returns ${data.itemName} on ${when}.`
+                    };
+                const dateKey = data[field].toDate().toISOString().slice(0, 10);
+
+                Object.entries(messages).forEach(([userId, message]) => {
+                    writer.set(db.collection("notifications").doc(`reminder_${docSnap.id}_${stage}_${dateKey}_${userId}`), {
+                        userId,
+                        type: `${stage}_reminder`,
+                        bookingId: docSnap.id,
+                        itemId: data.itemId,
+                        message,
+                        read: false,
+                        createdAt: FieldValue.serverTimestamp()
+                    });
+                });
+                writer.update(docSnap.ref, { [`remindersSent.${stage}`]: data[field] });
+                await writer.flush();
+            }
+        }
+    }
+
+    await writer.close();
+});
+
+// Mirrors DAMAGE_CLAIM_WINDOW_DAYS in src/utils/constants.js
+const DAMAGE_CLAIM_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Returned bookings stay open while the owner may still raise a damage claim
+// and until any claim is resolved
+function isDamageClaimPending(data, now) {
+    if (data.damageClaim) return data.damageClaim.status !== "resolved";
+    return Boolean(data.returnedAt) && now.toMillis() - data.returnedAt.toMillis() < DAMAGE_CLAIM_WINDOW_MS;
+}
+
+// Pending requests get a day past their start date before they expire
+const STALE_PENDING_GRACE_MS = 24 * 60 * 60 * 1000;
+// Booking IDs listed per category in the run report
+const REPORT_SAMPLE_SIZE = 50;
+
+// Report what the archiver would change without writing anything
+const ARCHIVER_DRY_RUN = defineBoolean("ARCHIVER_DRY_RUN", { default: false });
+
+// Note a changed document in the run report
+function reportChange(report, category, id) {
+    report[category].count += 1;
+    if (report[category].sample.length < REPORT_SAMPLE_SIZE) report[category].sample.push(id);
+}
+
+// One archiver pass:
+// - archive returned bookings (outside the damage-claim window) and declined ones whose dates have passed
+// - decline pending and countered requests nobody answered before their start date
+// - delete date locks whose booking no longer exists
+export async function runBookingArchiver(db, { dryRun = false, now = Timestamp.now() } = {}) {
+    const writer = createBatchWriter(db, dryRun);
+    const report = {
+        dryRun,
+        archived: { count: 0, sample: [] },
+        expired: { count: 0, sample: [] },
+        orphanLocks: { count: 0, sample: [] }
+    };
+    const bookings = db.collection("bookings");
+
+    for await (const docs of paginate(bookings.where("status", "==", "returned").orderBy(FieldPath.documentId()))) {
+        for (const docSnap of docs.filter((returned) => !isDamageClaimPending(returned.data(), now))) {
+            await queueSystemTransition(db, writer, docSnap, "archived", now);
+            await writer.flush();
+            reportChange(report, "archived", docSnap.id);
+        }
+    }
+
+    for await (const docs of paginate(bookings.where("status", "==", "declined").where("endDate", "<", now).orderBy("endDate"))) {
+        for (const docSnap of docs) {
+            await queueSystemTransition(db, writer, docSnap, "archived", now);
+            await writer.flush();
+            reportChange(report, "archived", docSnap.id);
+        }
+    }
+
+    const staleBefore = Timestamp.fromMillis(now.toMillis() - STALE_PENDING_GRACE_MS);
+    for await (const docs of paginate(bookings.where("status", "in", ["pending", "countered"]).where("startDate", "<", staleBefore).orderBy("startDate"))) {
+        for (const docSnap of docs) {
+            const data = docSnap.data();
+            await queueSystemTransition(db, writer, docSnap, "declined", now, {
+                reason: "Request expired",
+                updates: { declineReason: "The owner did not respond before the start date." }
+            });
+            writer.set(db.collection("notifications").doc(), {
+                userId: data.renterId,
+                type: "booking_expired",
+                bookingId: docSnap.id,
+                itemId: data.itemId,
+                message: `Your request for ${data.itemName} expired because the owner did not respond before ${data.startDate.toDate().toLocaleDateString()}.`,
+                read: false,
+                createdAt: FieldValue.serverTimestamp()
+            });
+            await writer.flush();
+            reportChange(report, "expired", docSnap.id);
+        }
+    }
+
+    // Waitlist hold locks carry no bookingId and expire on their own
+    for await (const lockDocs of paginate(db.collection("bookingLocks").orderBy(FieldPath.documentId()))) {
+        const bookingLocks = lockDocs.filter((lockSnap) => lockSnap.data().bookingId);
+        if (bookingLocks.length === 0) continue;
+
+        const bookingIds = [...new Set(bookingLocks.map((lockSnap) => lockSnap.data().bookingId))];
+        const bookingSnaps = await db.getAll(...bookingIds.map((bookingId) => bookings.doc(bookingId)));
+        const existing = new Set(bookingSnaps.filter((bookingSnap) => bookingSnap.exists).map((bookingSnap) => bookingSnap.id));
+
+        for (const lockSnap of bookingLocks.filter((lock) => !existing.has(lock.data().bookingId))) {
+            writer.delete(lockSnap.ref);
+            await writer.flush();
+            reportChange(report, "orphanLocks", lockSnap.id);
+        }
+    }
+
+    await writer.close();
+    return { ...report, ...writer.stats };
+}
+
+export const archiveExpiredBookings = onSchedule("every 24 hours", async () => {
+    const report = await runBookingArchiver(getFirestore(), { dryRun: ARCHIVER_DRY_RUN.value() });
+    logger.info(report.dryRun ? "Booking archiver dry run: no changes written" : "Booking archiver finished", report);
 });
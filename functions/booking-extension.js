@@ -0,0 +1,171 @@
+// Cloud Function: approve a renter's request to keep an item longer. Renters
+// store the request on the booking as `extensionRequest`; only the owner can
+// approve it, and only here, since approving claims date locks and moves the
+// booking's dates and quote, none of which the security rules let clients
+// write. The new quote is recalculated from the item's pricing rather than
+// taken from the request.
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, Timestamp, FieldValue } from "firebase-admin/firestore";
+import { initializeApp, getApps } from "firebase-admin/app";
+import {
+    MAX_BOOKING_DAYS,
+    addDays,
+    bufferDayKeys,
+    checkBookable,
+    daySpan,
+    eachDay,
+    extendQuote,
+    getBufferDays,
+    toDayKey,
+    zonedTime
+} from "./booking-rules.js";
+
+if (getApps().length === 0) initializeApp();
+
+const EXTENDABLE_STATUSES = ["accepted", "picked_up"];
+
+// Mirrors isLockTaken in src/modules/booking/extensionManager.js: the booking's
+// own locks, the renter's waitlist holds and expired holds are free to take
+function isLockTaken(lock, bookingId, booking, now) {
+    if (lock.bookingId) return lock.bookingId !== bookingId;
+    if (!lock.holdFor) return true;
+    return lock.holdFor !== booking.renterId && lock.holdExpiresAt.toMillis() >= now.toMillis();
+}
+
+// Approve the open extension request on `request.data.bookingId`. The extra days
+// are claimed, the trailing turnaround buffer moves past the new end date and the
+// booking's endDate, lockIds and quote are updated in one transaction, so a
+// booking made meanwhile makes the approval fail instead of double-booking the
+// item. Returns { endDate } in milliseconds.
+export const approveExtension = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError("unauthenticated", "You must be logged in to approve an extension.");
+    }
+    const { bookingId } = request.data || {};
+    if (typeof bookingId !== "string" || !bookingId) {
+        throw new HttpsError("invalid-argument", "A booking is required.");
+    }
+
+    const db = getFirestore();
+    const endDate = await db.runTransaction(async (transaction) => {
+        const bookingRef = db.collection("bookings").doc(bookingId);
+        const bookingSnap = await transaction.get(bookingRef);
+        if (!bookingSnap.exists) {
+            throw new HttpsError("not-found", "Booking not found");
+        }
+
+        const booking = bookingSnap.data();
+        const extension = booking.extensionRequest;
+        if (booking.ownerId !== request.auth.uid) {
+            throw new HttpsError("permission-denied", "Only the owner can approve this extension.");
+        }
+        const status = booking.status === "confirmed" ? "accepted" : booking.status;
+        if (!extension?.endDate || !EXTENDABLE_STATUSES.includes(status) || booking.slots?.length) {
+            throw new HttpsError("failed-precondition", "This extension request is no longer open.");
+        }
+
+        // Days are read in the renter's time zone, as the booking form picked them
+        const now = Timestamp.now();
+        const timeZone = booking.timeZone || "UTC";
+        const startKey = toDayKey(booking.startDate, timeZone);
+        const previousEndKey = toDayKey(booking.endDate, timeZone);
+        const endKey = toDayKey(extension.endDate, timeZone);
+        if (endKey <= previousEndKey) {
+            throw new HttpsError("failed-precondition", "The extension must end after the current return date.");
+        }
+        if (daySpan(startKey, endKey) > MAX_BOOKING_DAYS) {
+            throw new HttpsError("invalid-argument", `A booking can span at most ${MAX_BOOKING_DAYS} days.`);
+        }
+
+        const itemSnap = await transaction.get(db.collection("items").doc(booking.itemId));
+        if (!itemSnap.exists) {
+            throw new HttpsError("failed-precondition", "This item is no longer listed.");
+        }
+        // The lead time was met when the booking was made
+        const item = { ...itemSnap.data(), timeZone: itemSnap.data().timeZone || timeZone };
+        const check = checkBookable(item, startKey, endKey, { now: (booking.createdAt || booking.startDate).toDate() });
+        if (!check.valid) {
+            throw new HttpsError("failed-precondition", check.message);
+        }
+
+        const lockIds = eachDay(addDays(previousEndKey, 1), endKey).map((day) => `${booking.itemId}_${day}`);
+        const lockSnaps = await transaction.getAll(...lockIds.map((lockId) => db.collection("bookingLocks").doc(lockId)));
+        const takenDates = lockSnaps
+            .filter((lockSnap) => lockSnap.exists && isLockTaken(lockSnap.data(), bookingId, booking, now))
+            .map((lockSnap) => lockSnap.id.split("_").pop());
+        if (takenDates.length > 0) {
+            throw new HttpsError("failed-precondition", `These dates are no longer free: ${takenDates.join(", ")}. Please decline the extension.`);
+        }
+
+        // Move the trailing buffer past the new end; days someone else holds are left out
+        const trailingBuffer = bufferDayKeys(endKey, endKey, getBufferDays(item))
+            .filter((day) => day > endKey)
+            .map((day) => db.collection("bookingLocks").doc(`${booking.itemId}_${day}`));
+        const bufferSnaps = trailingBuffer.length > 0 ? await transaction.getAll(...trailingBuffer) : [];
+        const claimedBuffer = bufferSnaps
+            .filter((lockSnap) => !lockSnap.exists || !isLockTaken(lockSnap.data(), bookingId, booking, now))
+            .map((lockSnap) => lockSnap.ref);
+
+        const keptBuffer = (booking.bufferLockIds || []).filter((lockId) => lockId.split("_").pop() < previousEndKey);
+        const releasedBuffer = (booking.bufferLockIds || [])
+            .filter((lockId) => !keptBuffer.includes(lockId) && !lockIds.includes(lockId)
+                && !claimedBuffer.some((ref) => ref.id === lockId))
+            .map((lockId) => db.collection("bookingLocks").doc(lockId));
+        const releasedSnaps = releasedBuffer.length > 0 ? await transaction.getAll(...releasedBuffer) : [];
+
+        releasedSnaps
+            .filter((lockSnap) => lockSnap.exists && lockSnap.data().bookingId === bookingId)
+            .forEach((lockSnap) => transaction.delete(lockSnap.ref));
+        lockSnaps.forEach((lockSnap) => {
+            transaction.set(lockSnap.ref, {
+                bookingId,
+                itemId: booking.itemId,
+                date: lockSnap.id.split("_").pop(),
+                ownerId: booking.ownerId,
+                createdAt: FieldValue.serverTimestamp()
+            });
+        });
+        claimedBuffer.forEach((ref) => {
+            transaction.set(ref, {
+                bookingId,
+                itemId: booking.itemId,
+                date: ref.id.split("_").pop(),
+                ownerId: booking.ownerId,
+                buffer: true,
+                createdAt: FieldValue.serverTimestamp()
+            });
+        });
+
+        const newEnd = Timestamp.fromDate(zonedTime(endKey, "00:00", timeZone));
+        const endLabel = newEnd.toDate().toLocaleDateString("en-US", { timeZone });
+        transaction.update(bookingRef, {
+            endDate: newEnd,
+            lockIds: [...(booking.lockIds || []), ...lockIds],
+            ...(booking.bufferLockIds || claimedBuffer.length ? {
+                bufferLockIds: [...keptBuffer, ...claimedBuffer.map((ref) => ref.id)]
+            } : {}),
+            quote: extendQuote(booking.quote, item, startKey, endKey),
+            extensionRequest: null,
+            statusHistory: FieldValue.arrayUnion({
+                status: booking.status,
+                at: now,
+                by: request.auth.uid,
+                reason: `Extended to ${endLabel}`
+            }),
+            updatedAt: FieldValue.serverTimestamp()
+        });
+        transaction.set(db.collection("notifications").doc(), {
+            userId: booking.renterId,
+            type: "booking_extended",
+            bookingId,
+            itemId: booking.itemId,
+            message: `${booking.ownerName} approved your extension: ${booking.itemName} is now yours until ${endLabel}.`,
+            read: false,
+            createdAt: FieldValue.serverTimestamp()
+        });
+
+        return newEnd;
+    });
+
+    return { endDate: endDate.toMillis() };
+});
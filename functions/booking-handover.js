@@ -0,0 +1,157 @@
+// Cloud Functions: issue and verify the one-time handover codes. Codes are made
+// and checked here, never in the browser: only a salted hash is kept, in
+// handoverCodes/{bookingId}_{stage}, which the security rules hide from every
+// client, and a code is voided after a few wrong guesses. A verified code moves
+// the booking to its next status in the same transaction.
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, Timestamp, FieldValue } from "firebase-admin/firestore";
+import { initializeApp, getApps } from "firebase-admin/app";
+import { planTransition, transitionFields } from "./booking-state.js";
+
+if (getApps().length === 0) initializeApp();
+
+// Mirrors HANDOVER_STAGES in src/utils/constants.js
+const HANDOVER_STAGES = {
+    pickup: { from: ["accepted"], to: "picked_up", label: "Pickup", codeHolder: "renter" },
+    return: { from: ["picked_up", "overdue"], to: "returned", label: "Return", codeHolder: "owner" }
+};
+// Minutes a code stays valid after it is shown
+const HANDOVER_CODE_TTL_MINUTES = 15;
+
+// No 0/O or 1/I so codes read out loud without confusion; 32 symbols keep
+// random bytes unbiased
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+// Wrong guesses a code survives before the holder has to show a new one
+export const MAX_CODE_ATTEMPTS = 5;
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+export function generateHandoverCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    return Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+}
+
+// Uppercase, without spaces or dashes
+export function normalizeHandoverCode(input) {
+    return String(input || "").toUpperCase().replace(/[\s-]/g, "");
+}
+
+export async function hashHandoverCode(salt, code) {
+    const data = new TextEncoder().encode(`${salt}:${normalizeHandoverCode(code)}`);
+    return toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", data)));
+}
+
+// Check an entered code against the issued one. `countsAsAttempt` marks wrong
+// guesses, which use up one of the code's attempts.
+export async function verifyHandoverCode(issued, code, now = new Date()) {
+    if (!issued) {
+        return { valid: false, message: "No code has been issued yet. Ask the other party to show theirs." };
+    }
+    if (issued.attempts >= MAX_CODE_ATTEMPTS) {
+        return { valid: false, message: "Too many wrong attempts. Ask for a new code." };
+    }
+    if (issued.expiresAt.toDate() < now) {
+        return { valid: false, message: "This code has expired. Ask for a new one." };
+    }
+    if (await hashHandoverCode(issued.salt, code) !== issued.codeHash) {
+        return { valid: false, message: "That code is not valid for this booking.", countsAsAttempt: true };
+    }
+    return { valid: true, message: "" };
+}
+
+// Check the caller and stage of a handover request and load its booking
+async function loadHandover(db, request, readBooking) {
+    if (!request.auth) {
+        throw new HttpsError("unauthenticated", "You must be logged in to confirm a handover.");
+    }
+    const { bookingId, stage } = request.data || {};
+    const config = HANDOVER_STAGES[stage];
+    if (typeof bookingId !== "string" || !bookingId || !config) {
+        throw new HttpsError("invalid-argument", "A booking and handover stage are required.");
+    }
+
+    const bookingRef = db.collection("bookings").doc(bookingId);
+    const bookingSnap = await readBooking(bookingRef);
+    if (!bookingSnap.exists) {
+        throw new HttpsError("not-found", "Booking not found");
+    }
+
+    const booking = bookingSnap.data();
+    const role = booking.ownerId === request.auth.uid ? "owner" : booking.renterId === request.auth.uid ? "renter" : null;
+    if (!role) {
+        throw new HttpsError("permission-denied", "Only the owner and renter can take part in a handover.");
+    }
+    const status = booking.status === "confirmed" ? "accepted" : booking.status;
+    if (!config.from.includes(status)) {
+        throw new HttpsError("failed-precondition", `${config.label} cannot be confirmed for a ${status.replace("_", " ")} booking.`);
+    }
+
+    return { bookingRef, booking, stage, config, role, codeRef: db.collection("handoverCodes").doc(`${bookingId}_${stage}`) };
+}
+
+// Issue a fresh code to the code holder. Issuing a new code replaces any earlier
+// one for the same handover. Returns { code, expiresAt } with expiresAt in milliseconds.
+export const issueHandoverCode = onCall(async (request) => {
+    const db = getFirestore();
+    const { bookingRef, stage, config, role, codeRef } = await loadHandover(db, request, (ref) => ref.get());
+    if (role !== config.codeHolder) {
+        throw new HttpsError("permission-denied", `The ${config.codeHolder} shows the ${config.label.toLowerCase()} code.`);
+    }
+
+    const code = generateHandoverCode();
+    const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const now = Timestamp.now();
+    const expiresAt = Timestamp.fromMillis(now.toMillis() + HANDOVER_CODE_TTL_MINUTES * 60 * 1000);
+    await codeRef.set({
+        bookingId: bookingRef.id,
+        stage,
+        salt,
+        codeHash: await hashHandoverCode(salt, code),
+        attempts: 0,
+        issuedBy: request.auth.uid,
+        issuedAt: now,
+        expiresAt
+    });
+
+    return { code, expiresAt: expiresAt.toMillis() };
+});
+
+// Confirm a pickup or return with the code holder's code, entered or scanned by
+// the other party. A valid code proves both parties were present, so the booking
+// moves to the stage's next status and the code is deleted; a wrong one uses up
+// an attempt.
+export const confirmHandover = onCall(async (request) => {
+    const db = getFirestore();
+    const code = normalizeHandoverCode(request.data?.code);
+
+    const outcome = await db.runTransaction(async (transaction) => {
+        const { bookingRef, booking, stage, config, role, codeRef } = await loadHandover(db, request, (ref) => transaction.get(ref));
+        if (role === config.codeHolder) {
+            throw new HttpsError("permission-denied", `Only the ${role === "owner" ? "renter" : "owner"} can enter the ${config.label.toLowerCase()} code.`);
+        }
+
+        const codeSnap = await transaction.get(codeRef);
+        const now = Timestamp.now();
+        const check = await verifyHandoverCode(codeSnap.exists ? codeSnap.data() : null, code, now.toDate());
+        if (!check.valid) {
+            if (check.countsAsAttempt) transaction.update(codeRef, { attempts: FieldValue.increment(1) });
+            return check;
+        }
+
+        const transition = planTransition(booking, config.to, role);
+        transaction.update(bookingRef, transitionFields(booking, transition, now, {
+            by: request.auth.uid,
+            reason: `${config.label} verified with handover code`,
+            updates: { [`handover.${stage}`]: { confirmedAt: now, verifiedBy: request.auth.uid } }
+        }));
+        transaction.delete(codeRef);
+        return { ...check, status: config.to };
+    });
+
+    // Thrown after the transaction so the used-up attempt is kept
+    if (!outcome.valid) {
+        throw new HttpsError("failed-precondition", outcome.message);
+    }
+    return { status: outcome.status };
+});
@@ -0,0 +1,563 @@
+// Booking rules for the Cloud Functions. Mirrors the checks the booking form runs
+// in the browser so submitBooking can re-run them where the client cannot skip
+// them: checkBookable and its helpers (src/modules/availability/availabilityEngine.js),
+// slot and date validation (src/utils/validators.js), calculateQuote,
+// applyNegotiatedTotal and extendQuote (src/modules/pricing/priceQuote.js), the cancellation
+// policies (src/modules/pricing/cancellationPolicy.js), expandRecurrence
+// (src/modules/booking/recurringBooking.js) and the Instant Book criteria
+// (src/modules/booking/instantBook.js).
+//
+// The browser reads the days a renter picks in the renter's own time zone, so
+// every function that turns a day into an instant takes that time zone.
+//
+// Keep this module free of Firebase imports: test.js imports it as it ships.
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKLY_MIN_DAYS = 7;
+const MONTHLY_MIN_DAYS = 28;
+const DEFAULT_CANCELLATION_POLICY = "flexible";
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Refund windows per policy: the first window the renter is still inside decides the refund
+const CANCELLATION_WINDOWS = {
+    flexible: [
+        { hoursBefore: 24, refundPercent: 100 },
+        { hoursBefore: -Infinity, refundPercent: 50 }
+    ],
+    moderate: [
+        { hoursBefore: 120, refundPercent: 100 },
+        { hoursBefore: 24, refundPercent: 50 },
+        { hoursBefore: -Infinity, refundPercent: 0 }
+    ],
+    strict: [
+        { hoursBefore: 168, refundPercent: 50 },
+        { hoursBefore: -Infinity, refundPercent: 0 }
+    ]
+};
+
+export const MAX_SERIES_OCCURRENCES = 26;
+
+// Longest range one booking may hold. A booking writes a lock per day plus its
+// turnaround buffer, and one transaction allows at most MAX_TRANSACTION_WRITES
+// writes, so submitBooking also caps the locks a whole request writes.
+export const MAX_BOOKING_DAYS = 180;
+export const MAX_TRANSACTION_WRITES = 500;
+
+export const DEFAULT_INSTANT_BOOK_SETTINGS = {
+    enabled: false,
+    minCompletedBookings: 1,
+    requireVerifiedEdu: true,
+    requireCleanHistory: true
+};
+
+// Intl formatters are expensive to create, so keep one per time zone
+const dayKeyFormatters = new Map();
+const offsetFormatters = new Map();
+
+// Check that a time zone name is one Intl understands
+export function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== "string" || timeZone === "") return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Calendar day ("YYYY-MM-DD") an instant, Firestore Timestamp or day key falls on in a time zone
+export function toDayKey(value, timeZone) {
+    if (typeof value === "string") return value.slice(0, 10);
+
+    const date = typeof value?.toDate === "function" ? value.toDate() : new Date(value);
+    if (!dayKeyFormatters.has(timeZone)) {
+        // en-CA formats dates as YYYY-MM-DD
+        dayKeyFormatters.set(timeZone, new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }));
+    }
+    return dayKeyFormatters.get(timeZone).format(date);
+}
+
+// Day arithmetic in UTC so daylight-saving changes never skip or repeat a day
+export function addDays(key, days) {
+    const [year, month, day] = key.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function dayOfWeek(key) {
+    const [year, month, day] = key.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Number of days from startKey to endKey inclusive, without listing them
+export function daySpan(startKey, endKey) {
+    return Math.round((Date.parse(endKey) - Date.parse(startKey)) / 86400000) + 1;
+}
+
+export function eachDay(startKey, endKey) {
+    const days = [];
+    for (let key = startKey; key <= endKey; key = addDays(key, 1)) {
+        days.push(key);
+    }
+    return days;
+}
+
+// Milliseconds a time zone is ahead of UTC at an instant
+function zoneOffset(ms, timeZone) {
+    if (!offsetFormatters.has(timeZone)) {
+        offsetFormatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric"
+        }));
+    }
+    const parts = Object.fromEntries(offsetFormatters.get(timeZone).formatToParts(new Date(ms))
+        .map(({ type, value }) => [type, Number(value)]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return wallClock - (ms - (ms % 60000));
+}
+
+// The instant a day and "HH:MM" wall-clock time happen in a time zone. The offset
+// is read a second time at the first guess, in case the guess crossed a
+// daylight-saving change.
+export function zonedTime(key, time, timeZone) {
+    const [year, month, day] = key.split("-").map(Number);
+    const [hours, minutes] = (time || "00:00").split(":").map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    const guess = wallClock - zoneOffset(wallClock, timeZone);
+    return new Date(wallClock - zoneOffset(guess, timeZone));
+}
+
+// Day keys in messages, e.g. "Dec 4, 2024"
+function formatDay(key) {
+    return new Date(`${key}T00:00:00Z`).toLocaleDateString("en-US", { timeZone: "UTC", month: "short", day: "numeric", year: "numeric" });
+}
+
+// Blackouts and date ranges are stored as instants and read in the owner's time zone
+function itemBlackouts(item) {
+    return (item.availability?.blackouts || []).map((blackout) => ({
+        start: toDayKey(blackout.start, item.timeZone),
+        end: toDayKey(blackout.end, item.timeZone),
+        label: blackout.label || ""
+    }));
+}
+
+function findBlackout(item, startKey, endKey) {
+    return itemBlackouts(item).find((blackout) => startKey <= blackout.end && endKey >= blackout.start) || null;
+}
+
+function isOwnerAvailable(item, key) {
+    const availability = item.availability || {};
+    if (findBlackout(item, key, key)) return false;
+
+    switch (availability.type || "always") {
+        case "always":
+            return true;
+        case "dateRange":
+            return (!availability.startDate || key >= toDayKey(availability.startDate, item.timeZone))
+                && (!availability.endDate || key <= toDayKey(availability.endDate, item.timeZone));
+        case "recurring":
+            return (availability.daysOfWeek || []).includes(dayOfWeek(key));
+        default:
+            return false;
+    }
+}
+
+// Day bookings without a recorded time zone are due a full day after their endDate
+const LEGACY_DUE_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// When a rental is due back. Slot bookings end with their last slot. Day bookings
+// store midnight at the start of their last day, read in the time zone they were
+// booked in; they are due at the end of the owner's handover window on that day,
+// or at the end of the day without one.
+export function returnDueAt(data, item = {}) {
+    const end = data.endDate.toDate();
+    if (data.slots?.length) return end;
+    if (!data.timeZone) return new Date(end.getTime() + LEGACY_DUE_GRACE_MS);
+
+    const lastDay = toDayKey(end, data.timeZone);
+    const handoverEnd = item.handoverTime?.end || item.availability?.timeEnd;
+    return handoverEnd
+        ? zonedTime(lastDay, handoverEnd, data.timeZone)
+        : zonedTime(addDays(lastDay, 1), "00:00", data.timeZone);
+}
+
+// Describe when a handover happens in the item's time zone, including the
+// item's handover window or, for slot bookings, the booked slot. Items listed
+// before they recorded a time zone use the one the booking was made in.
+export function describeHandoverTime(item, data, date) {
+    const timeZone = item.timeZone || data.timeZone || "UTC";
+    const day = date.toLocaleDateString("en-US", { timeZone, weekday: "short", month: "short", day: "numeric" });
+    if (data.slots?.length) {
+        return `${day} at ${date.toLocaleTimeString("en-US", { timeZone, hour: "2-digit", minute: "2-digit" })}`;
+    }
+    const start = item.handoverTime?.start || item.availability?.timeStart;
+    const end = item.handoverTime?.end || item.availability?.timeEnd;
+    if (start && end) return `${day} between ${start} and ${end}`;
+    if (start) return `${day} from ${start}`;
+    if (end) return `${day} until ${end}`;
+    return day;
+}
+
+// Pickup is at the start of the owner's handover window, or midnight without one,
+// on the owner's clock rather than the caller's
+function pickupTime(item, key) {
+    return zonedTime(key, item.handoverTime?.start || item.availability?.timeStart, item.timeZone);
+}
+
+function meetsLeadTime(item, startTime, now) {
+    const leadTimeHours = item.availability?.rules?.leadTimeHours || 0;
+    if (leadTimeHours === 0) return true;
+    return startTime.getTime() - now.getTime() >= leadTimeHours * 60 * 60 * 1000;
+}
+
+// Turnaround days kept free around accepted bookings; slot bookings never get any
+export function getBufferDays(item) {
+    if (item.slotLengthMinutes) return 0;
+    return item.availability?.rules?.bufferDays || 0;
+}
+
+export function bufferDayKeys(startKey, endKey, bufferDays) {
+    const days = [];
+    for (let i = bufferDays; i >= 1; i--) days.push(addDays(startKey, -i));
+    for (let i = 1; i <= bufferDays; i++) days.push(addDays(endKey, i));
+    return days;
+}
+
+// Check the owner's availability, duration limits, lead time and blackouts for a
+// range of days, all read in `item.timeZone`. Existing bookings are left to the
+// date locks.
+export function checkBookable(item, startKey, endKey, { startTime = null, now = new Date() } = {}) {
+    const availability = item.availability || {};
+    const type = availability.type || "always";
+    const rules = availability.rules || {};
+
+    if (endKey < startKey) {
+        return { valid: false, message: "End date must be after start date" };
+    }
+
+    if (!meetsLeadTime(item, startTime || pickupTime(item, startKey), now)) {
+        return { valid: false, message: `This item must be booked at least ${rules.leadTimeHours} hours in advance` };
+    }
+
+    if (!item.slotLengthMinutes) {
+        const days = eachDay(startKey, endKey).length;
+        if (rules.minDays && days < rules.minDays) {
+            return { valid: false, message: `This item must be booked for at least ${rules.minDays} day${rules.minDays === 1 ? "" : "s"}` };
+        }
+        if (rules.maxDays && days > rules.maxDays) {
+            return { valid: false, message: `This item can be booked for at most ${rules.maxDays} day${rules.maxDays === 1 ? "" : "s"}` };
+        }
+    }
+
+    const blackout = findBlackout(item, startKey, endKey);
+    if (blackout) {
+        const range = blackout.start === blackout.end ? formatDay(blackout.start) : `${formatDay(blackout.start)} - ${formatDay(blackout.end)}`;
+        return { valid: false, message: `Item is unavailable ${range}${blackout.label ? ` (${blackout.label})` : ""}` };
+    }
+
+    if (type === "dateRange") {
+        const availableFrom = availability.startDate ? toDayKey(availability.startDate, item.timeZone) : null;
+        const availableUntil = availability.endDate ? toDayKey(availability.endDate, item.timeZone) : null;
+        if (availableFrom && startKey < availableFrom) {
+            return { valid: false, message: `Item is only available from ${formatDay(availableFrom)}` };
+        }
+        if (availableUntil && endKey > availableUntil) {
+            return { valid: false, message: `Item is only available until ${formatDay(availableUntil)}` };
+        }
+    } else if (type === "recurring") {
+        const availableDayNames = (availability.daysOfWeek || []).map((day) => DAY_NAMES[day]).join(", ");
+        if (startKey !== endKey) {
+            return {
+                valid: false,
+                message: `This item only allows same-day borrowing on: ${availableDayNames}. Please select the same date for pickup and return.`
+            };
+        }
+        if (!isOwnerAvailable(item, startKey)) {
+            return {
+                valid: false,
+                message: `This item is only available on: ${availableDayNames}. You selected: ${DAY_NAMES[dayOfWeek(startKey)]}`
+            };
+        }
+    } else if (type !== "always") {
+        return { valid: false, message: "Unknown availability type" };
+    }
+
+    return { valid: true };
+}
+
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesToTime(totalMinutes) {
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, "0")}:${String(totalMinutes % 60).padStart(2, "0")}`;
+}
+
+export function generateTimeSlots(handoverTime, slotLengthMinutes) {
+    if (!handoverTime?.start || !handoverTime?.end || !slotLengthMinutes) return [];
+
+    const slots = [];
+    const windowEnd = timeToMinutes(handoverTime.end);
+    for (let cursor = timeToMinutes(handoverTime.start); cursor + slotLengthMinutes <= windowEnd; cursor += slotLengthMinutes) {
+        slots.push(minutesToTime(cursor));
+    }
+    return slots;
+}
+
+export function validateSlotSelection(selectedSlots, availableSlots) {
+    if (selectedSlots.length === 0) {
+        return { valid: false, message: "Please select at least one time slot" };
+    }
+
+    const indexes = selectedSlots.map((slot) => availableSlots.indexOf(slot)).sort((a, b) => a - b);
+    if (indexes.includes(-1)) {
+        return { valid: false, message: "Selected time slot is outside the owner's handover window" };
+    }
+
+    const contiguous = indexes.every((index, i) => i === 0 || index === indexes[i - 1] + 1);
+    if (!contiguous) {
+        return { valid: false, message: "Please select consecutive time slots" };
+    }
+
+    return { valid: true };
+}
+
+export function expandRecurrence(startKey, { everyWeeks, untilKey }) {
+    const step = Math.max(1, Math.floor(everyWeeks)) * 7;
+    const days = [];
+    for (let key = startKey; key <= untilKey; key = addDays(key, step)) {
+        days.push(key);
+    }
+    return days;
+}
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Price quote for an inclusive range of days; the security deposit stays out of the rental total
+export function calculateQuote(item, startKey, endKey) {
+    const pricing = item.pricing || {};
+    const dailyRate = Number(item.price) || 0;
+    const days = Math.max(1, eachDay(startKey, endKey).length);
+    const subtotal = roundCents(dailyRate * days);
+
+    let discountPercent = 0;
+    let discountLabel = null;
+    if (days >= MONTHLY_MIN_DAYS && pricing.monthlyDiscountPercent) {
+        discountPercent = pricing.monthlyDiscountPercent;
+        discountLabel = "Monthly discount";
+    } else if (days >= WEEKLY_MIN_DAYS && pricing.weeklyDiscountPercent) {
+        discountPercent = pricing.weeklyDiscountPercent;
+        discountLabel = "Weekly discount";
+    }
+
+    const discount = roundCents(subtotal * discountPercent / 100);
+    const cleaningFee = roundCents(pricing.cleaningFee || 0);
+    const securityDeposit = roundCents(pricing.securityDeposit || 0);
+    const rentalTotal = roundCents(subtotal - discount + cleaningFee);
+
+    return {
+        days,
+        dailyRate,
+        subtotal,
+        discountPercent,
+        discountLabel,
+        discount,
+        cleaningFee,
+        securityDeposit,
+        rentalTotal,
+        totalDue: roundCents(rentalTotal + securityDeposit)
+    };
+}
+
+// Replace a quote's rental total with a negotiated one; the deposit is not negotiable
+export function applyNegotiatedTotal(quote, rentalTotal) {
+    if (rentalTotal === null || rentalTotal === undefined || roundCents(rentalTotal) === quote.rentalTotal) {
+        return quote;
+    }
+    const total = roundCents(Math.max(0, rentalTotal));
+    return {
+        ...quote,
+        rentalTotal: total,
+        totalDue: roundCents(total + quote.securityDeposit),
+        negotiatedFrom: quote.rentalTotal
+    };
+}
+
+// Quote a booking extended to a new end day, keeping any negotiated discount
+export function extendQuote(quote, item, startKey, endKey) {
+    const extended = calculateQuote(item, startKey, endKey);
+    if (quote?.negotiatedFrom === undefined) return extended;
+    return applyNegotiatedTotal(extended, extended.rentalTotal - (quote.negotiatedFrom - quote.rentalTotal));
+}
+
+export function cancellationPolicyKey(policyKey) {
+    return CANCELLATION_WINDOWS[policyKey] ? policyKey : DEFAULT_CANCELLATION_POLICY;
+}
+
+// Refund and penalty for cancelling a booking now. Requests the owner has not
+// accepted yet are refunded in full and the security deposit is always returned.
+export function calculateCancellationOutcome(booking, now = new Date()) {
+    const policy = cancellationPolicyKey(booking.cancellationPolicy);
+    const rentalTotal = booking.quote?.rentalTotal || 0;
+    const hoursBeforeStart = (booking.startDate.toDate() - now) / MS_PER_HOUR;
+
+    // Legacy bookings were accepted as "confirmed"
+    const agreed = booking.status === "accepted" || booking.status === "confirmed";
+    const refundPercent = agreed
+        ? CANCELLATION_WINDOWS[policy].find((cutoff) => hoursBeforeStart >= cutoff.hoursBefore).refundPercent
+        : 100;
+    const refundAmount = roundCents(rentalTotal * refundPercent / 100);
+
+    return {
+        policy,
+        hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+        refundPercent,
+        refundAmount,
+        penaltyAmount: roundCents(rentalTotal - refundAmount),
+        depositRefund: booking.quote?.securityDeposit || 0
+    };
+}
+
+export function isInstantBookEnabled(ownerSettings, item) {
+    if (item.instantBook === "on") return true;
+    if (item.instantBook === "off") return false;
+    return Boolean(ownerSettings.enabled);
+}
+
+// A booking counts as completed once returned, even if it has since been archived
+export function summarizeRenterHistory(bookings) {
+    const reached = (booking, status) => booking.status === status
+        || (booking.statusHistory || []).some((entry) => entry.status === status);
+
+    return {
+        completedBookings: bookings.filter((booking) => reached(booking, "returned")).length,
+        hasOverdue: bookings.some((booking) => reached(booking, "overdue")),
+        // A charged claim counts even without the flag; the rules keep resolutions from changing
+        hasDamage: bookings.some((booking) => Boolean(booking.damageFlagged) || booking.damageClaim?.resolution?.chargedAmount > 0)
+    };
+}
+
+export function checkInstantBookEligibility(settings, renter, history) {
+    const reasons = [];
+    const minCompleted = settings.minCompletedBookings || 0;
+
+    if (history.completedBookings < minCompleted) {
+        reasons.push(`needs ${minCompleted} completed booking${minCompleted === 1 ? "" : "s"}`);
+    }
+    if (settings.requireVerifiedEdu && !(renter.emailVerified && /\.edu$/i.test(renter.email || ""))) {
+        reasons.push("needs a verified .edu email");
+    }
+    if (settings.requireCleanHistory && (history.hasOverdue || history.hasDamage)) {
+        reasons.push("has an overdue or damage flag");
+    }
+
+    return { eligible: reasons.length === 0, reasons };
+}
+
+// Read the days and slots a set of date or slot lock IDs covers, e.g. the locks
+// held for a waitlisted renter
+export function rangeFromLockIds(itemId, lockIds) {
+    const parts = lockIds
+        .filter((lockId) => lockId.startsWith(`${itemId}_`))
+        .map((lockId) => lockId.slice(itemId.length + 1).split("T"));
+    if (parts.length === 0 || parts.length !== lockIds.length) return null;
+
+    const days = parts.map(([day]) => day).sort();
+    return {
+        startKey: days[0],
+        endKey: days[days.length - 1],
+        slots: parts.filter(([, slot]) => slot).map(([, slot]) => slot).sort()
+    };
+}
+
+// Holds can be claimed by the renter they were offered to, or by anyone once expired
+export function isHoldClaimable(lock, renterId) {
+    if (!lock.holdFor) return false;
+    return lock.holdFor === renterId || lock.holdExpiresAt.toMillis() < Date.now();
+}
+
+// Turn a renter's request for one item into the bookings to create, re-running
+// every check the booking form makes. A request is { startKey, endKey, slots,
+// repeat: { everyWeeks, untilKey } }. Bookings start and end at the picked days
+// in `timeZone`, while the owner's rules are read in `item.timeZone`. Returns
+// { valid: false, message } or { valid: true, occurrences } where each occurrence
+// has its day keys, slots, start and end instants and lock IDs.
+export function planBooking(itemId, item, request, { now = new Date(), timeZone }) {
+    const isSlotBooking = Boolean(item.slotLengthMinutes);
+    const startKey = request.startKey;
+    const endKey = isSlotBooking ? startKey : request.endKey;
+    if (!DAY_KEY_PATTERN.test(startKey || "") || !DAY_KEY_PATTERN.test(endKey || "")) {
+        return { valid: false, message: "Please select both start and end dates" };
+    }
+    if (startKey < toDayKey(now, item.timeZone)) {
+        return { valid: false, message: "Start date cannot be in the past" };
+    }
+    if (endKey < startKey) {
+        return { valid: false, message: "End date must be after start date" };
+    }
+
+    const slots = isSlotBooking ? [...new Set(request.slots || [])].sort() : [];
+    if (isSlotBooking) {
+        const slotValidation = validateSlotSelection(slots, generateTimeSlots(item.handoverTime, item.slotLengthMinutes));
+        if (!slotValidation.valid) return slotValidation;
+    }
+
+    let days = [startKey];
+    if (request.repeat) {
+        const { everyWeeks, untilKey } = request.repeat;
+        if (item.availability?.type !== "recurring") {
+            return { valid: false, message: "This item cannot be booked as a repeating series." };
+        }
+        if (!(everyWeeks >= 1) || !DAY_KEY_PATTERN.test(untilKey || "") || untilKey <= startKey) {
+            return { valid: false, message: "Please choose a repeat end date after the first date." };
+        }
+        days = expandRecurrence(startKey, { everyWeeks, untilKey });
+        if (days.length < 2) {
+            return { valid: false, message: "The repeat end date is too close to include a second occurrence." };
+        }
+        if (days.length > MAX_SERIES_OCCURRENCES) {
+            return { valid: false, message: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences. Please choose an earlier end date.` };
+        }
+    }
+
+    // Series repeat a single day; slot bookings run from the first slot's start to the last slot's end
+    const occurrences = days.map((day) => {
+        const lastDay = request.repeat ? day : endKey;
+        return {
+            startKey: day,
+            endKey: lastDay,
+            slots,
+            start: isSlotBooking ? zonedTime(day, slots[0], timeZone) : zonedTime(day, "00:00", timeZone),
+            end: isSlotBooking
+                ? new Date(zonedTime(day, slots[slots.length - 1], timeZone).getTime() + item.slotLengthMinutes * 60000)
+                : zonedTime(lastDay, "00:00", timeZone),
+            lockIds: isSlotBooking
+                ? slots.map((slot) => `${itemId}_${day}T${slot}`)
+                : eachDay(day, lastDay).map((key) => `${itemId}_${key}`)
+        };
+    });
+
+    for (const occurrence of occurrences) {
+        // Slots are the owner's handover times, so the lead time counts from their clock
+        const check = checkBookable(item, occurrence.startKey, occurrence.endKey, {
+            startTime: isSlotBooking ? zonedTime(occurrence.startKey, slots[0], item.timeZone) : null,
+            now
+        });
+        if (!check.valid) {
+            return request.repeat
+                ? { valid: false, message: `The series cannot be booked on ${occurrence.startKey}: ${check.message}` }
+                : check;
+        }
+    }
+    if (isSlotBooking && occurrences[0].start < now) {
+        return { valid: false, message: "The selected time slot has already started. Please pick a later slot." };
+    }
+
+    return { valid: true, occurrences };
+}
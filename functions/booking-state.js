@@ -0,0 +1,203 @@
+// Booking state machine for the Cloud Functions. Mirrors BOOKING_TRANSITIONS and
+// planTransition in src/modules/booking/bookingStateMachine.js; functions deploy
+// on their own and cannot import from src/. Also holds the helpers that turn a
+// planned transition into writes. Nothing here imports the Firebase SDKs, so
+// test.js loads this module directly.
+import { calculateCancellationOutcome } from "./booking-rules.js";
+
+// Firestore rejects batches of more than 500 writes
+const MAX_BATCH_WRITES = 500;
+
+// Legal transitions: current status -> next status -> { roles, effects, stampField }
+export const BOOKING_TRANSITIONS = {
+    pending: {
+        countered: { roles: ["owner"], effects: ["notifyRenter"] },
+        accepted: { roles: ["owner", "system"], effects: ["declineOverlapping", "reserveBuffer", "notifyRenter"] },
+        declined: { roles: ["owner", "system"], effects: ["releaseLocks", "notifyRenter"] },
+        cancelled: { roles: ["renter"], effects: ["releaseLocks", "notifyOwner"], stampField: "cancelledAt" }
+    },
+    countered: {
+        pending: { roles: ["renter"], effects: ["notifyOwner"] },
+        accepted: { roles: ["renter"], effects: ["declineOverlapping", "reserveBuffer", "notifyOwner"] },
+        declined: { roles: ["owner", "system"], effects: ["releaseLocks", "notifyRenter"] },
+        cancelled: { roles: ["renter"], effects: ["releaseLocks", "notifyOwner"], stampField: "cancelledAt" }
+    },
+    accepted: {
+        picked_up: { roles: ["owner", "renter"], effects: [] },
+        overdue: { roles: ["system"], effects: ["notifyRenter", "notifyOwner"], stampField: "overdueAt" },
+        cancelled: { roles: ["renter"], effects: ["releaseLocks", "notifyOwner"], stampField: "cancelledAt" }
+    },
+    picked_up: {
+        returned: { roles: ["owner", "renter"], effects: [], stampField: "returnedAt" },
+        overdue: { roles: ["system"], effects: ["notifyRenter", "notifyOwner"], stampField: "overdueAt" }
+    },
+    overdue: {
+        returned: { roles: ["owner", "renter"], effects: [], stampField: "returnedAt" }
+    },
+    returned: {
+        archived: { roles: ["system"], effects: ["releaseLocks"], stampField: "archivedAt" }
+    },
+    declined: {
+        archived: { roles: ["system"], effects: ["releaseLocks"], stampField: "archivedAt" }
+    },
+    cancelled: {},
+    archived: {}
+};
+
+// Plan a status change, throwing when the booking cannot make it (or not by this role)
+export function planTransition(booking, nextStatus, role) {
+    const from = booking.status === "confirmed" ? "accepted" : (booking.status || "pending");
+    const transitions = BOOKING_TRANSITIONS[from];
+    if (!transitions) {
+        throw new Error(`Unknown booking status "${booking.status}".`);
+    }
+
+    const transition = transitions[nextStatus];
+    if (!transition) {
+        throw new Error(`A ${from} booking cannot be ${nextStatus}.`);
+    }
+    if (!transition.roles.includes(role)) {
+        throw new Error(`Only the ${transition.roles.join(" or the ")} can mark a booking ${nextStatus}.`);
+    }
+
+    return { from, to: nextStatus, effects: transition.effects, stampField: transition.stampField || null };
+}
+
+// Status and statusHistory for a new booking; Instant Book bookings are accepted
+// by the system as soon as they are requested
+export function initialBookingStatus(renterId, now, { instantBook = false } = {}) {
+    const statusHistory = [{ status: "pending", at: now, by: renterId }];
+    if (!instantBook) {
+        return { status: "pending", statusHistory };
+    }
+
+    const { to } = planTransition({ status: "pending" }, "accepted", "system");
+    return {
+        status: to,
+        statusHistory: [...statusHistory, { status: to, at: now, by: "system", reason: "Instant Book" }]
+    };
+}
+
+// Fields to write for a planned status change, with its statusHistory entry and stamp
+export function transitionFields(data, transition, now, { by, reason = null, updates = {} }) {
+    return {
+        ...updates,
+        status: transition.to,
+        statusHistory: [...(data.statusHistory || []), { status: transition.to, at: now, by, ...(reason ? { reason } : {}) }],
+        ...(transition.stampField ? { [transition.stampField]: now } : {}),
+        updatedAt: now
+    };
+}
+
+// Read the date and buffer locks a booking still holds. Locks that have since
+// been claimed by another booking are left alone.
+export async function readHeldLocks(db, transaction, docSnap) {
+    const data = docSnap.data();
+    const lockRefs = [...(data.lockIds || []), ...(data.bufferLockIds || [])]
+        .map((lockId) => db.collection("bookingLocks").doc(lockId));
+    const lockSnaps = lockRefs.length > 0 ? await transaction.getAll(...lockRefs) : [];
+    return lockSnaps
+        .filter((lockSnap) => lockSnap.exists && lockSnap.data().bookingId === docSnap.id)
+        .map((lockSnap) => lockSnap.ref);
+}
+
+// Refund terms a renter's cancellation records under the booking's policy, and
+// the reason its statusHistory entry gives
+export function prepareCancellation(booking, now) {
+    const cancellation = calculateCancellationOutcome(booking, now.toDate());
+    return {
+        cancellation,
+        updates: { cancellation: { ...cancellation, at: now } },
+        reason: booking.status === "countered" ? "Counter-offer rejected" : null
+    };
+}
+
+// Queue a status change made by the system, with its statusHistory entry and lock
+// releases. Returns the planned transition so callers can send its notifications.
+// `batch` is anything with update/delete, such as a write batch.
+export async function queueSystemTransition(db, batch, docSnap, nextStatus, now, { reason = null, updates = {} } = {}) {
+    const data = docSnap.data();
+    const transition = planTransition(data, nextStatus, "system");
+
+    batch.update(docSnap.ref, transitionFields(data, transition, now, { by: "system", reason, updates }));
+
+    // Only release locks this booking still holds; declined requests may have
+    // released theirs already and the dates been claimed by someone else.
+    // Turnaround buffer locks go with the booking.
+    if (transition.effects.includes("releaseLocks")) {
+        const lockRefs = [...(data.lockIds || []), ...(data.bufferLockIds || [])]
+            .map((lockId) => db.collection("bookingLocks").doc(lockId));
+        const lockSnaps = lockRefs.length > 0 ? await db.getAll(...lockRefs) : [];
+        lockSnaps
+            .filter((lockSnap) => lockSnap.exists && lockSnap.data().bookingId === docSnap.id)
+            .forEach((lockSnap) => batch.delete(lockSnap.ref));
+    }
+
+    return transition;
+}
+
+// Collects writes and commits them in batches under Firestore's limit. One
+// booking's writes (status update, lock releases, notifications) are queued
+// together and kept in the same batch when they fit. In dry-run mode writes
+// are only counted.
+export function createBatchWriter(db, dryRun) {
+    let batch = db.batch();
+    let size = 0;
+    let queued = [];
+    const stats = { writes: 0, batches: 0 };
+
+    const commit = async () => {
+        if (size === 0) return;
+        if (!dryRun) await batch.commit();
+        stats.batches += 1;
+        batch = db.batch();
+        size = 0;
+    };
+
+    return {
+        stats,
+        set: (...args) => queued.push(["set", args]),
+        update: (...args) => queued.push(["update", args]),
+        delete: (...args) => queued.push(["delete", args]),
+        // Move the queued writes into the current batch, starting a new one if they don't fit
+        async flush() {
+            if (size + queued.length > MAX_BATCH_WRITES) await commit();
+            for (const [op, args] of queued) {
+                if (size === MAX_BATCH_WRITES) await commit();
+                if (!dryRun) batch[op](...args);
+                size += 1;
+                stats.writes += 1;
+            }
+            queued = [];
+        },
+        async close() {
+            await this.flush();
+            await commit();
+        }
+    };
+}
+
+// Whether another request overlaps a booking widened by its turnaround buffer.
+// Day bookings store midnight of their first and last day, so their ranges
+// include both ends; slot bookings end exactly when the next slot starts, so
+// theirs exclude the end.
+export function bookingsOverlap(booking, other, bufferMs = 0) {
+    const start = booking.startDate.toMillis() - bufferMs;
+    const end = booking.endDate.toMillis() + bufferMs;
+    const otherStart = other.startDate.toMillis();
+    const otherEnd = other.endDate.toMillis();
+    if (booking.slots?.length || other.slots?.length) {
+        return start < otherEnd && otherStart < end;
+    }
+    return start <= otherEnd && otherStart <= end;
+}
+
+// Describe a booking's dates for notifications, in the renter's time zone
+export function describeBookingRange(bookingData, timeZone) {
+    const start = bookingData.startDate.toDate();
+    const end = bookingData.endDate.toDate();
+    const day = (date) => date.toLocaleDateString("en-US", { timeZone });
+    const time = (date) => date.toLocaleTimeString("en-US", { timeZone, hour: "2-digit", minute: "2-digit" });
+    if (bookingData.slots?.length) return `${day(start)} ${time(start)} - ${time(end)}`;
+    return `${day(start)} - ${day(end)}`;
+}
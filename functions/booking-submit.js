@@ -0,0 +1,284 @@
+// Cloud Function: create booking requests on the server. The booking form, the cart,
+// weekly series and waitlist holds all call submitBooking instead of writing
+// bookings themselves, so a modified client cannot choose its own status, skip
+// the owner's availability rules or book its own item.
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, Timestamp, FieldValue } from "firebase-admin/firestore";
+import { initializeApp, getApps } from "firebase-admin/app";
+import { randomUUID } from "node:crypto";
+import { describeBookingRange, initialBookingStatus } from "./booking-state.js";
+import {
+    DEFAULT_INSTANT_BOOK_SETTINGS,
+    MAX_BOOKING_DAYS,
+    MAX_TRANSACTION_WRITES,
+    bufferDayKeys,
+    calculateQuote,
+    cancellationPolicyKey,
+    checkInstantBookEligibility,
+    daySpan,
+    getBufferDays,
+    isHoldClaimable,
+    isInstantBookEnabled,
+    isValidTimeZone,
+    planBooking,
+    rangeFromLockIds,
+    summarizeRenterHistory
+} from "./booking-rules.js";
+
+if (getApps().length === 0) initializeApp();
+
+// Limits how many items one cart request can hold
+const MAX_CART_ITEMS = 20;
+
+// Decide whether the renter passes the owner's Instant Book criteria for an item.
+// Criteria are read from the renter's ID token and booking history, never from the request.
+async function qualifiesForInstantBook(db, item, auth) {
+    const settingsSnap = await db.collection("users").doc(item.ownerId).collection("preferences").doc("instantBook").get();
+    const settings = { ...DEFAULT_INSTANT_BOOK_SETTINGS, ...(settingsSnap.exists ? settingsSnap.data() : {}) };
+    if (!isInstantBookEnabled(settings, item)) return false;
+
+    const history = await db.collection("bookings").where("renterId", "==", auth.uid).get();
+    return checkInstantBookEligibility(
+        settings,
+        { email: auth.token.email, emailVerified: auth.token.email_verified },
+        summarizeRenterHistory(history.docs.map((docSnap) => docSnap.data()))
+    ).eligible;
+}
+
+// Load the waitlist hold a renter is claiming, rejecting holds that are not theirs to claim
+async function loadWaitlistHold(db, waitlistId, renterId) {
+    const entrySnap = await db.collection("waitlist").doc(waitlistId).get();
+    if (!entrySnap.exists) {
+        throw new HttpsError("not-found", "Waitlist entry not found");
+    }
+    const entry = entrySnap.data();
+    if (entry.renterId !== renterId || entry.status !== "offered") {
+        throw new HttpsError("failed-precondition", "This hold is no longer available.");
+    }
+    if (entry.holdExpiresAt.toMillis() < Date.now()) {
+        throw new HttpsError("failed-precondition", "Sorry, this hold has expired.");
+    }
+    return { ref: entrySnap.ref, ...entry };
+}
+
+// Claim every booking's locks and create the bookings in one transaction: either
+// all bookings are created or, if any lock is taken, none are. Accepted (Instant
+// Book) bookings also claim whichever of their buffer days are free and notify
+// the owner. A claimed waitlist hold is marked fulfilled in the same transaction.
+async function claimBookings(db, bookingDataList, { timeZone, waitlistRef = null }) {
+    const entries = bookingDataList.map((bookingData) => ({
+        bookingData,
+        bookingRef: db.collection("bookings").doc(),
+        lockRefs: bookingData.lockIds.map((lockId) => db.collection("bookingLocks").doc(lockId)),
+        bufferRefs: (bookingData.bufferLockIds || []).map((lockId) => db.collection("bookingLocks").doc(lockId))
+    }));
+
+    return db.runTransaction(async (transaction) => {
+        if (waitlistRef && (await transaction.get(waitlistRef)).data().status !== "offered") {
+            throw new HttpsError("failed-precondition", "This hold is no longer available.");
+        }
+
+        const conflicts = [];
+        const freeBuffers = new Map();
+        for (const { bookingData, bookingRef, lockRefs, bufferRefs } of entries) {
+            const lockSnaps = await transaction.getAll(...lockRefs);
+            const dates = lockSnaps
+                .filter((lockSnap) => lockSnap.exists && !isHoldClaimable(lockSnap.data(), bookingData.renterId))
+                .map((lockSnap) => lockSnap.id.split("_")[1]);
+            if (dates.length > 0) {
+                conflicts.push({ itemId: bookingData.itemId, itemName: bookingData.itemName, dates });
+            }
+
+            // Buffer days already taken by someone else are simply left out
+            const bufferSnaps = bufferRefs.length > 0 ? await transaction.getAll(...bufferRefs) : [];
+            freeBuffers.set(bookingRef.id, bufferSnaps
+                .filter((bufferSnap) => !bufferSnap.exists || isHoldClaimable(bufferSnap.data(), bookingData.renterId))
+                .map((bufferSnap) => bufferSnap.ref));
+        }
+
+        if (conflicts.length > 0) {
+            return { bookingIds: [], conflicts };
+        }
+
+        entries.forEach(({ bookingData, bookingRef, lockRefs }) => {
+            const bufferRefs = freeBuffers.get(bookingRef.id);
+            transaction.set(bookingRef, {
+                ...bookingData,
+                ...(bookingData.bufferLockIds ? { bufferLockIds: bufferRefs.map((ref) => ref.id) } : {})
+            });
+            bufferRefs.forEach((ref) => {
+                transaction.set(ref, {
+                    bookingId: bookingRef.id,
+                    itemId: bookingData.itemId,
+                    date: ref.id.split("_")[1],
+                    ownerId: bookingData.ownerId,
+                    buffer: true,
+                    createdAt: FieldValue.serverTimestamp()
+                });
+            });
+            if (bookingData.status === "accepted") {
+                transaction.set(db.collection("notifications").doc(), {
+                    userId: bookingData.ownerId,
+                    type: "booking_instant",
+                    bookingId: bookingRef.id,
+                    itemId: bookingData.itemId,
+                    message: `${bookingData.renterName} booked ${bookingData.itemName} with Instant Book (${describeBookingRange(bookingData, timeZone)}).`,
+                    read: false,
+                    createdAt: FieldValue.serverTimestamp()
+                });
+            }
+            lockRefs.forEach((ref) => {
+                const [date, slot] = ref.id.split("_")[1].split("T");
+                transaction.set(ref, {
+                    bookingId: bookingRef.id,
+                    itemId: bookingData.itemId,
+                    date,
+                    ...(slot ? { slot } : {}),
+                    ownerId: bookingData.ownerId,
+                    createdAt: FieldValue.serverTimestamp()
+                });
+            });
+        });
+
+        const bookingIds = entries.map(({ bookingRef }) => bookingRef.id);
+        if (waitlistRef) {
+            transaction.update(waitlistRef, { status: "fulfilled", bookingId: bookingIds[0], updatedAt: FieldValue.serverTimestamp() });
+        }
+        return { bookingIds, conflicts: [] };
+    });
+}
+
+// Submit booking requests for the signed-in renter. `request.data` is one of:
+// - { itemIds: [itemId], startKey, endKey, slots, repeat: { everyWeeks, untilKey } } for a booking or weekly series
+// - { itemIds: [...], startKey, endKey, cart: true } for a cart, booked all or nothing
+// - { waitlistId } to book the dates held for the renter on a waitlist
+// plus the renter's `timeZone`, which the picked days are read in. Requests too
+// large to write in one transaction fail with "invalid-argument"; rule violations
+// fail with "failed-precondition" and the message the booking form would show;
+// dates someone else holds come back as conflicts.
+export const submitBooking = onCall(async (request) => {
+    const auth = request.auth;
+    if (!auth) {
+        throw new HttpsError("unauthenticated", "You must be logged in to submit a booking request");
+    }
+    if (!/\.edu$/i.test(auth.token.email || "")) {
+        throw new HttpsError("permission-denied", "Only .edu accounts can book items.");
+    }
+
+    const data = request.data || {};
+    if (!isValidTimeZone(data.timeZone)) {
+        throw new HttpsError("invalid-argument", "A valid time zone is required.");
+    }
+
+    const db = getFirestore();
+    const now = Timestamp.now();
+    const waitlistHold = data.waitlistId ? await loadWaitlistHold(db, data.waitlistId, auth.uid) : null;
+    const itemIds = waitlistHold ? [waitlistHold.itemId] : [...new Set(Array.isArray(data.itemIds) ? data.itemIds : [])];
+    if (itemIds.length === 0 || itemIds.length > MAX_CART_ITEMS || !itemIds.every((itemId) => typeof itemId === "string" && itemId)) {
+        throw new HttpsError("invalid-argument", `Choose between 1 and ${MAX_CART_ITEMS} items to book.`);
+    }
+    const isCart = Boolean(data.cart) && !waitlistHold;
+    if (!isCart && itemIds.length > 1) {
+        throw new HttpsError("invalid-argument", "Several items can only be booked together from the cart.");
+    }
+    if (isCart && data.repeat) {
+        throw new HttpsError("invalid-argument", "Carts cannot be booked as a repeating series.");
+    }
+
+    const itemSnaps = await db.getAll(...itemIds.map((itemId) => db.collection("items").doc(itemId)));
+    const missing = itemSnaps.find((itemSnap) => !itemSnap.exists);
+    if (missing) {
+        throw new HttpsError("not-found", "Item not found");
+    }
+    if (itemSnaps.some((itemSnap) => itemSnap.data().ownerId === auth.uid)) {
+        throw new HttpsError("permission-denied", "You cannot book your own item.");
+    }
+
+    // Waitlist claims book exactly the dates held for the renter
+    const bookingRequest = waitlistHold
+        ? rangeFromLockIds(waitlistHold.itemId, waitlistHold.lockIds || [])
+        : {
+            startKey: data.startKey,
+            endKey: data.endKey,
+            slots: Array.isArray(data.slots) ? data.slots : [],
+            repeat: data.repeat ? { everyWeeks: Math.floor(Number(data.repeat.everyWeeks)), untilKey: data.repeat.untilKey } : null
+        };
+    if (!bookingRequest) {
+        throw new HttpsError("failed-precondition", "This hold is no longer available.");
+    }
+    if (daySpan(bookingRequest.startKey, bookingRequest.endKey) > MAX_BOOKING_DAYS) {
+        throw new HttpsError("invalid-argument", `A booking can span at most ${MAX_BOOKING_DAYS} days.`);
+    }
+
+    // Items without a time zone are read in the renter's, as the browser does
+    const plans = itemSnaps.map((itemSnap) => {
+        const item = { ...itemSnap.data(), timeZone: itemSnap.data().timeZone || data.timeZone };
+        return { itemId: itemSnap.id, item, plan: planBooking(itemSnap.id, item, bookingRequest, { now: now.toDate(), timeZone: data.timeZone }) };
+    });
+    const rejected = plans.filter(({ plan }) => !plan.valid);
+    if (rejected.length > 0) {
+        throw new HttpsError("failed-precondition", isCart
+            ? `Some items are not available for these dates:\n${rejected.map(({ item, plan }) => `• ${item.name}: ${plan.message}`).join("\n")}`
+            : rejected[0].plan.message);
+    }
+
+    // Carts and waitlist claims always go to the owner for approval
+    const instantBook = !isCart && !waitlistHold && await qualifiesForInstantBook(db, plans[0].item, auth).catch((error) => {
+        console.error("Error checking Instant Book:", error);
+        return false;
+    });
+    const renter = {
+        renterId: auth.uid,
+        renterName: auth.token.name || auth.token.email.split("@")[0],
+        renterEmail: auth.token.email
+    };
+    const cartId = isCart ? randomUUID() : null;
+    const seriesId = bookingRequest.repeat ? randomUUID() : null;
+
+    const bookingDataList = plans.flatMap(({ itemId, item, plan }) => plan.occurrences.map((occurrence, index) => ({
+        itemId,
+        itemName: item.name,
+        ...renter,
+        ownerId: item.ownerId,
+        ownerName: item.ownerName,
+        ownerEmail: item.ownerEmail,
+        startDate: Timestamp.fromDate(occurrence.start),
+        endDate: Timestamp.fromDate(occurrence.end),
+        ...initialBookingStatus(auth.uid, now, { instantBook }),
+        lockIds: occurrence.lockIds,
+        // Quotes always come from the item's current pricing, never from the client
+        quote: calculateQuote(item, occurrence.startKey, occurrence.endKey),
+        cancellationPolicy: cancellationPolicyKey(item.cancellationPolicy),
+        // The days were read in the renter's time zone; the overdue check reads them back the same way
+        timeZone: data.timeZone,
+        ...(occurrence.slots.length > 0 ? { slots: occurrence.slots, slotLengthMinutes: item.slotLengthMinutes } : {}),
+        ...(instantBook ? {
+            bufferLockIds: bufferDayKeys(occurrence.startKey, occurrence.endKey, getBufferDays(item)).map((day) => `${itemId}_${day}`)
+        } : {}),
+        ...(seriesId ? {
+            seriesId,
+            seriesIndex: index + 1,
+            seriesCount: plan.occurrences.length,
+            repeatEveryWeeks: bookingRequest.repeat.everyWeeks
+        } : {}),
+        ...(cartId ? { cartId } : {}),
+        ...(waitlistHold ? { waitlistId: data.waitlistId } : {}),
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+    })));
+
+    // Each booking writes itself, its locks, its buffer locks and a notification;
+    // a claimed waitlist hold adds one more write
+    const writes = bookingDataList.reduce((total, bookingData) => (
+        total + 2 + bookingData.lockIds.length + (bookingData.bufferLockIds || []).length
+    ), 1);
+    if (writes > MAX_TRANSACTION_WRITES) {
+        throw new HttpsError("invalid-argument", "This request holds too many days at once. Please book fewer items or a shorter range.");
+    }
+
+    const { bookingIds, conflicts } = await claimBookings(db, bookingDataList, {
+        timeZone: data.timeZone,
+        waitlistRef: waitlistHold?.ref || null
+    });
+    return { bookingIds, conflicts, instantBook: instantBook && bookingIds.length > 0, cartId };
+});
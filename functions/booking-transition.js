@@ -0,0 +1,422 @@
+// Cloud Function: booking status changes made by the owner or the renter. The
+// security rules keep status, statusHistory, offers and date locks out of the
+// clients' reach, so accepting, declining, countering and cancelling all call
+// updateBookingStatus. It re-checks the transition for the caller's role and
+// writes the change, the lock claims, releases and declines it implies and its
+// notifications in one transaction.
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, Timestamp, FieldValue } from "firebase-admin/firestore";
+import { initializeApp, getApps } from "firebase-admin/app";
+import {
+    bookingsOverlap,
+    describeBookingRange,
+    planTransition,
+    prepareCancellation,
+    readHeldLocks,
+    transitionFields
+} from "./booking-state.js";
+import {
+    MAX_BOOKING_DAYS,
+    applyNegotiatedTotal,
+    calculateQuote,
+    bufferDayKeys,
+    checkBookable,
+    daySpan,
+    eachDay,
+    getBufferDays,
+    isValidTimeZone,
+    toDayKey,
+    zonedTime
+} from "./booking-rules.js";
+
+if (getApps().length === 0) initializeApp();
+
+const OPEN_STATUSES = ["pending", "countered"];
+// Statuses callers may ask for here. Pickup and return need a handover code and
+// go through confirmHandover; overdue and archived are set by the scheduled jobs.
+const REQUESTABLE_STATUSES = ["pending", "countered", "accepted", "declined", "cancelled"];
+const OVERLAP_REASON = "Dates overlap a booking the owner accepted";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_OFFER_MESSAGE_LENGTH = 500;
+
+function bookingRole(booking, userId) {
+    if (booking.ownerId === userId) return "owner";
+    if (booking.renterId === userId) return "renter";
+    return null;
+}
+
+// planTransition, reporting an illegal change back to the caller
+function planOrReject(booking, nextStatus, role) {
+    try {
+        return planTransition(booking, nextStatus, role);
+    } catch (error) {
+        throw new HttpsError("failed-precondition", error.message);
+    }
+}
+
+// Message for the party a status change notifies
+function notificationMessage(booking, transition, reason) {
+    const range = describeBookingRange(booking, booking.timeZone || "UTC");
+    const counterAnswered = transition.from === "countered";
+    switch (transition.to) {
+        case "countered":
+            return `${booking.ownerName} proposed new terms for your request for ${booking.itemName}.`;
+        case "pending":
+            return `${booking.renterName} sent a counter-offer for ${booking.itemName}.`;
+        case "accepted":
+            return counterAnswered
+                ? `${booking.renterName} accepted your terms for ${booking.itemName} (${range}).`
+                : `Your request for ${booking.itemName} (${range}) was accepted.`;
+        case "declined":
+            return reason
+                ? `Your request for ${booking.itemName} was declined: ${reason.toLowerCase()}.`
+                : `Your request for ${booking.itemName} (${range}) was declined.`;
+        case "cancelled":
+            return counterAnswered
+                ? `${booking.renterName} rejected your terms for ${booking.itemName} and withdrew the request.`
+                : `${booking.renterName} cancelled their booking of ${booking.itemName} (${range}).`;
+        default:
+            return `Your booking of ${booking.itemName} is now ${transition.to.replace("_", " ")}.`;
+    }
+}
+
+function queueNotification(db, transaction, notification) {
+    transaction.set(db.collection("notifications").doc(), {
+        ...notification,
+        read: false,
+        createdAt: FieldValue.serverTimestamp()
+    });
+}
+
+// Plan a status change and read what it needs. Firestore transactions do every
+// read before the first write, so the writes wait for applyChange. `terms`
+// carries the locks to claim and release when the booking moves to new dates.
+async function prepareChange(db, transaction, docSnap, nextStatus, role, { by, reason = null, updates = {}, notify = true, terms = null }) {
+    const transition = planOrReject(docSnap.data(), nextStatus, role);
+    const releasedLocks = transition.effects.includes("releaseLocks") ? await readHeldLocks(db, transaction, docSnap) : [];
+    return {
+        docSnap,
+        booking: { ...docSnap.data(), ...(terms?.agreed || {}) },
+        transition,
+        releasedLocks: [...releasedLocks, ...(terms?.releasedLocks || [])],
+        claimedLocks: terms?.claimedLocks || [],
+        by,
+        reason,
+        updates: { ...updates, ...(terms?.agreed || {}) },
+        notify
+    };
+}
+
+// Read what accepting the latest counter-offer takes: its dates must be free, or
+// already this booking's, and the booking's locks on dates it no longer needs
+// are released. Returns null when the booking was never countered.
+async function prepareAgreedTerms(db, transaction, docSnap, now) {
+    const booking = docSnap.data();
+    const offer = booking.offers?.[booking.offers.length - 1];
+    if (!offer) return null;
+
+    // Offers made before they recorded their day keys are read in the booking's zone
+    const timeZone = booking.timeZone || "UTC";
+    const startKey = offer.startKey || toDayKey(offer.startDate.toDate(), timeZone);
+    const endKey = offer.endKey || toDayKey(offer.endDate.toDate(), timeZone);
+    const lockIds = eachDay(startKey, endKey).map((key) => `${booking.itemId}_${key}`);
+    const lockSnaps = await transaction.getAll(...lockIds.map((lockId) => db.collection("bookingLocks").doc(lockId)));
+
+    const takenDates = lockSnaps
+        .filter((lockSnap) => {
+            if (!lockSnap.exists) return false;
+            const lock = lockSnap.data();
+            if (lock.bookingId === docSnap.id) return false;
+            return !(lock.holdExpiresAt && lock.holdExpiresAt.toMillis() < now.toMillis());
+        })
+        .map((lockSnap) => lockSnap.id.split("_").pop());
+    if (takenDates.length > 0) {
+        throw new HttpsError("failed-precondition", `These dates are no longer free: ${takenDates.join(", ")}. Please counter with other dates.`);
+    }
+
+    const releasedRefs = (booking.lockIds || [])
+        .filter((lockId) => !lockIds.includes(lockId))
+        .map((lockId) => db.collection("bookingLocks").doc(lockId));
+    const releasedSnaps = releasedRefs.length > 0 ? await transaction.getAll(...releasedRefs) : [];
+
+    return {
+        agreed: { startDate: offer.startDate, endDate: offer.endDate, lockIds, quote: offer.quote },
+        claimedLocks: lockSnaps
+            .filter((lockSnap) => !lockSnap.exists || lockSnap.data().bookingId !== docSnap.id)
+            .map((lockSnap) => ({ ref: lockSnap.ref })),
+        releasedLocks: releasedSnaps
+            .filter((lockSnap) => lockSnap.exists && lockSnap.data().bookingId === docSnap.id)
+            .map((lockSnap) => lockSnap.ref)
+    };
+}
+
+// Plan declines for the open requests that overlap an accepted booking or its
+// turnaround buffer. Occurrences of the same series never compete with each other.
+async function prepareOverlapDeclines(db, transaction, booking, bufferDays, skipIds) {
+    const bufferMs = bufferDays * DAY_MS;
+    const openSnap = await transaction.get(db.collection("bookings")
+        .where("itemId", "==", booking.itemId)
+        .where("status", "in", OPEN_STATUSES));
+
+    const overlapping = openSnap.docs.filter((other) => {
+        const data = other.data();
+        if (skipIds.has(other.id) || (data.seriesId && data.seriesId === booking.seriesId)) return false;
+        return bookingsOverlap(booking, data, bufferMs);
+    });
+
+    const changes = [];
+    for (const other of overlapping) {
+        skipIds.add(other.id);
+        changes.push(await prepareChange(db, transaction, other, "declined", "system", {
+            by: "system",
+            reason: OVERLAP_REASON,
+            updates: { declineReason: OVERLAP_REASON }
+        }));
+    }
+    return changes;
+}
+
+// Read which of the turnaround buffer days around an accepted booking it can
+// lock. A day is skipped if another booking or a live waitlist hold has it;
+// locks of requests declined in the same transaction and expired holds are
+// taken over. `claimedIds` keeps series occurrences from claiming a day twice.
+async function prepareBufferLocks(db, transaction, booking, bufferDays, declinedIds, claimedIds, now) {
+    const bookedDays = (booking.lockIds || []).map((lockId) => lockId.split("_").pop()).sort();
+    if (bookedDays.length === 0) return [];
+
+    const lockRefs = bufferDayKeys(bookedDays[0], bookedDays[bookedDays.length - 1], bufferDays)
+        .map((key) => db.collection("bookingLocks").doc(`${booking.itemId}_${key}`))
+        .filter((lockRef) => !claimedIds.has(lockRef.id));
+    const lockSnaps = lockRefs.length > 0 ? await transaction.getAll(...lockRefs) : [];
+
+    return lockSnaps
+        .filter((lockSnap) => {
+            if (!lockSnap.exists) return true;
+            const lock = lockSnap.data();
+            if (lock.bookingId) return declinedIds.has(lock.bookingId);
+            return lock.holdExpiresAt ? lock.holdExpiresAt.toMillis() < now.toMillis() : false;
+        })
+        .map((lockSnap) => {
+            claimedIds.add(lockSnap.id);
+            return { ref: lockSnap.ref, buffer: true };
+        });
+}
+
+// Build a counter-offer from the caller's terms, quoted from the item's pricing.
+// Renters stay bound by the owner's availability rules; owners may bend their own.
+async function prepareOffer(db, transaction, docSnap, role, userId, offer, timeZone, now) {
+    const booking = docSnap.data();
+    if (booking.slots?.length) {
+        throw new HttpsError("failed-precondition", "Time-slot bookings cannot be countered. Please decline and ask the renter to pick another slot.");
+    }
+
+    const { startKey, endKey, message } = offer;
+    const rentalTotal = offer.rentalTotal === null || offer.rentalTotal === undefined ? null : Number(offer.rentalTotal);
+    if (!DAY_KEY_PATTERN.test(startKey || "") || !DAY_KEY_PATTERN.test(endKey || "") || endKey < startKey) {
+        throw new HttpsError("invalid-argument", "Please choose a valid date range.");
+    }
+    // Accepting the offer claims a lock for each of its days in one transaction
+    if (daySpan(startKey, endKey) > MAX_BOOKING_DAYS) {
+        throw new HttpsError("invalid-argument", `A booking can span at most ${MAX_BOOKING_DAYS} days.`);
+    }
+    if (rentalTotal !== null && !(rentalTotal >= 0)) {
+        throw new HttpsError("invalid-argument", "Please enter a valid total price");
+    }
+
+    const itemSnap = await transaction.get(db.collection("items").doc(booking.itemId));
+    if (!itemSnap.exists) {
+        throw new HttpsError("failed-precondition", "This item is no longer listed.");
+    }
+    const item = { ...itemSnap.data(), timeZone: itemSnap.data().timeZone || timeZone };
+    if (startKey < toDayKey(now.toDate(), item.timeZone)) {
+        throw new HttpsError("invalid-argument", "Start date cannot be in the past");
+    }
+    if (role === "renter") {
+        const check = checkBookable(item, startKey, endKey, { now: now.toDate() });
+        if (!check.valid) {
+            throw new HttpsError("failed-precondition", check.message);
+        }
+    }
+
+    return {
+        offers: FieldValue.arrayUnion({
+            by: role,
+            userId,
+            startKey,
+            endKey,
+            startDate: Timestamp.fromDate(zonedTime(startKey, "00:00", timeZone)),
+            endDate: Timestamp.fromDate(zonedTime(endKey, "00:00", timeZone)),
+            quote: applyNegotiatedTotal(calculateQuote(item, startKey, endKey), rentalTotal),
+            message: String(message || "").trim().slice(0, MAX_OFFER_MESSAGE_LENGTH),
+            at: now
+        }),
+        // Keep the original request for the negotiation history
+        ...(booking.offers?.length ? {} : {
+            requestedTerms: { startDate: booking.startDate, endDate: booking.endDate, quote: booking.quote || null }
+        })
+    };
+}
+
+// Load the open occurrences of an owner's weekly series, earliest first
+async function loadSeries(db, transaction, seriesId, ownerId) {
+    const snap = await transaction.get(db.collection("bookings")
+        .where("seriesId", "==", seriesId)
+        .where("ownerId", "==", ownerId));
+    const occurrences = snap.docs
+        .filter((docSnap) => docSnap.data().status === "pending")
+        .sort((a, b) => a.data().startDate.toMillis() - b.data().startDate.toMillis());
+    if (occurrences.length === 0) {
+        throw new HttpsError("failed-precondition", "This series has no open requests.");
+    }
+    return occurrences;
+}
+
+// Write a prepared change: the status update, its lock releases and, unless the
+// caller sends one notification for several bookings, its notifications
+function applyChange(db, transaction, change, now) {
+    const { docSnap, booking, transition, releasedLocks, by, reason, updates, notify } = change;
+    transaction.update(docSnap.ref, transitionFields(booking, transition, now, { by, reason, updates }));
+    releasedLocks.forEach((lockRef) => transaction.delete(lockRef));
+
+    [["notifyRenter", booking.renterId], ["notifyOwner", booking.ownerId]]
+        .filter(([effect]) => notify && transition.effects.includes(effect))
+        .forEach(([, userId]) => {
+            queueNotification(db, transaction, {
+                userId,
+                type: `booking_${transition.to}`,
+                bookingId: docSnap.id,
+                itemId: booking.itemId,
+                message: notificationMessage(booking, transition, reason)
+            });
+        });
+}
+
+// Write a prepared change's lock claims. Runs after every change is applied, so
+// a buffer day taken over from a declined request is not deleted again by its release.
+function applyClaims(transaction, change, now) {
+    const { docSnap, booking, claimedLocks } = change;
+    claimedLocks.forEach(({ ref, buffer = false }) => {
+        transaction.set(ref, {
+            bookingId: docSnap.id,
+            itemId: booking.itemId,
+            date: ref.id.split("_").pop(),
+            ownerId: booking.ownerId,
+            ...(buffer ? { buffer: true } : {}),
+            createdAt: now
+        });
+    });
+}
+
+// Move a booking, or every open occurrence of a weekly series, to a new status
+// as the signed-in owner or renter. `request.data` is one of:
+// - { bookingId, status } to accept, decline or cancel
+// - { bookingId, status, offer: { startKey, endKey, rentalTotal, message }, timeZone } to counter
+// - { seriesId, status } for the owner to accept or decline a whole series
+// Any other status fails with "invalid-argument".
+// Returns { status, bookingIds, declinedIds } plus the refund terms for cancellations.
+export const updateBookingStatus = onCall(async (request) => {
+    const auth = request.auth;
+    if (!auth) {
+        throw new HttpsError("unauthenticated", "You must be logged in to update a booking.");
+    }
+
+    const data = request.data || {};
+    const { bookingId, seriesId, status, offer } = data;
+    const hasBooking = typeof bookingId === "string" && bookingId !== "";
+    const hasSeries = typeof seriesId === "string" && seriesId !== "";
+    if (typeof status !== "string" || hasBooking === hasSeries) {
+        throw new HttpsError("invalid-argument", "Name one booking or series and the status to move it to.");
+    }
+    if (!REQUESTABLE_STATUSES.includes(status)) {
+        throw new HttpsError("invalid-argument", "This status change is not allowed here. Pickups and returns are confirmed with a handover code.");
+    }
+    if (hasSeries && !["accepted", "declined"].includes(status)) {
+        throw new HttpsError("invalid-argument", "A series can only be accepted or declined.");
+    }
+    if (offer && (hasSeries || !isValidTimeZone(data.timeZone))) {
+        throw new HttpsError("invalid-argument", "A counter-offer needs one booking and a valid time zone.");
+    }
+
+    const db = getFirestore();
+    return db.runTransaction(async (transaction) => {
+        const now = Timestamp.now();
+        let docs;
+        if (hasSeries) {
+            docs = await loadSeries(db, transaction, seriesId, auth.uid);
+        } else {
+            const bookingSnap = await transaction.get(db.collection("bookings").doc(bookingId));
+            if (!bookingSnap.exists) {
+                throw new HttpsError("not-found", "Booking not found");
+            }
+            docs = [bookingSnap];
+        }
+
+        const role = bookingRole(docs[0].data(), auth.uid);
+        if (!role) {
+            throw new HttpsError("permission-denied", "Only the owner and renter can update this booking.");
+        }
+
+        // Accepting declines overlapping requests and reserves the item's
+        // turnaround buffer; every booking in a request is for the same item
+        let bufferDays = 0;
+        if (status === "accepted") {
+            const itemSnap = await transaction.get(db.collection("items").doc(docs[0].data().itemId));
+            bufferDays = itemSnap.exists ? getBufferDays(itemSnap.data()) : 0;
+        }
+
+        const skipIds = new Set(docs.map((docSnap) => docSnap.id));
+        const declinedIds = new Set();
+        const claimedIds = new Set();
+        const changes = [];
+        let cancellation = null;
+        for (const docSnap of docs) {
+            const booking = docSnap.data();
+            const updates = offer ? await prepareOffer(db, transaction, docSnap, role, auth.uid, offer, data.timeZone, now) : {};
+            let reason = offer ? "Counter-offer" : null;
+            if (status === "cancelled") {
+                const cancelled = prepareCancellation(booking, now);
+                cancellation = cancelled.cancellation;
+                Object.assign(updates, cancelled.updates);
+                reason = cancelled.reason || reason;
+            }
+
+            // Accepting a counter-offer moves the booking and its locks to the offered terms
+            planOrReject(booking, status, role);
+            const terms = status === "accepted" ? await prepareAgreedTerms(db, transaction, docSnap, now) : null;
+            const change = await prepareChange(db, transaction, docSnap, status, role, { by: auth.uid, reason, updates, notify: !hasSeries, terms });
+            changes.push(change);
+            const slotBooking = Boolean(change.booking.slots?.length);
+            if (change.transition.effects.includes("declineOverlapping")) {
+                const declines = await prepareOverlapDeclines(db, transaction, change.booking, slotBooking ? 0 : bufferDays, skipIds);
+                declines.forEach((decline) => declinedIds.add(decline.docSnap.id));
+                changes.push(...declines);
+            }
+            if (change.transition.effects.includes("reserveBuffer") && !slotBooking && bufferDays > 0) {
+                const bufferLocks = await prepareBufferLocks(db, transaction, change.booking, bufferDays, declinedIds, claimedIds, now);
+                change.claimedLocks.push(...bufferLocks);
+                change.updates.bufferLockIds = bufferLocks.map(({ ref }) => ref.id);
+            }
+        }
+
+        changes.forEach((change) => applyChange(db, transaction, change, now));
+        changes.forEach((change) => applyClaims(transaction, change, now));
+        if (hasSeries) {
+            const first = docs[0].data();
+            queueNotification(db, transaction, {
+                userId: first.renterId,
+                type: `booking_series_${status}`,
+                bookingId: docs[0].id,
+                itemId: first.itemId,
+                message: `${first.ownerName} ${status} your weekly series for ${first.itemName} (${docs.length} dates from ${describeBookingRange(first, first.timeZone || "UTC")}).`
+            });
+        }
+
+        return {
+            status,
+            bookingIds: docs.map((docSnap) => docSnap.id),
+            declinedIds: [...declinedIds],
+            ...(cancellation ? { cancellation } : {})
+        };
+    });
+});
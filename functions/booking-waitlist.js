@@ -0,0 +1,135 @@
+// Cloud Functions: offer released booking dates to waitlisted renters and expire unclaimed holds
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import { onDocumentUpdated } from "firebase-functions/v2/firestore";
+import { getFirestore, Timestamp, FieldValue } from "firebase-admin/firestore";
+import { initializeApp, getApps } from "firebase-admin/app";
+
+if (getApps().length === 0) initializeApp();
+
+// How long a waitlisted renter has to claim released dates
+const HOLD_HOURS = 24;
+const RELEASED_STATUSES = ["declined", "cancelled", "archived"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether the renter can no longer pick the item up: a waited-for slot has
+// started, or the first waited-for day is over
+function hasStarted(entry, now) {
+    const isSlot = entry.lockIds.some((lockId) => lockId.includes("T"));
+    return entry.startDate.toMillis() + (isSlot ? 0 : DAY_MS) <= now.toMillis();
+}
+
+// Offer free dates to waiting renters, oldest entry first. Each offer claims the
+// dates as hold locks in a transaction, so later entries that overlap an earlier
+// offer stay waiting. Entries whose dates have already begun are expired instead.
+async function offerReleasedDates(db, itemId) {
+    const waiting = await db.collection("waitlist")
+        .where("itemId", "==", itemId)
+        .where("status", "==", "waiting")
+        .orderBy("createdAt", "asc")
+        .get();
+
+    for (const entrySnap of waiting.docs) {
+        await db.runTransaction(async (transaction) => {
+            const entry = (await transaction.get(entrySnap.ref)).data();
+            if (entry.status !== "waiting") return;
+            // Renters write their own entries and the rules cannot check each lock ID
+            if (!entry.lockIds.every((lockId) => lockId.startsWith(`${entry.itemId}_`))) return;
+
+            const now = Timestamp.now();
+            if (hasStarted(entry, now)) {
+                transaction.update(entrySnap.ref, { status: "expired", expiredAt: now });
+                return;
+            }
+            const lockRefs = entry.lockIds.map((lockId) => db.collection("bookingLocks").doc(lockId));
+            const lockSnaps = await transaction.getAll(...lockRefs);
+            const blocked = lockSnaps.some((lockSnap) => {
+                if (!lockSnap.exists) return false;
+                const lock = lockSnap.data();
+                return !(lock.holdFor && lock.holdExpiresAt.toMillis() < now.toMillis());
+            });
+            if (blocked) return;
+
+            const holdExpiresAt = Timestamp.fromMillis(now.toMillis() + HOLD_HOURS * 60 * 60 * 1000);
+            lockRefs.forEach((lockRef) => {
+                const [date, slot] = lockRef.id.split("_")[1].split("T");
+                transaction.set(lockRef, {
+                    waitlistId: entrySnap.id,
+                    holdFor: entry.renterId,
+                    holdExpiresAt,
+                    itemId: entry.itemId,
+                    date,
+                    ...(slot ? { slot } : {}),
+                    ownerId: entry.ownerId,
+                    createdAt: now
+                });
+            });
+            transaction.update(entrySnap.ref, { status: "offered", offeredAt: now, holdExpiresAt });
+            transaction.set(db.collection("notifications").doc(), {
+                userId: entry.renterId,
+                type: "waitlist_offer",
+                waitlistId: entrySnap.id,
+                itemId: entry.itemId,
+                message: `${entry.itemName} is now available for your dates. Book within ${HOLD_HOURS} hours to keep your hold.`,
+                read: false,
+                createdAt: FieldValue.serverTimestamp()
+            });
+        });
+    }
+}
+
+// Delete the hold locks a waitlist entry still owns
+async function releaseHold(db, waitlistId, entry, batch) {
+    const lockRefs = (entry.lockIds || []).map((lockId) => db.collection("bookingLocks").doc(lockId));
+    const lockSnaps = lockRefs.length > 0 ? await db.getAll(...lockRefs) : [];
+    lockSnaps
+        .filter((lockSnap) => lockSnap.exists && lockSnap.data().waitlistId === waitlistId)
+        .forEach((lockSnap) => batch.delete(lockSnap.ref));
+}
+
+// A booking was declined, cancelled or archived: its dates may now be free
+export const offerWaitlistOnRelease = onDocumentUpdated("bookings/{bookingId}", async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === after.status || !RELEASED_STATUSES.includes(after.status)) return;
+
+    await offerReleasedDates(getFirestore(), after.itemId);
+});
+
+// A renter left the waitlist while holding dates: release them to the next in line
+export const releaseHoldOnLeave = onDocumentUpdated("waitlist/{waitlistId}", async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status !== "offered" || after.status !== "left") return;
+
+    const db = getFirestore();
+    const batch = db.batch();
+    await releaseHold(db, event.params.waitlistId, after, batch);
+    await batch.commit();
+    await offerReleasedDates(db, after.itemId);
+});
+
+// Expire holds that were not claimed in time and offer the dates onward
+export const expireWaitlistHolds = onSchedule("every 15 minutes", async () => {
+    const db = getFirestore();
+    const now = Timestamp.now();
+    const snap = await db.collection("waitlist")
+        .where("status", "==", "offered")
+        .where("holdExpiresAt", "<", now)
+        .get();
+
+    if (snap.empty) return;
+
+    const batch = db.batch();
+    const itemIds = new Set();
+    for (const entrySnap of snap.docs) {
+        const entry = entrySnap.data();
+        batch.update(entrySnap.ref, { status: "expired", expiredAt: now });
+        await releaseHold(db, entrySnap.id, entry, batch);
+        itemIds.add(entry.itemId);
+    }
+    await batch.commit();
+
+    for (const itemId of itemIds) {
+        await offerReleasedDates(db, itemId);
+    }
+});
@@ -0,0 +1,8 @@
+// Entry point for the Cloud Functions deploy: every function the app and the
+// scheduler call, grouped by the file that defines it
+export { submitBooking } from "./booking-submit.js";
+export { updateBookingStatus } from "./booking-transition.js";
+export { approveExtension } from "./booking-extension.js";
+export { issueHandoverCode, confirmHandover } from "./booking-handover.js";
+export { flagOverdueBookings, sendHandoverReminders, archiveExpiredBookings } from "./booking-archive.js";
+export { offerWaitlistOnRelease, releaseHoldOnLeave, expireWaitlistHolds } from "./booking-waitlist.js";
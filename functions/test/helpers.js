@@ -0,0 +1,65 @@
+// Shared setup for the emulator tests: renters sign up in the Auth emulator,
+// call the deployed-in-emulator functions over HTTP and the results are read
+// back with the Admin SDK. The test files share one emulator, so `npm test`
+// runs them one at a time.
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+
+export const PROJECT_ID = process.env.GCLOUD_PROJECT || "demo-cshare";
+const AUTH_URL = `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST || "127.0.0.1:9099"}`;
+const FIRESTORE_URL = `http://${process.env.FIRESTORE_EMULATOR_HOST || "127.0.0.1:8080"}`;
+const FUNCTIONS_URL = `http://127.0.0.1:5001/${PROJECT_ID}/us-central1`;
+export const TIME_ZONE = "UTC";
+
+initializeApp({ projectId: PROJECT_ID });
+export const db = getFirestore();
+
+// Day key `days` from today in UTC
+export function dayFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Sign a user up in the Auth emulator; returns { uid, idToken }
+export async function signUp(email) {
+    const response = await fetch(`${AUTH_URL}/identitytoolkit.googleapis.com/v1/accounts:signUp?key=fake-api-key`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email, password: "password123", returnSecureToken: true })
+    });
+    const body = await response.json();
+    return { uid: body.localId, idToken: body.idToken };
+}
+
+// Call a callable function the way the web SDK does; returns { result } or { error }
+export async function callFunction(name, data, idToken = null) {
+    const response = await fetch(`${FUNCTIONS_URL}/${name}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            ...(idToken ? { Authorization: `Bearer ${idToken}` } : {})
+        },
+        body: JSON.stringify({ data })
+    });
+    return response.json();
+}
+
+export async function createItem(owner, overrides = {}) {
+    const itemRef = db.collection("items").doc();
+    await itemRef.set({
+        name: "Cordless Drill",
+        ownerId: owner.uid,
+        ownerName: "Owner",
+        ownerEmail: "owner@cornell.edu",
+        price: 5,
+        availability: { type: "always" },
+        timeZone: TIME_ZONE,
+        ...overrides
+    });
+    return itemRef.id;
+}
+
+// Empty the emulators' Firestore and Auth between tests
+export async function resetEmulators() {
+    await fetch(`${FIRESTORE_URL}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: "DELETE" });
+    await fetch(`${AUTH_URL}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: "DELETE" });
+}
@@ -0,0 +1,96 @@
+// Emulator tests for the submitBooking callable. Run with `npm test`, which
+// starts the Auth, Firestore and Functions emulators and points these tests at them.
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { TIME_ZONE, callFunction, createItem, dayFromNow, db, resetEmulators, signUp } from "./helpers.js";
+
+let owner;
+let renter;
+
+beforeEach(async () => {
+    await resetEmulators();
+    owner = await signUp("owner@cornell.edu");
+    renter = await signUp("renter@cornell.edu");
+});
+
+test("submitBooking - creates a pending booking and locks its days", async () => {
+    const itemId = await createItem(owner);
+    const startKey = dayFromNow(14);
+    const endKey = dayFromNow(16);
+
+    const { result } = await callFunction("submitBooking", { itemIds: [itemId], startKey, endKey, timeZone: TIME_ZONE }, renter.idToken);
+    assert.equal(result.bookingIds.length, 1);
+    assert.deepEqual(result.conflicts, []);
+
+    const booking = (await db.collection("bookings").doc(result.bookingIds[0]).get()).data();
+    assert.equal(booking.status, "pending");
+    assert.equal(booking.renterId, renter.uid);
+    assert.equal(booking.ownerId, owner.uid);
+    assert.deepEqual(booking.lockIds, [startKey, dayFromNow(15), endKey].map((day) => `${itemId}_${day}`));
+    assert.equal(booking.quote.rentalTotal, 15);
+
+    const locks = await db.getAll(...booking.lockIds.map((lockId) => db.collection("bookingLocks").doc(lockId)));
+    assert.ok(locks.every((lock) => lock.exists && lock.data().bookingId === result.bookingIds[0]));
+});
+
+test("submitBooking - returns days another renter holds as conflicts and books nothing", async () => {
+    const itemId = await createItem(owner);
+    const other = await signUp("other@cornell.edu");
+    await callFunction("submitBooking", { itemIds: [itemId], startKey: dayFromNow(14), endKey: dayFromNow(15), timeZone: TIME_ZONE }, other.idToken);
+
+    const { result } = await callFunction("submitBooking", { itemIds: [itemId], startKey: dayFromNow(15), endKey: dayFromNow(17), timeZone: TIME_ZONE }, renter.idToken);
+    assert.deepEqual(result.bookingIds, []);
+    assert.deepEqual(result.conflicts.map((conflict) => conflict.dates), [[dayFromNow(15)]]);
+
+    const renterBookings = await db.collection("bookings").where("renterId", "==", renter.uid).get();
+    assert.equal(renterBookings.size, 0);
+});
+
+test("submitBooking - of two overlapping requests sent at once, exactly one books", async () => {
+    const itemId = await createItem(owner);
+    const other = await signUp("other@cornell.edu");
+
+    const responses = await Promise.all([
+        callFunction("submitBooking", { itemIds: [itemId], startKey: dayFromNow(14), endKey: dayFromNow(16), timeZone: TIME_ZONE }, renter.idToken),
+        callFunction("submitBooking", { itemIds: [itemId], startKey: dayFromNow(15), endKey: dayFromNow(17), timeZone: TIME_ZONE }, other.idToken)
+    ]);
+    const results = responses.map(({ result }) => result);
+    const winners = results.filter((result) => result.bookingIds.length === 1);
+    const losers = results.filter((result) => result.bookingIds.length === 0);
+    assert.equal(winners.length, 1);
+    assert.equal(losers.length, 1);
+    assert.deepEqual(winners[0].conflicts, []);
+    assert.deepEqual(losers[0].conflicts.map((conflict) => conflict.dates), [[dayFromNow(15), dayFromNow(16)]]);
+
+    const bookings = await db.collection("bookings").where("itemId", "==", itemId).get();
+    assert.equal(bookings.size, 1);
+    const locks = await db.collection("bookingLocks").where("itemId", "==", itemId).get();
+    assert.ok(locks.docs.every((lock) => lock.data().bookingId === winners[0].bookingIds[0]));
+});
+
+test("submitBooking - rejects dates that break the item's rules", async () => {
+    const itemId = await createItem(owner, { availability: { type: "always", rules: { maxDays: 2 } } });
+
+    const { error } = await callFunction("submitBooking", { itemIds: [itemId], startKey: dayFromNow(14), endKey: dayFromNow(16), timeZone: TIME_ZONE }, renter.idToken);
+    assert.equal(error.status, "FAILED_PRECONDITION");
+    assert.equal(error.message, "This item can be booked for at most 2 days");
+});
+
+test("submitBooking - rejects signed-out callers and owners booking their own item", async () => {
+    const itemId = await createItem(owner);
+    const request = { itemIds: [itemId], startKey: dayFromNow(14), endKey: dayFromNow(14), timeZone: TIME_ZONE };
+
+    assert.equal((await callFunction("submitBooking", request)).error.status, "UNAUTHENTICATED");
+    assert.equal((await callFunction("submitBooking", request, owner.idToken)).error.status, "PERMISSION_DENIED");
+});
+
+test("submitBooking - rejects ranges longer than one transaction can lock", async () => {
+    const itemId = await createItem(owner);
+
+    const { error } = await callFunction("submitBooking", { itemIds: [itemId], startKey: dayFromNow(14), endKey: dayFromNow(14 + 200), timeZone: TIME_ZONE }, renter.idToken);
+    assert.equal(error.status, "INVALID_ARGUMENT");
+    assert.equal(error.message, "A booking can span at most 180 days.");
+
+    const locks = await db.collection("bookingLocks").where("itemId", "==", itemId).get();
+    assert.equal(locks.size, 0);
+});
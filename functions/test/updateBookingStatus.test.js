@@ -0,0 +1,49 @@
+// Emulator tests for the updateBookingStatus callable. Run with `npm test`, which
+// starts the Auth, Firestore and Functions emulators and points these tests at them.
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Timestamp } from "firebase-admin/firestore";
+import { TIME_ZONE, callFunction, createItem, dayFromNow, db, resetEmulators, signUp } from "./helpers.js";
+
+let owner;
+let renter;
+
+beforeEach(async () => {
+    await resetEmulators();
+    owner = await signUp("owner@cornell.edu");
+    renter = await signUp("renter@cornell.edu");
+});
+
+// Seed a booking straight into Firestore, as submitBooking would have written it
+async function createBooking(itemId, status) {
+    const bookingRef = db.collection("bookings").doc();
+    await bookingRef.set({
+        itemId,
+        itemName: "Cordless Drill",
+        ownerId: owner.uid,
+        ownerName: "Owner",
+        renterId: renter.uid,
+        renterName: "Renter",
+        startDate: Timestamp.fromDate(new Date(`${dayFromNow(-3)}T00:00:00Z`)),
+        endDate: Timestamp.fromDate(new Date(`${dayFromNow(-1)}T00:00:00Z`)),
+        lockIds: [],
+        status,
+        statusHistory: [{ status, at: Timestamp.now(), by: owner.uid }],
+        timeZone: TIME_ZONE
+    });
+    return bookingRef.id;
+}
+
+test("updateBookingStatus - pickups and returns cannot skip the handover code", async () => {
+    const itemId = await createItem(owner);
+    const accepted = await createBooking(itemId, "accepted");
+    const overdue = await createBooking(itemId, "overdue");
+
+    const pickup = await callFunction("updateBookingStatus", { bookingId: accepted, status: "picked_up" }, renter.idToken);
+    assert.equal(pickup.error.status, "INVALID_ARGUMENT");
+    const returned = await callFunction("updateBookingStatus", { bookingId: overdue, status: "returned" }, renter.idToken);
+    assert.equal(returned.error.status, "INVALID_ARGUMENT");
+
+    assert.equal((await db.collection("bookings").doc(accepted).get()).data().status, "accepted");
+    assert.equal((await db.collection("bookings").doc(overdue).get()).data().status, "overdue");
+});
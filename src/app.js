@@ -23,7 +23,9 @@ import {
     loadMyItems,
     loadMyBookings,
     loadOwnerBookings,
-    handleBookingAction
+    handleBookingAction,
+    handleSeriesAction,
+    cancelBooking
 } from './modules/items/itemManager.js';
 
 // Booking Module
@@ -32,6 +34,61 @@ import {
     closeBookingModal,
     submitBookingRequest
 } from './modules/booking/bookingManager.js';
+import {
+    addToCart,
+    removeFromCart,
+    openCartModal,
+    closeCartModal,
+    submitCart
+} from './modules/booking/cartManager.js';
+import { claimWaitlistHold, leaveWaitlist, refreshHoldOffersBadge } from './modules/booking/waitlistManager.js';
+import {
+    openCounterOfferModal,
+    closeCounterOfferModal,
+    submitCounterOffer,
+    rejectCounterOffer
+} from './modules/booking/negotiationManager.js';
+import {
+    openExtensionModal,
+    closeExtensionModal,
+    submitExtensionRequest,
+    approveExtension,
+    declineExtension
+} from './modules/booking/extensionManager.js';
+import {
+    openConditionReportModal,
+    closeConditionReportModal,
+    submitConditionReport,
+    openDamageClaimModal,
+    closeDamageClaimModal,
+    submitDamageClaim,
+    openDamageResponseModal,
+    closeDamageResponseModal,
+    respondToDamageClaim,
+    loadDisputedClaims,
+    openResolutionModal,
+    closeResolutionModal,
+    submitResolution
+} from './modules/booking/conditionManager.js';
+import {
+    loadOwnerCalendar,
+    shiftOwnerCalendar,
+    openCalendarBooking,
+    closeCalendarBooking,
+    decideCalendarBooking,
+    messageCalendarRenter
+} from './modules/booking/ownerCalendar.js';
+import {
+    showHandoverCode,
+    closeHandoverCodeModal,
+    openHandoverVerifyModal,
+    closeHandoverVerifyModal,
+    startHandoverScan,
+    submitHandoverCode
+} from './modules/booking/handoverCode.js';
+import { downloadBookingCalendar, downloadBookingsCalendar } from './modules/booking/bookingCalendar.js';
+import { addBlackout, removeBlackout, importBlackouts, populateEditBlackouts } from './modules/items/blackoutManager.js';
+import { toDayKey } from './modules/availability/availabilityEngine.js';
 
 // Chat Module
 import {
@@ -40,6 +97,14 @@ import {
     openChat
 } from './modules/chat/chatManager.js';
 
+// Notifications Module
+import {
+    loadNotifications,
+    openNotification,
+    markAllNotificationsRead,
+    refreshNotificationBadge
+} from './modules/notifications/notificationManager.js';
+
 // Preferences Module
 import {
     loadUserPreferences,
@@ -67,6 +132,7 @@ import { initSessionReplay } from './modules/dashboard/sessionReplay.js';
 // UI Modules
 import { showView } from './ui/viewManager.js';
 import { renderItems, showItemDetail } from './ui/itemRenderer.js';
+import { changeCalendarMonth, selectCalendarDay } from './ui/availabilityCalendar.js';
 import { loadMyChats, openChatFromList } from './ui/chatRenderer.js';
 import { setupModalCloseHandlers } from './ui/modalManager.js';
 
@@ -116,12 +182,10 @@ async function editItem(itemId) {
 
         if (availability.type === 'dateRange') {
             if (availability.startDate) {
-                document.getElementById('editAvailableFrom').value =
-                    availability.startDate.toDate().toISOString().split('T')[0];
+                document.getElementById('editAvailableFrom').value = toDayKey(availability.startDate, item.timeZone);
             }
             if (availability.endDate) {
-                document.getElementById('editAvailableUntil').value =
-                    availability.endDate.toDate().toISOString().split('T')[0];
+                document.getElementById('editAvailableUntil').value = toDayKey(availability.endDate, item.timeZone);
             }
         } else if (availability.type === 'recurring' && availability.daysOfWeek) {
             availability.daysOfWeek.forEach(day => {
@@ -130,6 +194,15 @@ async function editItem(itemId) {
             });
         }
 
+        populateEditBlackouts(availability.blackouts, item.timeZone);
+
+        // Handle booking rules
+        const rules = availability.rules || {};
+        document.getElementById('editMinRentalDays').value = rules.minDays ?? '';
+        document.getElementById('editMaxRentalDays').value = rules.maxDays ?? '';
+        document.getElementById('editLeadTimeHours').value = rules.leadTimeHours ?? '';
+        document.getElementById('editBufferDays').value = rules.bufferDays ?? '';
+
         // Handle handover time
         const handoverTime = item.handoverTime || {};
         if (handoverTime.start) {
@@ -138,6 +211,16 @@ async function editItem(itemId) {
         if (handoverTime.end) {
             document.getElementById('editHandoverTimeEnd').value = handoverTime.end;
         }
+        document.getElementById('editSlotLength').value = item.slotLengthMinutes || '';
+        document.getElementById('editInstantBookMode').value = item.instantBook || 'default';
+        document.getElementById('editCancellationPolicy').value = item.cancellationPolicy || 'flexible';
+
+        // Handle pricing terms
+        const pricing = item.pricing || {};
+        document.getElementById('editWeeklyDiscount').value = pricing.weeklyDiscountPercent || '';
+        document.getElementById('editMonthlyDiscount').value = pricing.monthlyDiscountPercent || '';
+        document.getElementById('editCleaningFee').value = pricing.cleaningFee || '';
+        document.getElementById('editSecurityDeposit').value = pricing.securityDeposit || '';
 
         // Trigger toggle to show correct fields
         if (window.toggleEditAvailabilityFields) {
@@ -161,12 +244,44 @@ window.showView = showView;
 window.renderItems = renderItems;
 window.showItemDetail = showItemDetail;
 window.openBookingModal = openBookingModal;
+window.changeCalendarMonth = changeCalendarMonth;
+window.selectCalendarDay = selectCalendarDay;
 window.closeBookingModal = closeBookingModal;
+window.addToCart = addToCart;
+window.removeFromCart = removeFromCart;
 window.openPreferencesModal = openPreferencesModal;
 window.closePreferencesModal = closePreferencesModal;
 window.openChat = openChat;
 window.openChatFromList = openChatFromList;
+window.openNotification = openNotification;
+window.markAllNotificationsRead = markAllNotificationsRead;
 window.handleBookingAction = handleBookingAction;
+window.handleSeriesAction = handleSeriesAction;
+window.cancelBooking = cancelBooking;
+window.showHandoverCode = showHandoverCode;
+window.openCalendarBooking = openCalendarBooking;
+window.closeCalendarBooking = closeCalendarBooking;
+window.decideCalendarBooking = decideCalendarBooking;
+window.messageCalendarRenter = messageCalendarRenter;
+window.openHandoverVerifyModal = openHandoverVerifyModal;
+window.loadMyBookings = loadMyBookings;
+window.loadOwnerBookings = loadOwnerBookings;
+window.openCounterOfferModal = openCounterOfferModal;
+window.rejectCounterOffer = rejectCounterOffer;
+window.openExtensionModal = openExtensionModal;
+window.approveExtension = approveExtension;
+window.declineExtension = declineExtension;
+window.openConditionReportModal = openConditionReportModal;
+window.openDamageClaimModal = openDamageClaimModal;
+window.openDamageResponseModal = openDamageResponseModal;
+window.openResolutionModal = openResolutionModal;
+window.claimWaitlistHold = claimWaitlistHold;
+window.leaveWaitlist = leaveWaitlist;
+window.downloadBookingCalendar = downloadBookingCalendar;
+window.downloadBookingsCalendar = downloadBookingsCalendar;
+window.addBlackout = addBlackout;
+window.removeBlackout = removeBlackout;
+window.importBlackouts = importBlackouts;
 window.logAnalytics = logAnalytics;
 window.openTestListingsModal = openTestListingsModal;
 window.closeTestListingsModal = closeTestListingsModal;
@@ -199,6 +314,10 @@ async function initApp() {
         // Setup event listeners
         setupEventListeners();
 
+        // Show how many notifications are unread and how many holds are waiting
+        refreshNotificationBadge();
+        refreshHoldOffersBadge();
+
         // Setup session recording
         setupSessionRecording();
 
@@ -222,6 +341,10 @@ function setupEventListeners() {
         showView('myItemsView');
     });
     document.getElementById('myChatsBtn')?.addEventListener('click', () => loadMyChats());
+    document.getElementById('notificationsBtn')?.addEventListener('click', () => {
+        loadNotifications();
+        showView('notificationsView');
+    });
     document.getElementById('myBookingsBtn')?.addEventListener('click', () => {
         loadMyBookings();
         showView('myBookingsView');
@@ -230,18 +353,36 @@ function setupEventListeners() {
         loadOwnerBookings();
         showView('bookingRequestsView');
     });
-    document.getElementById('testingDashboardBtn')?.addEventListener('click', () => loadTestingDashboard());
+    document.getElementById('ownerCalendarBtn')?.addEventListener('click', () => {
+        loadOwnerCalendar();
+        showView('ownerCalendarView');
+    });
+    document.getElementById('ownerCalendarPrevBtn')?.addEventListener('click', () => shiftOwnerCalendar(-1));
+    document.getElementById('ownerCalendarTodayBtn')?.addEventListener('click', () => shiftOwnerCalendar(0));
+    document.getElementById('ownerCalendarNextBtn')?.addEventListener('click', () => shiftOwnerCalendar(1));
+    document.getElementById('testingDashboardBtn')?.addEventListener('click', () => {
+        loadTestingDashboard();
+        loadDisputedClaims();
+    });
     document.getElementById('backFromTestingDashboardBtn')?.addEventListener('click', () => showView('homeView'));
     document.getElementById('backFromDetailBtn')?.addEventListener('click', () => showView('homeView'));
     document.getElementById('backFromCreateBtn')?.addEventListener('click', () => showView('homeView'));
     document.getElementById('backFromMyItemsBtn')?.addEventListener('click', () => showView('homeView'));
     document.getElementById('backFromMyBookingsBtn')?.addEventListener('click', () => showView('homeView'));
     document.getElementById('backFromMyChatsBtn')?.addEventListener('click', () => showView('homeView'));
+    document.getElementById('backFromNotificationsBtn')?.addEventListener('click', () => showView('homeView'));
     document.getElementById('backFromBookingRequestsBtn')?.addEventListener('click', () => showView('homeView'));
+    document.getElementById('backFromOwnerCalendarBtn')?.addEventListener('click', () => {
+        loadOwnerBookings();
+        showView('bookingRequestsView');
+    });
     document.getElementById('backFromChatBtn')?.addEventListener('click', () => {
         const previousView = store.getState('chatPreviousView');
         if (previousView === 'myChatsView') {
             loadMyChats();
+        } else if (previousView === 'ownerCalendarView') {
+            loadOwnerCalendar();
+            showView('ownerCalendarView');
         } else {
             const itemId = store.getCurrentItemId();
             if (itemId) showItemDetail(itemId);
@@ -283,6 +424,36 @@ function setupEventListeners() {
     document.getElementById('bookingForm')?.addEventListener('submit', submitBookingRequest);
     document.getElementById('cancelBookingBtn')?.addEventListener('click', closeBookingModal);
 
+    // Counter-offers
+    document.getElementById('counterOfferForm')?.addEventListener('submit', submitCounterOffer);
+    document.getElementById('cancelCounterOfferBtn')?.addEventListener('click', closeCounterOfferModal);
+
+    // Extensions
+    document.getElementById('extensionForm')?.addEventListener('submit', submitExtensionRequest);
+    document.getElementById('cancelExtensionBtn')?.addEventListener('click', closeExtensionModal);
+
+    // Handover codes
+    document.getElementById('closeHandoverCodeBtn')?.addEventListener('click', closeHandoverCodeModal);
+    document.getElementById('handoverVerifyForm')?.addEventListener('submit', submitHandoverCode);
+    document.getElementById('scanHandoverCodeBtn')?.addEventListener('click', startHandoverScan);
+    document.getElementById('cancelHandoverVerifyBtn')?.addEventListener('click', closeHandoverVerifyModal);
+
+    // Condition reports and damage claims
+    document.getElementById('conditionReportForm')?.addEventListener('submit', submitConditionReport);
+    document.getElementById('cancelConditionReportBtn')?.addEventListener('click', closeConditionReportModal);
+    document.getElementById('damageClaimForm')?.addEventListener('submit', submitDamageClaim);
+    document.getElementById('cancelDamageClaimBtn')?.addEventListener('click', closeDamageClaimModal);
+    document.getElementById('acceptDamageClaimBtn')?.addEventListener('click', () => respondToDamageClaim('accept'));
+    document.getElementById('disputeDamageClaimBtn')?.addEventListener('click', () => respondToDamageClaim('dispute'));
+    document.getElementById('cancelDamageResponseBtn')?.addEventListener('click', closeDamageResponseModal);
+    document.getElementById('damageResolutionForm')?.addEventListener('submit', submitResolution);
+    document.getElementById('cancelResolutionBtn')?.addEventListener('click', closeResolutionModal);
+
+    // Cart
+    document.getElementById('cartBtn')?.addEventListener('click', openCartModal);
+    document.getElementById('cartForm')?.addEventListener('submit', submitCart);
+    document.getElementById('closeCartBtn')?.addEventListener('click', closeCartModal);
+
     // Chat
     document.getElementById('chatForm')?.addEventListener('submit', (e) => {
         e.preventDefault();
@@ -293,6 +464,9 @@ function setupEventListeners() {
         const previousView = store.getState('chatPreviousView');
         if (previousView === 'myChatsView') {
             loadMyChats();
+        } else if (previousView === 'ownerCalendarView') {
+            loadOwnerCalendar();
+            showView('ownerCalendarView');
         } else {
             const itemId = store.getCurrentItemId();
             if (itemId) showItemDetail(itemId);
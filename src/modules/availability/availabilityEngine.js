@@ -0,0 +1,356 @@
+/**
+ * Availability Engine
+ * The single source of truth for whether an item can be booked, shared by the
+ * booking flow, the cart, the ranking algorithm and the calendar UI.
+ *
+ * Everything works on calendar day keys ("YYYY-MM-DD"), which mean the same day
+ * in every timezone. Dates stored on the item (date ranges, blackouts) are read
+ * in the owner's timezone (`item.timeZone`); dates picked by a renter are read
+ * in the renter's own timezone.
+ */
+
+import { AVAILABILITY_TYPES } from '../../utils/constants.js';
+import { formatDateInputValue } from '../../utils/formatters.js';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_SEARCH_DAYS = 366;
+const DEFAULT_RANKING_WINDOW_DAYS = 7;
+
+// Intl formatters are expensive to create, so keep one per timezone
+const dayKeyFormatters = new Map();
+
+/**
+ * Get the timezone of the current browser
+ * @returns {string} IANA timezone name (e.g. "America/New_York")
+ */
+export function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Get the calendar day an instant falls on in a timezone
+ * @param {Date|Object|string} value - Date, Firestore Timestamp or existing day key
+ * @param {string} [timeZone] - IANA timezone; the browser's timezone when omitted
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+export function toDayKey(value, timeZone) {
+    if (typeof value === 'string') return value.slice(0, 10);
+
+    const date = typeof value?.toDate === 'function' ? value.toDate() : new Date(value);
+    if (!timeZone) return formatDateInputValue(date);
+
+    if (!dayKeyFormatters.has(timeZone)) {
+        // en-CA formats dates as YYYY-MM-DD
+        dayKeyFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }));
+    }
+    return dayKeyFormatters.get(timeZone).format(date);
+}
+
+/**
+ * Get the local midnight Date for a day key, for display and date inputs
+ * @param {string} key - Day key
+ * @returns {Date} Local midnight of that day
+ */
+export function dayKeyToDate(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Add days to a day key
+ * Uses UTC arithmetic so daylight-saving changes never skip or repeat a day.
+ * @param {string} key - Day key
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting day key
+ */
+export function addDays(key, days) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the weekday of a day key
+ * @param {string} key - Day key
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+export function dayOfWeek(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * List every day key in an inclusive range
+ * @param {string} startKey - First day
+ * @param {string} endKey - Last day
+ * @returns {Array<string>} Day keys
+ */
+export function eachDay(startKey, endKey) {
+    const days = [];
+    for (let key = startKey; key <= endKey; key = addDays(key, 1)) {
+        days.push(key);
+    }
+    return days;
+}
+
+/**
+ * Read an item's blackout periods as day keys in the owner's timezone
+ * @param {Object} item - Item data
+ * @returns {Array<Object>} Blackouts as { start, end, label } day keys
+ */
+function itemBlackouts(item) {
+    return (item.availability?.blackouts || []).map(blackout => ({
+        start: toDayKey(blackout.start, item.timeZone),
+        end: toDayKey(blackout.end, item.timeZone),
+        label: blackout.label || ''
+    }));
+}
+
+/**
+ * Format a day key for messages
+ * @param {string} key - Day key
+ * @returns {string} Localized date
+ */
+function formatDay(key) {
+    return dayKeyToDate(key).toLocaleDateString();
+}
+
+/**
+ * Find the first blackout period overlapping a range of days
+ * @param {Object} item - Item data
+ * @param {string} startKey - First requested day
+ * @param {string} endKey - Last requested day
+ * @returns {Object|null} The blackout as day keys, or null
+ */
+export function findBlackout(item, startKey, endKey) {
+    return itemBlackouts(item).find(blackout => startKey <= blackout.end && endKey >= blackout.start) || null;
+}
+
+/**
+ * Check the owner's rules for a single day, ignoring existing bookings
+ * @param {Object} item - Item data
+ * @param {string} key - Day key
+ * @returns {boolean} True if the owner lends the item on that day
+ */
+export function isOwnerAvailable(item, key) {
+    const availability = item.availability || {};
+    if (findBlackout(item, key, key)) return false;
+
+    switch (availability.type || AVAILABILITY_TYPES.ALWAYS) {
+        case AVAILABILITY_TYPES.ALWAYS:
+            return true;
+        case AVAILABILITY_TYPES.DATE_RANGE:
+            return (!availability.startDate || key >= toDayKey(availability.startDate, item.timeZone))
+                && (!availability.endDate || key <= toDayKey(availability.endDate, item.timeZone));
+        case AVAILABILITY_TYPES.RECURRING:
+            return (availability.daysOfWeek || []).includes(dayOfWeek(key));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Get when the renter would pick the item up on a day
+ * Uses the start of the owner's handover window, or midnight without one.
+ * @param {Object} item - Item data
+ * @param {string} key - Day key
+ * @returns {Date} Local pickup time
+ */
+function pickupTime(item, key) {
+    const date = dayKeyToDate(key);
+    const handoverStart = item.handoverTime?.start || item.availability?.timeStart;
+    if (handoverStart) {
+        const [hours, minutes] = handoverStart.split(':').map(Number);
+        date.setHours(hours, minutes, 0, 0);
+    }
+    return date;
+}
+
+/**
+ * Check whether a pickup leaves the owner their required notice
+ * Items without a lead time can be booked up to the pickup itself.
+ * @param {Object} item - Item data
+ * @param {Date} startTime - Pickup time
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the lead time is met
+ */
+function meetsLeadTime(item, startTime, now) {
+    const leadTimeHours = item.availability?.rules?.leadTimeHours || 0;
+    if (leadTimeHours === 0) return true;
+    return startTime.getTime() - now.getTime() >= leadTimeHours * 60 * 60 * 1000;
+}
+
+/**
+ * Get the turnaround days an owner keeps free around each accepted booking
+ * Slot bookings never get buffer days.
+ * @param {Object} item - Item data
+ * @returns {number} Buffer days on each side
+ */
+export function getBufferDays(item) {
+    if (item.slotLengthMinutes) return 0;
+    return item.availability?.rules?.bufferDays || 0;
+}
+
+/**
+ * List the buffer day keys around a booked range
+ * @param {string} startKey - First booked day
+ * @param {string} endKey - Last booked day
+ * @param {number} bufferDays - Buffer days on each side
+ * @returns {Array<string>} Day keys before and after the booking
+ */
+export function bufferDayKeys(startKey, endKey, bufferDays) {
+    const days = [];
+    for (let i = bufferDays; i >= 1; i--) days.push(addDays(startKey, -i));
+    for (let i = 1; i <= bufferDays; i++) days.push(addDays(endKey, i));
+    return days;
+}
+
+/**
+ * Check whether an item can be booked for a range of days
+ * Items without availability settings are treated as always available.
+ * Duration limits and lead time come from `availability.rules`.
+ * @param {Object} item - Item data
+ * @param {string} startKey - First requested day
+ * @param {string} endKey - Last requested day (same as startKey for slot bookings)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.takenDays] - Day keys already booked by others
+ * @param {Date} [options.startTime] - Exact pickup time (slot bookings); defaults to the handover start
+ * @param {Date} [options.now] - Current time, for the lead time
+ * @returns {Object} Validation result with { valid: boolean, message: string }
+ */
+export function checkBookable(item, startKey, endKey, { takenDays = [], startTime = null, now = new Date() } = {}) {
+    const availability = item.availability || {};
+    const type = availability.type || AVAILABILITY_TYPES.ALWAYS;
+    const rules = availability.rules || {};
+
+    if (endKey < startKey) {
+        return { valid: false, message: 'End date must be after start date' };
+    }
+
+    if (!meetsLeadTime(item, startTime || pickupTime(item, startKey), now)) {
+        return { valid: false, message: `This item must be booked at least ${rules.leadTimeHours} hours in advance` };
+    }
+
+    if (!item.slotLengthMinutes) {
+        const days = eachDay(startKey, endKey).length;
+        if (rules.minDays && days < rules.minDays) {
+            return { valid: false, message: `This item must be booked for at least ${rules.minDays} day${rules.minDays === 1 ? '' : 's'}` };
+        }
+        if (rules.maxDays && days > rules.maxDays) {
+            return { valid: false, message: `This item can be booked for at most ${rules.maxDays} day${rules.maxDays === 1 ? '' : 's'}` };
+        }
+    }
+
+    const blackout = findBlackout(item, startKey, endKey);
+    if (blackout) {
+        const range = blackout.start === blackout.end ? formatDay(blackout.start) : `${formatDay(blackout.start)} - ${formatDay(blackout.end)}`;
+        return { valid: false, message: `Item is unavailable ${range}${blackout.label ? ` (${blackout.label})` : ''}` };
+    }
+
+    if (type === AVAILABILITY_TYPES.DATE_RANGE) {
+        const availableFrom = availability.startDate ? toDayKey(availability.startDate, item.timeZone) : null;
+        const availableUntil = availability.endDate ? toDayKey(availability.endDate, item.timeZone) : null;
+        if (availableFrom && startKey < availableFrom) {
+            return { valid: false, message: `Item is only available from ${formatDay(availableFrom)}` };
+        }
+        if (availableUntil && endKey > availableUntil) {
+            return { valid: false, message: `Item is only available until ${formatDay(availableUntil)}` };
+        }
+    } else if (type === AVAILABILITY_TYPES.RECURRING) {
+        const availableDayNames = (availability.daysOfWeek || []).map(day => DAY_NAMES[day]).join(', ');
+        if (startKey !== endKey) {
+            return {
+                valid: false,
+                message: `This item only allows same-day borrowing on: ${availableDayNames}. Please select the same date for pickup and return.`
+            };
+        }
+        if (!isOwnerAvailable(item, startKey)) {
+            return {
+                valid: false,
+                message: `This item is only available on: ${availableDayNames}. You selected: ${DAY_NAMES[dayOfWeek(startKey)]}`
+            };
+        }
+    } else if (type !== AVAILABILITY_TYPES.ALWAYS) {
+        return { valid: false, message: 'Unknown availability type' };
+    }
+
+    const taken = new Set(takenDays);
+    const bookedDays = eachDay(startKey, endKey).filter(key => taken.has(key));
+    if (bookedDays.length > 0) {
+        return { valid: false, message: `Already booked on: ${bookedDays.map(formatDay).join(', ')}` };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * List the days in a month on which the item can be booked
+ * @param {Object} item - Item data
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.takenDays] - Day keys already booked by others
+ * @param {string} [options.fromKey] - Earliest bookable day (defaults to today)
+ * @param {Date} [options.now] - Current time, for the lead time
+ * @returns {Array<string>} Free day keys
+ */
+export function listFreeDates(item, year, month, { takenDays = [], fromKey = toDayKey(new Date()), now = new Date() } = {}) {
+    const firstDay = formatDateInputValue(new Date(year, month, 1));
+    const lastDay = formatDateInputValue(new Date(year, month + 1, 0));
+    const taken = new Set(takenDays);
+    return eachDay(firstDay, lastDay)
+        .filter(key => key >= fromKey && !taken.has(key) && isOwnerAvailable(item, key))
+        .filter(key => meetsLeadTime(item, pickupTime(item, key), now));
+}
+
+/**
+ * Find the earliest window of consecutive days the item can be booked for
+ * @param {Object} item - Item data
+ * @param {Object} [options]
+ * @param {number} [options.lengthDays] - Number of days needed
+ * @param {Array<string>} [options.takenDays] - Day keys already booked by others
+ * @param {string} [options.fromKey] - First day to consider (defaults to today)
+ * @param {number} [options.horizonDays] - How far ahead to search
+ * @param {Date} [options.now] - Current time, for the lead time
+ * @returns {Object|null} { startKey, endKey } or null if nothing is free within the horizon
+ */
+export function findNextFreeWindow(item, {
+    lengthDays = 1,
+    takenDays = [],
+    fromKey = toDayKey(new Date()),
+    horizonDays = MAX_SEARCH_DAYS,
+    now = new Date()
+} = {}) {
+    for (let offset = 0; offset < horizonDays; offset++) {
+        const startKey = addDays(fromKey, offset);
+        const endKey = addDays(startKey, lengthDays - 1);
+        if (checkBookable(item, startKey, endKey, { takenDays, now }).valid) {
+            return { startKey, endKey };
+        }
+    }
+    return null;
+}
+
+/**
+ * Share of the days in a desired window on which the owner lends the item
+ * Used by the ranking algorithm. Open-ended windows are limited to a week from
+ * the known end.
+ * @param {Object} item - Item data
+ * @param {string|null} startKey - First desired day
+ * @param {string|null} endKey - Last desired day
+ * @returns {number} 0 to 1
+ */
+export function availableFraction(item, startKey, endKey) {
+    const first = startKey || addDays(endKey, -(DEFAULT_RANKING_WINDOW_DAYS - 1));
+    const requestedLast = endKey || addDays(startKey, DEFAULT_RANKING_WINDOW_DAYS - 1);
+    if (requestedLast < first) return 0;
+
+    // Keep very long windows cheap to score
+    const cap = addDays(first, MAX_SEARCH_DAYS - 1);
+    const days = eachDay(first, requestedLast < cap ? requestedLast : cap);
+    return days.filter(key => isOwnerAvailable(item, key)).length / days.length;
+}
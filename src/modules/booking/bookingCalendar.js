@@ -0,0 +1,79 @@
+/**
+ * Booking Calendar Module
+ * Exports bookings as .ics files for calendar apps
+ */
+
+import { store } from '../../stores/stateStore.js';
+import { firebaseService, query, where } from '../../services/firebaseService.js';
+import { bookingToICSEvent, buildICSCalendar, downloadICSFile } from '../../utils/icsCalendar.js';
+
+// Bookings that hold the item for the renter, including legacy "confirmed"
+const CALENDAR_STATUSES = ['accepted', 'confirmed', 'picked_up', 'overdue'];
+
+/**
+ * Load the items referenced by bookings so events can use their handover times
+ * @param {Array<Object>} bookings - Bookings with itemId
+ * @returns {Promise<Object>} Item data keyed by item ID (null for deleted items)
+ */
+async function loadBookingItems(bookings) {
+    const itemIds = [...new Set(bookings.map(booking => booking.itemId))];
+    const snapshots = await Promise.all(itemIds.map(itemId => firebaseService.getDoc(firebaseService.doc('items', itemId))));
+    return Object.fromEntries(snapshots.map((snap, i) => [itemIds[i], snap.exists() ? snap.data() : null]));
+}
+
+/**
+ * Download a single booking as an .ics file
+ * @param {string} bookingId - Booking ID
+ */
+export async function downloadBookingCalendar(bookingId) {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+        const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', bookingId));
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+
+        const booking = { id: bookingSnap.id, ...bookingSnap.data() };
+        const items = await loadBookingItems([booking]);
+        const role = booking.ownerId === currentUser.uid ? 'owner' : 'renter';
+        const content = buildICSCalendar([bookingToICSEvent(booking, items[booking.itemId], role)], `CShare: ${booking.itemName}`);
+        downloadICSFile(`cshare-booking-${booking.id}.ics`, content);
+    } catch (error) {
+        console.error('Error exporting booking calendar:', error);
+        alert('Failed to export booking. Please try again.');
+    }
+}
+
+/**
+ * Download all of the current user's accepted bookings as one .ics file
+ * @param {string} role - 'renter' for bookings the user made, 'owner' for bookings of their items
+ */
+export async function downloadBookingsCalendar(role) {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+        const snapshot = await firebaseService.getDocs(query(
+            firebaseService.collection('bookings'),
+            where(role === 'owner' ? 'ownerId' : 'renterId', '==', currentUser.uid),
+            where('status', 'in', CALENDAR_STATUSES)
+        ));
+
+        if (snapshot.empty) {
+            alert('You have no accepted bookings to export.');
+            return;
+        }
+
+        const bookings = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        const items = await loadBookingItems(bookings);
+        const events = bookings.map(booking => bookingToICSEvent(booking, items[booking.itemId], role));
+        const calendarName = role === 'owner' ? 'CShare: Lending' : 'CShare: Rentals';
+        downloadICSFile(`cshare-${role === 'owner' ? 'lending' : 'rentals'}.ics`, buildICSCalendar(events, calendarName));
+    } catch (error) {
+        console.error('Error exporting bookings calendar:', error);
+        alert('Failed to export bookings. Please try again.');
+    }
+}
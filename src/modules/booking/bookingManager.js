@@ -4,12 +4,25 @@
  */
 
 import { store } from '../../stores/stateStore.js';
-import { firebaseService, doc, Timestamp, serverTimestamp } from '../../services/firebaseService.js';
-import { buildLockIds, validateAvailability, validateBookingDates } from '../../utils/validators.js';
+import { firebaseService, query, where } from '../../services/firebaseService.js';
+import {
+    buildLockIds,
+    buildSlotLockIds,
+    generateTimeSlots,
+    validateBookingDates,
+    validateSlotSelection
+} from '../../utils/validators.js';
+import { formatCurrency, formatDateInputValue } from '../../utils/formatters.js';
+import { checkBookable, getLocalTimeZone } from '../availability/availabilityEngine.js';
+import { calculateQuote } from '../pricing/priceQuote.js';
+import { describeCancellationPolicy, getCancellationPolicy } from '../pricing/cancellationPolicy.js';
+import { MAX_SERIES_OCCURRENCES, expandRecurrence, supportsRecurringBooking } from './recurringBooking.js';
+import { joinWaitlist } from './waitlistManager.js';
 
 /**
  * Submit booking request for an item
- * Validates dates, checks availability, creates booking and locks
+ * Validates dates and checks availability for quick feedback, then asks the
+ * submitBooking Cloud Function to re-check them and create the booking
  * @param {Event} event - Form submission event
  */
 export async function submitBookingRequest(event) {
@@ -34,9 +47,10 @@ export async function submitBookingRequest(event) {
         return;
     }
 
-    // Get form values
+    // Get form values (slot bookings are always a single day)
+    const isSlotBooking = Boolean(item.slotLengthMinutes);
     const startDateStr = document.getElementById('bookingStartDate')?.value;
-    const endDateStr = document.getElementById('bookingEndDate')?.value;
+    const endDateStr = isSlotBooking ? startDateStr : document.getElementById('bookingEndDate')?.value;
 
     if (!startDateStr || !endDateStr) {
         alert('Please select both start and end dates');
@@ -54,109 +68,79 @@ export async function submitBookingRequest(event) {
         return;
     }
 
-    // Validate against item availability if set
-    if (item.availability) {
-        const availability = item.availability;
-
-        if (availability.type === 'dateRange') {
-            // Validate date range availability
-            if (availability.startDate) {
-                const itemStartDate = availability.startDate.toDate();
-                // Only compare dates, not times
-                const itemStartDateOnly = new Date(itemStartDate.getFullYear(), itemStartDate.getMonth(), itemStartDate.getDate());
-                const startDateOnly = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
-
-                if (startDateOnly < itemStartDateOnly) {
-                    alert(`Item is only available from ${itemStartDate.toLocaleDateString()}`);
-                    return;
-                }
-            }
-
-            if (availability.endDate) {
-                const itemEndDate = availability.endDate.toDate();
-                // Only compare dates, not times
-                const itemEndDateOnly = new Date(itemEndDate.getFullYear(), itemEndDate.getMonth(), itemEndDate.getDate());
-                const endDateOnly = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+    // Validate slot selection for slot-based items
+    let selectedSlots = [];
+    if (isSlotBooking) {
+        selectedSlots = Array.from(document.querySelectorAll('#bookingSlots input:checked')).map(input => input.value);
+        const slotValidation = validateSlotSelection(
+            selectedSlots,
+            generateTimeSlots(item.handoverTime, item.slotLengthMinutes)
+        );
+        if (!slotValidation.valid) {
+            alert(slotValidation.message);
+            return;
+        }
+    }
 
-                if (endDateOnly > itemEndDateOnly) {
-                    alert(`Item is only available until ${itemEndDate.toLocaleDateString()}`);
-                    return;
-                }
-            }
-        } else if (availability.type === 'recurring') {
-            // Recurring type only allows same-day borrowing
-            const availableDays = availability.daysOfWeek || [];
-
-            // Check if it's same-day booking using date string comparison
-            const startDateOnly = startDate.toISOString().split('T')[0];
-            const endDateOnly = endDate.toISOString().split('T')[0];
-
-            if (startDateOnly !== endDateOnly) {
-                const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-                const availableDayNames = availableDays.map(d => dayNames[d]).join(', ');
-                alert(`This item only allows same-day borrowing on: ${availableDayNames}. Please select the same date for pickup and return.`);
-                return;
-            }
+    // Weekly series are checked and created occurrence by occurrence
+    const repeatEveryWeeks = supportsRecurringBooking(item)
+        ? Number(document.getElementById('bookingRepeatEvery')?.value || 0)
+        : 0;
+    if (repeatEveryWeeks > 0) {
+        await submitRecurringBooking(currentItemId, item, currentUser, startDateStr, selectedSlots, {
+            everyWeeks: repeatEveryWeeks,
+            untilKey: document.getElementById('bookingRepeatUntil')?.value
+        });
+        return;
+    }
 
-            // Check if the selected day is in the available days
-            const dayOfWeek = startDate.getDay();
-            if (!availableDays.includes(dayOfWeek)) {
-                const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-                const selectedDay = dayNames[dayOfWeek];
-                const availableDayNames = availableDays.map(d => dayNames[d]).join(', ');
-                alert(`This item is only available on: ${availableDayNames}. You selected: ${selectedDay}`);
-                return;
-            }
-        }
-        // For 'always' type, no validation needed
+    // Validate against the owner's availability, booking rules and blackouts
+    const availabilityCheck = checkBookable(item, startDateStr, endDateStr, {
+        startTime: isSlotBooking ? atTime(startDate, [...selectedSlots].sort()[0]) : null
+    });
+    if (!availabilityCheck.valid) {
+        alert(availabilityCheck.message);
+        return;
     }
 
     try {
-        // Check for booking conflicts
-        const lockIds = buildLockIds(currentItemId, startDate, endDate);
-        const conflictChecks = lockIds.map(id => firebaseService.getDoc(doc(firebaseService.getDb(), 'bookingLocks', id)));
-        const snapshots = await Promise.all(conflictChecks);
-        const existingLocks = snapshots.filter(snap => snap.exists());
-
-        if (existingLocks.length > 0) {
-            alert('❌ Sorry, some of the dates you selected are already booked by others. Please choose different dates.');
-            return;
+        // Slot bookings run from the first slot's start to the last slot's end
+        let bookingStart = startDate;
+        let bookingEnd = endDate;
+        if (isSlotBooking) {
+            ({ start: bookingStart, end: bookingEnd } = slotRange(startDate, selectedSlots, item));
+            if (bookingStart < new Date()) {
+                alert('The selected time slot has already started. Please pick a later slot.');
+                return;
+            }
         }
 
-        // Create booking and locks in a batch
-        const batch = firebaseService.writeBatch();
-        const bookingRef = doc(firebaseService.collection('bookings'));
-
-        batch.set(bookingRef, {
-            itemId: currentItemId,
-            itemName: item.name,
-            renterId: currentUser.uid,
-            renterName: currentUser.displayName || currentUser.email.split('@')[0],
-            renterEmail: currentUser.email,
-            ownerId: item.ownerId,
-            ownerName: item.ownerName,
-            ownerEmail: item.ownerEmail,
-            startDate: Timestamp.fromDate(startDate),
-            endDate: Timestamp.fromDate(endDate),
-            status: 'pending',
-            statusHistory: [{ status: 'pending', at: Timestamp.now(), by: currentUser.uid }],
-            lockIds,
-            createdAt: serverTimestamp(),
-            updatedAt: serverTimestamp()
+        // The server claims every date (or slot) lock and creates the booking in one
+        // transaction; trusted renters skip the owner's approval with Instant Book
+        const { conflicts, instantBook } = await submitBookings({
+            itemIds: [currentItemId],
+            startKey: startDateStr,
+            endKey: endDateStr,
+            slots: selectedSlots
         });
 
-        // Create locks for each date in the booking range
-        lockIds.forEach(id => {
-            batch.set(doc(firebaseService.getDb(), 'bookingLocks', id), {
-                bookingId: bookingRef.id,
-                itemId: currentItemId,
-                date: id.split('_')[1],
-                ownerId: item.ownerId,
-                createdAt: serverTimestamp()
-            });
-        });
-
-        await batch.commit();
+        if (conflicts.length > 0) {
+            const conflictDates = conflicts[0].dates;
+            const lockIds = isSlotBooking
+                ? buildSlotLockIds(currentItemId, startDate, selectedSlots)
+                : buildLockIds(currentItemId, startDate, endDate);
+            const conflictLabels = conflictDates.map(date => date.replace('T', ' '));
+            const joinWaitlistPrompt = `❌ Sorry, these ${isSlotBooking ? 'time slots' : 'dates'} are already booked by others: ${conflictLabels.join(', ')}.\n\n`
+                + 'Join the waitlist? We will notify you and hold the dates for you if they become free.';
+            if (confirm(joinWaitlistPrompt)) {
+                await joinWaitlist(currentItemId, item, currentUser, bookingStart, bookingEnd, lockIds);
+                if (window.closeBookingModal) {
+                    window.closeBookingModal();
+                }
+                alert('✅ You are on the waitlist. We will notify you if these dates become available.');
+            }
+            return;
+        }
 
         // Log analytics if function exists
         if (window.logAnalytics) {
@@ -179,13 +163,245 @@ export async function submitBookingRequest(event) {
         if (window.closeBookingModal) {
             window.closeBookingModal();
         }
-        alert('✅ Booking request submitted successfully!');
+        alert(instantBook
+            ? '⚡ Booked instantly! The owner has been notified.'
+            : '✅ Booking request submitted successfully!');
     } catch (error) {
         console.error('Error submitting booking request:', error);
-        alert('Failed to submit booking request. Please try again.');
+        alert(describeSubmitError(error, 'Failed to submit booking request. Please try again.'));
+    }
+}
+
+/**
+ * Submit a weekly series of same-day bookings
+ * Every occurrence is checked against the item's availability first; the
+ * occurrences are then created together with all of their locks, so the
+ * series is either booked in full or not at all.
+ * @param {string} itemId - Item ID
+ * @param {Object} item - Item data
+ * @param {Object} renter - Current Firebase user
+ * @param {string} startDateStr - First occurrence (YYYY-MM-DD)
+ * @param {Array<string>} selectedSlots - Slots booked on every occurrence (slot items only)
+ * @param {Object} pattern - { everyWeeks, untilKey }
+ */
+async function submitRecurringBooking(itemId, item, renter, startDateStr, selectedSlots, pattern) {
+    if (!pattern.untilKey || pattern.untilKey <= startDateStr) {
+        alert('Please choose a repeat end date after the first date.');
+        return;
+    }
+
+    const days = expandRecurrence(startDateStr, pattern);
+    if (days.length < 2) {
+        alert('The repeat end date is too close to include a second occurrence.');
+        return;
+    }
+    if (days.length > MAX_SERIES_OCCURRENCES) {
+        alert(`A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences. Please choose an earlier end date.`);
+        return;
+    }
+
+    const isSlotBooking = Boolean(item.slotLengthMinutes);
+    const occurrences = days.map(day => {
+        const date = new Date(day + 'T00:00:00');
+        const { start, end } = isSlotBooking ? slotRange(date, selectedSlots, item) : { start: date, end: date };
+        return { day, start, end };
+    });
+
+    const unavailable = occurrences
+        .map(({ day, start }) => ({ day, check: checkBookable(item, day, day, { startTime: isSlotBooking ? start : null }) }))
+        .filter(({ check }) => !check.valid);
+    if (unavailable.length > 0) {
+        alert(`❌ The series cannot be booked on ${unavailable.map(({ day }) => day).join(', ')}: ${unavailable[0].check.message}`);
+        return;
+    }
+    if (occurrences[0].start < new Date()) {
+        alert('The first occurrence has already started. Please pick a later date.');
+        return;
+    }
+
+    try {
+        const { conflicts, instantBook } = await submitBookings({
+            itemIds: [itemId],
+            startKey: startDateStr,
+            endKey: startDateStr,
+            slots: selectedSlots,
+            repeat: pattern
+        });
+
+        if (conflicts.length > 0) {
+            alert(`❌ Sorry, the series could not be booked. These ${isSlotBooking ? 'time slots' : 'dates'} are already taken: `
+                + `${conflicts.flatMap(conflict => conflict.dates).map(date => date.replace('T', ' ')).join(', ')}.`);
+            return;
+        }
+
+        if (window.logAnalytics) {
+            await window.logAnalytics('request_booking', itemId, {
+                itemName: item.name,
+                ownerId: item.ownerId,
+                startDate: occurrences[0].start.toISOString(),
+                endDate: occurrences[occurrences.length - 1].end.toISOString(),
+                occurrences: occurrences.length
+            });
+        }
+
+        if (window.closeBookingModal) {
+            window.closeBookingModal();
+        }
+        alert(instantBook
+            ? `⚡ Booked instantly! All ${occurrences.length} occurrences are confirmed.`
+            : `✅ Series of ${occurrences.length} bookings requested! The owner will accept or decline the whole series.`);
+    } catch (error) {
+        console.error('Error submitting recurring booking:', error);
+        alert(describeSubmitError(error, 'Failed to submit booking request. Please try again.'));
     }
 }
 
+/**
+ * Submit bookings through the submitBooking Cloud Function
+ * The function re-runs the availability, duration and slot checks with the
+ * Admin SDK, claims every lock and creates the bookings in one transaction;
+ * clients cannot write bookings themselves. Picked days are read in the
+ * renter's timezone, as they are here.
+ * @param {Object} request - { itemIds, startKey, endKey, slots, repeat, cart } or { waitlistId }
+ * @returns {Promise<Object>} { bookingIds, conflicts, instantBook, cartId } - conflicts lists { itemId, itemName, dates } per blocked item
+ */
+export async function submitBookings(request) {
+    return firebaseService.callFunction('submitBooking', { ...request, timeZone: getLocalTimeZone() });
+}
+
+/**
+ * Get the message to show when a booking submission fails
+ * Rules the server rejected the booking for are shown as the server worded them.
+ * @param {Error} error - Error thrown by submitBookings
+ * @param {string} fallback - Message for unexpected failures
+ * @returns {string} Message for the renter
+ */
+export function describeSubmitError(error, fallback) {
+    const ruleErrors = ['functions/failed-precondition', 'functions/permission-denied', 'functions/not-found'];
+    return ruleErrors.includes(error?.code) ? error.message : fallback;
+}
+
+/**
+ * Get the time range covered by consecutive slots on a day
+ * @param {Date} date - Day
+ * @param {Array<string>} slots - Selected "HH:MM" slot start times
+ * @param {Object} item - Item data with slotLengthMinutes
+ * @returns {Object} { start, end } - first slot's start to last slot's end
+ */
+function slotRange(date, slots, item) {
+    const sortedSlots = [...slots].sort();
+    return {
+        start: atTime(date, sortedSlots[0]),
+        end: new Date(atTime(date, sortedSlots[sortedSlots.length - 1]).getTime() + item.slotLengthMinutes * 60000)
+    };
+}
+
+/**
+ * Combine a day with an "HH:MM" time in local time
+ * @param {Date} date - Day
+ * @param {string} time - Time string
+ * @returns {Date} Date at the given time
+ */
+function atTime(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const result = new Date(date);
+    result.setHours(hours, minutes, 0, 0);
+    return result;
+}
+
+/**
+ * Render slot checkboxes for the selected day, disabling slots already locked
+ * @param {string} itemId - Item ID
+ * @param {Object} item - Item data with handoverTime and slotLengthMinutes
+ */
+async function renderSlotPicker(itemId, item) {
+    const container = document.getElementById('bookingSlots');
+    if (!container) return;
+
+    const slots = generateTimeSlots(item.handoverTime, item.slotLengthMinutes);
+    const dateStr = document.getElementById('bookingStartDate')?.value;
+    if (!dateStr) {
+        container.innerHTML = '<small class="form-hint">Pick a date to see open slots.</small>';
+        return;
+    }
+
+    let takenSlots = [];
+    try {
+        const locksSnapshot = await firebaseService.getDocs(query(
+            firebaseService.collection('bookingLocks'),
+            where('itemId', '==', itemId),
+            where('date', '==', dateStr)
+        ));
+        takenSlots = locksSnapshot.docs.map(lockSnap => lockSnap.data().slot).filter(Boolean);
+    } catch (error) {
+        console.error('Error loading booked slots:', error);
+    }
+
+    container.innerHTML = slots.map(slot => {
+        const taken = takenSlots.includes(slot);
+        return `
+            <label class="slot-option${taken ? ' slot-taken' : ''}">
+                <input type="checkbox" value="${slot}" ${taken ? 'disabled' : ''}> ${slot}${taken ? ' (booked)' : ''}
+            </label>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the price breakdown for the dates currently selected in the booking modal
+ * @param {Object} item - Item data with price and pricing terms
+ */
+function renderBookingQuote(item) {
+    const container = document.getElementById('bookingQuote');
+    if (!container) return;
+
+    const startDateStr = document.getElementById('bookingStartDate')?.value;
+    const endDateStr = item.slotLengthMinutes ? startDateStr : document.getElementById('bookingEndDate')?.value;
+    if (!startDateStr || !endDateStr || endDateStr < startDateStr) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const quote = calculateQuote(item, new Date(startDateStr + 'T00:00:00'), new Date(endDateStr + 'T00:00:00'));
+    const rows = [
+        [`${formatCurrency(quote.dailyRate)} × ${quote.days} day${quote.days === 1 ? '' : 's'}`, formatCurrency(quote.subtotal)]
+    ];
+    if (quote.discount > 0) {
+        rows.push([`${quote.discountLabel} (${quote.discountPercent}%)`, `−${formatCurrency(quote.discount)}`]);
+    }
+    if (quote.cleaningFee > 0) {
+        rows.push(['Cleaning fee', formatCurrency(quote.cleaningFee)]);
+    }
+    if (quote.securityDeposit > 0) {
+        rows.push(['Security deposit (refundable)', formatCurrency(quote.securityDeposit)]);
+    }
+
+    container.innerHTML = `
+        <table>
+            ${rows.map(([label, amount]) => `<tr><td>${label}</td><td>${amount}</td></tr>`).join('')}
+            <tr class="quote-total"><td>Total due</td><td>${formatCurrency(quote.totalDue)}</td></tr>
+        </table>
+    `;
+}
+
+/**
+ * Render the listing's cancellation policy in the booking modal
+ * @param {Object} item - Item data
+ */
+function renderBookingPolicy(item) {
+    const container = document.getElementById('bookingPolicy');
+    if (!container) return;
+
+    const policy = getCancellationPolicy(item.cancellationPolicy);
+    container.innerHTML = `
+        <strong>${policy.label} cancellation policy</strong>
+        <ul>
+            ${describeCancellationPolicy(policy.key).map(line => `<li>${line}</li>`).join('')}
+        </ul>
+        <small class="form-hint">The security deposit is always refunded on cancellation.</small>
+    `;
+}
+
 /**
  * Open booking modal for an item
  * @param {string} itemId - Item ID to book
@@ -231,11 +447,54 @@ export function openBookingModal(itemId) {
     modal.classList.add('active');
 
     // Set minimum date to today
-    const today = new Date().toISOString().split('T')[0];
+    const today = formatDateInputValue(new Date());
     const startDateInput = document.getElementById('bookingStartDate');
     const endDateInput = document.getElementById('bookingEndDate');
     if (startDateInput) startDateInput.setAttribute('min', today);
     if (endDateInput) endDateInput.setAttribute('min', today);
+
+    // Slot-based items book time slots on a single day instead of a date range
+    const isSlotBooking = Boolean(item.slotLengthMinutes);
+    const endDateGroup = document.getElementById('bookingEndDateGroup');
+    const slotsGroup = document.getElementById('bookingSlotsGroup');
+    if (endDateGroup) endDateGroup.style.display = isSlotBooking ? 'none' : '';
+    if (slotsGroup) slotsGroup.style.display = isSlotBooking ? 'block' : 'none';
+    if (endDateInput) endDateInput.required = !isSlotBooking;
+
+    // Items with weekly availability can be booked as a repeating series
+    const repeatGroup = document.getElementById('bookingRepeatGroup');
+    const repeatSelect = document.getElementById('bookingRepeatEvery');
+    const repeatUntilGroup = document.getElementById('bookingRepeatUntilGroup');
+    const repeatUntilInput = document.getElementById('bookingRepeatUntil');
+    if (repeatGroup) repeatGroup.style.display = supportsRecurringBooking(item) ? 'block' : 'none';
+    if (repeatUntilGroup) repeatUntilGroup.style.display = 'none';
+    if (repeatSelect) {
+        repeatSelect.onchange = () => {
+            const repeats = Number(repeatSelect.value) > 0;
+            if (repeatUntilGroup) repeatUntilGroup.style.display = repeats ? 'block' : 'none';
+            if (repeatUntilInput) repeatUntilInput.required = repeats;
+        };
+    }
+    if (repeatUntilInput) {
+        repeatUntilInput.required = false;
+        repeatUntilInput.setAttribute('min', today);
+    }
+
+    if (startDateInput) {
+        startDateInput.onchange = () => {
+            if (isSlotBooking) renderSlotPicker(itemId, item);
+            if (repeatUntilInput) repeatUntilInput.setAttribute('min', startDateInput.value || today);
+            renderBookingQuote(item);
+        };
+    }
+    if (endDateInput) {
+        endDateInput.onchange = () => renderBookingQuote(item);
+    }
+    if (isSlotBooking) {
+        renderSlotPicker(itemId, item);
+    }
+    renderBookingQuote(item);
+    renderBookingPolicy(item);
 }
 
 /**
@@ -251,4 +510,9 @@ export function closeBookingModal() {
     if (form) {
         form.reset();
     }
+
+    const quote = document.getElementById('bookingQuote');
+    if (quote) {
+        quote.innerHTML = '';
+    }
 }
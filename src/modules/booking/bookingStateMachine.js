@@ -0,0 +1,147 @@
+/**
+ * Booking State Machine Module
+ * Defines which status changes a booking may go through, who may make each
+ * one and what has to happen alongside it. Only Cloud Functions write status
+ * changes, which keeps statusHistory a complete audit log; the client plans
+ * them here to decide which actions to offer and sends them through
+ * requestBookingTransition.
+ *
+ * functions/booking-state.js mirrors the table for the Cloud Functions.
+ */
+
+import { firebaseService } from '../../services/firebaseService.js';
+import { BOOKING_STATUSES } from '../../utils/constants.js';
+import { formatBookingStatus } from '../../utils/formatters.js';
+import { getLocalTimeZone } from '../availability/availabilityEngine.js';
+
+export const BOOKING_ROLES = {
+    RENTER: 'renter',
+    OWNER: 'owner',
+    SYSTEM: 'system'
+};
+
+export const BOOKING_EFFECTS = {
+    RELEASE_LOCKS: 'releaseLocks',
+    DECLINE_OVERLAPPING: 'declineOverlapping',
+    RESERVE_BUFFER: 'reserveBuffer',
+    NOTIFY_RENTER: 'notifyRenter',
+    NOTIFY_OWNER: 'notifyOwner'
+};
+
+const { RENTER, OWNER, SYSTEM } = BOOKING_ROLES;
+const { RELEASE_LOCKS, DECLINE_OVERLAPPING, RESERVE_BUFFER, NOTIFY_RENTER, NOTIFY_OWNER } = BOOKING_EFFECTS;
+
+// Legal transitions: current status -> next status -> { roles, effects, stampField }
+export const BOOKING_TRANSITIONS = {
+    [BOOKING_STATUSES.PENDING]: {
+        [BOOKING_STATUSES.COUNTERED]: { roles: [OWNER], effects: [NOTIFY_RENTER] },
+        [BOOKING_STATUSES.ACCEPTED]: { roles: [OWNER, SYSTEM], effects: [DECLINE_OVERLAPPING, RESERVE_BUFFER, NOTIFY_RENTER] },
+        [BOOKING_STATUSES.DECLINED]: { roles: [OWNER, SYSTEM], effects: [RELEASE_LOCKS, NOTIFY_RENTER] },
+        [BOOKING_STATUSES.CANCELLED]: { roles: [RENTER], effects: [RELEASE_LOCKS, NOTIFY_OWNER], stampField: 'cancelledAt' }
+    },
+    // The owner proposed new terms; the renter answers
+    [BOOKING_STATUSES.COUNTERED]: {
+        [BOOKING_STATUSES.PENDING]: { roles: [RENTER], effects: [NOTIFY_OWNER] },
+        [BOOKING_STATUSES.ACCEPTED]: { roles: [RENTER], effects: [DECLINE_OVERLAPPING, RESERVE_BUFFER, NOTIFY_OWNER] },
+        [BOOKING_STATUSES.DECLINED]: { roles: [OWNER, SYSTEM], effects: [RELEASE_LOCKS, NOTIFY_RENTER] },
+        [BOOKING_STATUSES.CANCELLED]: { roles: [RENTER], effects: [RELEASE_LOCKS, NOTIFY_OWNER], stampField: 'cancelledAt' }
+    },
+    [BOOKING_STATUSES.ACCEPTED]: {
+        [BOOKING_STATUSES.PICKED_UP]: { roles: [OWNER, RENTER], effects: [] },
+        [BOOKING_STATUSES.OVERDUE]: { roles: [SYSTEM], effects: [NOTIFY_RENTER, NOTIFY_OWNER], stampField: 'overdueAt' },
+        [BOOKING_STATUSES.CANCELLED]: { roles: [RENTER], effects: [RELEASE_LOCKS, NOTIFY_OWNER], stampField: 'cancelledAt' }
+    },
+    [BOOKING_STATUSES.PICKED_UP]: {
+        [BOOKING_STATUSES.RETURNED]: { roles: [OWNER, RENTER], effects: [], stampField: 'returnedAt' },
+        [BOOKING_STATUSES.OVERDUE]: { roles: [SYSTEM], effects: [NOTIFY_RENTER, NOTIFY_OWNER], stampField: 'overdueAt' }
+    },
+    [BOOKING_STATUSES.OVERDUE]: {
+        [BOOKING_STATUSES.RETURNED]: { roles: [OWNER, RENTER], effects: [], stampField: 'returnedAt' }
+    },
+    [BOOKING_STATUSES.RETURNED]: {
+        [BOOKING_STATUSES.ARCHIVED]: { roles: [SYSTEM], effects: [RELEASE_LOCKS], stampField: 'archivedAt' }
+    },
+    [BOOKING_STATUSES.DECLINED]: {
+        [BOOKING_STATUSES.ARCHIVED]: { roles: [SYSTEM], effects: [RELEASE_LOCKS], stampField: 'archivedAt' }
+    },
+    [BOOKING_STATUSES.CANCELLED]: {},
+    [BOOKING_STATUSES.ARCHIVED]: {}
+};
+
+/**
+ * Read a stored booking status, mapping the legacy 'confirmed' to 'accepted'
+ * @param {string} [status] - Stored status
+ * @returns {string} Current status
+ */
+export function normalizeBookingStatus(status) {
+    if (status === 'confirmed') return BOOKING_STATUSES.ACCEPTED;
+    return status || BOOKING_STATUSES.PENDING;
+}
+
+/**
+ * Get the role a user plays in a booking
+ * @param {Object} booking - Booking data
+ * @param {string} userId - User ID
+ * @returns {string|null} 'owner', 'renter' or null for anyone else
+ */
+export function getBookingRole(booking, userId) {
+    if (booking.ownerId === userId) return OWNER;
+    if (booking.renterId === userId) return RENTER;
+    return null;
+}
+
+/**
+ * Check whether a role may move a booking to a status
+ * @param {string} status - Current status
+ * @param {string} nextStatus - Requested status
+ * @param {string} role - 'owner', 'renter' or 'system'
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransition(status, nextStatus, role) {
+    const transition = BOOKING_TRANSITIONS[normalizeBookingStatus(status)]?.[nextStatus];
+    return Boolean(transition && transition.roles.includes(role));
+}
+
+/**
+ * Plan a status change, rejecting illegal ones
+ * @param {Object} booking - Booking data
+ * @param {string} nextStatus - Requested status
+ * @param {string} role - 'owner', 'renter' or 'system'
+ * @returns {Object} { from, to, effects, stampField }
+ * @throws {Error} When the booking cannot move to nextStatus, or not by this role
+ */
+export function planTransition(booking, nextStatus, role) {
+    const from = normalizeBookingStatus(booking.status);
+    const transitions = BOOKING_TRANSITIONS[from];
+    if (!transitions) {
+        throw new Error(`Unknown booking status "${booking.status}".`);
+    }
+
+    const transition = transitions[nextStatus];
+    if (!transition) {
+        const current = formatBookingStatus(from).toLowerCase();
+        const article = /^[aeiou]/.test(current) ? 'An' : 'A';
+        throw new Error(`${article} ${current} booking cannot be ${formatBookingStatus(nextStatus).toLowerCase()}.`);
+    }
+    if (!transition.roles.includes(role)) {
+        const allowed = transition.roles.map(allowedRole => (allowedRole === SYSTEM ? 'the system' : `the ${allowedRole}`));
+        throw new Error(`Only ${allowed.join(' or ')} can mark a booking ${formatBookingStatus(nextStatus).toLowerCase()}.`);
+    }
+
+    return { from, to: nextStatus, effects: transition.effects, stampField: transition.stampField || null };
+}
+
+/**
+ * Ask the updateBookingStatus Cloud Function to change a booking's status
+ * The function re-plans the transition for the caller's role and writes it with
+ * its statusHistory entry, lock releases, overlapping declines and
+ * notifications in one transaction; the security rules keep clients from
+ * writing any of these.
+ * @param {Object} request - { bookingId, status } or { seriesId, status }, with
+ *   an optional offer { startKey, endKey, rentalTotal, message } for counter-offers
+ * @returns {Promise<Object>} { status, bookingIds, declinedIds } plus the refund terms for cancellations
+ * @throws {Error} When the function rejects the change
+ */
+export function requestBookingTransition(request) {
+    return firebaseService.callFunction('updateBookingStatus', { ...request, timeZone: getLocalTimeZone() });
+}
@@ -0,0 +1,223 @@
+/**
+ * Cart Manager Module
+ * Lets a renter book several items for one date range in a single all-or-nothing request
+ */
+
+import { store } from '../../stores/stateStore.js';
+import { validateBookingDates } from '../../utils/validators.js';
+import { formatDateInputValue, formatPrice } from '../../utils/formatters.js';
+import { checkBookable } from '../availability/availabilityEngine.js';
+import { describeSubmitError, submitBookings } from './bookingManager.js';
+
+/**
+ * Add the currently viewed item to the cart
+ */
+export function addToCart() {
+    const currentUser = store.getCurrentUser();
+    const itemId = store.getCurrentItemId();
+    const item = store.getCurrentItemData();
+    if (!currentUser || !item) return;
+
+    if (item.ownerId === currentUser.uid) {
+        alert('You cannot book your own item.');
+        return;
+    }
+
+    if (item.slotLengthMinutes) {
+        alert('Items booked by time slot cannot be added to the cart. Please book this item on its own.');
+        return;
+    }
+
+    const cartItems = store.getCartItems();
+    if (cartItems.some(cartItem => cartItem.id === itemId)) {
+        alert('This item is already in your cart.');
+        return;
+    }
+
+    store.setCartItems([...cartItems, { ...item, id: itemId }]);
+    updateCartBadge();
+    alert(`🛒 ${item.name} added to your cart.`);
+}
+
+/**
+ * Remove an item from the cart
+ * @param {string} itemId - Item ID to remove
+ */
+export function removeFromCart(itemId) {
+    store.setCartItems(store.getCartItems().filter(item => item.id !== itemId));
+    updateCartBadge();
+    renderCart();
+}
+
+/**
+ * Update the cart item count shown in the navigation
+ */
+export function updateCartBadge() {
+    const badge = document.getElementById('cartCount');
+    if (badge) {
+        badge.textContent = store.getCartItems().length;
+    }
+}
+
+/**
+ * Read the cart's date range from the cart modal
+ * @returns {Object|null} { startKey, endKey, startDate, endDate } or null if either date is missing
+ */
+function getCartDates() {
+    const startDateStr = document.getElementById('cartStartDate')?.value;
+    const endDateStr = document.getElementById('cartEndDate')?.value;
+    if (!startDateStr || !endDateStr) return null;
+
+    // Parse dates in local timezone to avoid timezone offset issues
+    return {
+        startKey: startDateStr,
+        endKey: endDateStr,
+        startDate: new Date(startDateStr + 'T00:00:00'),
+        endDate: new Date(endDateStr + 'T00:00:00')
+    };
+}
+
+/**
+ * Render the cart contents with each item's availability for the selected dates
+ */
+export function renderCart() {
+    const list = document.getElementById('cartItemsList');
+    if (!list) return;
+
+    const cartItems = store.getCartItems();
+    if (cartItems.length === 0) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-emoji">🛒</div>
+                <p>Your cart is empty</p>
+            </div>
+        `;
+        return;
+    }
+
+    const dates = getCartDates();
+    list.innerHTML = cartItems.map(item => {
+        let validationHTML = '';
+        if (dates) {
+            const validation = checkBookable(item, dates.startKey, dates.endKey);
+            validationHTML = validation.valid
+                ? '<small class="cart-item-status available">✅ Available for these dates</small>'
+                : `<small class="cart-item-status unavailable">⚠️ ${validation.message}</small>`;
+        }
+
+        return `
+            <div class="cart-item">
+                <div>
+                    <strong>${item.emoji || '📦'} ${item.name}</strong>
+                    <small>${formatPrice(item.price)} · ${item.ownerName}</small>
+                    ${validationHTML}
+                </div>
+                <button type="button" class="btn-secondary" onclick="removeFromCart('${item.id}')">Remove</button>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Open the cart modal
+ */
+export function openCartModal() {
+    const modal = document.getElementById('cartModal');
+    if (!modal) return;
+
+    const today = formatDateInputValue(new Date());
+    ['cartStartDate', 'cartEndDate'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.setAttribute('min', today);
+            input.onchange = renderCart;
+        }
+    });
+
+    renderCart();
+    modal.classList.add('active');
+}
+
+/**
+ * Close the cart modal
+ */
+export function closeCartModal() {
+    const modal = document.getElementById('cartModal');
+    if (modal) {
+        modal.classList.remove('active');
+    }
+}
+
+/**
+ * Submit every item in the cart as one all-or-nothing booking request
+ * Each item becomes its own booking (so each owner accepts or declines their
+ * part), linked by a shared cartId.
+ * @param {Event} event - Form submission event
+ */
+export async function submitCart(event) {
+    event.preventDefault();
+
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) {
+        alert('You must be logged in to submit a booking request');
+        return;
+    }
+
+    const cartItems = store.getCartItems();
+    if (cartItems.length === 0) {
+        alert('Your cart is empty');
+        return;
+    }
+
+    const dates = getCartDates();
+    if (!dates) {
+        alert('Please select both start and end dates');
+        return;
+    }
+
+    const dateValidation = validateBookingDates(dates.startDate, dates.endDate);
+    if (!dateValidation.valid) {
+        alert(dateValidation.message);
+        return;
+    }
+
+    const unavailable = cartItems
+        .map(item => ({ item, validation: checkBookable(item, dates.startKey, dates.endKey) }))
+        .filter(({ validation }) => !validation.valid);
+    if (unavailable.length > 0) {
+        alert(`Some items are not available for these dates:\n${unavailable.map(({ item, validation }) => `• ${item.name}: ${validation.message}`).join('\n')}`);
+        return;
+    }
+
+    try {
+        const { bookingIds, conflicts, cartId } = await submitBookings({
+            itemIds: cartItems.map(item => item.id),
+            startKey: dates.startKey,
+            endKey: dates.endKey,
+            cart: true
+        });
+        if (conflicts.length > 0) {
+            alert(`❌ Nothing was booked because some items are already taken:\n${conflicts.map(({ itemName, dates: taken }) => `• ${itemName}: ${taken.join(', ')}`).join('\n')}`);
+            return;
+        }
+
+        if (window.logAnalytics) {
+            await Promise.all(cartItems.map(item => window.logAnalytics('request_booking', item.id, {
+                itemName: item.name,
+                ownerId: item.ownerId,
+                startDate: dates.startDate.toISOString(),
+                endDate: dates.endDate.toISOString(),
+                cartId
+            })));
+        }
+
+        store.setCartItems([]);
+        updateCartBadge();
+        closeCartModal();
+        document.getElementById('cartForm')?.reset();
+        alert(`✅ Booking requests for ${bookingIds.length} items submitted! Each owner will respond to their part.`);
+    } catch (error) {
+        console.error('Error submitting cart:', error);
+        alert(describeSubmitError(error, 'Failed to submit booking requests. Please try again.'));
+    }
+}
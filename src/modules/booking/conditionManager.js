@@ -0,0 +1,685 @@
+/**
+ * Condition Manager Module
+ * Condition reports at pickup and return, and damage claims against the
+ * security deposit. Owner and renter each file a checklist with notes and
+ * photos at both handovers; after the return the owner can claim part of the
+ * deposit, the renter acknowledges or disputes it, and an admin arbitrates
+ * disputes. Everything is stored on the booking document and logged in its
+ * statusHistory.
+ */
+
+import { store } from '../../stores/stateStore.js';
+import { firebaseService, query, where, Timestamp, serverTimestamp, arrayUnion } from '../../services/firebaseService.js';
+import {
+    BOOKING_STATUSES,
+    CONDITION_CHECKLIST,
+    DAMAGE_CLAIM_STATUSES,
+    DAMAGE_CLAIM_WINDOW_DAYS,
+    HANDOVER_STAGES
+} from '../../utils/constants.js';
+import { escapeHtml, formatCurrency } from '../../utils/formatters.js';
+import { roundCents } from '../pricing/priceQuote.js';
+import { queueNotification } from '../notifications/notificationManager.js';
+import { BOOKING_ROLES, getBookingRole, normalizeBookingStatus } from './bookingStateMachine.js';
+
+export const MAX_REPORT_PHOTOS = 4;
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Get the handover a condition report would be filed for
+ * @param {Object} booking - Booking data
+ * @returns {string|null} 'pickup', 'return', or null when no report is due
+ */
+export function getReportStage(booking) {
+    const status = normalizeBookingStatus(booking.status);
+    if (status === BOOKING_STATUSES.RETURNED) return 'return';
+    const [stage] = Object.entries(HANDOVER_STAGES).find(([, config]) => config.from.includes(status)) || [];
+    return stage || null;
+}
+
+/**
+ * List the checklist items a report marked as not OK
+ * @param {Object} report - Condition report
+ * @returns {Array<string>} Checklist labels
+ */
+export function listConditionIssues(report) {
+    return CONDITION_CHECKLIST
+        .filter(({ key }) => report.checklist?.[key] === false)
+        .map(({ label }) => label);
+}
+
+/**
+ * Check whether the owner can still raise a damage claim
+ * Claims are possible on returned bookings with a deposit, for a few days
+ * after the return was confirmed.
+ * @param {Object} booking - Booking data
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if a claim can be raised
+ */
+export function canRaiseDamageClaim(booking, now = new Date()) {
+    if (booking.status !== BOOKING_STATUSES.RETURNED || booking.damageClaim) return false;
+    if (!(booking.quote?.securityDeposit > 0)) return false;
+    if (!booking.returnedAt) return true;
+    return now - booking.returnedAt.toDate() <= DAMAGE_CLAIM_WINDOW_DAYS * MS_PER_DAY;
+}
+
+/**
+ * Validate a damage claim amount against the deposit
+ * @param {number} amount - Amount claimed
+ * @param {number} deposit - Security deposit on the booking
+ * @returns {Object} Validation result with { valid: boolean, message: string }
+ */
+export function validateDamageClaim(amount, deposit) {
+    if (Number.isNaN(amount) || amount <= 0) {
+        return { valid: false, message: 'Please enter the amount you are claiming' };
+    }
+    if (amount > deposit) {
+        return { valid: false, message: `A claim cannot exceed the ${formatCurrency(deposit)} security deposit` };
+    }
+    return { valid: true, message: '' };
+}
+
+/**
+ * Split the security deposit between the owner and the renter
+ * @param {number} deposit - Security deposit on the booking
+ * @param {number} chargedAmount - Amount awarded to the owner
+ * @returns {Object} { chargedAmount, refundAmount } - charge capped to the deposit
+ */
+export function settleDeposit(deposit, chargedAmount) {
+    const charged = roundCents(Math.min(deposit, Math.max(0, chargedAmount || 0)));
+    return { chargedAmount: charged, refundAmount: roundCents(deposit - charged) };
+}
+
+/**
+ * Render photo thumbnails linking to the full images
+ * @param {Array<string>} photos - Download URLs
+ * @returns {string} HTML string
+ */
+function renderPhotos(photos = []) {
+    if (photos.length === 0) return '';
+    return `
+        <div class="condition-photos">
+            ${photos.map(url => `<a href="${url}" target="_blank" rel="noopener"><img src="${url}" alt="Condition photo"></a>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Render the condition reports filed on a booking
+ * @param {Object} booking - Booking data
+ * @returns {string} HTML string, empty when nothing was filed
+ */
+export function renderConditionReports(booking) {
+    const reports = booking.conditionReports || {};
+    const filed = Object.keys(HANDOVER_STAGES).flatMap(stage => [BOOKING_ROLES.OWNER, BOOKING_ROLES.RENTER]
+        .filter(role => reports[stage]?.[role])
+        .map(role => ({ stage, role, report: reports[stage][role] })));
+    if (filed.length === 0) return '';
+
+    return `
+        <details class="condition-reports">
+            <summary>📋 Condition reports (${filed.length})</summary>
+            ${filed.map(({ stage, role, report }) => {
+                const issues = listConditionIssues(report);
+                return `
+                    <div class="condition-report">
+                        <strong>${HANDOVER_STAGES[stage].label}, ${role === BOOKING_ROLES.OWNER ? booking.ownerName : booking.renterName}</strong>
+                        <small>${report.at.toDate().toLocaleString()}</small>
+                        <div>${issues.length ? `⚠️ ${issues.join(', ')}` : '✅ All checks OK'}</div>
+                        ${report.notes ? `<div class="condition-notes">${escapeHtml(report.notes)}</div>` : ''}
+                        ${renderPhotos(report.photos)}
+                    </div>
+                `;
+            }).join('')}
+        </details>
+    `;
+}
+
+/**
+ * Render a booking's damage claim and its outcome
+ * @param {Object} booking - Booking data
+ * @returns {string} HTML string, empty without a claim
+ */
+export function renderDamageClaim(booking) {
+    const claim = booking.damageClaim;
+    if (!claim) return '';
+
+    const statusLabel = {
+        [DAMAGE_CLAIM_STATUSES.OPEN]: 'Awaiting renter response',
+        [DAMAGE_CLAIM_STATUSES.DISPUTED]: 'Disputed, awaiting admin decision',
+        [DAMAGE_CLAIM_STATUSES.RESOLVED]: 'Resolved'
+    }[claim.status];
+
+    return `
+        <div class="booking-info damage-claim damage-claim-${claim.status}">
+            <strong>⚠️ Damage claim:</strong> ${formatCurrency(claim.amount)} of ${formatCurrency(booking.quote?.securityDeposit || 0)} deposit · ${statusLabel}
+            <div class="condition-notes">${escapeHtml(claim.description)}</div>
+            ${renderPhotos(claim.photos)}
+            ${claim.response ? `<div><strong>Renter:</strong> ${escapeHtml(claim.response.message)}</div>` : ''}
+            ${claim.resolution ? `
+            <div>
+                <strong>Outcome:</strong> ${formatCurrency(claim.resolution.chargedAmount)} charged, ${formatCurrency(claim.resolution.refundAmount)} refunded
+                (${claim.resolution.decidedBy === 'admin' ? 'admin decision' : 'accepted by renter'})${claim.resolution.note ? `: ${escapeHtml(claim.resolution.note)}` : ''}
+            </div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Render the condition and damage actions for a booking card
+ * @param {Object} booking - Booking data including its id
+ * @param {string} role - 'owner' or 'renter'
+ * @returns {string} HTML string with buttons, empty when nothing is due
+ */
+export function renderConditionActions(booking, role) {
+    const buttons = [];
+    const stage = getReportStage(booking);
+    if (stage && !booking.conditionReports?.[stage]?.[role]) {
+        buttons.push(`<button class="btn-secondary" onclick="openConditionReportModal('${booking.id}', '${stage}')">📋 ${HANDOVER_STAGES[stage].label} Condition Report</button>`);
+    }
+    if (role === BOOKING_ROLES.OWNER && canRaiseDamageClaim(booking)) {
+        buttons.push(`<button class="btn-secondary" onclick="openDamageClaimModal('${booking.id}')">⚠️ Raise Damage Claim</button>`);
+    }
+    if (role === BOOKING_ROLES.RENTER && booking.damageClaim?.status === DAMAGE_CLAIM_STATUSES.OPEN) {
+        buttons.push(`<button class="btn-primary" onclick="openDamageResponseModal('${booking.id}')">⚠️ Respond to Damage Claim</button>`);
+    }
+    return buttons.join('');
+}
+
+/**
+ * Upload photos for a booking
+ * @param {string} bookingId - Booking document ID
+ * @param {string} folder - Folder under the booking (e.g. 'pickup-owner', 'damage')
+ * @param {FileList|Array<File>} files - Selected image files
+ * @returns {Promise<Array<string>>} Download URLs
+ */
+async function uploadPhotos(bookingId, folder, files) {
+    const stamp = Date.now();
+    return Promise.all(Array.from(files).map((file, index) =>
+        firebaseService.uploadFile(`bookings/${bookingId}/${folder}/${stamp}_${index}_${file.name}`, file)
+    ));
+}
+
+/**
+ * Read photo files from an input, enforcing the per-report limit
+ * @param {string} inputId - File input element ID
+ * @returns {Array<File>|null} Files, or null after alerting when there are too many
+ */
+function readPhotoInput(inputId) {
+    const files = Array.from(document.getElementById(inputId)?.files || []);
+    if (files.length > MAX_REPORT_PHOTOS) {
+        alert(`Please attach at most ${MAX_REPORT_PHOTOS} photos.`);
+        return null;
+    }
+    return files;
+}
+
+/**
+ * Reload the dashboard the current user acted from
+ * @param {string} role - 'owner' or 'renter'
+ */
+function reloadDashboard(role) {
+    const reload = role === BOOKING_ROLES.OWNER ? window.loadOwnerBookings : window.loadMyBookings;
+    if (typeof reload === 'function') {
+        reload();
+    }
+}
+
+/**
+ * Load a booking the current user takes part in
+ * @param {string} bookingId - Booking document ID
+ * @returns {Promise<Object|null>} { booking, role, userId }, or null after alerting
+ */
+async function loadOwnBooking(bookingId) {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return null;
+
+    const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', bookingId));
+    if (!bookingSnap.exists()) {
+        alert('Booking not found');
+        return null;
+    }
+    const booking = bookingSnap.data();
+    const role = getBookingRole(booking, currentUser.uid);
+    if (!role) {
+        alert('Only the owner or renter can do this.');
+        return null;
+    }
+    return { booking, role, userId: currentUser.uid };
+}
+
+/**
+ * Open the condition report modal for a handover
+ * @param {string} bookingId - Booking document ID
+ * @param {string} stage - 'pickup' or 'return'
+ */
+export function openConditionReportModal(bookingId, stage) {
+    const config = HANDOVER_STAGES[stage];
+    if (!config) return;
+
+    document.getElementById('conditionBookingId').value = bookingId;
+    document.getElementById('conditionStage').value = stage;
+    document.getElementById('conditionReportTitle').textContent = `📋 ${config.label} Condition Report`;
+    document.getElementById('conditionChecklist').innerHTML = CONDITION_CHECKLIST.map(({ key, label }) => `
+        <label><input type="checkbox" value="${key}" checked> ${label}</label>
+    `).join('');
+    document.getElementById('conditionReportModal')?.classList.add('active');
+}
+
+/**
+ * Close the condition report modal
+ */
+export function closeConditionReportModal() {
+    document.getElementById('conditionReportModal')?.classList.remove('active');
+    document.getElementById('conditionReportForm')?.reset();
+}
+
+/**
+ * Save the current user's condition report from the modal
+ * @param {Event} event - Form submission event
+ */
+export async function submitConditionReport(event) {
+    event.preventDefault();
+
+    const bookingId = document.getElementById('conditionBookingId').value;
+    const stage = document.getElementById('conditionStage').value;
+    const notes = document.getElementById('conditionNotes').value.trim();
+    const files = readPhotoInput('conditionPhotos');
+    if (!files) return;
+
+    const checked = Array.from(document.querySelectorAll('#conditionChecklist input:checked')).map(input => input.value);
+    const checklist = Object.fromEntries(CONDITION_CHECKLIST.map(({ key }) => [key, checked.includes(key)]));
+
+    try {
+        const loaded = await loadOwnBooking(bookingId);
+        if (!loaded) return;
+        const { booking, role, userId } = loaded;
+        if (getReportStage(booking) !== stage) {
+            alert(`A ${HANDOVER_STAGES[stage].label.toLowerCase()} report can no longer be filed for this booking.`);
+            return;
+        }
+
+        const photos = await uploadPhotos(bookingId, `${stage}-${role}`, files);
+        const report = { checklist, notes, photos, at: Timestamp.now(), by: userId };
+        const issues = listConditionIssues(report);
+
+        const batch = firebaseService.writeBatch();
+        batch.update(firebaseService.doc('bookings', bookingId), {
+            [`conditionReports.${stage}.${role}`]: report,
+            statusHistory: arrayUnion({
+                status: booking.status,
+                at: report.at,
+                by: userId,
+                reason: `${HANDOVER_STAGES[stage].label} condition report${issues.length ? `: ${issues.join(', ')}` : ''}`
+            }),
+            updatedAt: serverTimestamp()
+        });
+        queueNotification(batch, {
+            userId: role === BOOKING_ROLES.OWNER ? booking.renterId : booking.ownerId,
+            type: 'condition_report',
+            bookingId,
+            itemId: booking.itemId,
+            message: `${role === BOOKING_ROLES.OWNER ? booking.ownerName : booking.renterName} filed a ${HANDOVER_STAGES[stage].label.toLowerCase()} condition report for ${booking.itemName}${issues.length ? ` noting: ${issues.join(', ')}` : ''}.`
+        });
+        await batch.commit();
+
+        closeConditionReportModal();
+        alert('✅ Condition report saved.');
+        reloadDashboard(role);
+    } catch (error) {
+        console.error('Error saving condition report:', error);
+        alert('Failed to save condition report. Please try again.');
+    }
+}
+
+/**
+ * Open the damage claim modal for a returned booking
+ * @param {string} bookingId - Booking document ID
+ */
+export async function openDamageClaimModal(bookingId) {
+    try {
+        const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', bookingId));
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+
+        const deposit = bookingSnap.data().quote?.securityDeposit || 0;
+        document.getElementById('damageBookingId').value = bookingId;
+        document.getElementById('damageDepositInfo').textContent = formatCurrency(deposit);
+        document.getElementById('damageAmount').max = deposit;
+        document.getElementById('damageClaimModal')?.classList.add('active');
+    } catch (error) {
+        console.error('Error opening damage claim:', error);
+        alert('Failed to load this booking. Please try again.');
+    }
+}
+
+/**
+ * Close the damage claim modal
+ */
+export function closeDamageClaimModal() {
+    document.getElementById('damageClaimModal')?.classList.remove('active');
+    document.getElementById('damageClaimForm')?.reset();
+}
+
+/**
+ * Raise a damage claim against the deposit from the modal
+ * @param {Event} event - Form submission event
+ */
+export async function submitDamageClaim(event) {
+    event.preventDefault();
+
+    const bookingId = document.getElementById('damageBookingId').value;
+    const amount = parseFloat(document.getElementById('damageAmount').value);
+    const description = document.getElementById('damageDescription').value.trim();
+    const files = readPhotoInput('damagePhotos');
+    if (!files) return;
+
+    try {
+        const loaded = await loadOwnBooking(bookingId);
+        if (!loaded) return;
+        const { booking, role, userId } = loaded;
+        if (role !== BOOKING_ROLES.OWNER || !canRaiseDamageClaim(booking)) {
+            alert(`Damage claims can only be raised by the owner within ${DAMAGE_CLAIM_WINDOW_DAYS} days of the return.`);
+            return;
+        }
+
+        const validation = validateDamageClaim(amount, booking.quote.securityDeposit);
+        if (!validation.valid) {
+            alert(validation.message);
+            return;
+        }
+
+        const photos = await uploadPhotos(bookingId, 'damage', files);
+        const raisedAt = Timestamp.now();
+        const batch = firebaseService.writeBatch();
+        batch.update(firebaseService.doc('bookings', bookingId), {
+            damageClaim: {
+                amount: roundCents(amount),
+                description,
+                photos,
+                status: DAMAGE_CLAIM_STATUSES.OPEN,
+                raisedAt,
+                raisedBy: userId
+            },
+            statusHistory: arrayUnion({
+                status: booking.status,
+                at: raisedAt,
+                by: userId,
+                reason: `Damage claim raised: ${formatCurrency(amount)}`
+            }),
+            updatedAt: serverTimestamp()
+        });
+        queueNotification(batch, {
+            userId: booking.renterId,
+            type: 'damage_claim',
+            bookingId,
+            itemId: booking.itemId,
+            message: `${booking.ownerName} raised a ${formatCurrency(amount)} damage claim against your deposit for ${booking.itemName}. Please respond.`
+        });
+        await batch.commit();
+
+        closeDamageClaimModal();
+        alert('✅ Damage claim sent to the renter.');
+        reloadDashboard(role);
+    } catch (error) {
+        console.error('Error raising damage claim:', error);
+        alert('Failed to raise damage claim. Please try again.');
+    }
+}
+
+/**
+ * Open the modal where the renter answers a damage claim
+ * @param {string} bookingId - Booking document ID
+ */
+export function openDamageResponseModal(bookingId) {
+    document.getElementById('damageResponseBookingId').value = bookingId;
+    document.getElementById('damageResponseModal')?.classList.add('active');
+}
+
+/**
+ * Close the damage response modal
+ */
+export function closeDamageResponseModal() {
+    document.getElementById('damageResponseModal')?.classList.remove('active');
+    document.getElementById('damageResponseForm')?.reset();
+}
+
+/**
+ * Answer an open damage claim as the renter
+ * Accepting settles the deposit straight away; disputing hands the claim to
+ * an admin.
+ * @param {string} decision - 'accept' or 'dispute'
+ */
+export async function respondToDamageClaim(decision) {
+    const bookingId = document.getElementById('damageResponseBookingId').value;
+    const message = document.getElementById('damageResponseMessage').value.trim();
+    if (decision === 'dispute' && !message) {
+        alert('Please explain why you dispute the claim.');
+        return;
+    }
+
+    try {
+        const loaded = await loadOwnBooking(bookingId);
+        if (!loaded) return;
+        const { booking, role, userId } = loaded;
+        if (role !== BOOKING_ROLES.RENTER || booking.damageClaim?.status !== DAMAGE_CLAIM_STATUSES.OPEN) {
+            alert('This damage claim is no longer open.');
+            return;
+        }
+
+        const at = Timestamp.now();
+        const claim = booking.damageClaim;
+        const response = { message, at, by: userId };
+        const accepted = decision === 'accept';
+        const updates = accepted
+            ? {
+                'damageClaim.status': DAMAGE_CLAIM_STATUSES.RESOLVED,
+                'damageClaim.response': response,
+                'damageClaim.resolution': {
+                    ...settleDeposit(booking.quote.securityDeposit, claim.amount),
+                    decidedBy: 'renter',
+                    by: userId,
+                    at
+                },
+                damageFlagged: true
+            }
+            : {
+                'damageClaim.status': DAMAGE_CLAIM_STATUSES.DISPUTED,
+                'damageClaim.response': response
+            };
+
+        const batch = firebaseService.writeBatch();
+        batch.update(firebaseService.doc('bookings', bookingId), {
+            ...updates,
+            statusHistory: arrayUnion({
+                status: booking.status,
+                at,
+                by: userId,
+                reason: accepted ? `Damage claim accepted: ${formatCurrency(claim.amount)} charged` : 'Damage claim disputed'
+            }),
+            updatedAt: serverTimestamp()
+        });
+        queueNotification(batch, {
+            userId: booking.ownerId,
+            type: accepted ? 'damage_claim_resolved' : 'damage_claim_disputed',
+            bookingId,
+            itemId: booking.itemId,
+            message: accepted
+                ? `${booking.renterName} accepted your ${formatCurrency(claim.amount)} damage claim for ${booking.itemName}.`
+                : `${booking.renterName} disputed your damage claim for ${booking.itemName}. An admin will review it.`
+        });
+        await batch.commit();
+
+        closeDamageResponseModal();
+        alert(accepted
+            ? `✅ Claim accepted. ${formatCurrency(claim.amount)} will be kept from your deposit.`
+            : '✅ Claim disputed. An admin will review both sides.');
+        reloadDashboard(role);
+    } catch (error) {
+        console.error('Error responding to damage claim:', error);
+        alert('Failed to respond to the damage claim. Please try again.');
+    }
+}
+
+/**
+ * Check whether a user is an admin
+ * Admins are listed in the `admins` collection by user ID.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True for admins
+ */
+export async function isAdmin(userId) {
+    try {
+        const adminSnap = await firebaseService.getDoc(firebaseService.doc('admins', userId));
+        return adminSnap.exists();
+    } catch (error) {
+        console.error('Error checking admin access:', error);
+        return false;
+    }
+}
+
+/**
+ * Load disputed damage claims into the admin section of the dashboard
+ */
+export async function loadDisputedClaims() {
+    const container = document.getElementById('adminDisputes');
+    const currentUser = store.getCurrentUser();
+    if (!container || !currentUser) return;
+
+    if (!(await isAdmin(currentUser.uid))) {
+        container.innerHTML = '<p class="dashboard-subtitle">Only admins can arbitrate damage disputes.</p>';
+        return;
+    }
+
+    try {
+        const snapshot = await firebaseService.getDocs(query(
+            firebaseService.collection('bookings'),
+            where('damageClaim.status', '==', DAMAGE_CLAIM_STATUSES.DISPUTED)
+        ));
+        if (snapshot.empty) {
+            container.innerHTML = '<p class="dashboard-subtitle">No open disputes 🎉</p>';
+            return;
+        }
+
+        container.innerHTML = snapshot.docs.map(docSnap => {
+            const booking = { id: docSnap.id, ...docSnap.data() };
+            return `
+                <div class="booking-request-card">
+                    <div class="booking-header">
+                        <h3>${booking.itemName}</h3>
+                        <span class="booking-status status-countered">Disputed</span>
+                    </div>
+                    <div class="booking-details">
+                        <div class="booking-info">
+                            <strong>Owner:</strong> ${booking.ownerName} · <strong>Renter:</strong> ${booking.renterName}
+                        </div>
+                        ${renderDamageClaim(booking)}
+                        ${renderConditionReports(booking)}
+                    </div>
+                    <div class="booking-actions">
+                        <button class="btn-primary" onclick="openResolutionModal('${booking.id}')">⚖️ Resolve</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading disputes:', error);
+        container.innerHTML = '<p class="dashboard-subtitle">Error loading disputes. Please refresh.</p>';
+    }
+}
+
+/**
+ * Open the admin resolution modal for a disputed claim
+ * @param {string} bookingId - Booking document ID
+ */
+export function openResolutionModal(bookingId) {
+    document.getElementById('resolutionBookingId').value = bookingId;
+    document.getElementById('damageResolutionModal')?.classList.add('active');
+}
+
+/**
+ * Close the admin resolution modal
+ */
+export function closeResolutionModal() {
+    document.getElementById('damageResolutionModal')?.classList.remove('active');
+    document.getElementById('damageResolutionForm')?.reset();
+}
+
+/**
+ * Record an admin's decision on a disputed claim from the modal
+ * @param {Event} event - Form submission event
+ */
+export async function submitResolution(event) {
+    event.preventDefault();
+
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    const bookingId = document.getElementById('resolutionBookingId').value;
+    const chargedAmount = parseFloat(document.getElementById('resolutionAmount').value);
+    const note = document.getElementById('resolutionNote').value.trim();
+    if (Number.isNaN(chargedAmount) || chargedAmount < 0) {
+        alert('Please enter the amount charged to the renter (0 for none).');
+        return;
+    }
+
+    try {
+        if (!(await isAdmin(currentUser.uid))) {
+            alert('Only admins can resolve disputes.');
+            return;
+        }
+
+        const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', bookingId));
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+        const booking = bookingSnap.data();
+        if (booking.damageClaim?.status !== DAMAGE_CLAIM_STATUSES.DISPUTED) {
+            alert('This dispute has already been resolved.');
+            return;
+        }
+
+        const at = Timestamp.now();
+        const resolution = {
+            ...settleDeposit(booking.quote?.securityDeposit || 0, chargedAmount),
+            note,
+            decidedBy: 'admin',
+            by: currentUser.uid,
+            at
+        };
+
+        const batch = firebaseService.writeBatch();
+        batch.update(firebaseService.doc('bookings', bookingId), {
+            'damageClaim.status': DAMAGE_CLAIM_STATUSES.RESOLVED,
+            'damageClaim.resolution': resolution,
+            ...(resolution.chargedAmount > 0 ? { damageFlagged: true } : {}),
+            statusHistory: arrayUnion({
+                status: booking.status,
+                at,
+                by: currentUser.uid,
+                reason: `Damage dispute resolved by admin: ${formatCurrency(resolution.chargedAmount)} charged`
+            }),
+            updatedAt: serverTimestamp()
+        });
+        [booking.ownerId, booking.renterId].forEach(userId => {
+            queueNotification(batch, {
+                userId,
+                type: 'damage_claim_resolved',
+                bookingId,
+                itemId: booking.itemId,
+                message: `The damage dispute for ${booking.itemName} was resolved: ${formatCurrency(resolution.chargedAmount)} charged, ${formatCurrency(resolution.refundAmount)} of the deposit refunded.`
+            });
+        });
+        await batch.commit();
+
+        closeResolutionModal();
+        alert('✅ Dispute resolved. Both parties have been notified.');
+        loadDisputedClaims();
+    } catch (error) {
+        console.error('Error resolving dispute:', error);
+        alert('Failed to resolve dispute. Please try again.');
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * Extension Manager Module
+ * Lets renters ask for more days on an accepted or active rental. The request
+ * is stored on the booking as `extensionRequest` until the owner approves it.
+ * Approving claims date locks and moves the booking's dates and quote, which
+ * the security rules leave to the approveExtension Cloud Function.
+ */
+
+import { store } from '../../stores/stateStore.js';
+import { firebaseService, Timestamp, serverTimestamp } from '../../services/firebaseService.js';
+import { BOOKING_STATUSES } from '../../utils/constants.js';
+import { buildLockIds } from '../../utils/validators.js';
+import { formatCurrency, formatDateInputValue } from '../../utils/formatters.js';
+import { checkBookable } from '../availability/availabilityEngine.js';
+import { extendQuote } from '../pricing/priceQuote.js';
+import { queueNotification } from '../notifications/notificationManager.js';
+import { normalizeBookingStatus } from './bookingStateMachine.js';
+
+const EXTENDABLE_STATUSES = [BOOKING_STATUSES.ACCEPTED, BOOKING_STATUSES.PICKED_UP];
+
+/**
+ * Check whether a renter can ask to extend a booking
+ * Only accepted or picked-up day bookings without an open request qualify.
+ * @param {Object} booking - Booking data
+ * @returns {boolean} True if the extend action should be offered
+ */
+export function canRequestExtension(booking) {
+    return EXTENDABLE_STATUSES.includes(normalizeBookingStatus(booking.status))
+        && !booking.slots?.length
+        && !booking.extensionRequest;
+}
+
+/**
+ * Get the day after a booking currently ends
+ * @param {Object} booking - Booking data with an endDate Timestamp
+ * @returns {Date} Local midnight of the first extra day
+ */
+function firstExtraDay(booking) {
+    const day = booking.endDate.toDate();
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() + 1);
+    return day;
+}
+
+/**
+ * Check whether a lock stands in the way of extending a booking
+ * The booking's own locks (including its turnaround buffer), the renter's
+ * waitlist holds and expired holds do not.
+ * @param {Object} lock - Lock document data
+ * @param {string} bookingId - Booking being extended
+ * @param {Object} booking - Booking data
+ * @returns {boolean} True if another booking or hold has the day
+ */
+function isLockTaken(lock, bookingId, booking) {
+    if (lock.bookingId) return lock.bookingId !== bookingId;
+    if (!lock.holdFor) return true;
+    return lock.holdFor !== booking.renterId && lock.holdExpiresAt.toMillis() >= Date.now();
+}
+
+/**
+ * Render the open extension request on a booking card
+ * @param {Object} booking - Booking data including its id
+ * @param {string} role - 'renter' or 'owner'
+ * @returns {string} HTML string, empty without an open request
+ */
+export function renderExtensionRequest(booking, role) {
+    const request = booking.extensionRequest;
+    if (!request) return '';
+
+    const summary = `until ${request.endDate.toDate().toLocaleDateString()}${request.quote ? ` · new total ${formatCurrency(request.quote.rentalTotal)}` : ''}`;
+    if (role === 'owner') {
+        return `
+            <div class="booking-info extension-request">
+                <strong>Extension requested:</strong> ${summary}
+                <div class="booking-actions">
+                    <button class="btn-primary" onclick="approveExtension('${booking.id}')">✅ Approve Extension</button>
+                    <button class="btn-secondary" onclick="declineExtension('${booking.id}')">❌ Decline Extension</button>
+                </div>
+            </div>
+        `;
+    }
+    return `
+        <div class="booking-info extension-request">
+            <strong>Extension requested:</strong> ${summary} (waiting for the owner)
+        </div>
+    `;
+}
+
+/**
+ * Open the extension modal for a booking
+ * @param {string} bookingId - Booking document ID
+ */
+export async function openExtensionModal(bookingId) {
+    try {
+        const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', bookingId));
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+
+        const booking = bookingSnap.data();
+        const minDate = formatDateInputValue(firstExtraDay(booking));
+        const endInput = document.getElementById('extensionEndDate');
+        document.getElementById('extensionBookingId').value = bookingId;
+        document.getElementById('extensionCurrentEnd').textContent = booking.endDate.toDate().toLocaleDateString();
+        endInput.min = minDate;
+        endInput.value = minDate;
+        document.getElementById('extensionModal')?.classList.add('active');
+    } catch (error) {
+        console.error('Error opening extension request:', error);
+        alert('Failed to load this booking. Please try again.');
+    }
+}
+
+/**
+ * Close the extension modal
+ */
+export function closeExtensionModal() {
+    document.getElementById('extensionModal')?.classList.remove('active');
+    document.getElementById('extensionForm')?.reset();
+}
+
+/**
+ * Send an extension request from the modal
+ * The extra days are checked against the item's rules and bookingLocks now,
+ * and again when the owner approves.
+ * @param {Event} event - Form submission event
+ */
+export async function submitExtensionRequest(event) {
+    event.preventDefault();
+
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    const bookingId = document.getElementById('extensionBookingId').value;
+    const endDateStr = document.getElementById('extensionEndDate').value;
+    const endDate = new Date(endDateStr + 'T00:00:00');
+
+    try {
+        const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', bookingId));
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+
+        const booking = bookingSnap.data();
+        if (booking.renterId !== currentUser.uid) {
+            alert('Only the renter can extend this booking.');
+            return;
+        }
+        if (!canRequestExtension(booking)) {
+            alert('This booking cannot be extended.');
+            return;
+        }
+        if (endDate < firstExtraDay(booking)) {
+            alert('Please pick a date after the current return date.');
+            return;
+        }
+
+        const itemSnap = await firebaseService.getDoc(firebaseService.doc('items', booking.itemId));
+        if (!itemSnap.exists()) {
+            alert('This item is no longer listed.');
+            return;
+        }
+
+        // The lead time was met when the booking was made
+        const item = itemSnap.data();
+        const startDate = booking.startDate.toDate();
+        const availabilityCheck = checkBookable(item, formatDateInputValue(startDate), endDateStr, {
+            now: booking.createdAt?.toDate() || startDate
+        });
+        if (!availabilityCheck.valid) {
+            alert(availabilityCheck.message);
+            return;
+        }
+
+        const lockIds = buildLockIds(booking.itemId, firstExtraDay(booking), endDate);
+        const lockSnaps = await Promise.all(
+            lockIds.map(lockId => firebaseService.getDoc(firebaseService.doc('bookingLocks', lockId)))
+        );
+        const takenDates = lockSnaps
+            .filter(lockSnap => lockSnap.exists() && isLockTaken(lockSnap.data(), bookingId, booking))
+            .map(lockSnap => lockSnap.id.split('_').pop());
+        if (takenDates.length > 0) {
+            alert(`Sorry, these dates are already booked: ${takenDates.join(', ')}`);
+            return;
+        }
+
+        const quote = extendQuote(booking.quote, item, startDate, endDate);
+        const batch = firebaseService.writeBatch();
+        batch.update(firebaseService.doc('bookings', bookingId), {
+            extensionRequest: {
+                endDate: Timestamp.fromDate(endDate),
+                quote,
+                requestedAt: Timestamp.now()
+            },
+            updatedAt: serverTimestamp()
+        });
+        queueNotification(batch, {
+            userId: booking.ownerId,
+            type: 'booking_extension_requested',
+            bookingId,
+            itemId: booking.itemId,
+            message: `${booking.renterName} asked to keep ${booking.itemName} until ${endDate.toLocaleDateString()}.`
+        });
+        await batch.commit();
+
+        closeExtensionModal();
+        alert(`✅ Extension requested! New total: ${formatCurrency(quote.rentalTotal)}. The owner will review it.`);
+        if (typeof window.loadMyBookings === 'function') {
+            window.loadMyBookings();
+        }
+    } catch (error) {
+        console.error('Error requesting extension:', error);
+        alert('Failed to request extension. Please try again.');
+    }
+}
+
+/**
+ * Approve a booking's extension request
+ * The approveExtension Cloud Function claims the extra days, moves the trailing
+ * turnaround buffer past the new end date and updates the booking's endDate,
+ * lockIds and quote in one transaction, so a booking made meanwhile makes the
+ * approval fail instead of double-booking the item.
+ * @param {string} bookingId - Booking document ID
+ */
+export async function approveExtension(bookingId) {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+        const { endDate } = await firebaseService.callFunction('approveExtension', { bookingId });
+
+        alert(`✅ Extension approved! The booking now ends on ${new Date(endDate).toLocaleDateString()}.`);
+        if (typeof window.loadOwnerBookings === 'function') {
+            window.loadOwnerBookings();
+        }
+    } catch (error) {
+        console.error('Error approving extension:', error);
+        alert(error.message || 'Failed to approve extension. Please try again.');
+    }
+}
+
+/**
+ * Decline a booking's extension request
+ * The booking keeps its current dates.
+ * @param {string} bookingId - Booking document ID
+ */
+export async function declineExtension(bookingId) {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    if (!confirm('Decline this extension request? The booking keeps its current return date.')) return;
+
+    try {
+        const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', bookingId));
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+
+        const booking = bookingSnap.data();
+        const batch = firebaseService.writeBatch();
+        batch.update(firebaseService.doc('bookings', bookingId), {
+            extensionRequest: null,
+            updatedAt: serverTimestamp()
+        });
+        queueNotification(batch, {
+            userId: booking.renterId,
+            type: 'booking_extension_declined',
+            bookingId,
+            itemId: booking.itemId,
+            message: `${booking.ownerName} declined your extension for ${booking.itemName}. Please return it by ${booking.endDate.toDate().toLocaleDateString()}.`
+        });
+        await batch.commit();
+
+        alert('Extension declined. The renter has been notified.');
+        if (typeof window.loadOwnerBookings === 'function') {
+            window.loadOwnerBookings();
+        }
+    } catch (error) {
+        console.error('Error declining extension:', error);
+        alert('Failed to decline extension. Please try again.');
+    }
+}
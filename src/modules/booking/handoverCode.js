@@ -0,0 +1,258 @@
+/**
+ * Handover Code Module
+ * One-time codes that prove a handover happened between the two parties of a
+ * booking. At pickup the renter shows a code (and its QR image) and the owner
+ * enters or scans it; at return the roles reverse. Codes are issued and checked
+ * by the booking-handover Cloud Functions, which keep only a salted hash where
+ * no client can read it, void a code after a few wrong guesses and move the
+ * booking on once a code checks out. A code expires a few minutes after it is shown.
+ */
+
+import { firebaseService } from '../../services/firebaseService.js';
+import { HANDOVER_STAGES } from '../../utils/constants.js';
+import { BOOKING_ROLES, normalizeBookingStatus } from './bookingStateMachine.js';
+
+const CODE_LENGTH = 6;
+const PAYLOAD_PREFIX = 'cshare-handover';
+const QR_MODULE_URL = 'https://cdn.jsdelivr.net/npm/qrcode@1.5.4/+esm';
+
+let scanStream = null;
+
+/**
+ * Normalize a typed code: uppercase, without spaces or dashes
+ * @param {string} input - Code as entered
+ * @returns {string} Normalized code
+ */
+export function normalizeHandoverCode(input) {
+    return String(input || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Build the text encoded in a handover QR image
+ * @param {string} bookingId - Booking document ID
+ * @param {string} stage - 'pickup' or 'return'
+ * @param {string} code - Handover code
+ * @returns {string} QR payload
+ */
+export function buildHandoverPayload(bookingId, stage, code) {
+    return `${PAYLOAD_PREFIX}:${bookingId}:${stage}:${code}`;
+}
+
+/**
+ * Read a scanned QR payload
+ * @param {string} text - Scanned text
+ * @returns {Object|null} { bookingId, stage, code }, or null for other QR codes
+ */
+export function parseHandoverPayload(text) {
+    const [prefix, bookingId, stage, code, ...rest] = String(text || '').split(':');
+    if (prefix !== PAYLOAD_PREFIX || rest.length > 0 || !bookingId || !HANDOVER_STAGES[stage] || !code) {
+        return null;
+    }
+    return { bookingId, stage, code: normalizeHandoverCode(code) };
+}
+
+/**
+ * Render the handover button for a booking card
+ * The code holder gets a button to show their code; the other party gets one
+ * to enter or scan it.
+ * @param {Object} booking - Booking data including its id
+ * @param {string} role - 'owner' or 'renter'
+ * @returns {string} HTML string, empty when no handover is due
+ */
+export function renderHandoverAction(booking, role) {
+    const status = normalizeBookingStatus(booking.status);
+    const [stage, config] = Object.entries(HANDOVER_STAGES).find(([, stageConfig]) => stageConfig.from.includes(status)) || [];
+    if (!stage) return '';
+
+    if (role === config.codeHolder) {
+        return `<button class="btn-primary" onclick="showHandoverCode('${booking.id}', '${stage}')">🔑 Show ${config.label} Code</button>`;
+    }
+    return `<button class="btn-primary" onclick="openHandoverVerifyModal('${booking.id}', '${stage}')">🔑 Enter ${config.label} Code</button>`;
+}
+
+/**
+ * Render a QR image of the payload into a container
+ * The QR encoder is loaded on first use; without it the typed code still works.
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} payload - Text to encode
+ */
+async function renderQrImage(container, payload) {
+    container.innerHTML = '';
+    try {
+        const { default: QRCode } = await import(QR_MODULE_URL);
+        const dataUrl = await QRCode.toDataURL(payload, { width: 220, margin: 1 });
+        container.innerHTML = `<img src="${dataUrl}" alt="Handover QR code">`;
+    } catch (error) {
+        console.error('Error rendering QR code:', error);
+        container.innerHTML = '<p class="dashboard-subtitle">QR image unavailable. Read the code out instead.</p>';
+    }
+}
+
+/**
+ * Issue a fresh code for the current user and show it with its QR image
+ * Issuing a new code replaces any earlier one for the same handover.
+ * @param {string} bookingId - Booking document ID
+ * @param {string} stage - 'pickup' or 'return'
+ */
+export async function showHandoverCode(bookingId, stage) {
+    const config = HANDOVER_STAGES[stage];
+    if (!config) return;
+
+    try {
+        const { code, expiresAt } = await firebaseService.callFunction('issueHandoverCode', { bookingId, stage });
+
+        document.getElementById('handoverCodeTitle').textContent = `🔑 ${config.label} Code`;
+        document.getElementById('handoverCodeValue').textContent = `${code.slice(0, 3)}-${code.slice(3)}`;
+        document.getElementById('handoverCodeExpiry').textContent = new Date(expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        document.getElementById('handoverCodeModal')?.classList.add('active');
+        await renderQrImage(document.getElementById('handoverCodeQr'), buildHandoverPayload(bookingId, stage, code));
+    } catch (error) {
+        console.error('Error issuing handover code:', error);
+        alert(error.message || 'Failed to create a handover code. Please try again.');
+    }
+}
+
+/**
+ * Close the handover code modal
+ */
+export function closeHandoverCodeModal() {
+    document.getElementById('handoverCodeModal')?.classList.remove('active');
+    document.getElementById('handoverCodeValue').textContent = '';
+    document.getElementById('handoverCodeQr').innerHTML = '';
+}
+
+/**
+ * Open the modal where the other party enters or scans the code
+ * @param {string} bookingId - Booking document ID
+ * @param {string} stage - 'pickup' or 'return'
+ */
+export function openHandoverVerifyModal(bookingId, stage) {
+    const config = HANDOVER_STAGES[stage];
+    if (!config) return;
+
+    document.getElementById('handoverVerifyBookingId').value = bookingId;
+    document.getElementById('handoverVerifyStage').value = stage;
+    document.getElementById('handoverVerifyTitle').textContent = `🔑 Confirm ${config.label}`;
+    document.getElementById('handoverVerifyHint').textContent = `Ask the ${config.codeHolder} to show their ${config.label.toLowerCase()} code, then type it in or scan the QR image.`;
+    const scanButton = document.getElementById('scanHandoverCodeBtn');
+    if (scanButton) scanButton.style.display = 'BarcodeDetector' in window ? '' : 'none';
+    document.getElementById('handoverVerifyModal')?.classList.add('active');
+}
+
+/**
+ * Close the verify modal, stopping the camera if it is running
+ */
+export function closeHandoverVerifyModal() {
+    stopHandoverScan();
+    document.getElementById('handoverVerifyModal')?.classList.remove('active');
+    document.getElementById('handoverVerifyForm')?.reset();
+}
+
+/**
+ * Stop the QR scanner camera
+ */
+function stopHandoverScan() {
+    if (scanStream) {
+        scanStream.getTracks().forEach(track => track.stop());
+        scanStream = null;
+    }
+    const video = document.getElementById('handoverScanVideo');
+    if (video) video.style.display = 'none';
+}
+
+/**
+ * Scan a handover QR image with the camera and fill in the code
+ * Uses the browser's BarcodeDetector; the scan button is hidden where it is
+ * not supported.
+ */
+export async function startHandoverScan() {
+    const video = document.getElementById('handoverScanVideo');
+    const bookingId = document.getElementById('handoverVerifyBookingId').value;
+    const stage = document.getElementById('handoverVerifyStage').value;
+    if (!video || scanStream) return;
+
+    try {
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        video.srcObject = scanStream;
+        video.style.display = '';
+        await video.play();
+
+        while (scanStream) {
+            const [barcode] = await detector.detect(video);
+            const payload = barcode && parseHandoverPayload(barcode.rawValue);
+            if (payload) {
+                stopHandoverScan();
+                if (payload.bookingId !== bookingId || payload.stage !== stage) {
+                    alert('This QR code belongs to a different booking or handover.');
+                    return;
+                }
+                document.getElementById('handoverVerifyCode').value = payload.code;
+                document.getElementById('handoverVerifyForm')?.requestSubmit();
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+    } catch (error) {
+        stopHandoverScan();
+        console.error('Error scanning handover code:', error);
+        alert('Could not use the camera. Please type the code instead.');
+    }
+}
+
+/**
+ * Confirm a pickup or return handover with the code holder's code
+ * The confirmHandover Cloud Function checks the code and, when it is valid,
+ * moves the booking to the stage's next status so the code cannot be used again.
+ * @param {string} bookingId - Booking document ID
+ * @param {string} stage - Handover stage ('pickup' or 'return')
+ * @param {string} code - Code entered or scanned by the other party
+ * @returns {Promise<boolean>} True once the handover is confirmed
+ */
+export async function confirmHandover(bookingId, stage, code) {
+    const config = HANDOVER_STAGES[stage];
+    if (!config) return false;
+
+    try {
+        await firebaseService.callFunction('confirmHandover', { bookingId, stage, code });
+
+        alert(`✅ ${config.label} confirmed!`);
+        reloadDashboard(config.codeHolder === BOOKING_ROLES.RENTER ? BOOKING_ROLES.OWNER : BOOKING_ROLES.RENTER);
+        return true;
+    } catch (error) {
+        console.error('Error confirming handover:', error);
+        alert(error.message || 'Failed to confirm handover. Please try again.');
+        return false;
+    }
+}
+
+/**
+ * Reload the dashboard the current user acted from
+ * @param {string} role - 'owner' or 'renter'
+ */
+function reloadDashboard(role) {
+    const reload = role === BOOKING_ROLES.OWNER ? window.loadOwnerBookings : window.loadMyBookings;
+    if (typeof reload === 'function') {
+        reload();
+    }
+}
+
+/**
+ * Submit the entered code to confirm the handover
+ * @param {Event} event - Form submission event
+ */
+export async function submitHandoverCode(event) {
+    event.preventDefault();
+
+    const bookingId = document.getElementById('handoverVerifyBookingId').value;
+    const stage = document.getElementById('handoverVerifyStage').value;
+    const code = normalizeHandoverCode(document.getElementById('handoverVerifyCode').value);
+    if (code.length !== CODE_LENGTH) {
+        alert(`Handover codes have ${CODE_LENGTH} characters.`);
+        return;
+    }
+
+    if (await confirmHandover(bookingId, stage, code)) {
+        closeHandoverVerifyModal();
+    }
+}
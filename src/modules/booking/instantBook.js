@@ -0,0 +1,107 @@
+/**
+ * Instant Book Module
+ * Lets owners skip manual approval for renters who meet their criteria.
+ * Owners set Instant Book and its criteria once in their preferences; each
+ * listing can follow that default or switch Instant Book on or off.
+ * Whether a request qualifies is decided by the submitBooking Cloud Function
+ * (functions/booking-rules.js mirrors the criteria below).
+ */
+
+import { firebaseService, doc } from '../../services/firebaseService.js';
+import { BOOKING_STATUSES } from '../../utils/constants.js';
+
+export const INSTANT_BOOK_MODES = {
+    DEFAULT: 'default',
+    ON: 'on',
+    OFF: 'off'
+};
+
+export const DEFAULT_INSTANT_BOOK_SETTINGS = {
+    enabled: false,
+    minCompletedBookings: 1,
+    requireVerifiedEdu: true,
+    requireCleanHistory: true
+};
+
+/**
+ * Get the owner's Instant Book settings document
+ * @param {string} userId - Owner's user ID
+ * @returns {Object} Firestore document reference
+ */
+function settingsRef(userId) {
+    return doc(firebaseService.getDb(), 'users', userId, 'preferences', 'instantBook');
+}
+
+/**
+ * Load an owner's Instant Book settings
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<Object>} Settings, with defaults for anything unset
+ */
+export async function loadInstantBookSettings(userId) {
+    const snap = await firebaseService.getDoc(settingsRef(userId));
+    return { ...DEFAULT_INSTANT_BOOK_SETTINGS, ...(snap.exists() ? snap.data() : {}) };
+}
+
+/**
+ * Save the current user's Instant Book settings
+ * @param {string} userId - Owner's user ID
+ * @param {Object} settings - Settings to save
+ */
+export async function saveInstantBookSettings(userId, settings) {
+    await firebaseService.setDoc(settingsRef(userId), settings);
+}
+
+/**
+ * Decide whether Instant Book applies to a listing
+ * @param {Object} ownerSettings - Owner's Instant Book settings
+ * @param {Object} item - Item data
+ * @returns {boolean} True if the listing accepts requests instantly
+ */
+export function isInstantBookEnabled(ownerSettings, item) {
+    if (item.instantBook === INSTANT_BOOK_MODES.ON) return true;
+    if (item.instantBook === INSTANT_BOOK_MODES.OFF) return false;
+    return Boolean(ownerSettings.enabled);
+}
+
+/**
+ * Summarize a renter's booking history for the Instant Book criteria
+ * A booking counts as completed once it has been returned, even if it has
+ * since been archived.
+ * @param {Array<Object>} bookings - The renter's bookings
+ * @returns {Object} { completedBookings, hasOverdue, hasDamage }
+ */
+export function summarizeRenterHistory(bookings) {
+    const reached = (booking, status) => booking.status === status
+        || (booking.statusHistory || []).some(entry => entry.status === status);
+
+    return {
+        completedBookings: bookings.filter(booking => reached(booking, BOOKING_STATUSES.RETURNED)).length,
+        hasOverdue: bookings.some(booking => reached(booking, BOOKING_STATUSES.OVERDUE)),
+        // A charged claim counts even without the flag; the rules keep resolutions from changing
+        hasDamage: bookings.some(booking => Boolean(booking.damageFlagged) || booking.damageClaim?.resolution?.chargedAmount > 0)
+    };
+}
+
+/**
+ * Check a renter against an owner's Instant Book criteria
+ * @param {Object} settings - Owner's Instant Book settings
+ * @param {Object} renter - { email, emailVerified }
+ * @param {Object} history - Result of summarizeRenterHistory
+ * @returns {Object} { eligible: boolean, reasons: Array<string> }
+ */
+export function checkInstantBookEligibility(settings, renter, history) {
+    const reasons = [];
+    const minCompleted = settings.minCompletedBookings || 0;
+
+    if (history.completedBookings < minCompleted) {
+        reasons.push(`needs ${minCompleted} completed booking${minCompleted === 1 ? '' : 's'}`);
+    }
+    if (settings.requireVerifiedEdu && !(renter.emailVerified && /\.edu$/i.test(renter.email || ''))) {
+        reasons.push('needs a verified .edu email');
+    }
+    if (settings.requireCleanHistory && (history.hasOverdue || history.hasDamage)) {
+        reasons.push('has an overdue or damage flag');
+    }
+
+    return { eligible: reasons.length === 0, reasons };
+}
@@ -0,0 +1,229 @@
+/**
+ * Negotiation Manager Module
+ * Counter-offers on booking requests. Owners can propose different dates or a
+ * different price and renters can accept, reject or counter again. Every round
+ * is kept in the booking's `offers` list; the booking's own dates, quote and
+ * locks only change once one side accepts the latest offer.
+ */
+
+import { store } from '../../stores/stateStore.js';
+import { firebaseService } from '../../services/firebaseService.js';
+import { BOOKING_STATUSES } from '../../utils/constants.js';
+import { validateBookingDates } from '../../utils/validators.js';
+import { escapeHtml, formatCurrency, formatDateInputValue } from '../../utils/formatters.js';
+import { checkBookable } from '../availability/availabilityEngine.js';
+import { BOOKING_ROLES, getBookingRole, requestBookingTransition } from './bookingStateMachine.js';
+
+/**
+ * Get the latest counter-offer on a booking
+ * @param {Object} booking - Booking data
+ * @returns {Object|null} The last offer, or null before any counter-offer
+ */
+export function getLatestOffer(booking) {
+    return booking.offers?.[booking.offers.length - 1] || null;
+}
+
+/**
+ * Format the dates of a booking or offer
+ * @param {Object} terms - Object with startDate and endDate Timestamps
+ * @returns {string} Date range
+ */
+function formatTermsRange(terms) {
+    const start = terms.startDate.toDate().toLocaleDateString();
+    const end = terms.endDate.toDate().toLocaleDateString();
+    return start === end ? start : `${start} - ${end}`;
+}
+
+/**
+ * Summarize an offer's dates and price in one line
+ * @param {Object} offer - Offer from the booking's offers list
+ * @returns {string} Summary (e.g. "3/1/2025 - 3/3/2025 · $40.00")
+ */
+export function formatOfferTerms(offer) {
+    return `${formatTermsRange(offer)} · ${formatCurrency(offer.quote.rentalTotal)}`;
+}
+
+/**
+ * Render the negotiation rounds of a booking for either dashboard
+ * @param {Object} booking - Booking data
+ * @returns {string} HTML string, empty when nobody has countered
+ */
+export function renderNegotiationHistory(booking) {
+    if (!booking.offers?.length) return '';
+
+    const original = booking.requestedTerms || booking;
+    const rounds = [
+        { label: `${booking.renterName} requested`, terms: original, total: original.quote?.rentalTotal },
+        ...booking.offers.map(offer => ({
+            label: `${offer.by === BOOKING_ROLES.OWNER ? booking.ownerName : booking.renterName} proposed`,
+            terms: offer,
+            total: offer.quote?.rentalTotal,
+            message: offer.message
+        }))
+    ];
+
+    return `
+        <details class="negotiation-history">
+            <summary>💬 Negotiation (${booking.offers.length} counter-offer${booking.offers.length === 1 ? '' : 's'})</summary>
+            <ol>
+                ${rounds.map(round => `
+                    <li>
+                        <strong>${round.label}:</strong> ${formatTermsRange(round.terms)}${round.total !== undefined ? ` · ${formatCurrency(round.total)}` : ''}
+                        ${round.message ? `<div class="negotiation-message">“${escapeHtml(round.message)}”</div>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        </details>
+    `;
+}
+
+/**
+ * Open the counter-offer modal for a booking, filled with the current terms
+ * @param {string} bookingId - Booking document ID
+ */
+export async function openCounterOfferModal(bookingId) {
+    try {
+        const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', bookingId));
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+
+        const booking = bookingSnap.data();
+        const terms = getLatestOffer(booking) || booking;
+        document.getElementById('counterBookingId').value = bookingId;
+        document.getElementById('counterStartDate').value = formatDateInputValue(terms.startDate.toDate());
+        document.getElementById('counterEndDate').value = formatDateInputValue(terms.endDate.toDate());
+        document.getElementById('counterTotal').value = terms.quote?.rentalTotal ?? '';
+        document.getElementById('counterMessage').value = '';
+        document.getElementById('counterOfferModal')?.classList.add('active');
+    } catch (error) {
+        console.error('Error opening counter-offer:', error);
+        alert('Failed to load this booking. Please try again.');
+    }
+}
+
+/**
+ * Close the counter-offer modal
+ */
+export function closeCounterOfferModal() {
+    document.getElementById('counterOfferModal')?.classList.remove('active');
+    document.getElementById('counterOfferForm')?.reset();
+}
+
+/**
+ * Send a counter-offer from the modal
+ * Owners move the booking to 'countered'; renters countering back return it
+ * to 'pending' for the owner to answer.
+ * @param {Event} event - Form submission event
+ */
+export async function submitCounterOffer(event) {
+    event.preventDefault();
+
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    const bookingId = document.getElementById('counterBookingId').value;
+    const startDateStr = document.getElementById('counterStartDate').value;
+    const endDateStr = document.getElementById('counterEndDate').value;
+    const totalValue = document.getElementById('counterTotal').value;
+    const message = document.getElementById('counterMessage').value.trim();
+
+    const startDate = new Date(startDateStr + 'T00:00:00');
+    const endDate = new Date(endDateStr + 'T00:00:00');
+    const dateValidation = validateBookingDates(startDate, endDate);
+    if (!dateValidation.valid) {
+        alert(dateValidation.message);
+        return;
+    }
+
+    const rentalTotal = totalValue === '' ? null : parseFloat(totalValue);
+    if (rentalTotal !== null && (Number.isNaN(rentalTotal) || rentalTotal < 0)) {
+        alert('Please enter a valid total price');
+        return;
+    }
+
+    try {
+        const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', bookingId));
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+
+        const booking = bookingSnap.data();
+        if (booking.slots?.length) {
+            alert('Time-slot bookings cannot be countered. Please decline and ask the renter to pick another slot.');
+            return;
+        }
+
+        const itemSnap = await firebaseService.getDoc(firebaseService.doc('items', booking.itemId));
+        if (!itemSnap.exists()) {
+            alert('This item is no longer listed.');
+            return;
+        }
+
+        // Renters stay bound by the owner's availability and rules; owners may bend their own
+        const role = getBookingRole(booking, currentUser.uid);
+        const item = itemSnap.data();
+        if (role === BOOKING_ROLES.RENTER) {
+            const availabilityCheck = checkBookable(item, startDateStr, endDateStr);
+            if (!availabilityCheck.valid) {
+                alert(availabilityCheck.message);
+                return;
+            }
+        }
+
+        // The function quotes the offer from the item's pricing and checks it again
+        await requestBookingTransition({
+            bookingId,
+            status: role === BOOKING_ROLES.OWNER ? BOOKING_STATUSES.COUNTERED : BOOKING_STATUSES.PENDING,
+            offer: { startKey: startDateStr, endKey: endDateStr, rentalTotal, message }
+        });
+
+        closeCounterOfferModal();
+        alert(`✅ Counter-offer sent to the ${role === BOOKING_ROLES.OWNER ? 'renter' : 'owner'}.`);
+        reloadDashboard(role);
+    } catch (error) {
+        console.error('Error sending counter-offer:', error);
+        alert(error.message || 'Failed to send counter-offer. Please try again.');
+    }
+}
+
+/**
+ * Reject the owner's counter-offer, withdrawing the request
+ * @param {string} bookingId - Booking document ID
+ */
+export async function rejectCounterOffer(bookingId) {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    if (!confirm('Reject these terms and withdraw your request?')) return;
+
+    try {
+        const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', bookingId));
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+
+        // Recorded as 'Counter-offer rejected' since the booking was countered
+        await requestBookingTransition({ bookingId, status: BOOKING_STATUSES.CANCELLED });
+
+        alert('Counter-offer rejected. The owner has been notified.');
+        reloadDashboard(BOOKING_ROLES.RENTER);
+    } catch (error) {
+        console.error('Error rejecting counter-offer:', error);
+        alert(error.message || 'Failed to reject counter-offer. Please try again.');
+    }
+}
+
+/**
+ * Reload the dashboard the current user acted from
+ * @param {string} role - 'owner' or 'renter'
+ */
+function reloadDashboard(role) {
+    const reload = role === BOOKING_ROLES.OWNER ? window.loadOwnerBookings : window.loadMyBookings;
+    if (typeof reload === 'function') {
+        reload();
+    }
+}
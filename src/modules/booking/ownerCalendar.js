@@ -0,0 +1,303 @@
+/**
+ * Owner Calendar Module
+ * Gantt-style view of an owner's listings: one row per item, with a bar for
+ * every pending, accepted or picked-up booking over a scrollable range of days.
+ * Day cells show where the item is free, so gaps between rentals stand out.
+ * Clicking a bar opens the booking with accept, decline and message actions.
+ */
+
+import { store } from '../../stores/stateStore.js';
+import { firebaseService, query, where } from '../../services/firebaseService.js';
+import { BOOKING_STATUSES } from '../../utils/constants.js';
+import { formatBookingRange, formatBookingStatus, formatQuoteSummary } from '../../utils/formatters.js';
+import { addDays, dayKeyToDate, eachDay, isOwnerAvailable, toDayKey } from '../availability/availabilityEngine.js';
+import { handleBookingAction } from '../items/itemManager.js';
+import { normalizeBookingStatus } from './bookingStateMachine.js';
+
+export const CALENDAR_RANGE_DAYS = 28;
+const CALENDAR_STEP_DAYS = 14;
+
+// Statuses that hold (or ask for) the item; 'confirmed' is the legacy 'accepted'
+const CALENDAR_STATUSES = [
+    BOOKING_STATUSES.PENDING,
+    BOOKING_STATUSES.COUNTERED,
+    BOOKING_STATUSES.ACCEPTED,
+    'confirmed',
+    BOOKING_STATUSES.PICKED_UP,
+    BOOKING_STATUSES.OVERDUE
+];
+
+let rangeStart = null;
+let calendarBookings = {};
+
+/**
+ * Place bookings on the calendar's day columns
+ * Bookings partly outside the range are clipped; overlapping bookings (e.g.
+ * competing requests) are stacked on separate lanes.
+ * @param {Array<Object>} bookings - Bookings with startKey and endKey day keys
+ * @param {string} firstKey - First day shown
+ * @param {string} lastKey - Last day shown
+ * @returns {Object} { bars, lanes } - bars as { booking, startCol, span, lane, clippedStart, clippedEnd }
+ */
+export function layoutBookingBars(bookings, firstKey, lastKey) {
+    const laneEnds = [];
+    const bars = bookings
+        .filter(booking => booking.startKey <= lastKey && booking.endKey >= firstKey)
+        .sort((a, b) => a.startKey.localeCompare(b.startKey) || b.endKey.localeCompare(a.endKey))
+        .map(booking => {
+            const start = booking.startKey < firstKey ? firstKey : booking.startKey;
+            const end = booking.endKey > lastKey ? lastKey : booking.endKey;
+            let lane = laneEnds.findIndex(laneEnd => laneEnd < start);
+            if (lane === -1) lane = laneEnds.length;
+            laneEnds[lane] = end;
+            return {
+                booking,
+                startCol: eachDay(firstKey, start).length - 1,
+                span: eachDay(start, end).length,
+                lane,
+                clippedStart: booking.startKey < firstKey,
+                clippedEnd: booking.endKey > lastKey
+            };
+        });
+    return { bars, lanes: Math.max(1, laneEnds.length) };
+}
+
+/**
+ * Classify each shown day for an item
+ * @param {Object} item - Item data
+ * @param {Array<string>} dayKeys - Days shown
+ * @param {Array<Object>} bookings - The item's bookings with startKey and endKey
+ * @returns {Array<string>} Per day: 'booked', 'free' or 'unavailable'
+ */
+export function classifyCalendarDays(item, dayKeys, bookings) {
+    return dayKeys.map(key => {
+        if (bookings.some(booking => booking.startKey <= key && booking.endKey >= key)) return 'booked';
+        return isOwnerAvailable(item, key) ? 'free' : 'unavailable';
+    });
+}
+
+/**
+ * Render the day header row
+ * @param {Array<string>} dayKeys - Days shown
+ * @param {string} todayKey - Today's day key
+ * @returns {string} HTML string
+ */
+function renderDayHeader(dayKeys, todayKey) {
+    return `
+        <div class="gantt-row gantt-header">
+            <div class="gantt-label"></div>
+            <div class="gantt-days">
+                ${dayKeys.map(key => {
+                    const date = dayKeyToDate(key);
+                    return `
+                        <div class="gantt-day${key === todayKey ? ' gantt-today' : ''}">
+                            <small>${date.toLocaleDateString(undefined, { weekday: 'narrow' })}</small>
+                            ${date.getDate()}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render one item's row with its day cells and booking bars
+ * @param {Object} item - Item data including its id
+ * @param {Array<string>} dayKeys - Days shown
+ * @param {Array<Object>} bookings - The item's bookings with startKey and endKey
+ * @returns {string} HTML string
+ */
+function renderItemRow(item, dayKeys, bookings) {
+    const { bars, lanes } = layoutBookingBars(bookings, dayKeys[0], dayKeys[dayKeys.length - 1]);
+    const dayClasses = classifyCalendarDays(item, dayKeys, bookings);
+    const freeDays = dayClasses.filter(dayClass => dayClass === 'free').length;
+
+    return `
+        <div class="gantt-row">
+            <div class="gantt-label">
+                <strong>${item.emoji || ''} ${item.name}</strong>
+                <small>${freeDays} free day${freeDays === 1 ? '' : 's'}</small>
+            </div>
+            <div class="gantt-days" style="--gantt-lanes: ${lanes}">
+                ${dayClasses.map(dayClass => `<div class="gantt-cell gantt-${dayClass}"></div>`).join('')}
+                ${bars.map(({ booking, startCol, span, lane, clippedStart, clippedEnd }) => {
+                    const status = normalizeBookingStatus(booking.status);
+                    return `
+                        <button class="gantt-bar status-${status}${clippedStart ? ' gantt-clipped-start' : ''}${clippedEnd ? ' gantt-clipped-end' : ''}"
+                            style="--gantt-col: ${startCol}; --gantt-span: ${span}; --gantt-lane: ${lane}"
+                            title="${booking.renterName} · ${formatBookingStatus(status)} · ${formatBookingRange(booking)}"
+                            onclick="openCalendarBooking('${booking.id}')">${booking.renterName}</button>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Load the owner's items and active bookings and render the calendar
+ */
+export async function loadOwnerCalendar() {
+    const currentUser = store.getCurrentUser();
+    const container = document.getElementById('ownerCalendar');
+    if (!currentUser || !container) return;
+
+    const todayKey = toDayKey(new Date());
+    if (!rangeStart) rangeStart = addDays(todayKey, -3);
+    const dayKeys = eachDay(rangeStart, addDays(rangeStart, CALENDAR_RANGE_DAYS - 1));
+
+    const rangeLabel = document.getElementById('ownerCalendarRange');
+    if (rangeLabel) {
+        rangeLabel.textContent = `${dayKeyToDate(dayKeys[0]).toLocaleDateString()} - ${dayKeyToDate(dayKeys[dayKeys.length - 1]).toLocaleDateString()}`;
+    }
+
+    try {
+        const [itemsSnap, bookingsSnap] = await Promise.all([
+            firebaseService.getDocs(query(
+                firebaseService.collection('items'),
+                where('ownerId', '==', currentUser.uid)
+            )),
+            firebaseService.getDocs(query(
+                firebaseService.collection('bookings'),
+                where('ownerId', '==', currentUser.uid),
+                where('status', 'in', CALENDAR_STATUSES)
+            ))
+        ]);
+
+        if (itemsSnap.empty) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-emoji">🗓️</div>
+                    <p>List an item to see its bookings here</p>
+                </div>
+            `;
+            return;
+        }
+
+        const items = itemsSnap.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        const timeZones = Object.fromEntries(items.map(item => [item.id, item.timeZone]));
+        calendarBookings = {};
+        const bookingsByItem = {};
+        bookingsSnap.forEach(docSnap => {
+            const booking = { id: docSnap.id, ...docSnap.data() };
+            // Bookings store midnight of their days in the zone they were booked in
+            const timeZone = booking.timeZone || timeZones[booking.itemId];
+            booking.startKey = toDayKey(booking.startDate, timeZone);
+            booking.endKey = toDayKey(booking.endDate, timeZone);
+            calendarBookings[booking.id] = booking;
+            bookingsByItem[booking.itemId] = [...(bookingsByItem[booking.itemId] || []), booking];
+        });
+
+        container.innerHTML = `
+            <div class="gantt" style="--gantt-days: ${dayKeys.length}">
+                ${renderDayHeader(dayKeys, todayKey)}
+                ${items
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .map(item => renderItemRow(item, dayKeys, bookingsByItem[item.id] || []))
+                    .join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading owner calendar:', error);
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-emoji">❌</div>
+                <p>Error loading calendar. Please refresh.</p>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Move the calendar range back or forward
+ * @param {number} direction - -1 for earlier, 1 for later, 0 for today
+ */
+export function shiftOwnerCalendar(direction) {
+    rangeStart = direction === 0
+        ? addDays(toDayKey(new Date()), -3)
+        : addDays(rangeStart || toDayKey(new Date()), direction * CALENDAR_STEP_DAYS);
+    loadOwnerCalendar();
+}
+
+/**
+ * Open a booking from its calendar bar
+ * @param {string} bookingId - Booking document ID
+ */
+export function openCalendarBooking(bookingId) {
+    const booking = calendarBookings[bookingId];
+    if (!booking) return;
+
+    const status = normalizeBookingStatus(booking.status);
+    document.getElementById('calendarBookingTitle').textContent = booking.itemName;
+    document.getElementById('calendarBookingDetails').innerHTML = `
+        <div class="booking-info">
+            <span class="booking-status status-${status}">${formatBookingStatus(status)}</span>
+        </div>
+        <div class="booking-info">
+            <strong>Renter:</strong> ${booking.renterName} (${booking.renterEmail})
+        </div>
+        <div class="booking-info">
+            <strong>Dates:</strong> ${formatBookingRange(booking)}
+        </div>
+        ${booking.quote ? `
+        <div class="booking-info">
+            <strong>Price:</strong> ${formatQuoteSummary(booking.quote)}
+        </div>` : ''}
+    `;
+    document.getElementById('calendarBookingActions').innerHTML = `
+        ${status === BOOKING_STATUSES.PENDING ? `
+        <button class="btn-primary" onclick="decideCalendarBooking('${bookingId}', 'accepted')">✅ Accept</button>
+        <button class="btn-secondary" onclick="decideCalendarBooking('${bookingId}', 'declined')">❌ Decline</button>` : ''}
+        ${status === BOOKING_STATUSES.COUNTERED ? `
+        <button class="btn-secondary" onclick="decideCalendarBooking('${bookingId}', 'declined')">❌ Withdraw</button>` : ''}
+        <button class="btn-secondary" onclick="messageCalendarRenter('${bookingId}')">💬 Message Renter</button>
+        <button class="btn-secondary" onclick="closeCalendarBooking()">Close</button>
+    `;
+    document.getElementById('calendarBookingModal')?.classList.add('active');
+}
+
+/**
+ * Close the calendar booking modal
+ */
+export function closeCalendarBooking() {
+    document.getElementById('calendarBookingModal')?.classList.remove('active');
+}
+
+/**
+ * Accept or decline a booking from the calendar, then redraw it
+ * @param {string} bookingId - Booking document ID
+ * @param {string} newStatus - 'accepted' or 'declined'
+ */
+export async function decideCalendarBooking(bookingId, newStatus) {
+    closeCalendarBooking();
+    await handleBookingAction(bookingId, newStatus);
+    await loadOwnerCalendar();
+}
+
+/**
+ * Open the chat with a booking's renter
+ * Chats are per item and renter, the same conversation the renter started
+ * from the item page.
+ * @param {string} bookingId - Booking document ID
+ */
+export async function messageCalendarRenter(bookingId) {
+    const booking = calendarBookings[bookingId];
+    if (!booking) return;
+
+    try {
+        const itemSnap = await firebaseService.getDoc(firebaseService.doc('items', booking.itemId));
+        if (!itemSnap.exists()) {
+            alert('Item not found');
+            return;
+        }
+
+        store.setCurrentItemData({ id: itemSnap.id, ...itemSnap.data() });
+        const [firstUser, secondUser] = [booking.ownerId, booking.renterId].sort();
+        closeCalendarBooking();
+        await window.openChat(booking.itemId, `${booking.itemId}_${firstUser}_${secondUser}`, 'ownerCalendarView');
+    } catch (error) {
+        console.error('Error opening chat from calendar:', error);
+        alert('Error opening chat');
+    }
+}
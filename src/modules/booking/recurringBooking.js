@@ -0,0 +1,61 @@
+/**
+ * Recurring Booking Module
+ * Weekly series of same-day bookings on items with recurring availability
+ * (e.g. a projector every Tuesday for a semester). Each occurrence is its own
+ * booking linked by a shared seriesId, so occurrences can be cancelled one by
+ * one while the owner accepts or declines the series as a whole.
+ */
+
+import { AVAILABILITY_TYPES } from '../../utils/constants.js';
+import { addDays } from '../availability/availabilityEngine.js';
+
+export const MAX_SERIES_OCCURRENCES = 26;
+
+/**
+ * Check whether an item offers recurring bookings
+ * @param {Object} item - Item data
+ * @returns {boolean} True for items with recurring weekly availability
+ */
+export function supportsRecurringBooking(item) {
+    return item.availability?.type === AVAILABILITY_TYPES.RECURRING;
+}
+
+/**
+ * Expand a weekly pattern into occurrence days
+ * @param {string} startKey - First occurrence (YYYY-MM-DD)
+ * @param {Object} pattern
+ * @param {number} pattern.everyWeeks - Weeks between occurrences (1 = weekly)
+ * @param {string} pattern.untilKey - Last day an occurrence may fall on
+ * @returns {Array<string>} Occurrence day keys, starting with startKey
+ */
+export function expandRecurrence(startKey, { everyWeeks, untilKey }) {
+    const step = Math.max(1, Math.floor(everyWeeks)) * 7;
+    const days = [];
+    for (let key = startKey; key <= untilKey; key = addDays(key, step)) {
+        days.push(key);
+    }
+    return days;
+}
+
+/**
+ * Describe a repeat interval
+ * @param {number} everyWeeks - Weeks between occurrences
+ * @returns {string} Description (e.g. "Every week", "Every 2 weeks")
+ */
+export function formatRepeatInterval(everyWeeks) {
+    return everyWeeks === 1 ? 'Every week' : `Every ${everyWeeks} weeks`;
+}
+
+/**
+ * Render the series line of a booking card
+ * @param {Object} booking - Booking data
+ * @returns {string} HTML string, empty for bookings outside a series
+ */
+export function renderSeriesInfo(booking) {
+    if (!booking.seriesId) return '';
+    return `
+        <div class="booking-info">
+            <strong>🔁 Series:</strong> ${formatRepeatInterval(booking.repeatEveryWeeks)} · occurrence ${booking.seriesIndex} of ${booking.seriesCount}
+        </div>
+    `;
+}
@@ -0,0 +1,225 @@
+/**
+ * Waitlist Manager Module
+ * Lets renters queue for booked dates and claim the hold they are offered when
+ * the dates are released. Offers and hold expiry are handled by the
+ * booking-waitlist Cloud Functions; open offers are shown under Held for You in
+ * My Bookings and counted on the My Bookings button.
+ */
+
+import { store } from '../../stores/stateStore.js';
+import {
+    firebaseService,
+    query,
+    where,
+    orderBy,
+    Timestamp,
+    serverTimestamp
+} from '../../services/firebaseService.js';
+import { calculateQuote } from '../pricing/priceQuote.js';
+import { describeSubmitError, submitBookings } from './bookingManager.js';
+
+export const WAITLIST_STATUSES = {
+    WAITING: 'waiting',
+    OFFERED: 'offered',
+    FULFILLED: 'fulfilled',
+    EXPIRED: 'expired',
+    LEFT: 'left'
+};
+
+/**
+ * Add the current renter to an item's waitlist for a date range
+ * @param {string} itemId - Item ID
+ * @param {Object} item - Item data
+ * @param {Object} renter - Current Firebase user
+ * @param {Date} startDate - Requested start
+ * @param {Date} endDate - Requested end
+ * @param {Array<string>} lockIds - Lock IDs the renter is waiting for
+ * @returns {Promise<string>} Waitlist entry ID
+ */
+export async function joinWaitlist(itemId, item, renter, startDate, endDate, lockIds) {
+    const entryRef = await firebaseService.addDoc(firebaseService.collection('waitlist'), {
+        itemId,
+        itemName: item.name,
+        ownerId: item.ownerId,
+        ownerName: item.ownerName,
+        ownerEmail: item.ownerEmail,
+        renterId: renter.uid,
+        renterName: renter.displayName || renter.email.split('@')[0],
+        renterEmail: renter.email,
+        startDate: Timestamp.fromDate(startDate),
+        endDate: Timestamp.fromDate(endDate),
+        lockIds,
+        quote: calculateQuote(item, startDate, endDate),
+        status: WAITLIST_STATUSES.WAITING,
+        createdAt: serverTimestamp()
+    });
+    return entryRef.id;
+}
+
+/**
+ * Load waitlist entries for the current user
+ * @param {string} role - 'renter' for the user's own entries, 'owner' for holds on their items
+ * @returns {Promise<Array>} Waitlist entries
+ */
+export async function loadWaitlistEntries(role) {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return [];
+
+    const constraints = role === 'owner'
+        ? [where('ownerId', '==', currentUser.uid), where('status', '==', WAITLIST_STATUSES.OFFERED)]
+        : [where('renterId', '==', currentUser.uid), where('status', 'in', [WAITLIST_STATUSES.WAITING, WAITLIST_STATUSES.OFFERED])];
+
+    const snapshot = await firebaseService.getDocs(query(
+        firebaseService.collection('waitlist'),
+        ...constraints,
+        orderBy('createdAt', 'asc')
+    ));
+    return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+}
+
+/**
+ * Check whether a waitlist entry is a hold the renter can still claim
+ * @param {Object} entry - Waitlist entry
+ * @returns {boolean} True for an offered hold that has not expired
+ */
+export function isOpenHoldOffer(entry) {
+    return entry.status === WAITLIST_STATUSES.OFFERED && entry.holdExpiresAt?.toMillis() > Date.now();
+}
+
+/**
+ * Show how many holds are waiting for the current renter on the My Bookings button
+ */
+export async function refreshHoldOffersBadge() {
+    const currentUser = store.getCurrentUser();
+    const badge = document.getElementById('holdOffersBadge');
+    if (!currentUser || !badge) return;
+
+    try {
+        const snapshot = await firebaseService.getDocs(query(
+            firebaseService.collection('waitlist'),
+            where('renterId', '==', currentUser.uid),
+            where('status', '==', WAITLIST_STATUSES.OFFERED)
+        ));
+        const offers = snapshot.docs.filter(docSnap => isOpenHoldOffer(docSnap.data())).length;
+        badge.textContent = offers;
+        badge.style.display = offers > 0 ? 'inline-block' : 'none';
+    } catch (error) {
+        console.error('Error counting hold offers:', error);
+    }
+}
+
+/**
+ * Render waitlist entries as booking cards
+ * @param {Array} entries - Waitlist entries
+ * @param {string} role - 'renter' or 'owner'
+ * @returns {string} HTML string
+ */
+export function renderWaitlistEntries(entries, role) {
+    return entries.map(entry => {
+        const dates = `${entry.startDate.toDate().toLocaleDateString()} - ${entry.endDate.toDate().toLocaleDateString()}`;
+        const holdUntil = entry.holdExpiresAt
+            ? entry.holdExpiresAt.toDate().toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+            : null;
+        const isOffered = entry.status === WAITLIST_STATUSES.OFFERED;
+        const badge = isOffered
+            ? `<span class="booking-status status-accepted">On Hold until ${holdUntil}</span>`
+            : '<span class="booking-status status-pending">Waitlisted</span>';
+
+        let actions = '';
+        if (role === 'renter') {
+            actions = `
+                <div class="booking-actions">
+                    ${isOffered ? `<button class="btn-primary" onclick="claimWaitlistHold('${entry.id}')">📅 Book Held Dates</button>` : ''}
+                    <button class="btn-secondary" onclick="leaveWaitlist('${entry.id}')">Leave Waitlist</button>
+                </div>
+            `;
+        }
+
+        const person = role === 'owner'
+            ? `<strong>Held for:</strong> ${entry.renterName} (${entry.renterEmail})`
+            : `<strong>Owner:</strong> ${entry.ownerName} (${entry.ownerEmail})`;
+
+        return `
+            <div class="booking-request-card waitlist-card">
+                <div class="booking-header">
+                    <h3>${entry.itemName}</h3>
+                    ${badge}
+                </div>
+                <div class="booking-details">
+                    <div class="booking-info">${person}</div>
+                    <div class="booking-info">
+                        <strong>Dates:</strong> ${dates}
+                    </div>
+                </div>
+                ${actions}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Turn an offered waitlist hold into a booking request
+ * @param {string} waitlistId - Waitlist entry ID
+ */
+export async function claimWaitlistHold(waitlistId) {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+        const entryRef = firebaseService.doc('waitlist', waitlistId);
+        const entrySnap = await firebaseService.getDoc(entryRef);
+        if (!entrySnap.exists()) {
+            alert('Waitlist entry not found');
+            return;
+        }
+
+        const entry = entrySnap.data();
+        if (entry.renterId !== currentUser.uid || entry.status !== WAITLIST_STATUSES.OFFERED) {
+            alert('This hold is no longer available.');
+            return;
+        }
+        if (entry.holdExpiresAt.toMillis() < Date.now()) {
+            alert('Sorry, this hold has expired.');
+            return;
+        }
+
+        // The server books the held dates and marks the entry fulfilled
+        const { conflicts } = await submitBookings({ waitlistId });
+        if (conflicts.length > 0) {
+            alert(`❌ Sorry, these dates were taken: ${conflicts[0].dates.join(', ')}`);
+            return;
+        }
+
+        alert('✅ Booking request submitted for your held dates!');
+        if (window.loadMyBookings) {
+            window.loadMyBookings();
+        }
+    } catch (error) {
+        console.error('Error claiming waitlist hold:', error);
+        alert(describeSubmitError(error, 'Failed to book the held dates. Please try again.'));
+    }
+}
+
+/**
+ * Leave a waitlist
+ * An offered hold is released by the booking-waitlist Cloud Functions, which
+ * then offer the dates to the next renter in line.
+ * @param {string} waitlistId - Waitlist entry ID
+ */
+export async function leaveWaitlist(waitlistId) {
+    if (!confirm('Leave this waitlist?')) return;
+
+    try {
+        await firebaseService.updateDoc(firebaseService.doc('waitlist', waitlistId), {
+            status: WAITLIST_STATUSES.LEFT,
+            updatedAt: serverTimestamp()
+        });
+
+        if (window.loadMyBookings) {
+            window.loadMyBookings();
+        }
+    } catch (error) {
+        console.error('Error leaving waitlist:', error);
+        alert('Failed to leave the waitlist. Please try again.');
+    }
+}
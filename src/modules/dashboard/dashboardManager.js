@@ -131,7 +131,7 @@ export async function refreshDashboardData(populateSessionSelector) {
     const acceptedBookings = new Set();
     bookingsSnapshot.forEach((doc) => {
         const booking = doc.data();
-        if (booking.status === 'accepted' || booking.status === 'confirmed') {
+        if (['accepted', 'confirmed', 'picked_up', 'returned', 'overdue'].includes(booking.status)) {
             acceptedBookings.add(booking.itemId);
         }
     });
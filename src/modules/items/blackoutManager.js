@@ -0,0 +1,148 @@
+/**
+ * Blackout Manager Module
+ * Edits the blackout periods on the create and edit listing forms. Blackouts
+ * are kept on the form as rows until the listing is saved.
+ */
+
+import { Timestamp } from '../../services/firebaseService.js';
+import { escapeHtml, formatDateInputValue } from '../../utils/formatters.js';
+import { parseICSBlackouts } from '../../utils/icsCalendar.js';
+import { toDayKey } from '../availability/availabilityEngine.js';
+
+/**
+ * Get a blackout form field ID for the create or edit form
+ * @param {string} prefix - Form field prefix ('edit' for edit form, '' for create form)
+ * @param {string} id - Create form field ID
+ * @returns {string} Field ID
+ */
+function fieldId(prefix, id) {
+    return prefix ? `edit${id.charAt(0).toUpperCase()}${id.slice(1)}` : id;
+}
+
+/**
+ * Read the blackouts currently listed on a form
+ * @param {string} prefix - Form field prefix
+ * @returns {Array<Object>} Blackouts as { start, end, label } with YYYY-MM-DD dates
+ */
+function getFormBlackouts(prefix) {
+    const list = document.getElementById(fieldId(prefix, 'blackoutList'));
+    if (!list) return [];
+
+    return Array.from(list.querySelectorAll('.blackout-row')).map(row => ({
+        start: row.dataset.start,
+        end: row.dataset.end,
+        label: row.dataset.label || ''
+    }));
+}
+
+/**
+ * Render blackouts on a form, sorted by start date
+ * @param {string} prefix - Form field prefix
+ * @param {Array<Object>} blackouts - Blackouts as { start, end, label } with YYYY-MM-DD dates
+ */
+export function renderBlackouts(prefix, blackouts) {
+    const list = document.getElementById(fieldId(prefix, 'blackoutList'));
+    if (!list) return;
+
+    list.innerHTML = [...blackouts]
+        .sort((a, b) => a.start.localeCompare(b.start))
+        .map((blackout, index) => `
+            <div class="blackout-row" data-start="${blackout.start}" data-end="${blackout.end}" data-label="${escapeHtml(blackout.label)}">
+                <span>🚫 ${blackout.start === blackout.end ? blackout.start : `${blackout.start} → ${blackout.end}`}${blackout.label ? ` · ${escapeHtml(blackout.label)}` : ''}</span>
+                <button type="button" class="btn-secondary" onclick="removeBlackout('${prefix}', ${index})">Remove</button>
+            </div>
+        `).join('');
+}
+
+/**
+ * Add the blackout typed into the form's blackout inputs
+ * @param {string} prefix - Form field prefix
+ */
+export function addBlackout(prefix = '') {
+    const startInput = document.getElementById(fieldId(prefix, 'blackoutStart'));
+    const endInput = document.getElementById(fieldId(prefix, 'blackoutEnd'));
+    const labelInput = document.getElementById(fieldId(prefix, 'blackoutLabel'));
+
+    const start = startInput?.value;
+    const end = endInput?.value || start;
+    if (!start) {
+        alert('Please pick the first blackout day');
+        return;
+    }
+    if (end < start) {
+        alert('Blackout end date must be on or after its start date');
+        return;
+    }
+
+    renderBlackouts(prefix, [...getFormBlackouts(prefix), { start, end, label: labelInput?.value.trim() || '' }]);
+    [startInput, endInput, labelInput].forEach(input => {
+        if (input) input.value = '';
+    });
+}
+
+/**
+ * Remove a blackout from a form
+ * @param {string} prefix - Form field prefix
+ * @param {number} index - Position of the blackout in the rendered list
+ */
+export function removeBlackout(prefix, index) {
+    renderBlackouts(prefix, getFormBlackouts(prefix).filter((_, i) => i !== index));
+}
+
+/**
+ * Import blackout periods from an uploaded .ics file
+ * Events that have already ended and periods already on the form are skipped.
+ * @param {string} prefix - Form field prefix
+ * @param {HTMLInputElement} input - File input holding the .ics file
+ */
+export async function importBlackouts(prefix, input) {
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+        const today = formatDateInputValue(new Date());
+        const existing = getFormBlackouts(prefix);
+        const imported = parseICSBlackouts(await file.text())
+            .filter(blackout => blackout.end >= today)
+            .filter(blackout => !existing.some(other => other.start === blackout.start && other.end === blackout.end));
+
+        if (imported.length === 0) {
+            alert('No upcoming events found in this calendar file.');
+            return;
+        }
+
+        renderBlackouts(prefix, [...existing, ...imported]);
+        alert(`✅ Imported ${imported.length} blackout period${imported.length === 1 ? '' : 's'}.`);
+    } catch (error) {
+        console.error('Error importing blackout calendar:', error);
+        alert('Could not read this calendar file. Please upload a valid .ics file.');
+    } finally {
+        input.value = '';
+    }
+}
+
+/**
+ * Collect a form's blackouts for saving with the item's availability
+ * @param {string} prefix - Form field prefix
+ * @returns {Array<Object>} Blackouts as { start, end, label } with Timestamps
+ */
+export function collectBlackouts(prefix = '') {
+    return getFormBlackouts(prefix).map(blackout => ({
+        start: Timestamp.fromDate(new Date(blackout.start + 'T00:00:00')),
+        end: Timestamp.fromDate(new Date(blackout.end + 'T00:00:00')),
+        label: blackout.label
+    }));
+}
+
+/**
+ * Show an item's saved blackouts on the edit form
+ * @param {Array<Object>} blackouts - Saved blackouts with Timestamps
+ * @param {string} [timeZone] - Timezone the blackouts were saved in
+ */
+export function populateEditBlackouts(blackouts, timeZone) {
+    renderBlackouts('edit', (blackouts || []).map(blackout => ({
+        start: toDayKey(blackout.start, timeZone),
+        end: toDayKey(blackout.end, timeZone),
+        label: blackout.label || ''
+    })));
+}
@@ -3,12 +3,30 @@
  * Handles item creation, updates, loading, and bookings management
  */
 
-import { firebaseService, collection, query, where, orderBy, serverTimestamp, Timestamp, arrayUnion } from '../../services/firebaseService.js';
+import { firebaseService, collection, query, where, orderBy, serverTimestamp, Timestamp } from '../../services/firebaseService.js';
 import { store } from '../../stores/stateStore.js';
-import { ITEM_EMOJIS } from '../../utils/constants.js';
-import { formatPrice } from '../../utils/formatters.js';
+import { ITEM_EMOJIS, BOOKING_STATUSES } from '../../utils/constants.js';
+import { formatPrice, formatBookingStatus, formatBookingRange, formatCartStatus, formatQuoteSummary } from '../../utils/formatters.js';
+import { generateTimeSlots } from '../../utils/validators.js';
 import { rankItems } from '../ranking/rankingAlgorithm.js';
 import { renderItems } from '../../ui/itemRenderer.js';
+import { collectBlackouts, renderBlackouts } from './blackoutManager.js';
+import { getLocalTimeZone } from '../availability/availabilityEngine.js';
+import {
+    BOOKING_ROLES,
+    canTransition,
+    getBookingRole,
+    normalizeBookingStatus,
+    requestBookingTransition
+} from '../booking/bookingStateMachine.js';
+import { INSTANT_BOOK_MODES } from '../booking/instantBook.js';
+import { DEFAULT_CANCELLATION_POLICY, calculateCancellationOutcome, formatCancellationOutcome } from '../pricing/cancellationPolicy.js';
+import { formatOfferTerms, getLatestOffer, renderNegotiationHistory } from '../booking/negotiationManager.js';
+import { canRequestExtension, renderExtensionRequest } from '../booking/extensionManager.js';
+import { formatRepeatInterval, renderSeriesInfo } from '../booking/recurringBooking.js';
+import { renderConditionActions, renderConditionReports, renderDamageClaim } from '../booking/conditionManager.js';
+import { renderHandoverAction } from '../booking/handoverCode.js';
+import { isOpenHoldOffer, loadWaitlistEntries, refreshHoldOffersBadge, renderWaitlistEntries } from '../booking/waitlistManager.js';
 
 /**
  * Load items from Firestore and render them
@@ -39,6 +57,35 @@ export async function loadItems() {
     }
 }
 
+/**
+ * Collect rental duration, lead time and turnaround rules from form
+ * @param {string} prefix - Form field prefix ('edit' for edit form, '' for create form)
+ * @returns {Object} Booking rules; unset limits are null
+ */
+export function collectBookingRules(prefix = '') {
+    const readInteger = (id) => {
+        const fieldId = prefix ? `edit${id.charAt(0).toUpperCase()}${id.slice(1)}` : id;
+        const value = parseInt(document.getElementById(fieldId)?.value, 10);
+        return Number.isFinite(value) ? value : null;
+    };
+
+    const rules = {
+        minDays: readInteger('minRentalDays'),
+        maxDays: readInteger('maxRentalDays'),
+        leadTimeHours: readInteger('leadTimeHours'),
+        bufferDays: readInteger('bufferDays')
+    };
+
+    if (Object.values(rules).some(value => value !== null && value < 0)) {
+        throw new Error('Booking rules cannot be negative');
+    }
+    if (rules.minDays !== null && rules.maxDays !== null && rules.maxDays < rules.minDays) {
+        throw new Error('Maximum days must be at least the minimum days');
+    }
+
+    return rules;
+}
+
 /**
  * Collect availability data from form
  * @param {string} prefix - Form field prefix ('edit' for edit form, '' for create form)
@@ -49,7 +96,7 @@ export function collectAvailabilityData(prefix = '') {
     const type = document.getElementById(typeId).value;
 
     if (type === 'always') {
-        return { type: 'always' };
+        return { type: 'always', blackouts: collectBlackouts(prefix), rules: collectBookingRules(prefix) };
     } else if (type === 'dateRange') {
         const fromId = prefix ? 'editAvailableFrom' : 'availableFrom';
         const untilId = prefix ? 'editAvailableUntil' : 'availableUntil';
@@ -59,7 +106,9 @@ export function collectAvailabilityData(prefix = '') {
         const availability = {
             type: 'dateRange',
             startDate: availableFromStr ? Timestamp.fromDate(new Date(availableFromStr + 'T00:00:00')) : null,
-            endDate: availableUntilStr ? Timestamp.fromDate(new Date(availableUntilStr + 'T00:00:00')) : null
+            endDate: availableUntilStr ? Timestamp.fromDate(new Date(availableUntilStr + 'T00:00:00')) : null,
+            blackouts: collectBlackouts(prefix),
+            rules: collectBookingRules(prefix)
         };
 
         // Validate dates
@@ -86,7 +135,9 @@ export function collectAvailabilityData(prefix = '') {
 
         return {
             type: 'recurring',
-            daysOfWeek: days
+            daysOfWeek: days,
+            blackouts: collectBlackouts(prefix),
+            rules: collectBookingRules(prefix)
         };
     }
 }
@@ -118,6 +169,57 @@ export function collectHandoverTime(prefix = '') {
     };
 }
 
+/**
+ * Collect discount tiers, deposit and cleaning fee from form
+ * @param {string} prefix - Form field prefix ('edit' for edit form, '' for create form)
+ * @returns {Object} Pricing terms
+ */
+export function collectPricingData(prefix = '') {
+    const readNumber = (id) => {
+        const fieldId = prefix ? `edit${id.charAt(0).toUpperCase()}${id.slice(1)}` : id;
+        const value = parseFloat(document.getElementById(fieldId)?.value);
+        return Number.isFinite(value) ? value : 0;
+    };
+
+    const pricing = {
+        weeklyDiscountPercent: readNumber('weeklyDiscount'),
+        monthlyDiscountPercent: readNumber('monthlyDiscount'),
+        cleaningFee: readNumber('cleaningFee'),
+        securityDeposit: readNumber('securityDeposit')
+    };
+
+    if ([pricing.weeklyDiscountPercent, pricing.monthlyDiscountPercent].some(percent => percent < 0 || percent > 100)) {
+        throw new Error('Discounts must be between 0 and 100 percent');
+    }
+    if (pricing.cleaningFee < 0 || pricing.securityDeposit < 0) {
+        throw new Error('Fees and deposits cannot be negative');
+    }
+
+    return pricing;
+}
+
+/**
+ * Collect slot booking settings from form
+ * @param {string} prefix - Form field prefix ('edit' for edit form, '' for create form)
+ * @param {Object|null} handoverTime - Handover window collected from the same form
+ * @returns {number|null} Slot length in minutes, or null for whole-day bookings
+ */
+export function collectSlotLength(prefix = '', handoverTime = null) {
+    const slotLengthId = prefix ? 'editSlotLength' : 'slotLength';
+    const value = document.getElementById(slotLengthId)?.value;
+    if (!value) return null;
+
+    const slotLengthMinutes = parseInt(value);
+    if (!handoverTime?.start || !handoverTime?.end) {
+        throw new Error('Time slot bookings need a handover time window');
+    }
+    if (generateTimeSlots(handoverTime, slotLengthMinutes).length === 0) {
+        throw new Error('Handover time window is shorter than one time slot');
+    }
+
+    return slotLengthMinutes;
+}
+
 /**
  * Create a new listing
  * @param {Event} event - Form submit event
@@ -139,6 +241,10 @@ export async function createListing(event) {
     try {
         const availability = collectAvailabilityData();
         const handoverTime = collectHandoverTime();
+        const slotLengthMinutes = collectSlotLength('', handoverTime);
+        const pricing = collectPricingData();
+        const instantBook = document.getElementById('instantBookMode')?.value || INSTANT_BOOK_MODES.DEFAULT;
+        const cancellationPolicy = document.getElementById('cancellationPolicy')?.value || DEFAULT_CANCELLATION_POLICY;
 
         await firebaseService.addDoc(
             firebaseService.collection('items'),
@@ -147,12 +253,17 @@ export async function createListing(event) {
                 category,
                 description,
                 price,
+                pricing,
                 emoji: ITEM_EMOJIS[category],
                 ownerId: currentUser.uid,
                 ownerName: currentUser.displayName || currentUser.email.split('@')[0],
                 ownerEmail: currentUser.email,
                 availability,
+                timeZone: getLocalTimeZone(),
                 handoverTime,
+                slotLengthMinutes,
+                instantBook,
+                cancellationPolicy,
                 views: 0,
                 createdAt: serverTimestamp()
             }
@@ -160,6 +271,7 @@ export async function createListing(event) {
 
         // Reset form
         event.target.reset();
+        renderBlackouts('', []);
 
         // Reload items and show home
         await loadItems();
@@ -191,6 +303,10 @@ export async function updateListing(event) {
     try {
         const availability = collectAvailabilityData('edit');
         const handoverTime = collectHandoverTime('edit');
+        const slotLengthMinutes = collectSlotLength('edit', handoverTime);
+        const pricing = collectPricingData('edit');
+        const instantBook = document.getElementById('editInstantBookMode')?.value || INSTANT_BOOK_MODES.DEFAULT;
+        const cancellationPolicy = document.getElementById('editCancellationPolicy')?.value || DEFAULT_CANCELLATION_POLICY;
 
         await firebaseService.updateDoc(
             firebaseService.doc('items', itemId),
@@ -199,9 +315,14 @@ export async function updateListing(event) {
                 category,
                 description,
                 price,
+                pricing,
                 emoji: ITEM_EMOJIS[category],
                 availability,
+                timeZone: getLocalTimeZone(),
                 handoverTime,
+                slotLengthMinutes,
+                instantBook,
+                cancellationPolicy,
                 updatedAt: serverTimestamp()
             }
         );
@@ -268,6 +389,46 @@ export async function loadMyItems() {
     }
 }
 
+/**
+ * Map a booking status to the dashboard section it is listed under
+ * Active rentals (picked up or overdue) stay with accepted bookings until they
+ * are returned; returned bookings are listed with the archive. Requests under
+ * negotiation stay with pending requests.
+ * @param {string} status - Booking status ('confirmed' is treated as 'accepted')
+ * @returns {string} Dashboard group key
+ */
+function bookingGroup(status) {
+    const normalized = normalizeBookingStatus(status);
+    if (normalized === BOOKING_STATUSES.PICKED_UP || normalized === BOOKING_STATUSES.OVERDUE) {
+        return 'accepted';
+    }
+    if (normalized === BOOKING_STATUSES.RETURNED) {
+        return 'archived';
+    }
+    if (normalized === BOOKING_STATUSES.COUNTERED) {
+        return 'pending';
+    }
+    return normalized;
+}
+
+/**
+ * Render the status badge for a booking card
+ * @param {Object} booking - Booking data
+ * @param {string} group - Dashboard group the card is rendered in
+ * @returns {string} HTML string
+ */
+function renderStatusBadge(booking, group) {
+    const status = normalizeBookingStatus(booking.status);
+    if (group === 'accepted' && status === BOOKING_STATUSES.ACCEPTED) {
+        return '<span class="booking-status status-unavailable">Unavailable (Booked)</span>';
+    }
+    if (status === BOOKING_STATUSES.COUNTERED) {
+        return '<span class="booking-status status-countered">Counter-Offer</span>';
+    }
+    const badgeStatus = group === 'accepted' || status === BOOKING_STATUSES.RETURNED ? status : group;
+    return `<span class="booking-status status-${badgeStatus}">${formatBookingStatus(badgeStatus)}</span>`;
+}
+
 /**
  * Load bookings for renter dashboard
  * Displays all bookings made by the current user, organized by status
@@ -288,22 +449,27 @@ export async function loadMyBookings() {
             pending: [],
             accepted: [],
             declined: [],
+            cancelled: [],
             archived: []
         };
 
+        const cartStatuses = {};
         snapshot.forEach((docSnap) => {
             const booking = { id: docSnap.id, ...docSnap.data() };
-            const normalized = booking.status === 'confirmed' ? 'accepted' : booking.status;
-            const status = normalized || 'pending';
+            const status = bookingGroup(booking.status);
             if (groups[status]) {
                 groups[status].push(booking);
             }
+            if (booking.cartId) {
+                cartStatuses[booking.cartId] = [...(cartStatuses[booking.cartId] || []), booking.status];
+            }
         });
 
         const sections = {
             pending: document.getElementById('myBookingsPending'),
             accepted: document.getElementById('myBookingsConfirmed'),
             declined: document.getElementById('myBookingsDeclined'),
+            cancelled: document.getElementById('myBookingsCancelled'),
             archived: document.getElementById('myBookingsArchived')
         };
 
@@ -322,15 +488,29 @@ export async function loadMyBookings() {
             }
 
             container.innerHTML = bookings.map(booking => {
-                const startDate = booking.startDate.toDate().toLocaleDateString();
-                const endDate = booking.endDate.toDate().toLocaleDateString();
-                const statusLabel = status.charAt(0).toUpperCase() + status.slice(1);
-                const today = new Date();
-                today.setHours(0, 0, 0, 0);
-                const isBookedRange = status === 'accepted';
-                const badge = isBookedRange
-                    ? '<span class="booking-status status-unavailable">Unavailable (Booked)</span>'
-                    : `<span class="booking-status status-${status}">${statusLabel}</span>`;
+                const badge = renderStatusBadge(booking, status);
+
+                const isCountered = booking.status === BOOKING_STATUSES.COUNTERED;
+                const canCancel = !isCountered && canTransition(booking.status, BOOKING_STATUSES.CANCELLED, BOOKING_ROLES.RENTER);
+                const handoverAction = status === 'accepted' ? renderHandoverAction(booking, 'renter') : '';
+                const canExport = status === 'pending' || status === 'accepted';
+                const canExtend = status === 'accepted' && canRequestExtension(booking);
+                const conditionActions = renderConditionActions(booking, 'renter');
+                const counterActions = isCountered ? `
+                            <button class="btn-primary" onclick="handleBookingAction('${booking.id}', 'accepted')">✅ Accept Terms</button>
+                            <button class="btn-secondary" onclick="openCounterOfferModal('${booking.id}')">💬 Counter</button>
+                            <button class="btn-secondary" onclick="rejectCounterOffer('${booking.id}')">❌ Reject</button>
+                    ` : '';
+                const actions = (canCancel || handoverAction || canExport || isCountered || conditionActions) ? `
+                        <div class="booking-actions">
+                            ${counterActions}
+                            ${handoverAction}
+                            ${conditionActions}
+                            ${canExtend ? `<button class="btn-secondary" onclick="openExtensionModal('${booking.id}')">➕ Extend</button>` : ''}
+                            ${canExport ? `<button class="btn-secondary" onclick="downloadBookingCalendar('${booking.id}')">📅 Add to Calendar</button>` : ''}
+                            ${canCancel ? `<button class="btn-secondary" onclick="cancelBooking('${booking.id}')">🚫 Cancel Booking</button>` : ''}
+                        </div>
+                    ` : '';
 
                 return `
                     <div class="booking-request-card">
@@ -342,14 +522,63 @@ export async function loadMyBookings() {
                             <div class="booking-info">
                                 <strong>Owner:</strong> ${booking.ownerName} (${booking.ownerEmail})
                             </div>
+                            ${isCountered ? `
+                            <div class="booking-info">
+                                <strong>${booking.ownerName} proposed:</strong> ${formatOfferTerms(getLatestOffer(booking))}
+                            </div>` : ''}
+                            ${booking.cartId ? `
                             <div class="booking-info">
-                                <strong>Dates:</strong> ${startDate} - ${endDate}
+                                <strong>Cart:</strong> ${formatCartStatus(cartStatuses[booking.cartId])}
+                            </div>` : ''}
+                            <div class="booking-info">
+                                <strong>Dates:</strong> ${formatBookingRange(booking)}
                             </div>
+                            ${renderSeriesInfo(booking)}
+                            ${booking.quote ? `
+                            <div class="booking-info">
+                                <strong>Price:</strong> ${formatQuoteSummary(booking.quote)}
+                            </div>` : ''}
+                            ${booking.declineReason ? `
+                            <div class="booking-info">
+                                <strong>Reason:</strong> ${booking.declineReason}
+                            </div>` : ''}
+                            ${booking.cancellation ? `
+                            <div class="booking-info">
+                                <strong>Cancellation:</strong> ${formatCancellationOutcome(booking.cancellation)}
+                            </div>` : ''}
+                            ${renderNegotiationHistory(booking)}
+                            ${status === 'accepted' ? renderExtensionRequest(booking, 'renter') : ''}
+                            ${renderDamageClaim(booking)}
+                            ${renderConditionReports(booking)}
                         </div>
+                        ${actions}
                     </div>
                 `;
             }).join('');
         });
+
+        // Holds offered from the waitlist go at the top so renters claim them in time
+        const waitlistContainer = document.getElementById('myBookingsWaitlist');
+        if (waitlistContainer) {
+            const entries = await loadWaitlistEntries('renter');
+            const offers = entries.filter(isOpenHoldOffer);
+            const waiting = entries.filter(entry => !isOpenHoldOffer(entry));
+
+            const offersSection = document.getElementById('myBookingsHoldOffersSection');
+            if (offersSection) {
+                document.getElementById('myBookingsHoldOffers').innerHTML = renderWaitlistEntries(offers, 'renter');
+                offersSection.style.display = offers.length > 0 ? 'block' : 'none';
+            }
+            waitlistContainer.innerHTML = waiting.length > 0
+                ? renderWaitlistEntries(waiting, 'renter')
+                : `
+                    <div class="empty-state">
+                        <div class="empty-state-emoji">⏳</div>
+                        <p>${offers.length > 0 ? 'No other waitlists' : 'You are not on any waitlists'}</p>
+                    </div>
+                `;
+            refreshHoldOffersBadge();
+        }
     } catch (error) {
         console.error('Error loading my bookings:', error);
         alert('Error loading your bookings');
@@ -384,10 +613,10 @@ export async function loadOwnerBookings() {
 
         snapshot.forEach((docSnap) => {
             const booking = { id: docSnap.id, ...docSnap.data() };
-            const normalized = booking.status === 'confirmed' ? 'accepted' : booking.status;
-            const status = normalized || 'pending';
+            const status = bookingGroup(booking.status);
             const endDate = booking.endDate.toDate();
-            if ((status === 'accepted' || status === 'pending') && endDate < today) {
+            // Accepted bookings stay listed past their end date until the return is confirmed
+            if (status === 'pending' && endDate < today) {
                 groups.archived.push(booking);
                 return;
             }
@@ -420,22 +649,65 @@ export async function loadOwnerBookings() {
                 return;
             }
 
-            container.innerHTML = bookings.map(booking => {
-                const startDate = booking.startDate.toDate().toLocaleDateString();
-                const endDate = booking.endDate.toDate().toLocaleDateString();
-                const statusLabel = status.charAt(0).toUpperCase() + status.slice(1);
+            // A pending weekly series is accepted or declined as a whole, so it gets one card
+            const pendingSeries = {};
+            if (status === 'pending') {
+                bookings
+                    .filter(booking => booking.seriesId && booking.status === BOOKING_STATUSES.PENDING)
+                    .forEach(booking => {
+                        pendingSeries[booking.seriesId] = [...(pendingSeries[booking.seriesId] || []), booking];
+                    });
+                Object.values(pendingSeries).forEach(series => series.sort((a, b) => a.startDate.toMillis() - b.startDate.toMillis()));
+            }
 
-                const isBookedRange = status === 'accepted';
-                const badge = isBookedRange
-                    ? '<span class="booking-status status-unavailable">Unavailable (Booked)</span>'
-                    : `<span class="booking-status status-${status}">${statusLabel}</span>`;
+            const cards = bookings.filter(booking => !pendingSeries[booking.seriesId] || pendingSeries[booking.seriesId][0] === booking);
+            container.innerHTML = cards.map(booking => {
+                const badge = renderStatusBadge(booking, status);
+                const series = pendingSeries[booking.seriesId];
 
-                const actions = status === 'pending' ? `
+                let actions = '';
+                if (series) {
+                    actions = `
+                        <div class="booking-actions">
+                            <button class="btn-primary" onclick="handleSeriesAction('${booking.seriesId}', 'accepted')">✅ Accept Series (${series.length})</button>
+                            <button class="btn-secondary" onclick="handleSeriesAction('${booking.seriesId}', 'declined')">❌ Decline Series</button>
+                        </div>
+                    `;
+                } else if (booking.status === BOOKING_STATUSES.COUNTERED) {
+                    actions = `
+                        <div class="booking-actions">
+                            <button class="btn-secondary" disabled>⏳ Waiting for renter to answer your terms</button>
+                            <button class="btn-secondary" onclick="handleBookingAction('${booking.id}', 'declined')">❌ Withdraw</button>
+                        </div>
+                    `;
+                } else if (status === 'pending') {
+                    const latestOffer = getLatestOffer(booking);
+                    actions = `
+                        ${latestOffer ? `
+                        <div class="booking-info">
+                            <strong>Renter countered:</strong> ${formatOfferTerms(latestOffer)}
+                        </div>` : ''}
                         <div class="booking-actions">
                             <button class="btn-primary" onclick="handleBookingAction('${booking.id}', 'accepted')">✅ Accept</button>
+                            ${booking.slots?.length ? '' : `<button class="btn-secondary" onclick="openCounterOfferModal('${booking.id}')">💬 Counter</button>`}
                             <button class="btn-secondary" onclick="handleBookingAction('${booking.id}', 'declined')">❌ Decline</button>
                         </div>
-                    ` : '';
+                    `;
+                } else if (status === 'accepted') {
+                    actions = `
+                        <div class="booking-actions">
+                            ${renderHandoverAction(booking, 'owner')}
+                            ${renderConditionActions(booking, 'owner')}
+                            <button class="btn-secondary" onclick="downloadBookingCalendar('${booking.id}')">📅 Add to Calendar</button>
+                        </div>
+                    `;
+                } else if (status === 'archived' && renderConditionActions(booking, 'owner')) {
+                    actions = `
+                        <div class="booking-actions">
+                            ${renderConditionActions(booking, 'owner')}
+                        </div>
+                    `;
+                }
 
                 return `
                     <div class="booking-request-card">
@@ -447,9 +719,30 @@ export async function loadOwnerBookings() {
                             <div class="booking-info">
                                 <strong>Renter:</strong> ${booking.renterName} (${booking.renterEmail})
                             </div>
+                            ${series ? `
+                            <div class="booking-info">
+                                <strong>🔁 ${formatRepeatInterval(booking.repeatEveryWeeks)}, ${series.length} dates:</strong> ${series.map(formatBookingRange).join(', ')}
+                            </div>` : `
                             <div class="booking-info">
-                                <strong>Dates:</strong> ${startDate} - ${endDate}
+                                <strong>Dates:</strong> ${formatBookingRange(booking)}
                             </div>
+                            ${renderSeriesInfo(booking)}`}
+                            ${booking.quote ? `
+                            <div class="booking-info">
+                                <strong>Price:</strong> ${formatQuoteSummary(booking.quote)}
+                            </div>` : ''}
+                            ${booking.declineReason ? `
+                            <div class="booking-info">
+                                <strong>Reason:</strong> ${booking.declineReason}
+                            </div>` : ''}
+                            ${booking.cancellation ? `
+                            <div class="booking-info">
+                                <strong>Cancellation:</strong> ${formatCancellationOutcome(booking.cancellation)}
+                            </div>` : ''}
+                            ${renderNegotiationHistory(booking)}
+                            ${status === 'accepted' ? renderExtensionRequest(booking, 'owner') : ''}
+                            ${renderDamageClaim(booking)}
+                            ${renderConditionReports(booking)}
                         </div>
                         ${actions}
                     </div>
@@ -457,6 +750,16 @@ export async function loadOwnerBookings() {
             }).join('');
         });
 
+        // Show active waitlist holds above pending requests
+        const holds = await loadWaitlistEntries('owner');
+        const pendingContainer = document.getElementById('ownerPending');
+        if (pendingContainer && holds.length > 0) {
+            pendingContainer.insertAdjacentHTML('afterbegin', `
+                <h4 class="waitlist-heading">⏳ Dates Held for Waitlisted Renters</h4>
+                ${renderWaitlistEntries(holds, 'owner')}
+            `);
+        }
+
         // Set initial tab to pending if setOwnerBookingsTab exists
         if (typeof window.setOwnerBookingsTab === 'function') {
             window.setOwnerBookingsTab('pending');
@@ -479,6 +782,11 @@ export async function loadOwnerBookings() {
 
 /**
  * Handle booking action (accept/decline)
+ * Owners accept or decline requests; renters accept an owner's counter-offer.
+ * The updateBookingStatus Cloud Function moves an accepted booking and its
+ * locks to the latest offer's terms, if any, declines every other pending
+ * request for the same item whose dates overlap and reserves the item's
+ * turnaround buffer, all in one transaction
  * @param {string} bookingId - Booking document ID
  * @param {string} newStatus - New status ('accepted' or 'declined')
  */
@@ -490,23 +798,96 @@ export async function handleBookingAction(bookingId, newStatus) {
 
     try {
         const bookingRef = firebaseService.doc('bookings', bookingId);
-        await firebaseService.updateDoc(bookingRef, {
-            status: newStatus,
-            statusHistory: arrayUnion({
-                status: newStatus,
-                at: Timestamp.now(),
-                by: currentUser.uid
-            }),
-            updatedAt: serverTimestamp()
-        });
+        const bookingSnap = await firebaseService.getDoc(bookingRef);
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+
+        const role = getBookingRole(bookingSnap.data(), currentUser.uid);
+        const { declinedIds } = await requestBookingTransition({ bookingId, status: newStatus });
 
+        const autoDeclinedCount = declinedIds.length;
         const statusText = newStatus === 'accepted' ? 'accepted' : 'declined';
-        alert(`✅ Booking request ${statusText} successfully!`);
+        const autoDeclinedText = autoDeclinedCount > 0
+            ? ` ${autoDeclinedCount} overlapping request(s) were declined automatically.`
+            : '';
+        if (role === BOOKING_ROLES.RENTER) {
+            alert('✅ Terms accepted! Your booking is confirmed.');
+            loadMyBookings();
+            return;
+        }
+        alert(`✅ Booking request ${statusText} successfully!${autoDeclinedText}`);
 
         // Reload booking requests
         loadOwnerBookings();
     } catch (error) {
         console.error('Error updating booking:', error);
-        alert('Failed to update booking. Please try again.');
+        alert(error.message || 'Failed to update booking. Please try again.');
+    }
+}
+
+/**
+ * Accept or decline every open occurrence of a weekly series at once
+ * The renter gets a single notification for the whole series.
+ * @param {string} seriesId - Series ID shared by the occurrences
+ * @param {string} newStatus - New status ('accepted' or 'declined')
+ */
+export async function handleSeriesAction(seriesId, newStatus) {
+    if (!['accepted', 'declined'].includes(newStatus)) return;
+
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+        const { bookingIds, declinedIds } = await requestBookingTransition({ seriesId, status: newStatus });
+
+        const autoDeclinedText = declinedIds.length > 0
+            ? ` ${declinedIds.length} overlapping request(s) were declined automatically.`
+            : '';
+        alert(`✅ Series of ${bookingIds.length} bookings ${newStatus}!${autoDeclinedText}`);
+        loadOwnerBookings();
+    } catch (error) {
+        console.error('Error updating series:', error);
+        alert(error.message || 'Failed to update series. Please try again.');
+    }
+}
+
+/**
+ * Cancel a booking as the renter
+ * Shows the refund due under the booking's cancellation policy before asking
+ * for confirmation. The updateBookingStatus Cloud Function works the refund
+ * out again at the moment of cancelling and records it on the booking.
+ * @param {string} bookingId - Booking document ID
+ */
+export async function cancelBooking(bookingId) {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+        const bookingRef = firebaseService.doc('bookings', bookingId);
+        const bookingSnap = await firebaseService.getDoc(bookingRef);
+        if (!bookingSnap.exists()) {
+            alert('Booking not found');
+            return;
+        }
+
+        const booking = bookingSnap.data();
+        if (booking.renterId !== currentUser.uid) {
+            alert('You can only cancel your own bookings.');
+            return;
+        }
+
+        const outcome = calculateCancellationOutcome(booking);
+        if (!confirm(`Are you sure you want to cancel this booking?\n\n${formatCancellationOutcome(outcome)}`)) return;
+
+        // The function releases the booking's date and buffer locks and notifies the owner
+        const { cancellation } = await requestBookingTransition({ bookingId, status: BOOKING_STATUSES.CANCELLED });
+
+        alert(`✅ Booking cancelled. ${formatCancellationOutcome(cancellation)}. The owner has been notified.`);
+        loadMyBookings();
+    } catch (error) {
+        console.error('Error cancelling booking:', error);
+        alert(error.message || 'Failed to cancel booking. Please try again.');
     }
 }
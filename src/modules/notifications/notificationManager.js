@@ -0,0 +1,183 @@
+/**
+ * Notification Manager Module
+ * Writes in-app notifications for booking events and shows each user's
+ * inbox. Most notifications are written by the Cloud Functions (status
+ * changes, handover reminders, overdue rentals, waitlist offers); the rest are
+ * queued here alongside the client change they describe.
+ */
+
+import { firebaseService, doc, query, where, orderBy, limit, serverTimestamp } from '../../services/firebaseService.js';
+import { store } from '../../stores/stateStore.js';
+import { escapeHtml, formatTimeAgo } from '../../utils/formatters.js';
+
+// Most recent notifications shown in the inbox
+const INBOX_SIZE = 50;
+// Firestore write batches hold at most 500 writes
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Queue a notification on a write batch or transaction so it commits
+ * together with the change it describes
+ * @param {Object} writer - Firestore WriteBatch or Transaction
+ * @param {Object} notification - Notification fields ({ userId, type, message, bookingId, itemId })
+ */
+export function queueNotification(writer, notification) {
+    writer.set(doc(firebaseService.collection('notifications')), {
+        ...notification,
+        read: false,
+        createdAt: serverTimestamp()
+    });
+}
+
+/**
+ * Pick an icon for a notification type
+ * @param {string} type - Notification type (e.g. 'booking_accepted', 'pickup_reminder')
+ * @returns {string} Emoji
+ */
+function notificationIcon(type = '') {
+    if (type.endsWith('_reminder')) return '⏰';
+    if (type.startsWith('waitlist_')) return '📅';
+    if (type.startsWith('damage_') || type === 'booking_overdue') return '⚠️';
+    if (type.startsWith('condition_')) return '📋';
+    return '🔔';
+}
+
+/**
+ * Update the unread count on the Notifications button
+ */
+export async function refreshNotificationBadge() {
+    const currentUser = store.getCurrentUser();
+    const badge = document.getElementById('notificationsBadge');
+    if (!currentUser || !badge) return;
+
+    try {
+        const snapshot = await firebaseService.getDocs(query(
+            firebaseService.collection('notifications'),
+            where('userId', '==', currentUser.uid),
+            where('read', '==', false)
+        ));
+        badge.textContent = snapshot.size;
+        badge.style.display = snapshot.size > 0 ? 'inline-block' : 'none';
+    } catch (error) {
+        console.error('Error counting notifications:', error);
+    }
+}
+
+/**
+ * Load and render the current user's most recent notifications
+ */
+export async function loadNotifications() {
+    const currentUser = store.getCurrentUser();
+    const list = document.getElementById('notificationsList');
+    if (!currentUser || !list) return;
+
+    list.innerHTML = '<div class="loading">Loading notifications...</div>';
+    try {
+        const snapshot = await firebaseService.getDocs(query(
+            firebaseService.collection('notifications'),
+            where('userId', '==', currentUser.uid),
+            orderBy('createdAt', 'desc'),
+            limit(INBOX_SIZE)
+        ));
+
+        if (snapshot.empty) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-emoji">🔔</div>
+                    <p>No notifications yet. Booking updates and reminders show up here.</p>
+                </div>
+            `;
+        } else {
+            list.innerHTML = snapshot.docs.map(docSnap => {
+                const notification = docSnap.data();
+                const timeAgo = notification.createdAt ? formatTimeAgo(notification.createdAt.toDate()) : '';
+                return `
+                    <div class="chat-list-item notification-item${notification.read ? '' : ' unread'}" onclick="openNotification('${docSnap.id}')">
+                        <div class="chat-item-emoji">${notificationIcon(notification.type)}</div>
+                        <div class="chat-item-content">
+                            <div class="chat-item-preview">${escapeHtml(notification.message)}</div>
+                        </div>
+                        <div class="chat-item-time">${timeAgo}</div>
+                    </div>
+                `;
+            }).join('');
+        }
+        refreshNotificationBadge();
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+        list.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-emoji">❌</div>
+                <p>Error loading notifications. Please refresh.</p>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Mark a notification read and open the dashboard it is about
+ * Waitlist offers open My Bookings, where the held dates can be booked;
+ * booking notifications open the owner's or the renter's dashboard.
+ * @param {string} notificationId - Notification document ID
+ */
+export async function openNotification(notificationId) {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+        const notificationRef = firebaseService.doc('notifications', notificationId);
+        const notificationSnap = await firebaseService.getDoc(notificationRef);
+        if (!notificationSnap.exists()) return;
+
+        const notification = notificationSnap.data();
+        if (!notification.read) {
+            await firebaseService.updateDoc(notificationRef, { read: true });
+        }
+
+        let ownerView = false;
+        if (notification.bookingId && !notification.type?.startsWith('waitlist_')) {
+            const bookingSnap = await firebaseService.getDoc(firebaseService.doc('bookings', notification.bookingId));
+            ownerView = bookingSnap.exists() && bookingSnap.data().ownerId === currentUser.uid;
+        }
+
+        if (ownerView) {
+            window.loadOwnerBookings();
+            window.showView('bookingRequestsView');
+        } else if (notification.bookingId || notification.waitlistId) {
+            window.loadMyBookings();
+            window.showView('myBookingsView');
+        } else {
+            loadNotifications();
+        }
+        refreshNotificationBadge();
+    } catch (error) {
+        console.error('Error opening notification:', error);
+        alert('Failed to open this notification. Please try again.');
+    }
+}
+
+/**
+ * Mark every unread notification of the current user read
+ */
+export async function markAllNotificationsRead() {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+        const snapshot = await firebaseService.getDocs(query(
+            firebaseService.collection('notifications'),
+            where('userId', '==', currentUser.uid),
+            where('read', '==', false),
+            limit(MAX_BATCH_WRITES)
+        ));
+        if (snapshot.empty) return;
+
+        const batch = firebaseService.writeBatch();
+        snapshot.docs.forEach(docSnap => batch.update(docSnap.ref, { read: true }));
+        await batch.commit();
+        loadNotifications();
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        alert('Failed to mark notifications read. Please try again.');
+    }
+}
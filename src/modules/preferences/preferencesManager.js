@@ -7,6 +7,7 @@ import { store } from '../../stores/stateStore.js';
 import { firebaseService, doc, Timestamp } from '../../services/firebaseService.js';
 import { weightDescriptor } from '../../utils/formatters.js';
 import { DEFAULT_WEIGHTS } from '../../utils/constants.js';
+import { loadInstantBookSettings, saveInstantBookSettings } from '../booking/instantBook.js';
 
 /**
  * Load user preferences from Firestore
@@ -110,6 +111,26 @@ export function openPreferencesModal() {
     if (dateToInput) {
         dateToInput.value = userPreferences?.dateTo ? userPreferences.dateTo.toISOString().split('T')[0] : '';
     }
+
+    populateInstantBookSettings();
+}
+
+/**
+ * Fill the Instant Book fields with the current user's owner settings
+ */
+async function populateInstantBookSettings() {
+    const currentUser = store.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+        const settings = await loadInstantBookSettings(currentUser.uid);
+        document.getElementById('instantBookEnabled').checked = settings.enabled;
+        document.getElementById('instantBookMinCompleted').value = settings.minCompletedBookings;
+        document.getElementById('instantBookRequireEdu').checked = settings.requireVerifiedEdu;
+        document.getElementById('instantBookRequireClean').checked = settings.requireCleanHistory;
+    } catch (error) {
+        console.error('Error loading Instant Book settings:', error);
+    }
 }
 
 /**
@@ -178,6 +199,14 @@ export async function savePreferences(event) {
         urgency: parseInt(document.getElementById('weightUrgency')?.value || DEFAULT_WEIGHTS.urgency, 10)
     };
 
+    const minCompleted = parseInt(document.getElementById('instantBookMinCompleted')?.value, 10);
+    const instantBookSettings = {
+        enabled: Boolean(document.getElementById('instantBookEnabled')?.checked),
+        minCompletedBookings: Number.isNaN(minCompleted) ? 0 : Math.max(0, minCompleted),
+        requireVerifiedEdu: Boolean(document.getElementById('instantBookRequireEdu')?.checked),
+        requireCleanHistory: Boolean(document.getElementById('instantBookRequireClean')?.checked)
+    };
+
     const maxPrice = maxPriceValue === '' ? null : parseFloat(maxPriceValue);
     const dateFrom = dateFromStr ? new Date(dateFromStr + 'T00:00:00') : null;
     const dateTo = dateToStr ? new Date(dateToStr + 'T00:00:00') : null;
@@ -191,6 +220,7 @@ export async function savePreferences(event) {
             dateTo: dateTo ? Timestamp.fromDate(dateTo) : null,
             weights
         });
+        await saveInstantBookSettings(currentUser.uid, instantBookSettings);
 
         // Update store
         const updatedPreferences = {
@@ -0,0 +1,121 @@
+/**
+ * Cancellation Policy Module
+ * Owners pick a Flexible, Moderate or Strict policy per listing. Each policy
+ * is a list of cut-off windows before pickup; the first window the renter is
+ * still inside decides how much of the rental total is refunded. The policy
+ * is copied onto each booking so later listing edits don't change the terms
+ * the renter agreed to.
+ */
+
+import { BOOKING_STATUSES } from '../../utils/constants.js';
+import { formatCurrency } from '../../utils/formatters.js';
+import { roundCents } from './priceQuote.js';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+export const CANCELLATION_POLICIES = {
+    flexible: {
+        label: 'Flexible',
+        windows: [
+            { hoursBefore: 24, refundPercent: 100 },
+            { hoursBefore: -Infinity, refundPercent: 50 }
+        ]
+    },
+    moderate: {
+        label: 'Moderate',
+        windows: [
+            { hoursBefore: 120, refundPercent: 100 },
+            { hoursBefore: 24, refundPercent: 50 },
+            { hoursBefore: -Infinity, refundPercent: 0 }
+        ]
+    },
+    strict: {
+        label: 'Strict',
+        windows: [
+            { hoursBefore: 168, refundPercent: 50 },
+            { hoursBefore: -Infinity, refundPercent: 0 }
+        ]
+    }
+};
+
+export const DEFAULT_CANCELLATION_POLICY = 'flexible';
+
+/**
+ * Look up a cancellation policy, falling back to the default
+ * @param {string} [policyKey] - 'flexible', 'moderate' or 'strict'
+ * @returns {Object} Policy with its key, label and windows
+ */
+export function getCancellationPolicy(policyKey) {
+    const key = CANCELLATION_POLICIES[policyKey] ? policyKey : DEFAULT_CANCELLATION_POLICY;
+    return { key, ...CANCELLATION_POLICIES[key] };
+}
+
+/**
+ * Format a cut-off in hours as days when it divides evenly
+ * @param {number} hours - Hours before pickup
+ * @returns {string} Readable cut-off (e.g. "5 days", "24 hours")
+ */
+function formatCutoff(hours) {
+    if (hours % 24 === 0 && hours > 24) return `${hours / 24} days`;
+    return `${hours} hours`;
+}
+
+/**
+ * Describe a policy's refund windows in plain words
+ * @param {string} [policyKey] - Policy key
+ * @returns {Array<string>} One line per window, earliest first
+ */
+export function describeCancellationPolicy(policyKey) {
+    const { windows } = getCancellationPolicy(policyKey);
+    return windows.map((cutoff, index) => {
+        const refund = cutoff.refundPercent === 100 ? 'Full refund'
+            : cutoff.refundPercent === 0 ? 'No refund'
+                : `${cutoff.refundPercent}% refund`;
+        if (cutoff.hoursBefore === -Infinity) {
+            return `${refund} after that`;
+        }
+        return index === 0
+            ? `${refund} if cancelled at least ${formatCutoff(cutoff.hoursBefore)} before pickup`
+            : `${refund} up to ${formatCutoff(cutoff.hoursBefore)} before pickup`;
+    });
+}
+
+/**
+ * Work out the refund and penalty for cancelling a booking now
+ * Requests the owner has not accepted yet are always refunded in full, and
+ * the security deposit is always returned.
+ * @param {Object} booking - Booking data with startDate, status, quote and cancellationPolicy
+ * @param {Date} [now] - Cancellation time
+ * @returns {Object} { policy, hoursBeforeStart, refundPercent, refundAmount, penaltyAmount, depositRefund }
+ */
+export function calculateCancellationOutcome(booking, now = new Date()) {
+    const { key, windows } = getCancellationPolicy(booking.cancellationPolicy);
+    const rentalTotal = booking.quote?.rentalTotal || 0;
+    const hoursBeforeStart = (booking.startDate.toDate() - now) / MS_PER_HOUR;
+
+    // Legacy bookings were accepted as 'confirmed'
+    const agreed = booking.status === BOOKING_STATUSES.ACCEPTED || booking.status === 'confirmed';
+    const refundPercent = agreed
+        ? windows.find(cutoff => hoursBeforeStart >= cutoff.hoursBefore).refundPercent
+        : 100;
+    const refundAmount = roundCents(rentalTotal * refundPercent / 100);
+
+    return {
+        policy: key,
+        hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+        refundPercent,
+        refundAmount,
+        penaltyAmount: roundCents(rentalTotal - refundAmount),
+        depositRefund: booking.quote?.securityDeposit || 0
+    };
+}
+
+/**
+ * Summarize a cancellation outcome in one line
+ * @param {Object} outcome - Result of calculateCancellationOutcome
+ * @returns {string} Summary (e.g. "Refund $20.00 · Penalty $20.00 (Moderate policy)")
+ */
+export function formatCancellationOutcome(outcome) {
+    const penalty = outcome.penaltyAmount > 0 ? ` · Penalty ${formatCurrency(outcome.penaltyAmount)}` : '';
+    return `Refund ${formatCurrency(outcome.refundAmount)}${penalty} (${getCancellationPolicy(outcome.policy).label} policy)`;
+}
@@ -0,0 +1,111 @@
+/**
+ * Price Quote Module
+ * Computes what a renter owes for a date range from the owner's pricing terms
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const WEEKLY_MIN_DAYS = 7;
+const MONTHLY_MIN_DAYS = 28;
+
+/**
+ * Round a currency amount to cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Amount rounded to two decimals
+ */
+export function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Count the calendar days in an inclusive date range
+ * @param {Date} startDate - First day
+ * @param {Date} endDate - Last day
+ * @returns {number} Number of days (at least 1)
+ */
+export function countRentalDays(startDate, endDate) {
+    const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+    // Round to absorb daylight-saving shifts between the two midnights
+    return Math.max(1, Math.round((end - start) / MS_PER_DAY) + 1);
+}
+
+/**
+ * Calculate a price quote for renting an item
+ * Monthly discounts apply from 28 days, weekly discounts from 7 days; only the
+ * larger applicable tier is used. The security deposit is refundable and kept
+ * out of the rental total.
+ * @param {Object} item - Item with `price` (per day) and optional `pricing` terms
+ * @param {Date} startDate - First rental day
+ * @param {Date} endDate - Last rental day
+ * @returns {Object} Quote breakdown
+ */
+export function calculateQuote(item, startDate, endDate) {
+    const pricing = item.pricing || {};
+    const dailyRate = Number(item.price) || 0;
+    const days = countRentalDays(startDate, endDate);
+    const subtotal = roundCents(dailyRate * days);
+
+    let discountPercent = 0;
+    let discountLabel = null;
+    if (days >= MONTHLY_MIN_DAYS && pricing.monthlyDiscountPercent) {
+        discountPercent = pricing.monthlyDiscountPercent;
+        discountLabel = 'Monthly discount';
+    } else if (days >= WEEKLY_MIN_DAYS && pricing.weeklyDiscountPercent) {
+        discountPercent = pricing.weeklyDiscountPercent;
+        discountLabel = 'Weekly discount';
+    }
+
+    const discount = roundCents(subtotal * discountPercent / 100);
+    const cleaningFee = roundCents(pricing.cleaningFee || 0);
+    const securityDeposit = roundCents(pricing.securityDeposit || 0);
+    const rentalTotal = roundCents(subtotal - discount + cleaningFee);
+
+    return {
+        days,
+        dailyRate,
+        subtotal,
+        discountPercent,
+        discountLabel,
+        discount,
+        cleaningFee,
+        securityDeposit,
+        rentalTotal,
+        totalDue: roundCents(rentalTotal + securityDeposit)
+    };
+}
+
+/**
+ * Replace a quote's rental total with a negotiated one
+ * The security deposit is not negotiable and stays on top of the new total.
+ * @param {Object} quote - Quote from calculateQuote
+ * @param {number|null} rentalTotal - Agreed rental total, or null to keep the quote
+ * @returns {Object} Quote with negotiatedFrom set to the original total when changed
+ */
+export function applyNegotiatedTotal(quote, rentalTotal) {
+    if (rentalTotal === null || rentalTotal === undefined || roundCents(rentalTotal) === quote.rentalTotal) {
+        return quote;
+    }
+    const total = roundCents(Math.max(0, rentalTotal));
+    return {
+        ...quote,
+        rentalTotal: total,
+        totalDue: roundCents(total + quote.securityDeposit),
+        negotiatedFrom: quote.rentalTotal
+    };
+}
+
+/**
+ * Quote a booking that is being extended to a later end date
+ * A negotiated discount (or surcharge) on the original quote carries over to
+ * the longer rental.
+ * @param {Object|null} quote - The booking's current quote
+ * @param {Object} item - Item data with price and pricing fields
+ * @param {Date} startDate - Booking start date
+ * @param {Date} endDate - New end date
+ * @returns {Object} Quote for the whole extended booking
+ */
+export function extendQuote(quote, item, startDate, endDate) {
+    const extended = calculateQuote(item, startDate, endDate);
+    if (quote?.negotiatedFrom === undefined) return extended;
+    return applyNegotiatedTotal(extended, extended.rentalTotal - (quote.negotiatedFrom - quote.rentalTotal));
+}
@@ -5,6 +5,7 @@
 
 import { SCORING_CONFIG } from '../../utils/constants.js';
 import { store } from '../../stores/stateStore.js';
+import { availableFraction, toDayKey } from '../availability/availabilityEngine.js';
 
 /**
  * Safe date conversion helper
@@ -17,17 +18,6 @@ function toDateSafe(value) {
     return new Date(value);
 }
 
-/**
- * Get availability range for an item
- * @param {Object} item - Item object
- * @returns {Object} Start and end dates
- */
-function availabilityRange(item) {
-    const start = toDateSafe(item?.availability?.startDate) || new Date(0);
-    const end = toDateSafe(item?.availability?.endDate) || new Date(8640000000000000);
-    return { start, end };
-}
-
 /**
  * Rank items based on multiple matching dimensions
  *
@@ -80,14 +70,14 @@ export function rankItems(items, searchQuery = '', desiredStart = null, desiredE
             // Category preference match
             const categoryPreferenceScore = prefCategories.includes(item.category) ? 1 : 0;
 
-            // Availability overlap
-            const { start, end } = availabilityRange(item);
+            // Availability overlap: share of the desired days the item can be booked
             let availabilityScore = 0.5;
             if (targetStart || targetEnd) {
-                const desiredStartDate = targetStart ? toDateSafe(targetStart) : new Date(0);
-                const desiredEndDate = targetEnd ? toDateSafe(targetEnd) : new Date(8640000000000000);
-                const overlaps = desiredStartDate <= end && desiredEndDate >= start;
-                availabilityScore = overlaps ? 1 : 0;
+                availabilityScore = availableFraction(
+                    item,
+                    targetStart ? toDayKey(toDateSafe(targetStart)) : null,
+                    targetEnd ? toDayKey(toDateSafe(targetEnd)) : null
+                );
             }
 
             // User urgency (soonest desired start gets higher score)
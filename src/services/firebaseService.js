@@ -6,7 +6,8 @@ import { initializeApp } from "https://www.gstatic.com/firebasejs/11.0.0/firebas
 import {
     getAuth,
     onAuthStateChanged,
-    signOut
+    signOut,
+    connectAuthEmulator
 } from "https://www.gstatic.com/firebasejs/11.0.0/firebase-auth.js";
 import {
     getFirestore,
@@ -27,16 +28,40 @@ import {
     serverTimestamp,
     Timestamp,
     writeBatch,
-    arrayUnion
+    runTransaction,
+    arrayUnion,
+    connectFirestoreEmulator
 } from "https://www.gstatic.com/firebasejs/11.0.0/firebase-firestore.js";
+import {
+    getStorage,
+    ref as storageRef,
+    uploadBytes,
+    getDownloadURL,
+    connectStorageEmulator
+} from "https://www.gstatic.com/firebasejs/11.0.0/firebase-storage.js";
+import {
+    getFunctions,
+    httpsCallable,
+    connectFunctionsEmulator
+} from "https://www.gstatic.com/firebasejs/11.0.0/firebase-functions.js";
 
-import { firebaseConfig } from '../../env-config.js';
+import { firebaseConfig, useEmulators } from '../../env-config.js';
 
 class FirebaseService {
     constructor() {
         this.app = initializeApp(firebaseConfig);
         this.auth = getAuth(this.app);
         this.db = getFirestore(this.app);
+        this.storage = getStorage(this.app);
+        this.functions = getFunctions(this.app);
+
+        // Ports match the emulators section of firebase.json
+        if (useEmulators) {
+            connectAuthEmulator(this.auth, 'http://127.0.0.1:9099');
+            connectFirestoreEmulator(this.db, '127.0.0.1', 8080);
+            connectStorageEmulator(this.storage, '127.0.0.1', 9199);
+            connectFunctionsEmulator(this.functions, '127.0.0.1', 5001);
+        }
 
         // Bind instance methods that rely on `this` so destructuring won't lose context
         this.getAuth = this.getAuth.bind(this);
@@ -47,6 +72,9 @@ class FirebaseService {
         this.collection = this.collection.bind(this);
         this.doc = this.doc.bind(this);
         this.writeBatch = this.writeBatch.bind(this);
+        this.runTransaction = this.runTransaction.bind(this);
+        this.uploadFile = this.uploadFile.bind(this);
+        this.callFunction = this.callFunction.bind(this);
     }
 
     // Auth methods
@@ -139,9 +167,26 @@ class FirebaseService {
         return writeBatch(this.db);
     }
 
+    async runTransaction(updateFunction) {
+        return runTransaction(this.db, updateFunction);
+    }
+
     arrayUnion(...elements) {
         return arrayUnion(...elements);
     }
+
+    // Storage methods
+    async uploadFile(path, file) {
+        const fileRef = storageRef(this.storage, path);
+        await uploadBytes(fileRef, file, { contentType: file.type });
+        return getDownloadURL(fileRef);
+    }
+
+    // Cloud Functions methods
+    async callFunction(name, data) {
+        const { data: result } = await httpsCallable(this.functions, name)(data);
+        return result;
+    }
 }
 
 // Export singleton instance
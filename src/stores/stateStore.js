@@ -54,6 +54,9 @@ class StateStore {
             automatedTest: {
                 running: false,
                 scenarioId: null
+            },
+            cart: {
+                items: []
             }
         };
 
@@ -207,6 +210,14 @@ class StateStore {
     setAutomatedTestState(testState) {
         this.setState('automatedTest', testState);
     }
+
+    getCartItems() {
+        return this.state.cart.items;
+    }
+
+    setCartItems(items) {
+        this.setState('cart.items', items);
+    }
 }
 
 // Export singleton instance
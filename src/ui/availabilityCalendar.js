@@ -0,0 +1,239 @@
+/**
+ * Availability Calendar
+ * Renders a month calendar on the item detail view from the availability
+ * engine and the item's booking locks, and lets renters pick a bookable range.
+ */
+
+import { firebaseService, query, where } from '../services/firebaseService.js';
+import { generateTimeSlots } from '../utils/validators.js';
+import {
+    checkBookable,
+    dayKeyToDate,
+    findBlackout,
+    listFreeDates,
+    toDayKey
+} from '../modules/availability/availabilityEngine.js';
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Calendar currently shown on the detail view
+let calendarState = null;
+
+/**
+ * Work out which days a set of booking locks takes
+ * Slot items count a day as booked only once every slot is taken.
+ * @param {Array<Object>} locks - Lock document data ({ date, slot })
+ * @param {number} slotsPerDay - Slots in the item's handover window, 0 for day bookings
+ * @returns {Array<string>} Booked day keys
+ */
+export function collectTakenDays(locks, slotsPerDay) {
+    const wholeDays = new Set();
+    const slotCounts = {};
+    locks.forEach(lock => {
+        if (lock.slot) {
+            slotCounts[lock.date] = (slotCounts[lock.date] || 0) + 1;
+        } else {
+            wholeDays.add(lock.date);
+        }
+    });
+
+    Object.entries(slotCounts)
+        .filter(([, count]) => slotsPerDay > 0 && count >= slotsPerDay)
+        .forEach(([date]) => wholeDays.add(date));
+
+    return [...wholeDays];
+}
+
+/**
+ * Load the days already booked for an item
+ * @param {string} itemId - Item ID
+ * @param {Object} item - Item data
+ * @returns {Promise<Array<string>>} Booked day keys
+ */
+async function loadTakenDays(itemId, item) {
+    const snapshot = await firebaseService.getDocs(query(
+        firebaseService.collection('bookingLocks'),
+        where('itemId', '==', itemId)
+    ));
+    return collectTakenDays(
+        snapshot.docs.map(lockSnap => lockSnap.data()),
+        generateTimeSlots(item.handoverTime, item.slotLengthMinutes).length
+    );
+}
+
+/**
+ * Work out the selection after a click on a calendar day
+ * The first click picks the start day, the second the end day. Items booked
+ * for a single day (recurring schedules and time slots) finish on the first
+ * click. A range the item cannot be booked for clears the selection.
+ * @param {Object} item - Item data
+ * @param {Object} selection - Current selection ({ start, end } day keys or null)
+ * @param {string} key - Clicked day key
+ * @param {Array<string>} takenDays - Booked day keys
+ * @returns {Object} { selection, message } with message set when the range was rejected
+ */
+export function nextSelection(item, selection, key, takenDays) {
+    const singleDay = item.availability?.type === 'recurring' || Boolean(item.slotLengthMinutes);
+    if (singleDay || !selection.start || selection.end || key < selection.start) {
+        return { selection: { start: key, end: singleDay ? key : null }, message: null };
+    }
+
+    const validation = checkBookable(item, selection.start, key, { takenDays });
+    if (!validation.valid) {
+        return { selection: { start: null, end: null }, message: `${validation.message}. Please choose another range.` };
+    }
+    return { selection: { start: selection.start, end: key }, message: null };
+}
+
+/**
+ * Describe the selected range and offer to book it
+ * @returns {string} HTML string
+ */
+function renderSelectionSummary() {
+    const { selection, message, readOnly, itemId } = calendarState;
+    if (readOnly) return '';
+    if (message) return `<p class="calendar-hint calendar-error">${message}</p>`;
+    if (!selection.start) return '<p class="calendar-hint">Select your first day, then your last day.</p>';
+
+    const start = dayKeyToDate(selection.start).toLocaleDateString();
+    if (!selection.end) return `<p class="calendar-hint">From ${start} - now select your last day.</p>`;
+
+    const end = dayKeyToDate(selection.end).toLocaleDateString();
+    return `
+        <p class="calendar-hint">Selected: <strong>${selection.start === selection.end ? start : `${start} - ${end}`}</strong></p>
+        <button class="btn-primary" onclick="openBookingModal('${itemId}')">📅 Request These Dates</button>
+    `;
+}
+
+/**
+ * Render the calendar for the current month into its container
+ */
+function drawCalendar() {
+    const container = document.getElementById('availabilityCalendar');
+    if (!container || !calendarState) return;
+
+    const { item, year, month, takenDays, selection } = calendarState;
+    const today = toDayKey(new Date());
+    const taken = new Set(takenDays);
+    const free = new Set(listFreeDates(item, year, month, { takenDays, fromKey: today }));
+    const recurringDays = item.availability?.type === 'recurring' ? item.availability.daysOfWeek || [] : null;
+
+    const firstWeekday = new Date(year, month, 1).getDay();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const cells = Array.from({ length: firstWeekday }, () => '<div class="cal-day cal-empty"></div>');
+
+    for (let day = 1; day <= daysInMonth; day++) {
+        const key = toDayKey(new Date(year, month, day));
+        const classes = ['cal-day'];
+        let title = 'Available';
+
+        if (free.has(key)) {
+            classes.push('cal-free');
+        } else if (taken.has(key)) {
+            classes.push('cal-booked');
+            title = 'Already booked';
+        } else {
+            classes.push('cal-unavailable');
+            const blackout = key >= today ? findBlackout(item, key, key) : null;
+            title = key < today ? 'In the past' : blackout ? `Unavailable${blackout.label ? `: ${blackout.label}` : ''}` : 'Owner unavailable';
+        }
+
+        if (selection.start && key >= selection.start && key <= (selection.end || selection.start)) {
+            classes.push(key === selection.start || key === selection.end ? 'cal-selected' : 'cal-in-range');
+        }
+
+        const clickable = !calendarState.readOnly && free.has(key);
+        cells.push(`
+            <div class="${classes.join(' ')}" title="${title}"${clickable ? ` onclick="selectCalendarDay('${key}')"` : ''}>${day}</div>
+        `);
+    }
+
+    const monthLabel = new Date(year, month, 1).toLocaleDateString([], { month: 'long', year: 'numeric' });
+    const isCurrentMonth = year === new Date().getFullYear() && month === new Date().getMonth();
+
+    container.innerHTML = `
+        <div class="cal-header">
+            <button type="button" class="btn-secondary" onclick="changeCalendarMonth(-1)" ${isCurrentMonth ? 'disabled' : ''}>‹</button>
+            <strong>${monthLabel}</strong>
+            <button type="button" class="btn-secondary" onclick="changeCalendarMonth(1)">›</button>
+        </div>
+        <div class="cal-grid">
+            ${WEEKDAY_LABELS.map((label, weekday) => `
+                <div class="cal-weekday${recurringDays?.includes(weekday) ? ' cal-weekday-available' : ''}">${label}</div>
+            `).join('')}
+            ${cells.join('')}
+        </div>
+        <div class="cal-legend">
+            <span><i class="cal-swatch cal-free"></i> Available</span>
+            <span><i class="cal-swatch cal-booked"></i> Booked</span>
+            <span><i class="cal-swatch cal-unavailable"></i> Unavailable</span>
+            <span><i class="cal-swatch cal-selected"></i> Selected</span>
+        </div>
+        ${renderSelectionSummary()}
+    `;
+}
+
+/**
+ * Copy the selected range into the booking form
+ */
+function fillBookingForm() {
+    const { selection } = calendarState;
+    const startInput = document.getElementById('bookingStartDate');
+    const endInput = document.getElementById('bookingEndDate');
+    if (startInput) startInput.value = selection.start || '';
+    if (endInput) endInput.value = selection.end || '';
+}
+
+/**
+ * Render the availability calendar for an item
+ * @param {string} itemId - Item ID
+ * @param {Object} item - Item data
+ * @param {boolean} readOnly - True for the owner, who cannot book their own item
+ */
+export async function renderAvailabilityCalendar(itemId, item, readOnly = false) {
+    const now = new Date();
+    calendarState = {
+        itemId,
+        item,
+        readOnly,
+        year: now.getFullYear(),
+        month: now.getMonth(),
+        takenDays: [],
+        selection: { start: null, end: null },
+        message: null
+    };
+
+    try {
+        calendarState.takenDays = await loadTakenDays(itemId, item);
+    } catch (error) {
+        console.error('Error loading booked dates:', error);
+    }
+    drawCalendar();
+}
+
+/**
+ * Move the calendar forward or back by whole months
+ * @param {number} delta - Months to move
+ */
+export function changeCalendarMonth(delta) {
+    if (!calendarState) return;
+
+    const target = new Date(calendarState.year, calendarState.month + delta, 1);
+    calendarState.year = target.getFullYear();
+    calendarState.month = target.getMonth();
+    drawCalendar();
+}
+
+/**
+ * Handle a click on a calendar day
+ * @param {string} key - Clicked day key
+ */
+export function selectCalendarDay(key) {
+    if (!calendarState) return;
+
+    const { item, selection, takenDays } = calendarState;
+    Object.assign(calendarState, nextSelection(item, selection, key, takenDays));
+
+    fillBookingForm();
+    drawCalendar();
+}
@@ -1,4 +1,5 @@
 import { groupBuyService } from "../services/groupBuyService.js";
+import { buildICSCalendar, downloadICSFile, groupBuyToICSEvent } from "../utils/icsCalendar.js";
 
 export const groupBuyRenderer = {
     
@@ -164,6 +165,17 @@ export const groupBuyRenderer = {
         }
         actionContainer.appendChild(btn);
 
+        const meetupEvent = groupBuyToICSEvent(item);
+        if (meetupEvent) {
+            const calendarBtn = document.createElement('button');
+            calendarBtn.className = 'btn-secondary';
+            calendarBtn.textContent = "📅 Add Meetup to Calendar";
+            calendarBtn.style.width = '100%';
+            calendarBtn.style.marginTop = '10px';
+            calendarBtn.onclick = () => downloadICSFile(`cshare-groupbuy-${item.id}.ics`, buildICSCalendar([meetupEvent], `CShare: ${item.itemName}`));
+            actionContainer.appendChild(calendarBtn);
+        }
+
         // --- COMMENT RENDERING ---
         const commentsList = document.getElementById('comments-list');
         commentsList.innerHTML = '';
@@ -17,6 +17,7 @@ import { store } from '../stores/stateStore.js';
 import { cache } from '../stores/cacheStore.js';
 import { renderMatchBreakdown } from '../modules/ranking/rankingAlgorithm.js';
 import { formatPrice } from '../utils/formatters.js';
+import { renderAvailabilityCalendar } from './availabilityCalendar.js';
 
 const db = firebaseService.getDb();
 
@@ -282,7 +283,7 @@ export async function showItemDetail(itemId) {
             const bookingsQuery = query(
                 collection(db, 'bookings'),
                 where('itemId', '==', itemId),
-                where('status', '==', 'accepted')
+                where('status', 'in', ['accepted', 'picked_up', 'overdue'])
             );
             const bookingsSnapshot = await getDocs(bookingsQuery);
 
@@ -424,6 +425,10 @@ export async function showItemDetail(itemId) {
             </div>
             ${borrowingStatusHTML}
             ${availabilityHTML}
+            <div class="item-availability-calendar">
+                <h3>Availability Calendar</h3>
+                <div id="availabilityCalendar" class="availability-calendar"></div>
+            </div>
             ${handoverTimeHTML}
             <div class="item-owner">
                 <strong>Listed by:</strong> ${item.ownerName} (${item.ownerEmail})
@@ -433,12 +438,15 @@ export async function showItemDetail(itemId) {
                 `<button class="btn-primary" onclick="editItem('${itemId}')">✏️ Edit Listing</button>
                  <button class="btn-secondary" onclick="showView('homeView')">Back to Listings</button>` :
                 `<button class="btn-primary" onclick="openBookingModal('${itemId}')">📅 Request to Book</button>
+                 <button class="btn-secondary" onclick="addToCart()">🛒 Add to Cart</button>
                  <button class="btn-primary chat-btn-with-badge" onclick="openChat('${itemId}')">💬 Chat with Owner${unreadBadge}</button>
                  <button class="btn-secondary" onclick="showView('homeView')">Back</button>`
             }
             </div>
         `;
 
+        await renderAvailabilityCalendar(itemId, item, isOwner);
+
         if (window.showView) {
             window.showView('itemDetailView');
         }
@@ -12,11 +12,51 @@ export const ITEM_EMOJIS = {
 
 export const BOOKING_STATUSES = {
     PENDING: 'pending',
+    COUNTERED: 'countered',
     ACCEPTED: 'accepted',
+    PICKED_UP: 'picked_up',
+    RETURNED: 'returned',
+    OVERDUE: 'overdue',
     DECLINED: 'declined',
+    CANCELLED: 'cancelled',
     ARCHIVED: 'archived'
 };
 
+// Handovers: the other party enters the code holder's one-time code, then the booking moves to `to`
+export const HANDOVER_STAGES = {
+    pickup: {
+        from: [BOOKING_STATUSES.ACCEPTED],
+        to: BOOKING_STATUSES.PICKED_UP,
+        label: 'Pickup',
+        codeHolder: 'renter'
+    },
+    return: {
+        from: [BOOKING_STATUSES.PICKED_UP, BOOKING_STATUSES.OVERDUE],
+        to: BOOKING_STATUSES.RETURNED,
+        label: 'Return',
+        codeHolder: 'owner'
+    }
+};
+
+// Checklist both parties fill in at pickup and at return
+export const CONDITION_CHECKLIST = [
+    { key: 'clean', label: 'Clean' },
+    { key: 'working', label: 'Works as expected' },
+    { key: 'complete', label: 'All parts and accessories included' },
+    { key: 'undamaged', label: 'No visible damage' }
+];
+
+// Damage claims against the security deposit: the renter acknowledges or
+// disputes an open claim; disputes are resolved by an admin
+export const DAMAGE_CLAIM_STATUSES = {
+    OPEN: 'open',
+    DISPUTED: 'disputed',
+    RESOLVED: 'resolved'
+};
+
+// Days after a confirmed return during which the owner can raise a damage claim
+export const DAMAGE_CLAIM_WINDOW_DAYS = 3;
+
 export const AVAILABILITY_TYPES = {
     ALWAYS: 'always',
     DATE_RANGE: 'dateRange',
@@ -11,6 +11,70 @@ export function formatPrice(price) {
     return price === 0 ? "FREE" : `$${parseFloat(price).toFixed(2)}/day`;
 }
 
+/**
+ * Format a booking status for display (e.g. "picked_up" -> "Picked Up")
+ * @param {string} status - Booking status value
+ * @returns {string} Human-readable status label
+ */
+export function formatBookingStatus(status) {
+    return (status || 'pending')
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Summarize the statuses of bookings submitted together from a cart
+ * @param {Array<string>} statuses - Status of each booking in the cart
+ * @returns {string} Combined status (e.g. "2 of 3 accepted, 1 pending")
+ */
+export function formatCartStatus(statuses) {
+    const counts = {};
+    statuses.forEach(status => {
+        const label = formatBookingStatus(status === 'confirmed' ? 'accepted' : status).toLowerCase();
+        counts[label] = (counts[label] || 0) + 1;
+    });
+    const accepted = counts.accepted || 0;
+    const others = Object.entries(counts)
+        .filter(([label]) => label !== 'accepted')
+        .map(([label, count]) => `${count} ${label}`);
+    return [`${accepted} of ${statuses.length} accepted`, ...others].join(', ');
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD value for date inputs
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date (e.g. "2025-11-27")
+ */
+export function formatDateInputValue(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Format a currency amount
+ * @param {number} amount - Amount in dollars
+ * @returns {string} Formatted amount (e.g. "$12.50")
+ */
+export function formatCurrency(amount) {
+    return `$${(Number(amount) || 0).toFixed(2)}`;
+}
+
+/**
+ * Summarize a stored booking quote in one line
+ * @param {Object} quote - Quote from calculateQuote
+ * @returns {string} Summary (e.g. "$45.00 for 3 days + $20.00 refundable deposit")
+ */
+export function formatQuoteSummary(quote) {
+    const rental = `${formatCurrency(quote.rentalTotal)} for ${quote.days} day${quote.days === 1 ? '' : 's'}`;
+    return quote.securityDeposit > 0
+        ? `${rental} + ${formatCurrency(quote.securityDeposit)} refundable deposit`
+        : rental;
+}
+
 /**
  * Format Firestore timestamp to time string
  * @param {Object} timestamp - Firestore Timestamp object
@@ -22,6 +86,33 @@ export function formatTime(timestamp) {
     return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
 }
 
+/**
+ * Format a booking's dates, including slot times for slot bookings
+ * @param {Object} booking - Booking with Firestore Timestamp startDate/endDate
+ * @returns {string} Formatted date range
+ */
+export function formatBookingRange(booking) {
+    const startDate = booking.startDate.toDate().toLocaleDateString();
+    if (booking.slots?.length) {
+        return `${startDate} ${formatTime(booking.startDate)} - ${formatTime(booking.endDate)}`;
+    }
+    return `${startDate} - ${booking.endDate.toDate().toLocaleDateString()}`;
+}
+
+/**
+ * Escape user-entered text for HTML text or a quoted attribute value
+ * @param {*} value - Text to escape (null and undefined become '')
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Format timestamp as relative time (e.g., "5m ago", "2h ago")
  * @param {Date} date - Date to format
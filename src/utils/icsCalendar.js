@@ -0,0 +1,299 @@
+/**
+ * iCalendar (RFC 5545) utility functions
+ * Builds .ics files for bookings and group-buy meetups. Event UIDs are derived
+ * from document IDs so re-importing a file updates the existing calendar event.
+ * Also reads owner calendars back in as blackout periods.
+ */
+
+import { formatDateInputValue } from './formatters.js';
+
+const PRODUCT_ID = '-//CShare//Bookings//EN';
+const UID_DOMAIN = 'cshare.app';
+const MAX_LINE_OCTETS = 75;
+const MEETUP_DURATION_MINUTES = 60;
+
+/**
+ * Escape a text value (commas, semicolons, backslashes and newlines)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeICSText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+export function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    for (const char of line) {
+        const octets = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their length
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a date as a UTC date-time (e.g. 20250101T090000Z)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar UTC date-time
+ */
+export function formatICSDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format the local calendar day of a date (e.g. 20250101)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar date
+ */
+export function formatICSDate(date) {
+    return formatDateInputValue(date).replace(/-/g, '');
+}
+
+/**
+ * Combine a day with an "HH:MM" time in local time
+ * @param {Date} date - Day
+ * @param {string} time - Time string
+ * @returns {Date} Date at the given time
+ */
+function atTime(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const result = new Date(date);
+    result.setHours(hours, minutes, 0, 0);
+    return result;
+}
+
+/**
+ * Map a booking status to an iCalendar event status
+ * @param {string} status - Booking status
+ * @returns {string} TENTATIVE, CANCELLED or CONFIRMED
+ */
+function bookingEventStatus(status) {
+    if (status === 'pending') return 'TENTATIVE';
+    if (status === 'declined' || status === 'cancelled') return 'CANCELLED';
+    return 'CONFIRMED';
+}
+
+/**
+ * Build a calendar event for a booking
+ * Slot bookings use their exact times. Day bookings run from the start of the
+ * owner's handover window on the first day to its end on the last day, or are
+ * all-day events when the item has no handover window.
+ * @param {Object} booking - Booking data with id, Firestore Timestamps and status
+ * @param {Object} item - Item data (for handoverTime), may be null
+ * @param {string} role - 'renter' or 'owner'; decides how the event is titled
+ * @returns {Object} Event fields for buildICSCalendar
+ */
+export function bookingToICSEvent(booking, item, role = 'renter') {
+    const startDate = booking.startDate.toDate();
+    const endDate = booking.endDate.toDate();
+    const handoverTime = item?.handoverTime || {
+        start: item?.availability?.timeStart,
+        end: item?.availability?.timeEnd
+    };
+
+    const event = {
+        uid: `booking-${booking.id}@${UID_DOMAIN}`,
+        summary: role === 'owner'
+            ? `Lending ${booking.itemName} to ${booking.renterName}`
+            : `Renting ${booking.itemName} from ${booking.ownerName}`,
+        status: bookingEventStatus(booking.status),
+        lastModified: booking.updatedAt?.toDate?.() || null
+    };
+
+    const description = [
+        role === 'owner'
+            ? `Renter: ${booking.renterName} (${booking.renterEmail})`
+            : `Owner: ${booking.ownerName} (${booking.ownerEmail})`
+    ];
+
+    if (booking.slots?.length) {
+        event.start = startDate;
+        event.end = endDate;
+    } else if (handoverTime.start && handoverTime.end) {
+        event.start = atTime(startDate, handoverTime.start);
+        event.end = atTime(endDate, handoverTime.end);
+        description.push(`Pickup and return between ${handoverTime.start} - ${handoverTime.end}`);
+    } else {
+        event.allDay = true;
+        event.start = startDate;
+        event.end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 1);
+    }
+
+    event.description = description.join('\n');
+    return event;
+}
+
+/**
+ * Build a calendar event for a group-buy meetup
+ * @param {Object} groupBuy - Group buy with id, itemName, meetupTime and location
+ * @returns {Object|null} Event fields, or null when no meetup time is set
+ */
+export function groupBuyToICSEvent(groupBuy) {
+    if (!groupBuy.meetupTime) return null;
+
+    const start = new Date(groupBuy.meetupTime);
+    return {
+        uid: `groupbuy-${groupBuy.id}@${UID_DOMAIN}`,
+        summary: `Group buy meetup: ${groupBuy.itemName}`,
+        description: groupBuy.description || '',
+        location: groupBuy.location || '',
+        status: 'CONFIRMED',
+        start,
+        end: new Date(start.getTime() + MEETUP_DURATION_MINUTES * 60000),
+        lastModified: null
+    };
+}
+
+/**
+ * Build an .ics calendar file from events
+ * SEQUENCE follows the last-modified time so calendar apps accept updates.
+ * @param {Array<Object>} events - Events from bookingToICSEvent / groupBuyToICSEvent
+ * @param {string} calendarName - Calendar display name
+ * @param {Date} now - Timestamp for DTSTAMP
+ * @returns {string} iCalendar file content with CRLF line endings
+ */
+export function buildICSCalendar(events, calendarName, now = new Date()) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(calendarName)}`
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatICSDateTime(now)}`,
+            event.allDay ? `DTSTART;VALUE=DATE:${formatICSDate(event.start)}` : `DTSTART:${formatICSDateTime(event.start)}`,
+            event.allDay ? `DTEND;VALUE=DATE:${formatICSDate(event.end)}` : `DTEND:${formatICSDateTime(event.end)}`,
+            `SUMMARY:${escapeICSText(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeICSText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeICSText(event.location)}`);
+        if (event.lastModified) {
+            lines.push(
+                `LAST-MODIFIED:${formatICSDateTime(event.lastModified)}`,
+                `SEQUENCE:${Math.floor(event.lastModified.getTime() / 1000)}`
+            );
+        }
+        lines.push(`STATUS:${event.status}`, 'END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Reverse escapeICSText
+ * @param {string} value - Escaped text
+ * @returns {string} Raw text
+ */
+function unescapeICSText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * Floating and TZID times are read as local time.
+ * @param {string} value - Value such as 20251127 or 20251127T090000Z
+ * @returns {Object|null} { date, allDay } or null if the value is malformed
+ */
+function parseICSDateValue(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined) {
+        return { date: new Date(Number(year), Number(month) - 1, Number(day)), allDay: true };
+    }
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+    return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts), allDay: false };
+}
+
+/**
+ * Read the events of an .ics file as whole-day blackout periods
+ * All-day DTEND values are exclusive, as are timed events ending at midnight.
+ * @param {string} content - iCalendar file content
+ * @returns {Array<Object>} Blackouts as { start, end, label } with YYYY-MM-DD dates
+ */
+export function parseICSBlackouts(content) {
+    const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const blackouts = [];
+    let event = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (event?.start) {
+                const start = event.start.date;
+                let end = event.end ? new Date(event.end.date) : new Date(start);
+                const endsAtMidnight = end.getHours() === 0 && end.getMinutes() === 0 && end.getSeconds() === 0;
+                if (event.end && end > start && (event.end.allDay || endsAtMidnight)) {
+                    end.setDate(end.getDate() - 1);
+                }
+                if (end < start) end = new Date(start);
+                blackouts.push({
+                    start: formatDateInputValue(start),
+                    end: formatDateInputValue(end),
+                    label: event.summary || ''
+                });
+            }
+            event = null;
+            return;
+        }
+        if (!event) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+        if (name === 'DTSTART') event.start = parseICSDateValue(value);
+        else if (name === 'DTEND') event.end = parseICSDateValue(value);
+        else if (name === 'SUMMARY') event.summary = unescapeICSText(value);
+    });
+
+    return blackouts;
+}
+
+/**
+ * Trigger a browser download of an .ics file
+ * @param {string} filename - File name including the .ics extension
+ * @param {string} content - iCalendar file content
+ */
+export function downloadICSFile(filename, content) {
+    const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -2,10 +2,11 @@
  * Validation utility functions
  */
 
-import { AVAILABILITY_TYPES } from './constants.js';
+import { formatDateInputValue } from './formatters.js';
 
 /**
  * Build lock IDs for booking date range
+ * Lock IDs use the local calendar day the renter picked, never the UTC day.
  * @param {string} itemId - Item ID
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
@@ -18,72 +19,84 @@ export function buildLockIds(itemId, startDate, endDate) {
     const end = new Date(endDate);
     end.setHours(0, 0, 0, 0);
     while (cursor <= end) {
-        ids.push(`${itemId}_${cursor.toISOString().split('T')[0]}`);
+        ids.push(`${itemId}_${formatDateInputValue(cursor)}`);
         cursor.setDate(cursor.getDate() + 1);
     }
     return ids;
 }
 
 /**
- * Validate if dates are within item's availability
- * @param {Object} item - Item object with availability data
- * @param {Date} requestedStart - Requested start date
- * @param {Date} requestedEnd - Requested end date
- * @returns {Object} Validation result with { valid: boolean, message: string }
+ * Convert an "HH:MM" time string to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes after midnight
  */
-export function validateAvailability(item, requestedStart, requestedEnd) {
-    const availability = item.availability || {};
-
-    if (availability.type === AVAILABILITY_TYPES.ALWAYS) {
-        return { valid: true };
-    }
-
-    if (availability.type === AVAILABILITY_TYPES.DATE_RANGE) {
-        const availStart = availability.startDate?.toDate();
-        const availEnd = availability.endDate?.toDate();
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
 
-        if (availStart && requestedStart < availStart) {
-            return {
-                valid: false,
-                message: `Item is only available from ${availStart.toLocaleDateString()}`
-            };
-        }
+/**
+ * Convert minutes after midnight to an "HH:MM" time string
+ * @param {number} totalMinutes - Minutes after midnight
+ * @returns {string} Time string
+ */
+function minutesToTime(totalMinutes) {
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours}:${minutes}`;
+}
 
-        if (availEnd && requestedEnd > availEnd) {
-            return {
-                valid: false,
-                message: `Item is only available until ${availEnd.toLocaleDateString()}`
-            };
-        }
+/**
+ * Generate bookable slot start times inside an owner's handover window
+ * @param {Object} handoverTime - Handover window { start: "HH:MM", end: "HH:MM" }
+ * @param {number} slotLengthMinutes - Length of each slot in minutes
+ * @returns {Array<string>} Slot start times ("HH:MM"), empty if no full slot fits
+ */
+export function generateTimeSlots(handoverTime, slotLengthMinutes) {
+    if (!handoverTime?.start || !handoverTime?.end || !slotLengthMinutes) return [];
 
-        return { valid: true };
+    const slots = [];
+    const windowEnd = timeToMinutes(handoverTime.end);
+    for (let cursor = timeToMinutes(handoverTime.start); cursor + slotLengthMinutes <= windowEnd; cursor += slotLengthMinutes) {
+        slots.push(minutesToTime(cursor));
     }
+    return slots;
+}
 
-    if (availability.type === AVAILABILITY_TYPES.RECURRING) {
-        // Check if booking spans multiple days
-        if (requestedStart.toDateString() !== requestedEnd.toDateString()) {
-            return {
-                valid: false,
-                message: 'Recurring availability items can only be booked for same-day use'
-            };
-        }
-
-        const dayOfWeek = requestedStart.getDay();
-        const availableDays = availability.daysOfWeek || [];
+/**
+ * Validate a renter's slot selection
+ * @param {Array<string>} selectedSlots - Selected slot start times
+ * @param {Array<string>} availableSlots - All slot start times for the item, in order
+ * @returns {Object} Validation result with { valid: boolean, message: string }
+ */
+export function validateSlotSelection(selectedSlots, availableSlots) {
+    if (selectedSlots.length === 0) {
+        return { valid: false, message: 'Please select at least one time slot' };
+    }
 
-        if (!availableDays.includes(dayOfWeek)) {
-            const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-            const availableDayNames = availableDays.map(d => dayNames[d]).join(', ');
-            return {
-                valid: false,
-                message: `Item is only available on: ${availableDayNames}`
-            };
-        }
+    const indexes = selectedSlots.map(slot => availableSlots.indexOf(slot)).sort((a, b) => a - b);
+    if (indexes.includes(-1)) {
+        return { valid: false, message: 'Selected time slot is outside the owner\'s handover window' };
+    }
 
-        return { valid: true };
+    const contiguous = indexes.every((index, i) => i === 0 || index === indexes[i - 1] + 1);
+    if (!contiguous) {
+        return { valid: false, message: 'Please select consecutive time slots' };
     }
 
-    return { valid: false, message: 'Unknown availability type' };
+    return { valid: true };
+}
+
+/**
+ * Build lock IDs for a slot booking, one per slot
+ * @param {string} itemId - Item ID
+ * @param {Date} date - Booking day
+ * @param {Array<string>} slots - Slot start times ("HH:MM")
+ * @returns {Array<string>} Array of lock IDs (e.g. "item1_2024-12-04T18:00")
+ */
+export function buildSlotLockIds(itemId, date, slots) {
+    const day = formatDateInputValue(date);
+    return [...slots].sort().map(slot => `${itemId}_${day}T${slot}`);
 }
 
 /**
@@ -98,6 +98,26 @@ function formatPrice(price) {
     return price === 0 ? "FREE" : `$${parseFloat(price).toFixed(2)}/day`;
 }
 
+function formatBookingStatus(status) {
+    return (status || 'pending')
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+function formatCartStatus(statuses) {
+    const counts = {};
+    statuses.forEach(status => {
+        const label = formatBookingStatus(status === 'confirmed' ? 'accepted' : status).toLowerCase();
+        counts[label] = (counts[label] || 0) + 1;
+    });
+    const accepted = counts.accepted || 0;
+    const others = Object.entries(counts)
+        .filter(([label]) => label !== 'accepted')
+        .map(([label, count]) => `${count} ${label}`);
+    return [`${accepted} of ${statuses.length} accepted`, ...others].join(', ');
+}
+
 function weightDescriptor(value) {
     const descriptors = {
         0: "Off",
@@ -110,18 +130,777 @@ function weightDescriptor(value) {
     return descriptors[value] || "Medium";
 }
 
+// Mirrors buildLockIds in src/utils/validators.js; "YYYY-MM-DD" inputs are read as
+// local days, the same way the booking form parses them
 function buildLockIds(itemId, startDate, endDate) {
-    const lockIds = [];
-    const currentDate = new Date(startDate);
-    const end = new Date(endDate);
+    const toLocalDay = (value) => (typeof value === 'string' ? new Date(value + 'T00:00:00') : new Date(value));
+    const ids = [];
+    const cursor = toLocalDay(startDate);
+    cursor.setHours(0, 0, 0, 0);
+    const end = toLocalDay(endDate);
+    end.setHours(0, 0, 0, 0);
+    while (cursor <= end) {
+        ids.push(`${itemId}_${formatDateInputValue(cursor)}`);
+        cursor.setDate(cursor.getDate() + 1);
+    }
+    return ids;
+}
+
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesToTime(totalMinutes) {
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours}:${minutes}`;
+}
+
+function generateTimeSlots(handoverTime, slotLengthMinutes) {
+    if (!handoverTime?.start || !handoverTime?.end || !slotLengthMinutes) return [];
+
+    const slots = [];
+    const windowEnd = timeToMinutes(handoverTime.end);
+    for (let cursor = timeToMinutes(handoverTime.start); cursor + slotLengthMinutes <= windowEnd; cursor += slotLengthMinutes) {
+        slots.push(minutesToTime(cursor));
+    }
+    return slots;
+}
+
+function validateSlotSelection(selectedSlots, availableSlots) {
+    if (selectedSlots.length === 0) {
+        return { valid: false, message: 'Please select at least one time slot' };
+    }
+
+    const indexes = selectedSlots.map(slot => availableSlots.indexOf(slot)).sort((a, b) => a - b);
+    if (indexes.includes(-1)) {
+        return { valid: false, message: 'Selected time slot is outside the owner\'s handover window' };
+    }
+
+    const contiguous = indexes.every((index, i) => i === 0 || index === indexes[i - 1] + 1);
+    if (!contiguous) {
+        return { valid: false, message: 'Please select consecutive time slots' };
+    }
+
+    return { valid: true };
+}
+
+function buildSlotLockIds(itemId, date, slots) {
+    const day = [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+    return [...slots].sort().map(slot => `${itemId}_${day}T${slot}`);
+}
+
+// Mirrors escapeICSText / foldICSLine / formatICSDate / bookingToICSEvent in src/utils/icsCalendar.js
+const UID_DOMAIN = 'cshare.app';
+const MAX_LINE_OCTETS = 75;
+
+function escapeICSText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    for (const char of line) {
+        const octets = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their length
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatICSDate(date) {
+    return formatDateInputValue(date).replace(/-/g, '');
+}
+
+function atTime(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const result = new Date(date);
+    result.setHours(hours, minutes, 0, 0);
+    return result;
+}
+
+function bookingEventStatus(status) {
+    if (status === 'pending') return 'TENTATIVE';
+    if (status === 'declined' || status === 'cancelled') return 'CANCELLED';
+    return 'CONFIRMED';
+}
+
+function bookingToICSEvent(booking, item, role = 'renter') {
+    const startDate = booking.startDate.toDate();
+    const endDate = booking.endDate.toDate();
+    const handoverTime = item?.handoverTime || {
+        start: item?.availability?.timeStart,
+        end: item?.availability?.timeEnd
+    };
+
+    const event = {
+        uid: `booking-${booking.id}@${UID_DOMAIN}`,
+        summary: role === 'owner'
+            ? `Lending ${booking.itemName} to ${booking.renterName}`
+            : `Renting ${booking.itemName} from ${booking.ownerName}`,
+        status: bookingEventStatus(booking.status),
+        lastModified: booking.updatedAt?.toDate?.() || null
+    };
+
+    const description = [
+        role === 'owner'
+            ? `Renter: ${booking.renterName} (${booking.renterEmail})`
+            : `Owner: ${booking.ownerName} (${booking.ownerEmail})`
+    ];
+
+    if (booking.slots?.length) {
+        event.start = startDate;
+        event.end = endDate;
+    } else if (handoverTime.start && handoverTime.end) {
+        event.start = atTime(startDate, handoverTime.start);
+        event.end = atTime(endDate, handoverTime.end);
+        description.push(`Pickup and return between ${handoverTime.start} - ${handoverTime.end}`);
+    } else {
+        event.allDay = true;
+        event.start = startDate;
+        event.end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 1);
+    }
+
+    event.description = description.join('\n');
+    return event;
+}
+
+// Mirrors src/modules/availability/availabilityEngine.js
+const AVAILABILITY_TYPES = {
+    ALWAYS: 'always',
+    DATE_RANGE: 'dateRange',
+    RECURRING: 'recurring'
+};
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_SEARCH_DAYS = 366;
+const DEFAULT_RANKING_WINDOW_DAYS = 7;
+
+// Intl formatters are expensive to create, so keep one per timezone
+const dayKeyFormatters = new Map();
+
+/**
+ * Get the timezone of the current browser
+ * @returns {string} IANA timezone name (e.g. "America/New_York")
+ */
+function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Get the calendar day an instant falls on in a timezone
+ * @param {Date|Object|string} value - Date, Firestore Timestamp or existing day key
+ * @param {string} [timeZone] - IANA timezone; the browser's timezone when omitted
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+function toDayKey(value, timeZone) {
+    if (typeof value === 'string') return value.slice(0, 10);
+
+    const date = typeof value?.toDate === 'function' ? value.toDate() : new Date(value);
+    if (!timeZone) return formatDateInputValue(date);
+
+    if (!dayKeyFormatters.has(timeZone)) {
+        // en-CA formats dates as YYYY-MM-DD
+        dayKeyFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }));
+    }
+    return dayKeyFormatters.get(timeZone).format(date);
+}
+
+/**
+ * Get the local midnight Date for a day key, for display and date inputs
+ * @param {string} key - Day key
+ * @returns {Date} Local midnight of that day
+ */
+function dayKeyToDate(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Add days to a day key
+ * Uses UTC arithmetic so daylight-saving changes never skip or repeat a day.
+ * @param {string} key - Day key
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting day key
+ */
+function addDays(key, days) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the weekday of a day key
+ * @param {string} key - Day key
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+function dayOfWeek(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * List every day key in an inclusive range
+ * @param {string} startKey - First day
+ * @param {string} endKey - Last day
+ * @returns {Array<string>} Day keys
+ */
+function eachDay(startKey, endKey) {
+    const days = [];
+    for (let key = startKey; key <= endKey; key = addDays(key, 1)) {
+        days.push(key);
+    }
+    return days;
+}
+
+/**
+ * Read an item's blackout periods as day keys in the owner's timezone
+ * @param {Object} item - Item data
+ * @returns {Array<Object>} Blackouts as { start, end, label } day keys
+ */
+function itemBlackouts(item) {
+    return (item.availability?.blackouts || []).map(blackout => ({
+        start: toDayKey(blackout.start, item.timeZone),
+        end: toDayKey(blackout.end, item.timeZone),
+        label: blackout.label || ''
+    }));
+}
+
+/**
+ * Format a day key for messages
+ * @param {string} key - Day key
+ * @returns {string} Localized date
+ */
+function formatDay(key) {
+    return dayKeyToDate(key).toLocaleDateString();
+}
+
+/**
+ * Find the first blackout period overlapping a range of days
+ * @param {Object} item - Item data
+ * @param {string} startKey - First requested day
+ * @param {string} endKey - Last requested day
+ * @returns {Object|null} The blackout as day keys, or null
+ */
+function findBlackout(item, startKey, endKey) {
+    return itemBlackouts(item).find(blackout => startKey <= blackout.end && endKey >= blackout.start) || null;
+}
+
+/**
+ * Check the owner's rules for a single day, ignoring existing bookings
+ * @param {Object} item - Item data
+ * @param {string} key - Day key
+ * @returns {boolean} True if the owner lends the item on that day
+ */
+function isOwnerAvailable(item, key) {
+    const availability = item.availability || {};
+    if (findBlackout(item, key, key)) return false;
+
+    switch (availability.type || AVAILABILITY_TYPES.ALWAYS) {
+        case AVAILABILITY_TYPES.ALWAYS:
+            return true;
+        case AVAILABILITY_TYPES.DATE_RANGE:
+            return (!availability.startDate || key >= toDayKey(availability.startDate, item.timeZone))
+                && (!availability.endDate || key <= toDayKey(availability.endDate, item.timeZone));
+        case AVAILABILITY_TYPES.RECURRING:
+            return (availability.daysOfWeek || []).includes(dayOfWeek(key));
+        default:
+            return false;
+    }
+}
 
-    while (currentDate <= end) {
-        const dateString = currentDate.toISOString().split('T')[0];
-        lockIds.push(`${itemId}_${dateString}`);
-        currentDate.setDate(currentDate.getDate() + 1);
+/**
+ * Get when the renter would pick the item up on a day
+ * Uses the start of the owner's handover window, or midnight without one.
+ * @param {Object} item - Item data
+ * @param {string} key - Day key
+ * @returns {Date} Local pickup time
+ */
+function pickupTime(item, key) {
+    const date = dayKeyToDate(key);
+    const handoverStart = item.handoverTime?.start || item.availability?.timeStart;
+    if (handoverStart) {
+        const [hours, minutes] = handoverStart.split(':').map(Number);
+        date.setHours(hours, minutes, 0, 0);
     }
+    return date;
+}
 
-    return lockIds;
+/**
+ * Check whether a pickup leaves the owner their required notice
+ * Items without a lead time can be booked up to the pickup itself.
+ * @param {Object} item - Item data
+ * @param {Date} startTime - Pickup time
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the lead time is met
+ */
+function meetsLeadTime(item, startTime, now) {
+    const leadTimeHours = item.availability?.rules?.leadTimeHours || 0;
+    if (leadTimeHours === 0) return true;
+    return startTime.getTime() - now.getTime() >= leadTimeHours * 60 * 60 * 1000;
+}
+
+/**
+ * Get the turnaround days an owner keeps free around each accepted booking
+ * Slot bookings never get buffer days.
+ * @param {Object} item - Item data
+ * @returns {number} Buffer days on each side
+ */
+function getBufferDays(item) {
+    if (item.slotLengthMinutes) return 0;
+    return item.availability?.rules?.bufferDays || 0;
+}
+
+/**
+ * List the buffer day keys around a booked range
+ * @param {string} startKey - First booked day
+ * @param {string} endKey - Last booked day
+ * @param {number} bufferDays - Buffer days on each side
+ * @returns {Array<string>} Day keys before and after the booking
+ */
+function bufferDayKeys(startKey, endKey, bufferDays) {
+    const days = [];
+    for (let i = bufferDays; i >= 1; i--) days.push(addDays(startKey, -i));
+    for (let i = 1; i <= bufferDays; i++) days.push(addDays(endKey, i));
+    return days;
+}
+
+/**
+ * Check whether an item can be booked for a range of days
+ * Items without availability settings are treated as always available.
+ * Duration limits and lead time come from `availability.rules`.
+ * @param {Object} item - Item data
+ * @param {string} startKey - First requested day
+ * @param {string} endKey - Last requested day (same as startKey for slot bookings)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.takenDays] - Day keys already booked by others
+ * @param {Date} [options.startTime] - Exact pickup time (slot bookings); defaults to the handover start
+ * @param {Date} [options.now] - Current time, for the lead time
+ * @returns {Object} Validation result with { valid: boolean, message: string }
+ */
+function checkBookable(item, startKey, endKey, { takenDays = [], startTime = null, now = new Date() } = {}) {
+    const availability = item.availability || {};
+    const type = availability.type || AVAILABILITY_TYPES.ALWAYS;
+    const rules = availability.rules || {};
+
+    if (endKey < startKey) {
+        return { valid: false, message: 'End date must be after start date' };
+    }
+
+    if (!meetsLeadTime(item, startTime || pickupTime(item, startKey), now)) {
+        return { valid: false, message: `This item must be booked at least ${rules.leadTimeHours} hours in advance` };
+    }
+
+    if (!item.slotLengthMinutes) {
+        const days = eachDay(startKey, endKey).length;
+        if (rules.minDays && days < rules.minDays) {
+            return { valid: false, message: `This item must be booked for at least ${rules.minDays} day${rules.minDays === 1 ? '' : 's'}` };
+        }
+        if (rules.maxDays && days > rules.maxDays) {
+            return { valid: false, message: `This item can be booked for at most ${rules.maxDays} day${rules.maxDays === 1 ? '' : 's'}` };
+        }
+    }
+
+    const blackout = findBlackout(item, startKey, endKey);
+    if (blackout) {
+        const range = blackout.start === blackout.end ? formatDay(blackout.start) : `${formatDay(blackout.start)} - ${formatDay(blackout.end)}`;
+        return { valid: false, message: `Item is unavailable ${range}${blackout.label ? ` (${blackout.label})` : ''}` };
+    }
+
+    if (type === AVAILABILITY_TYPES.DATE_RANGE) {
+        const availableFrom = availability.startDate ? toDayKey(availability.startDate, item.timeZone) : null;
+        const availableUntil = availability.endDate ? toDayKey(availability.endDate, item.timeZone) : null;
+        if (availableFrom && startKey < availableFrom) {
+            return { valid: false, message: `Item is only available from ${formatDay(availableFrom)}` };
+        }
+        if (availableUntil && endKey > availableUntil) {
+            return { valid: false, message: `Item is only available until ${formatDay(availableUntil)}` };
+        }
+    } else if (type === AVAILABILITY_TYPES.RECURRING) {
+        const availableDayNames = (availability.daysOfWeek || []).map(day => DAY_NAMES[day]).join(', ');
+        if (startKey !== endKey) {
+            return {
+                valid: false,
+                message: `This item only allows same-day borrowing on: ${availableDayNames}. Please select the same date for pickup and return.`
+            };
+        }
+        if (!isOwnerAvailable(item, startKey)) {
+            return {
+                valid: false,
+                message: `This item is only available on: ${availableDayNames}. You selected: ${DAY_NAMES[dayOfWeek(startKey)]}`
+            };
+        }
+    } else if (type !== AVAILABILITY_TYPES.ALWAYS) {
+        return { valid: false, message: 'Unknown availability type' };
+    }
+
+    const taken = new Set(takenDays);
+    const bookedDays = eachDay(startKey, endKey).filter(key => taken.has(key));
+    if (bookedDays.length > 0) {
+        return { valid: false, message: `Already booked on: ${bookedDays.map(formatDay).join(', ')}` };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * List the days in a month on which the item can be booked
+ * @param {Object} item - Item data
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.takenDays] - Day keys already booked by others
+ * @param {string} [options.fromKey] - Earliest bookable day (defaults to today)
+ * @param {Date} [options.now] - Current time, for the lead time
+ * @returns {Array<string>} Free day keys
+ */
+function listFreeDates(item, year, month, { takenDays = [], fromKey = toDayKey(new Date()), now = new Date() } = {}) {
+    const firstDay = formatDateInputValue(new Date(year, month, 1));
+    const lastDay = formatDateInputValue(new Date(year, month + 1, 0));
+    const taken = new Set(takenDays);
+    return eachDay(firstDay, lastDay)
+        .filter(key => key >= fromKey && !taken.has(key) && isOwnerAvailable(item, key))
+        .filter(key => meetsLeadTime(item, pickupTime(item, key), now));
+}
+
+/**
+ * Find the earliest window of consecutive days the item can be booked for
+ * @param {Object} item - Item data
+ * @param {Object} [options]
+ * @param {number} [options.lengthDays] - Number of days needed
+ * @param {Array<string>} [options.takenDays] - Day keys already booked by others
+ * @param {string} [options.fromKey] - First day to consider (defaults to today)
+ * @param {number} [options.horizonDays] - How far ahead to search
+ * @param {Date} [options.now] - Current time, for the lead time
+ * @returns {Object|null} { startKey, endKey } or null if nothing is free within the horizon
+ */
+function findNextFreeWindow(item, {
+    lengthDays = 1,
+    takenDays = [],
+    fromKey = toDayKey(new Date()),
+    horizonDays = MAX_SEARCH_DAYS,
+    now = new Date()
+} = {}) {
+    for (let offset = 0; offset < horizonDays; offset++) {
+        const startKey = addDays(fromKey, offset);
+        const endKey = addDays(startKey, lengthDays - 1);
+        if (checkBookable(item, startKey, endKey, { takenDays, now }).valid) {
+            return { startKey, endKey };
+        }
+    }
+    return null;
+}
+
+/**
+ * Share of the days in a desired window on which the owner lends the item
+ * Used by the ranking algorithm. Open-ended windows are limited to a week from
+ * the known end.
+ * @param {Object} item - Item data
+ * @param {string|null} startKey - First desired day
+ * @param {string|null} endKey - Last desired day
+ * @returns {number} 0 to 1
+ */
+function availableFraction(item, startKey, endKey) {
+    const first = startKey || addDays(endKey, -(DEFAULT_RANKING_WINDOW_DAYS - 1));
+    const requestedLast = endKey || addDays(startKey, DEFAULT_RANKING_WINDOW_DAYS - 1);
+    if (requestedLast < first) return 0;
+
+    // Keep very long windows cheap to score
+    const cap = addDays(first, MAX_SEARCH_DAYS - 1);
+    const days = eachDay(first, requestedLast < cap ? requestedLast : cap);
+    return days.filter(key => isOwnerAvailable(item, key)).length / days.length;
+}
+
+// Midnight of a calendar day in a timezone, as stored by an owner's browser in that zone
+function zonedMidnight(key, timeZone) {
+    const [year, month, day] = key.split('-').map(Number);
+    const utcGuess = Date.UTC(year, month - 1, day);
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(new Date(utcGuess));
+    const get = (type) => Number(parts.find(part => part.type === type).value);
+    const offset = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute')) - utcGuess;
+    return new Date(utcGuess - offset);
+}
+
+const TEST_TIME_ZONES = [
+    'UTC',
+    'Pacific/Pago_Pago',
+    'America/Los_Angeles',
+    'America/New_York',
+    'Europe/London',
+    'Asia/Kolkata',
+    'Asia/Tokyo',
+    'Pacific/Auckland',
+    'Pacific/Kiritimati'
+];
+
+// Mirrors parseICSBlackouts in src/utils/icsCalendar.js and formatDateInputValue in src/utils/formatters.js
+function formatDateInputValue(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+function unescapeICSText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function parseICSDateValue(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined) {
+        return { date: new Date(Number(year), Number(month) - 1, Number(day)), allDay: true };
+    }
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+    return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts), allDay: false };
+}
+
+function parseICSBlackouts(content) {
+    const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const blackouts = [];
+    let event = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (event?.start) {
+                const start = event.start.date;
+                let end = event.end ? new Date(event.end.date) : new Date(start);
+                const endsAtMidnight = end.getHours() === 0 && end.getMinutes() === 0 && end.getSeconds() === 0;
+                if (event.end && end > start && (event.end.allDay || endsAtMidnight)) {
+                    end.setDate(end.getDate() - 1);
+                }
+                if (end < start) end = new Date(start);
+                blackouts.push({
+                    start: formatDateInputValue(start),
+                    end: formatDateInputValue(end),
+                    label: event.summary || ''
+                });
+            }
+            event = null;
+            return;
+        }
+        if (!event) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+        if (name === 'DTSTART') event.start = parseICSDateValue(value);
+        else if (name === 'DTEND') event.end = parseICSDateValue(value);
+        else if (name === 'SUMMARY') event.summary = unescapeICSText(value);
+    });
+
+    return blackouts;
+}
+
+// Mirrors countRentalDays / calculateQuote in src/modules/pricing/priceQuote.js
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const WEEKLY_MIN_DAYS = 7;
+const MONTHLY_MIN_DAYS = 28;
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function countRentalDays(startDate, endDate) {
+    const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+    // Round to absorb daylight-saving shifts between the two midnights
+    return Math.max(1, Math.round((end - start) / MS_PER_DAY) + 1);
+}
+
+function calculateQuote(item, startDate, endDate) {
+    const pricing = item.pricing || {};
+    const dailyRate = Number(item.price) || 0;
+    const days = countRentalDays(startDate, endDate);
+    const subtotal = roundCents(dailyRate * days);
+
+    let discountPercent = 0;
+    let discountLabel = null;
+    if (days >= MONTHLY_MIN_DAYS && pricing.monthlyDiscountPercent) {
+        discountPercent = pricing.monthlyDiscountPercent;
+        discountLabel = 'Monthly discount';
+    } else if (days >= WEEKLY_MIN_DAYS && pricing.weeklyDiscountPercent) {
+        discountPercent = pricing.weeklyDiscountPercent;
+        discountLabel = 'Weekly discount';
+    }
+
+    const discount = roundCents(subtotal * discountPercent / 100);
+    const cleaningFee = roundCents(pricing.cleaningFee || 0);
+    const securityDeposit = roundCents(pricing.securityDeposit || 0);
+    const rentalTotal = roundCents(subtotal - discount + cleaningFee);
+
+    return {
+        days,
+        dailyRate,
+        subtotal,
+        discountPercent,
+        discountLabel,
+        discount,
+        cleaningFee,
+        securityDeposit,
+        rentalTotal,
+        totalDue: roundCents(rentalTotal + securityDeposit)
+    };
+}
+
+// Mirrors applyNegotiatedTotal in src/modules/pricing/priceQuote.js
+function applyNegotiatedTotal(quote, rentalTotal) {
+    if (rentalTotal === null || rentalTotal === undefined || roundCents(rentalTotal) === quote.rentalTotal) {
+        return quote;
+    }
+    const total = roundCents(Math.max(0, rentalTotal));
+    return {
+        ...quote,
+        rentalTotal: total,
+        totalDue: roundCents(total + quote.securityDeposit),
+        negotiatedFrom: quote.rentalTotal
+    };
+}
+
+// Mirrors extendQuote in src/modules/pricing/priceQuote.js
+function extendQuote(quote, item, startDate, endDate) {
+    const extended = calculateQuote(item, startDate, endDate);
+    if (quote?.negotiatedFrom === undefined) return extended;
+    return applyNegotiatedTotal(extended, extended.rentalTotal - (quote.negotiatedFrom - quote.rentalTotal));
+}
+
+// Mirrors src/modules/pricing/cancellationPolicy.js
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+const CANCELLATION_POLICIES = {
+    flexible: {
+        label: 'Flexible',
+        windows: [
+            { hoursBefore: 24, refundPercent: 100 },
+            { hoursBefore: -Infinity, refundPercent: 50 }
+        ]
+    },
+    moderate: {
+        label: 'Moderate',
+        windows: [
+            { hoursBefore: 120, refundPercent: 100 },
+            { hoursBefore: 24, refundPercent: 50 },
+            { hoursBefore: -Infinity, refundPercent: 0 }
+        ]
+    },
+    strict: {
+        label: 'Strict',
+        windows: [
+            { hoursBefore: 168, refundPercent: 50 },
+            { hoursBefore: -Infinity, refundPercent: 0 }
+        ]
+    }
+};
+
+const DEFAULT_CANCELLATION_POLICY = 'flexible';
+
+/**
+ * Look up a cancellation policy, falling back to the default
+ * @param {string} [policyKey] - 'flexible', 'moderate' or 'strict'
+ * @returns {Object} Policy with its key, label and windows
+ */
+function getCancellationPolicy(policyKey) {
+    const key = CANCELLATION_POLICIES[policyKey] ? policyKey : DEFAULT_CANCELLATION_POLICY;
+    return { key, ...CANCELLATION_POLICIES[key] };
+}
+
+/**
+ * Format a cut-off in hours as days when it divides evenly
+ * @param {number} hours - Hours before pickup
+ * @returns {string} Readable cut-off (e.g. "5 days", "24 hours")
+ */
+function formatCutoff(hours) {
+    if (hours % 24 === 0 && hours > 24) return `${hours / 24} days`;
+    return `${hours} hours`;
+}
+
+/**
+ * Describe a policy's refund windows in plain words
+ * @param {string} [policyKey] - Policy key
+ * @returns {Array<string>} One line per window, earliest first
+ */
+function describeCancellationPolicy(policyKey) {
+    const { windows } = getCancellationPolicy(policyKey);
+    return windows.map((cutoff, index) => {
+        const refund = cutoff.refundPercent === 100 ? 'Full refund'
+            : cutoff.refundPercent === 0 ? 'No refund'
+                : `${cutoff.refundPercent}% refund`;
+        if (cutoff.hoursBefore === -Infinity) {
+            return `${refund} after that`;
+        }
+        return index === 0
+            ? `${refund} if cancelled at least ${formatCutoff(cutoff.hoursBefore)} before pickup`
+            : `${refund} up to ${formatCutoff(cutoff.hoursBefore)} before pickup`;
+    });
+}
+
+/**
+ * Work out the refund and penalty for cancelling a booking now
+ * Requests the owner has not accepted yet are always refunded in full, and
+ * the security deposit is always returned.
+ * @param {Object} booking - Booking data with startDate, status, quote and cancellationPolicy
+ * @param {Date} [now] - Cancellation time
+ * @returns {Object} { policy, hoursBeforeStart, refundPercent, refundAmount, penaltyAmount, depositRefund }
+ */
+function calculateCancellationOutcome(booking, now = new Date()) {
+    const { key, windows } = getCancellationPolicy(booking.cancellationPolicy);
+    const rentalTotal = booking.quote?.rentalTotal || 0;
+    const hoursBeforeStart = (booking.startDate.toDate() - now) / MS_PER_HOUR;
+
+    // Legacy bookings were accepted as 'confirmed'
+    const agreed = booking.status === 'accepted' || booking.status === 'confirmed';
+    const refundPercent = agreed
+        ? windows.find(cutoff => hoursBeforeStart >= cutoff.hoursBefore).refundPercent
+        : 100;
+    const refundAmount = roundCents(rentalTotal * refundPercent / 100);
+
+    return {
+        policy: key,
+        hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+        refundPercent,
+        refundAmount,
+        penaltyAmount: roundCents(rentalTotal - refundAmount),
+        depositRefund: booking.quote?.securityDeposit || 0
+    };
 }
 
 function getChatId(itemId, userId) {
@@ -178,19 +957,531 @@ function calculateMatchScore(item, preferences, searchQuery, desiredStart, desir
         score += availabilityScore * weights.availability;
     }
 
-    // Urgency score (closer desired dates = higher score)
-    if (weights.urgency > 0 && desiredStart) {
-        const daysUntilStart = Math.floor((new Date(desiredStart) - new Date()) / (1000 * 60 * 60 * 24));
-        const urgencyScore = daysUntilStart <= 1 ? 100 : Math.max(0, 100 - daysUntilStart * 5);
-        breakdown.urgency = urgencyScore;
-        score += urgencyScore * weights.urgency;
-    }
+    // Urgency score (closer desired dates = higher score)
+    if (weights.urgency > 0 && desiredStart) {
+        const daysUntilStart = Math.floor((new Date(desiredStart) - new Date()) / (1000 * 60 * 60 * 24));
+        const urgencyScore = daysUntilStart <= 1 ? 100 : Math.max(0, 100 - daysUntilStart * 5);
+        breakdown.urgency = urgencyScore;
+        score += urgencyScore * weights.urgency;
+    }
+
+    // Normalize by total weight
+    const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    const normalizedScore = totalWeight > 0 ? score / totalWeight : 0;
+
+    return { score: normalizedScore, breakdown };
+}
+
+// In-memory Firestore stand-in with optimistic transactions (mirrors Firestore's
+// retry-on-contention semantics closely enough to exercise booking races)
+class InMemoryFirestore {
+    constructor() {
+        this.docs = new Map();
+        this.versions = new Map();
+        this.nextId = 0;
+    }
+
+    newDocPath(collectionName) {
+        this.nextId++;
+        return `${collectionName}/auto${this.nextId}`;
+    }
+
+    snapshot(path) {
+        const data = this.docs.get(path);
+        return {
+            id: path.split('/').pop(),
+            exists: () => data !== undefined,
+            data: () => data
+        };
+    }
+
+    async runTransaction(updateFunction, maxAttempts = 5) {
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const readVersions = new Map();
+            const writes = [];
+            const transaction = {
+                get: async (path) => {
+                    // Yield so concurrent transactions interleave their reads
+                    await new Promise(resolve => setImmediate(resolve));
+                    readVersions.set(path, this.versions.get(path) || 0);
+                    return this.snapshot(path);
+                },
+                set: (path, data) => {
+                    writes.push({ path, data });
+                }
+            };
+
+            const result = await updateFunction(transaction);
+            const stale = [...readVersions].some(([path, version]) => (this.versions.get(path) || 0) !== version);
+            if (stale) continue;
+
+            writes.forEach(({ path, data }) => {
+                this.docs.set(path, data);
+                this.versions.set(path, (this.versions.get(path) || 0) + 1);
+            });
+            return result;
+        }
+        throw new Error('Transaction failed after too many attempts');
+    }
+}
+
+// Mirrors BOOKING_TRANSITIONS / normalizeBookingStatus / getBookingRole / canTransition / planTransition
+// in src/modules/booking/bookingStateMachine.js
+const BOOKING_STATUSES = {
+    PENDING: 'pending',
+    COUNTERED: 'countered',
+    ACCEPTED: 'accepted',
+    PICKED_UP: 'picked_up',
+    RETURNED: 'returned',
+    OVERDUE: 'overdue',
+    DECLINED: 'declined',
+    CANCELLED: 'cancelled',
+    ARCHIVED: 'archived'
+};
+
+const BOOKING_ROLES = {
+    RENTER: 'renter',
+    OWNER: 'owner',
+    SYSTEM: 'system'
+};
+
+const BOOKING_EFFECTS = {
+    RELEASE_LOCKS: 'releaseLocks',
+    DECLINE_OVERLAPPING: 'declineOverlapping',
+    RESERVE_BUFFER: 'reserveBuffer',
+    NOTIFY_RENTER: 'notifyRenter',
+    NOTIFY_OWNER: 'notifyOwner'
+};
+
+const { RENTER, OWNER, SYSTEM } = BOOKING_ROLES;
+const { RELEASE_LOCKS, DECLINE_OVERLAPPING, RESERVE_BUFFER, NOTIFY_RENTER, NOTIFY_OWNER } = BOOKING_EFFECTS;
+
+// Legal transitions: current status -> next status -> { roles, effects, stampField }
+const BOOKING_TRANSITIONS = {
+    [BOOKING_STATUSES.PENDING]: {
+        [BOOKING_STATUSES.COUNTERED]: { roles: [OWNER], effects: [NOTIFY_RENTER] },
+        [BOOKING_STATUSES.ACCEPTED]: { roles: [OWNER, SYSTEM], effects: [DECLINE_OVERLAPPING, RESERVE_BUFFER, NOTIFY_RENTER] },
+        [BOOKING_STATUSES.DECLINED]: { roles: [OWNER, SYSTEM], effects: [RELEASE_LOCKS, NOTIFY_RENTER] },
+        [BOOKING_STATUSES.CANCELLED]: { roles: [RENTER], effects: [RELEASE_LOCKS, NOTIFY_OWNER], stampField: 'cancelledAt' }
+    },
+    // The owner proposed new terms; the renter answers
+    [BOOKING_STATUSES.COUNTERED]: {
+        [BOOKING_STATUSES.PENDING]: { roles: [RENTER], effects: [NOTIFY_OWNER] },
+        [BOOKING_STATUSES.ACCEPTED]: { roles: [RENTER], effects: [DECLINE_OVERLAPPING, RESERVE_BUFFER, NOTIFY_OWNER] },
+        [BOOKING_STATUSES.DECLINED]: { roles: [OWNER, SYSTEM], effects: [RELEASE_LOCKS, NOTIFY_RENTER] },
+        [BOOKING_STATUSES.CANCELLED]: { roles: [RENTER], effects: [RELEASE_LOCKS, NOTIFY_OWNER], stampField: 'cancelledAt' }
+    },
+    [BOOKING_STATUSES.ACCEPTED]: {
+        [BOOKING_STATUSES.PICKED_UP]: { roles: [OWNER, RENTER], effects: [] },
+        [BOOKING_STATUSES.OVERDUE]: { roles: [SYSTEM], effects: [NOTIFY_RENTER, NOTIFY_OWNER], stampField: 'overdueAt' },
+        [BOOKING_STATUSES.CANCELLED]: { roles: [RENTER], effects: [RELEASE_LOCKS, NOTIFY_OWNER], stampField: 'cancelledAt' }
+    },
+    [BOOKING_STATUSES.PICKED_UP]: {
+        [BOOKING_STATUSES.RETURNED]: { roles: [OWNER, RENTER], effects: [], stampField: 'returnedAt' },
+        [BOOKING_STATUSES.OVERDUE]: { roles: [SYSTEM], effects: [NOTIFY_RENTER, NOTIFY_OWNER], stampField: 'overdueAt' }
+    },
+    [BOOKING_STATUSES.OVERDUE]: {
+        [BOOKING_STATUSES.RETURNED]: { roles: [OWNER, RENTER], effects: [], stampField: 'returnedAt' }
+    },
+    [BOOKING_STATUSES.RETURNED]: {
+        [BOOKING_STATUSES.ARCHIVED]: { roles: [SYSTEM], effects: [RELEASE_LOCKS], stampField: 'archivedAt' }
+    },
+    [BOOKING_STATUSES.DECLINED]: {
+        [BOOKING_STATUSES.ARCHIVED]: { roles: [SYSTEM], effects: [RELEASE_LOCKS], stampField: 'archivedAt' }
+    },
+    [BOOKING_STATUSES.CANCELLED]: {},
+    [BOOKING_STATUSES.ARCHIVED]: {}
+};
+
+/**
+ * Read a stored booking status, mapping the legacy 'confirmed' to 'accepted'
+ * @param {string} [status] - Stored status
+ * @returns {string} Current status
+ */
+function normalizeBookingStatus(status) {
+    if (status === 'confirmed') return BOOKING_STATUSES.ACCEPTED;
+    return status || BOOKING_STATUSES.PENDING;
+}
+
+/**
+ * Get the role a user plays in a booking
+ * @param {Object} booking - Booking data
+ * @param {string} userId - User ID
+ * @returns {string|null} 'owner', 'renter' or null for anyone else
+ */
+function getBookingRole(booking, userId) {
+    if (booking.ownerId === userId) return OWNER;
+    if (booking.renterId === userId) return RENTER;
+    return null;
+}
+
+/**
+ * Check whether a role may move a booking to a status
+ * @param {string} status - Current status
+ * @param {string} nextStatus - Requested status
+ * @param {string} role - 'owner', 'renter' or 'system'
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(status, nextStatus, role) {
+    const transition = BOOKING_TRANSITIONS[normalizeBookingStatus(status)]?.[nextStatus];
+    return Boolean(transition && transition.roles.includes(role));
+}
+
+/**
+ * Plan a status change, rejecting illegal ones
+ * @param {Object} booking - Booking data
+ * @param {string} nextStatus - Requested status
+ * @param {string} role - 'owner', 'renter' or 'system'
+ * @returns {Object} { from, to, effects, stampField }
+ * @throws {Error} When the booking cannot move to nextStatus, or not by this role
+ */
+function planTransition(booking, nextStatus, role) {
+    const from = normalizeBookingStatus(booking.status);
+    const transitions = BOOKING_TRANSITIONS[from];
+    if (!transitions) {
+        throw new Error(`Unknown booking status "${booking.status}".`);
+    }
+
+    const transition = transitions[nextStatus];
+    if (!transition) {
+        const current = formatBookingStatus(from).toLowerCase();
+        const article = /^[aeiou]/.test(current) ? 'An' : 'A';
+        throw new Error(`${article} ${current} booking cannot be ${formatBookingStatus(nextStatus).toLowerCase()}.`);
+    }
+    if (!transition.roles.includes(role)) {
+        const allowed = transition.roles.map(allowedRole => (allowedRole === SYSTEM ? 'the system' : `the ${allowedRole}`));
+        throw new Error(`Only ${allowed.join(' or ')} can mark a booking ${formatBookingStatus(nextStatus).toLowerCase()}.`);
+    }
+
+    return { from, to: nextStatus, effects: transition.effects, stampField: transition.stampField || null };
+}
+
+// Mirrors isInstantBookEnabled / summarizeRenterHistory / checkInstantBookEligibility in src/modules/booking/instantBook.js
+const INSTANT_BOOK_MODES = {
+    DEFAULT: 'default',
+    ON: 'on',
+    OFF: 'off'
+};
+
+const DEFAULT_INSTANT_BOOK_SETTINGS = {
+    enabled: false,
+    minCompletedBookings: 1,
+    requireVerifiedEdu: true,
+    requireCleanHistory: true
+};
+
+/**
+ * Decide whether Instant Book applies to a listing
+ * @param {Object} ownerSettings - Owner's Instant Book settings
+ * @param {Object} item - Item data
+ * @returns {boolean} True if the listing accepts requests instantly
+ */
+function isInstantBookEnabled(ownerSettings, item) {
+    if (item.instantBook === INSTANT_BOOK_MODES.ON) return true;
+    if (item.instantBook === INSTANT_BOOK_MODES.OFF) return false;
+    return Boolean(ownerSettings.enabled);
+}
+
+/**
+ * Summarize a renter's booking history for the Instant Book criteria
+ * A booking counts as completed once it has been returned, even if it has
+ * since been archived.
+ * @param {Array<Object>} bookings - The renter's bookings
+ * @returns {Object} { completedBookings, hasOverdue, hasDamage }
+ */
+function summarizeRenterHistory(bookings) {
+    const reached = (booking, status) => booking.status === status
+        || (booking.statusHistory || []).some(entry => entry.status === status);
+
+    return {
+        completedBookings: bookings.filter(booking => reached(booking, BOOKING_STATUSES.RETURNED)).length,
+        hasOverdue: bookings.some(booking => reached(booking, BOOKING_STATUSES.OVERDUE)),
+        // A charged claim counts even without the flag; the rules keep resolutions from changing
+        hasDamage: bookings.some(booking => Boolean(booking.damageFlagged) || booking.damageClaim?.resolution?.chargedAmount > 0)
+    };
+}
+
+/**
+ * Check a renter against an owner's Instant Book criteria
+ * @param {Object} settings - Owner's Instant Book settings
+ * @param {Object} renter - { email, emailVerified }
+ * @param {Object} history - Result of summarizeRenterHistory
+ * @returns {Object} { eligible: boolean, reasons: Array<string> }
+ */
+function checkInstantBookEligibility(settings, renter, history) {
+    const reasons = [];
+    const minCompleted = settings.minCompletedBookings || 0;
+
+    if (history.completedBookings < minCompleted) {
+        reasons.push(`needs ${minCompleted} completed booking${minCompleted === 1 ? '' : 's'}`);
+    }
+    if (settings.requireVerifiedEdu && !(renter.emailVerified && /\.edu$/i.test(renter.email || ''))) {
+        reasons.push('needs a verified .edu email');
+    }
+    if (settings.requireCleanHistory && (history.hasOverdue || history.hasDamage)) {
+        reasons.push('has an overdue or damage flag');
+    }
+
+    return { eligible: reasons.length === 0, reasons };
+}
+
+// Mirrors expandRecurrence in src/modules/booking/recurringBooking.js
+function expandRecurrence(startKey, { everyWeeks, untilKey }) {
+    const step = Math.max(1, Math.floor(everyWeeks)) * 7;
+    const days = [];
+    for (let key = startKey; key <= untilKey; key = addDays(key, step)) {
+        days.push(key);
+    }
+    return days;
+}
+
+// Mirrors canRaiseDamageClaim / validateDamageClaim / settleDeposit in src/modules/booking/conditionManager.js
+const DAMAGE_CLAIM_WINDOW_DAYS = 3;
+
+function canRaiseDamageClaim(booking, now = new Date()) {
+    if (booking.status !== BOOKING_STATUSES.RETURNED || booking.damageClaim) return false;
+    if (!(booking.quote?.securityDeposit > 0)) return false;
+    if (!booking.returnedAt) return true;
+    return now - booking.returnedAt.toDate() <= DAMAGE_CLAIM_WINDOW_DAYS * 1000 * 60 * 60 * 24;
+}
+
+function validateDamageClaim(amount, deposit) {
+    if (Number.isNaN(amount) || amount <= 0) {
+        return { valid: false, message: 'Please enter the amount you are claiming' };
+    }
+    if (amount > deposit) {
+        return { valid: false, message: `A claim cannot exceed the $${deposit.toFixed(2)} security deposit` };
+    }
+    return { valid: true, message: '' };
+}
+
+function settleDeposit(deposit, chargedAmount) {
+    const charged = roundCents(Math.min(deposit, Math.max(0, chargedAmount || 0)));
+    return { chargedAmount: charged, refundAmount: roundCents(deposit - charged) };
+}
+
+// Mirrors normalizeHandoverCode / buildHandoverPayload / parseHandoverPayload in src/modules/booking/handoverCode.js
+// and generateHandoverCode / hashHandoverCode / verifyHandoverCode in functions/booking-handover.js
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const PAYLOAD_PREFIX = 'cshare-handover';
+const HANDOVER_STAGE_KEYS = ['pickup', 'return'];
+const MAX_CODE_ATTEMPTS = 5;
+
+function generateHandoverCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+function normalizeHandoverCode(input) {
+    return String(input || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function buildHandoverPayload(bookingId, stage, code) {
+    return `${PAYLOAD_PREFIX}:${bookingId}:${stage}:${code}`;
+}
+
+function parseHandoverPayload(text) {
+    const [prefix, bookingId, stage, code, ...rest] = String(text || '').split(':');
+    if (prefix !== PAYLOAD_PREFIX || rest.length > 0 || !bookingId || !HANDOVER_STAGE_KEYS.includes(stage) || !code) {
+        return null;
+    }
+    return { bookingId, stage, code: normalizeHandoverCode(code) };
+}
+
+async function hashHandoverCode(salt, code) {
+    const data = new TextEncoder().encode(`${salt}:${normalizeHandoverCode(code)}`);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function verifyHandoverCode(issued, code, now = new Date()) {
+    if (!issued) {
+        return { valid: false, message: 'No code has been issued yet. Ask the other party to show theirs.' };
+    }
+    if (issued.attempts >= MAX_CODE_ATTEMPTS) {
+        return { valid: false, message: 'Too many wrong attempts. Ask for a new code.' };
+    }
+    if (issued.expiresAt.toDate() < now) {
+        return { valid: false, message: 'This code has expired. Ask for a new one.' };
+    }
+    if (await hashHandoverCode(issued.salt, code) !== issued.codeHash) {
+        return { valid: false, message: 'That code is not valid for this booking.', countsAsAttempt: true };
+    }
+    return { valid: true, message: '' };
+}
+
+// Mirrors layoutBookingBars / classifyCalendarDays in src/modules/booking/ownerCalendar.js
+function layoutBookingBars(bookings, firstKey, lastKey) {
+    const laneEnds = [];
+    const bars = bookings
+        .filter(booking => booking.startKey <= lastKey && booking.endKey >= firstKey)
+        .sort((a, b) => a.startKey.localeCompare(b.startKey) || b.endKey.localeCompare(a.endKey))
+        .map(booking => {
+            const start = booking.startKey < firstKey ? firstKey : booking.startKey;
+            const end = booking.endKey > lastKey ? lastKey : booking.endKey;
+            let lane = laneEnds.findIndex(laneEnd => laneEnd < start);
+            if (lane === -1) lane = laneEnds.length;
+            laneEnds[lane] = end;
+            return {
+                booking,
+                startCol: eachDay(firstKey, start).length - 1,
+                span: eachDay(start, end).length,
+                lane,
+                clippedStart: booking.startKey < firstKey,
+                clippedEnd: booking.endKey > lastKey
+            };
+        });
+    return { bars, lanes: Math.max(1, laneEnds.length) };
+}
+
+function classifyCalendarDays(item, dayKeys, bookings) {
+    return dayKeys.map(key => {
+        if (bookings.some(booking => booking.startKey <= key && booking.endKey >= key)) return 'booked';
+        return isOwnerAvailable(item, key) ? 'free' : 'unavailable';
+    });
+}
+
+/**
+ * Fake Firestore that records the writes of each committed batch
+ * @returns {Object} { db, committed } - committed holds one array of refs per batch
+ */
+function createRecordingDb() {
+    const committed = [];
+    const db = {
+        batch() {
+            const writes = [];
+            const record = (ref) => { writes.push(ref); };
+            return { set: record, update: record, delete: record, commit: async () => { committed.push(writes); } };
+        }
+    };
+    return { db, committed };
+}
+
+// Mirrors escapeHtml in src/utils/formatters.js
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Mirrors collectTakenDays / nextSelection in src/ui/availabilityCalendar.js
+function collectTakenDays(locks, slotsPerDay) {
+    const wholeDays = new Set();
+    const slotCounts = {};
+    locks.forEach(lock => {
+        if (lock.slot) {
+            slotCounts[lock.date] = (slotCounts[lock.date] || 0) + 1;
+        } else {
+            wholeDays.add(lock.date);
+        }
+    });
+
+    Object.entries(slotCounts)
+        .filter(([, count]) => slotsPerDay > 0 && count >= slotsPerDay)
+        .forEach(([date]) => wholeDays.add(date));
+
+    return [...wholeDays];
+}
+
+function nextSelection(item, selection, key, takenDays) {
+    const singleDay = item.availability?.type === 'recurring' || Boolean(item.slotLengthMinutes);
+    if (singleDay || !selection.start || selection.end || key < selection.start) {
+        return { selection: { start: key, end: singleDay ? key : null }, message: null };
+    }
+
+    const validation = checkBookable(item, selection.start, key, { takenDays });
+    if (!validation.valid) {
+        return { selection: { start: null, end: null }, message: `${validation.message}. Please choose another range.` };
+    }
+    return { selection: { start: selection.start, end: key }, message: null };
+}
+
+// Mirrors isOpenHoldOffer in src/modules/booking/waitlistManager.js
+function isOpenHoldOffer(entry) {
+    return entry.status === 'offered' && entry.holdExpiresAt?.toMillis() > Date.now();
+}
+
+// In-memory model of the lock claiming in claimBookings (functions/booking-submit.js),
+// without its waitlist check; createBookingWithLocks is its single-booking case.
+// functions/test/submitBooking.test.js races the real function in the emulators.
+async function createBookingsWithLocks(db, bookingDataList) {
+    const { isHoldClaimable } = await import('./functions/booking-rules.js');
+    const entries = bookingDataList.map(bookingData => ({
+        bookingData,
+        bookingPath: db.newDocPath('bookings'),
+        lockPaths: bookingData.lockIds.map(id => `bookingLocks/${id}`),
+        bufferPaths: (bookingData.bufferLockIds || []).map(id => `bookingLocks/${id}`)
+    }));
+
+    return db.runTransaction(async (transaction) => {
+        const conflicts = [];
+        for (const entry of entries) {
+            const { bookingData, lockPaths, bufferPaths } = entry;
+            const snapshots = await Promise.all(lockPaths.map(path => transaction.get(path)));
+            const dates = snapshots
+                .filter(snap => snap.exists() && !isHoldClaimable(snap.data(), bookingData.renterId))
+                .map(snap => snap.id.split('_')[1]);
+            if (dates.length > 0) {
+                conflicts.push({ itemId: bookingData.itemId, dates });
+            }
+
+            const bufferSnaps = await Promise.all(bufferPaths.map(path => transaction.get(path)));
+            entry.bufferPaths = bufferPaths
+                .filter((path, i) => !bufferSnaps[i].exists() || isHoldClaimable(bufferSnaps[i].data(), bookingData.renterId));
+        }
+
+        if (conflicts.length > 0) {
+            return { bookingIds: [], conflicts };
+        }
 
-    // Normalize by total weight
-    const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
-    const normalizedScore = totalWeight > 0 ? score / totalWeight : 0;
+        entries.forEach(({ bookingData, bookingPath, lockPaths, bufferPaths }) => {
+            transaction.set(bookingPath, {
+                ...bookingData,
+                ...(bookingData.bufferLockIds ? { bufferLockIds: bufferPaths.map(path => path.split('/')[1]) } : {})
+            });
+            bufferPaths.forEach(path => {
+                transaction.set(path, {
+                    bookingId: bookingPath.split('/')[1],
+                    itemId: bookingData.itemId,
+                    date: path.split('_')[1],
+                    ownerId: bookingData.ownerId,
+                    buffer: true
+                });
+            });
+            lockPaths.forEach(path => {
+                transaction.set(path, {
+                    bookingId: bookingPath.split('/')[1],
+                    itemId: bookingData.itemId,
+                    date: path.split('_')[1],
+                    ownerId: bookingData.ownerId
+                });
+            });
+        });
 
-    return { score: normalizedScore, breakdown };
+        return { bookingIds: entries.map(({ bookingPath }) => bookingPath.split('/')[1]), conflicts: [] };
+    });
+}
+
+async function createBookingWithLocks(db, bookingData) {
+    const { bookingIds, conflicts } = await createBookingsWithLocks(db, [bookingData]);
+    return {
+        bookingId: bookingIds[0] || null,
+        conflictDates: conflicts[0]?.dates || []
+    };
+}
+
+function mockBooking(renterId, startDate, endDate, itemId = 'item1') {
+    return {
+        itemId,
+        ownerId: 'owner1',
+        renterId,
+        status: 'pending',
+        lockIds: buildLockIds(itemId, startDate, endDate)
+    };
 }
 
 // Test Data
@@ -261,6 +1552,17 @@ runner.test('formatPrice - handles string input', (t) => {
     t.assertEqual(formatPrice('7.99'), '$7.99/day');
 });
 
+runner.test('formatBookingStatus - formats lifecycle statuses', (t) => {
+    t.assertEqual(formatBookingStatus('picked_up'), 'Picked Up');
+    t.assertEqual(formatBookingStatus('overdue'), 'Overdue');
+    t.assertEqual(formatBookingStatus(undefined), 'Pending');
+});
+
+runner.test('formatCartStatus - combines statuses of a multi-item request', (t) => {
+    t.assertEqual(formatCartStatus(['accepted', 'pending', 'confirmed']), '2 of 3 accepted, 1 pending');
+    t.assertEqual(formatCartStatus(['pending', 'declined']), '0 of 2 accepted, 1 pending, 1 declined');
+});
+
 runner.test('weightDescriptor - returns correct descriptors', (t) => {
     t.assertEqual(weightDescriptor(0), 'Off');
     t.assertEqual(weightDescriptor(1), 'Very Low');
@@ -297,6 +1599,372 @@ runner.test('buildLockIds - handles month boundary', (t) => {
     t.assert(lockIds.includes('item789_2024-12-02'));
 });
 
+runner.test('generateTimeSlots - fills the handover window with whole slots', (t) => {
+    t.assertDeepEqual(generateTimeSlots({ start: '18:00', end: '22:00' }, 60), ['18:00', '19:00', '20:00', '21:00']);
+    t.assertDeepEqual(generateTimeSlots({ start: '18:00', end: '21:30' }, 120), ['18:00']);
+});
+
+runner.test('generateTimeSlots - returns no slots without a handover window', (t) => {
+    t.assertDeepEqual(generateTimeSlots(null, 60), []);
+    t.assertDeepEqual(generateTimeSlots({ start: '18:00', end: '18:30' }, 60), []);
+});
+
+runner.test('validateSlotSelection - requires consecutive slots inside the window', (t) => {
+    const available = ['18:00', '19:00', '20:00', '21:00'];
+    t.assert(validateSlotSelection(['20:00', '19:00'], available).valid, 'Consecutive slots are valid in any order');
+    t.assert(!validateSlotSelection([], available).valid, 'Empty selection is invalid');
+    t.assert(!validateSlotSelection(['18:00', '20:00'], available).valid, 'Gaps are invalid');
+    t.assert(!validateSlotSelection(['22:00'], available).valid, 'Slots outside the window are invalid');
+});
+
+runner.test('buildSlotLockIds - keys locks per slot on the booking day', (t) => {
+    const lockIds = buildSlotLockIds('item1', new Date(2024, 11, 4), ['19:00', '18:00']);
+    t.assertDeepEqual(lockIds, ['item1_2024-12-04T18:00', 'item1_2024-12-04T19:00']);
+});
+
+runner.test('calculateQuote - charges the daily rate per inclusive day', (t) => {
+    const quote = calculateQuote({ price: 10 }, new Date(2025, 0, 1), new Date(2025, 0, 3));
+    t.assertEqual(quote.days, 3);
+    t.assertEqual(quote.subtotal, 30);
+    t.assertEqual(quote.discount, 0);
+    t.assertEqual(quote.totalDue, 30);
+});
+
+runner.test('calculateQuote - applies weekly discount from 7 days and monthly from 28', (t) => {
+    const item = { price: 10, pricing: { weeklyDiscountPercent: 10, monthlyDiscountPercent: 25 } };
+    t.assertEqual(calculateQuote(item, new Date(2025, 0, 1), new Date(2025, 0, 6)).discount, 0);
+    const week = calculateQuote(item, new Date(2025, 0, 1), new Date(2025, 0, 7));
+    t.assertEqual(week.discountLabel, 'Weekly discount');
+    t.assertEqual(week.rentalTotal, 63);
+    const month = calculateQuote(item, new Date(2025, 0, 1), new Date(2025, 0, 28));
+    t.assertEqual(month.discountLabel, 'Monthly discount');
+    t.assertEqual(month.rentalTotal, 210);
+});
+
+runner.test('calculateQuote - adds cleaning fee to rental total but keeps deposit separate', (t) => {
+    const item = { price: 12.5, pricing: { cleaningFee: 5, securityDeposit: 50 } };
+    const quote = calculateQuote(item, new Date(2025, 2, 1), new Date(2025, 2, 2));
+    t.assertEqual(quote.rentalTotal, 30);
+    t.assertEqual(quote.securityDeposit, 50);
+    t.assertEqual(quote.totalDue, 80);
+});
+
+runner.test('applyNegotiatedTotal - overrides the rental total and keeps the deposit', (t) => {
+    const item = { price: 12.5, pricing: { cleaningFee: 5, securityDeposit: 50 } };
+    const quote = calculateQuote(item, new Date(2025, 2, 1), new Date(2025, 2, 2));
+    t.assertEqual(applyNegotiatedTotal(quote, null), quote);
+    t.assertEqual(applyNegotiatedTotal(quote, 30), quote);
+
+    const negotiated = applyNegotiatedTotal(quote, 24.999);
+    t.assertEqual(negotiated.rentalTotal, 25);
+    t.assertEqual(negotiated.totalDue, 75);
+    t.assertEqual(negotiated.negotiatedFrom, 30);
+    t.assertEqual(quote.rentalTotal, 30, 'Original quote is left untouched');
+});
+
+runner.test('extendQuote - requotes the longer rental and keeps a negotiated discount', (t) => {
+    const item = { price: 10, pricing: { weeklyDiscountPercent: 10, securityDeposit: 20 } };
+    const start = new Date(2025, 2, 1);
+    const original = calculateQuote(item, start, new Date(2025, 2, 3));
+
+    const extended = extendQuote(original, item, start, new Date(2025, 2, 7));
+    t.assertEqual(extended.days, 7);
+    t.assertEqual(extended.rentalTotal, 63, 'Weekly discount applies once the extension reaches 7 days');
+    t.assertEqual(extendQuote(null, item, start, new Date(2025, 2, 4)).rentalTotal, 40);
+
+    const negotiated = applyNegotiatedTotal(original, 25);
+    const extendedNegotiated = extendQuote(negotiated, item, start, new Date(2025, 2, 4));
+    t.assertEqual(extendedNegotiated.rentalTotal, 35);
+    t.assertEqual(extendedNegotiated.negotiatedFrom, 40);
+    t.assertEqual(extendedNegotiated.totalDue, 55);
+});
+
+runner.test('calculateCancellationOutcome - picks the refund window from the hours before pickup', (t) => {
+    const start = new Date(2025, 5, 10, 9, 0);
+    const booking = (policy, status = 'accepted') => ({
+        status,
+        cancellationPolicy: policy,
+        startDate: { toDate: () => new Date(start) },
+        quote: { rentalTotal: 40, securityDeposit: 25 }
+    });
+    const hoursBefore = (hours) => new Date(start.getTime() - hours * 60 * 60 * 1000);
+
+    t.assertEqual(calculateCancellationOutcome(booking('flexible'), hoursBefore(30)).refundAmount, 40);
+    t.assertEqual(calculateCancellationOutcome(booking('flexible'), hoursBefore(2)).refundAmount, 20);
+
+    const moderate = calculateCancellationOutcome(booking('moderate'), hoursBefore(48));
+    t.assertEqual(moderate.refundPercent, 50);
+    t.assertEqual(moderate.penaltyAmount, 20);
+    t.assertEqual(moderate.depositRefund, 25, 'Deposit is always returned');
+    t.assertEqual(calculateCancellationOutcome(booking('moderate'), hoursBefore(120)).refundPercent, 100, 'Cut-off is inclusive');
+
+    t.assertEqual(calculateCancellationOutcome(booking('strict'), hoursBefore(200)).refundAmount, 20);
+    t.assertEqual(calculateCancellationOutcome(booking('strict'), hoursBefore(-5)).refundAmount, 0);
+});
+
+runner.test('calculateCancellationOutcome - refunds unaccepted requests in full and defaults to flexible', (t) => {
+    const booking = {
+        status: 'pending',
+        cancellationPolicy: 'strict',
+        startDate: { toDate: () => new Date(2025, 5, 10) },
+        quote: { rentalTotal: 40, securityDeposit: 0 }
+    };
+    const outcome = calculateCancellationOutcome(booking, new Date(2025, 5, 9, 23));
+    t.assertEqual(outcome.refundAmount, 40);
+    t.assertEqual(outcome.penaltyAmount, 0);
+    t.assertEqual(outcome.policy, 'strict');
+
+    const legacy = calculateCancellationOutcome({ ...booking, status: 'confirmed', cancellationPolicy: undefined }, new Date(2025, 5, 9, 23));
+    t.assertEqual(legacy.policy, 'flexible');
+    t.assertEqual(legacy.refundAmount, 20);
+});
+
+runner.test('describeCancellationPolicy - explains each window in order', (t) => {
+    t.assertDeepEqual(describeCancellationPolicy('moderate'), [
+        'Full refund if cancelled at least 5 days before pickup',
+        '50% refund up to 24 hours before pickup',
+        'No refund after that'
+    ]);
+    t.assertEqual(describeCancellationPolicy('bogus')[0], 'Full refund if cancelled at least 24 hours before pickup');
+});
+
+runner.test('countRentalDays - counts days across a daylight-saving change', (t) => {
+    t.assertEqual(countRentalDays(new Date(2025, 2, 8), new Date(2025, 2, 10)), 3);
+    t.assertEqual(countRentalDays(new Date(2025, 9, 25), new Date(2025, 9, 27)), 3);
+});
+
+runner.test('escapeICSText - escapes separators and newlines', (t) => {
+    t.assertEqual(escapeICSText('Drill, bits; case\\\nline 2'), 'Drill\\, bits\\; case\\\\\\nline 2');
+});
+
+runner.test('foldICSLine - keeps every physical line within 75 octets', (t) => {
+    const folded = foldICSLine(`DESCRIPTION:${'é'.repeat(100)}`);
+    const lines = folded.split('\r\n');
+    t.assert(lines.length > 1, 'Long line should be folded');
+    t.assert(lines.every(line => Buffer.byteLength(line) <= 75), 'Each line should be at most 75 octets');
+    t.assertEqual(lines.map((line, i) => i === 0 ? line : line.slice(1)).join(''), `DESCRIPTION:${'é'.repeat(100)}`);
+});
+
+runner.test('bookingToICSEvent - uses handover window and a stable UID', (t) => {
+    const booking = {
+        id: 'b1',
+        itemName: 'Drill',
+        ownerName: 'Ann',
+        ownerEmail: 'ann@example.com',
+        status: 'accepted',
+        startDate: { toDate: () => new Date(2025, 0, 10) },
+        endDate: { toDate: () => new Date(2025, 0, 12) }
+    };
+    const event = bookingToICSEvent(booking, { handoverTime: { start: '09:00', end: '17:30' } });
+    t.assertEqual(event.uid, 'booking-b1@cshare.app');
+    t.assertEqual(event.status, 'CONFIRMED');
+    t.assertEqual(event.start.getTime(), new Date(2025, 0, 10, 9, 0).getTime());
+    t.assertEqual(event.end.getTime(), new Date(2025, 0, 12, 17, 30).getTime());
+});
+
+runner.test('bookingToICSEvent - falls back to all-day events with exclusive end date', (t) => {
+    const booking = {
+        id: 'b2',
+        itemName: 'Tent',
+        renterName: 'Bo',
+        renterEmail: 'bo@example.com',
+        status: 'pending',
+        startDate: { toDate: () => new Date(2025, 0, 31) },
+        endDate: { toDate: () => new Date(2025, 1, 1) }
+    };
+    const event = bookingToICSEvent(booking, null, 'owner');
+    t.assert(event.allDay, 'Event should be all-day');
+    t.assertEqual(event.status, 'TENTATIVE');
+    t.assertEqual(event.summary, 'Lending Tent to Bo');
+    t.assertEqual(formatICSDate(event.end), '20250202');
+});
+
+runner.test('findBlackout - blocks bookings touching any blackout day', (t) => {
+    const item = { availability: { type: 'always', blackouts: [{ start: new Date(2025, 10, 24), end: new Date(2025, 10, 30), label: 'Thanksgiving' }] } };
+    t.assertEqual(findBlackout(item, '2025-11-20', '2025-11-24').label, 'Thanksgiving');
+    t.assertEqual(findBlackout(item, '2025-11-30', '2025-11-30').label, 'Thanksgiving');
+    t.assertEqual(findBlackout(item, '2025-12-01', '2025-12-03'), null);
+    t.assertEqual(findBlackout({ availability: { type: 'always' } }, '2025-11-24', '2025-11-24'), null);
+    t.assert(!checkBookable(item, '2025-11-29', '2025-12-02').valid, 'Blackouts apply to always-available items');
+});
+
+runner.test('availableFraction - zero only when every day is blacked out', (t) => {
+    const item = {
+        availability: {
+            type: 'always',
+            blackouts: [
+                { start: new Date(2025, 11, 24), end: new Date(2025, 11, 26) },
+                { start: new Date(2025, 11, 27), end: new Date(2025, 11, 27) }
+            ]
+        }
+    };
+    t.assertEqual(availableFraction(item, '2025-12-25', '2025-12-27'), 0, 'Adjacent blackouts cover the range');
+    t.assertEqual(availableFraction(item, '2025-12-25', '2025-12-28'), 0.25, 'Last day is free');
+});
+
+runner.test('toDayKey - stored midnights read back as the same day in every timezone', (t) => {
+    const days = ['2025-01-01', '2025-03-09', '2025-03-30', '2025-11-02', '2025-12-31'];
+    TEST_TIME_ZONES.forEach(timeZone => {
+        days.forEach(key => {
+            t.assertEqual(toDayKey(zonedMidnight(key, timeZone), timeZone), key, `${key} in ${timeZone}`);
+        });
+    });
+});
+
+runner.test('addDays / dayOfWeek - day arithmetic ignores daylight-saving changes', (t) => {
+    t.assertEqual(addDays('2025-03-08', 1), '2025-03-09');
+    t.assertEqual(addDays('2025-11-01', 2), '2025-11-03');
+    t.assertEqual(addDays('2025-03-01', -1), '2025-02-28');
+    t.assertEqual(eachDay('2025-03-29', '2025-04-01').length, 4);
+    t.assertEqual(dayOfWeek('2025-03-09'), 0);
+    t.assertEqual(dayOfWeek('2025-11-29'), 6);
+});
+
+runner.test('checkBookable - date ranges honour the owner timezone for every owner/renter pair', (t) => {
+    TEST_TIME_ZONES.forEach(ownerZone => {
+        const item = {
+            timeZone: ownerZone,
+            availability: {
+                type: 'dateRange',
+                startDate: zonedMidnight('2025-03-10', ownerZone),
+                endDate: zonedMidnight('2025-03-12', ownerZone)
+            }
+        };
+        TEST_TIME_ZONES.forEach(renterZone => {
+            // The renter picks calendar days in their own timezone
+            const startKey = toDayKey(zonedMidnight('2025-03-10', renterZone), renterZone);
+            const endKey = toDayKey(zonedMidnight('2025-03-12', renterZone), renterZone);
+            const label = `owner ${ownerZone}, renter ${renterZone}`;
+            t.assert(checkBookable(item, startKey, endKey).valid, `First to last day bookable (${label})`);
+            t.assert(!checkBookable(item, addDays(startKey, -1), startKey).valid, `Day before range rejected (${label})`);
+            t.assert(!checkBookable(item, endKey, addDays(endKey, 1)).valid, `Day after range rejected (${label})`);
+        });
+    });
+});
+
+runner.test('checkBookable - blackouts are read in the owner timezone', (t) => {
+    TEST_TIME_ZONES.forEach(ownerZone => {
+        const item = {
+            timeZone: ownerZone,
+            availability: {
+                type: 'always',
+                blackouts: [{ start: zonedMidnight('2025-12-24', ownerZone), end: zonedMidnight('2025-12-26', ownerZone), label: 'Holidays' }]
+            }
+        };
+        t.assert(checkBookable(item, '2025-12-23', '2025-12-23').valid, `Day before blackout is free (${ownerZone})`);
+        t.assert(!checkBookable(item, '2025-12-24', '2025-12-24').valid, `First blackout day blocked (${ownerZone})`);
+        t.assert(!checkBookable(item, '2025-12-26', '2025-12-26').valid, `Last blackout day blocked (${ownerZone})`);
+        t.assert(checkBookable(item, '2025-12-27', '2025-12-28').valid, `Day after blackout is free (${ownerZone})`);
+    });
+});
+
+runner.test('checkBookable - recurring items are same-day on listed weekdays only', (t) => {
+    const item = { timeZone: 'Asia/Tokyo', availability: { type: 'recurring', daysOfWeek: [0, 6] } };
+    t.assert(checkBookable(item, '2025-03-08', '2025-03-08').valid, 'Saturday is bookable');
+    t.assert(checkBookable(item, '2025-03-09', '2025-03-09').valid, 'Sunday is bookable');
+    t.assert(!checkBookable(item, '2025-03-10', '2025-03-10').valid, 'Monday is not bookable');
+    t.assert(!checkBookable(item, '2025-03-08', '2025-03-09').valid, 'Multi-day bookings are rejected');
+});
+
+runner.test('checkBookable - items without availability settings are always bookable except taken days', (t) => {
+    t.assert(checkBookable({}, '2025-05-01', '2025-05-03').valid, 'Legacy item is bookable');
+    const result = checkBookable({}, '2025-05-01', '2025-05-03', { takenDays: ['2025-05-02'] });
+    t.assert(!result.valid, 'Taken day blocks the booking');
+    t.assert(!checkBookable({ availability: { type: 'mystery' } }, '2025-05-01', '2025-05-01').valid, 'Unknown types are rejected');
+});
+
+runner.test('listFreeDates - lists bookable days of a month', (t) => {
+    const item = {
+        availability: {
+            type: 'recurring',
+            daysOfWeek: [6],
+            blackouts: [{ start: new Date(2025, 2, 15), end: new Date(2025, 2, 15) }]
+        }
+    };
+    const free = listFreeDates(item, 2025, 2, { takenDays: ['2025-03-22'], fromKey: '2025-03-02' });
+    t.assertDeepEqual(free, ['2025-03-08', '2025-03-29']);
+});
+
+runner.test('findNextFreeWindow - skips blackouts and taken days', (t) => {
+    const item = {
+        availability: {
+            type: 'dateRange',
+            startDate: new Date(2025, 5, 1),
+            endDate: new Date(2025, 5, 30),
+            blackouts: [{ start: new Date(2025, 5, 3), end: new Date(2025, 5, 4) }]
+        }
+    };
+    const window = findNextFreeWindow(item, { lengthDays: 3, takenDays: ['2025-06-06'], fromKey: '2025-05-20' });
+    t.assertDeepEqual(window, { startKey: '2025-06-07', endKey: '2025-06-09' });
+    t.assertEqual(findNextFreeWindow(item, { lengthDays: 40, fromKey: '2025-05-20' }), null);
+    const recurring = { availability: { type: 'recurring', daysOfWeek: [3] } };
+    t.assertDeepEqual(findNextFreeWindow(recurring, { fromKey: '2025-06-01' }), { startKey: '2025-06-04', endKey: '2025-06-04' });
+    t.assertEqual(findNextFreeWindow(recurring, { lengthDays: 2, fromKey: '2025-06-01' }), null);
+});
+
+runner.test('checkBookable - enforces minimum and maximum rental length', (t) => {
+    const item = { availability: { type: 'always', rules: { minDays: 3, maxDays: 7 } } };
+    t.assertEqual(checkBookable(item, '2025-06-01', '2025-06-02').valid, false);
+    t.assertEqual(checkBookable(item, '2025-06-01', '2025-06-02').message, 'This item must be booked for at least 3 days');
+    t.assertEqual(checkBookable(item, '2025-06-01', '2025-06-03').valid, true);
+    t.assertEqual(checkBookable(item, '2025-06-01', '2025-06-07').valid, true);
+    t.assertEqual(checkBookable(item, '2025-06-01', '2025-06-08').message, 'This item can be booked for at most 7 days');
+    // Slot items are booked by the slot, not the day
+    t.assertEqual(checkBookable({ ...item, slotLengthMinutes: 60 }, '2025-06-01', '2025-06-01').valid, true);
+});
+
+runner.test('checkBookable - enforces lead time from the pickup time', (t) => {
+    const now = new Date(2025, 5, 1, 12, 0);
+    const item = { availability: { type: 'always', rules: { leadTimeHours: 24 } } };
+    t.assertEqual(checkBookable(item, '2025-06-02', '2025-06-02', { now }).valid, false);
+    t.assertEqual(checkBookable(item, '2025-06-02', '2025-06-02', { now }).message, 'This item must be booked at least 24 hours in advance');
+    t.assertEqual(checkBookable(item, '2025-06-03', '2025-06-03', { now }).valid, true);
+    // The pickup is at the start of the handover window
+    const withHandover = { ...item, handoverTime: { start: '14:00', end: '18:00' } };
+    t.assertEqual(checkBookable(withHandover, '2025-06-02', '2025-06-02', { now }).valid, true);
+    t.assertEqual(checkBookable(withHandover, '2025-06-02', '2025-06-02', { now, startTime: new Date(2025, 5, 2, 9, 0) }).valid, false);
+    // No lead time still allows booking today
+    t.assertEqual(checkBookable({ availability: { type: 'always' } }, '2025-06-01', '2025-06-01', { now }).valid, true);
+});
+
+runner.test('listFreeDates - hides days inside the lead time', (t) => {
+    const item = { availability: { type: 'always', rules: { leadTimeHours: 48 } } };
+    const free = listFreeDates(item, 2025, 5, { fromKey: '2025-06-01', now: new Date(2025, 5, 1, 8, 0) });
+    t.assertEqual(free[0], '2025-06-04');
+});
+
+runner.test('bufferDayKeys - lists turnaround days on both sides', (t) => {
+    t.assertDeepEqual(bufferDayKeys('2025-06-10', '2025-06-12', 2), ['2025-06-08', '2025-06-09', '2025-06-13', '2025-06-14']);
+    t.assertDeepEqual(bufferDayKeys('2025-06-10', '2025-06-10', 0), []);
+    t.assertEqual(getBufferDays({ availability: { rules: { bufferDays: 1 } } }), 1);
+    t.assertEqual(getBufferDays({ slotLengthMinutes: 30, availability: { rules: { bufferDays: 1 } } }), 0);
+});
+
+runner.test('parseICSBlackouts - reads all-day and timed events as inclusive days', (t) => {
+    const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20251127',
+        'DTEND;VALUE=DATE:20251201',
+        'SUMMARY:Thanksgiving\\, family',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20251210T090000',
+        'DTEND:20251210T170000',
+        'SUMMARY:Work trip',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20251225',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+    t.assertDeepEqual(parseICSBlackouts(ics), [
+        { start: '2025-11-27', end: '2025-11-30', label: 'Thanksgiving, family' },
+        { start: '2025-12-10', end: '2025-12-10', label: 'Work trip' },
+        { start: '2025-12-25', end: '2025-12-25', label: '' }
+    ]);
+});
+
 runner.test('getChatId - generates consistent chat ID', (t) => {
     const chatId1 = getChatId('item1', 'user1');
     const chatId2 = getChatId('user1', 'item1');
@@ -483,6 +2151,613 @@ runner.test('Integration - booking lock generation for week-long rental', (t) =>
     });
 });
 
+// Booking Concurrency Tests
+runner.test('createBookingWithLocks - claims every date lock for a single booking', async (t) => {
+    const db = new InMemoryFirestore();
+    const result = await createBookingWithLocks(db, mockBooking('renterA', '2024-12-04', '2024-12-06'));
+
+    t.assert(result.bookingId, 'Booking should be created');
+    t.assertDeepEqual(result.conflictDates, []);
+    t.assertEqual(db.snapshot('bookingLocks/item1_2024-12-05').data().bookingId, result.bookingId);
+});
+
+runner.test('createBookingWithLocks - concurrent overlapping requests produce exactly one booking', async (t) => {
+    const db = new InMemoryFirestore();
+    const [first, second] = await Promise.all([
+        createBookingWithLocks(db, mockBooking('renterA', '2024-12-04', '2024-12-06')),
+        createBookingWithLocks(db, mockBooking('renterB', '2024-12-05', '2024-12-08'))
+    ]);
+
+    const winners = [first, second].filter(r => r.bookingId);
+    t.assertEqual(winners.length, 1, 'Only one of the racing requests should win');
+    t.assertEqual([...db.docs.keys()].filter(path => path.startsWith('bookings/')).length, 1);
+});
+
+runner.test('createBookingWithLocks - loser reports exactly the dates taken by the winner', async (t) => {
+    const db = new InMemoryFirestore();
+    const [, second] = await Promise.all([
+        createBookingWithLocks(db, mockBooking('renterA', '2024-12-04', '2024-12-06')),
+        createBookingWithLocks(db, mockBooking('renterB', '2024-12-05', '2024-12-08'))
+    ]);
+
+    t.assertEqual(second.bookingId, null);
+    t.assertDeepEqual(second.conflictDates, ['2024-12-05', '2024-12-06']);
+    t.assert(!db.snapshot('bookingLocks/item1_2024-12-07').exists(), 'Loser must not claim its free dates');
+});
+
+runner.test('createBookingWithLocks - concurrent non-overlapping requests both succeed', async (t) => {
+    const db = new InMemoryFirestore();
+    const results = await Promise.all([
+        createBookingWithLocks(db, mockBooking('renterA', '2024-12-04', '2024-12-05')),
+        createBookingWithLocks(db, mockBooking('renterB', '2024-12-06', '2024-12-07')),
+        createBookingWithLocks(db, mockBooking('renterC', '2024-12-08', '2024-12-08'))
+    ]);
+
+    results.forEach(result => t.assert(result.bookingId, 'Each disjoint booking should be created'));
+});
+
+runner.test('createBookingsWithLocks - cart creates every booking when all items are free', async (t) => {
+    const db = new InMemoryFirestore();
+    const result = await createBookingsWithLocks(db, [
+        mockBooking('renterA', '2024-12-04', '2024-12-05', 'mixer'),
+        mockBooking('renterA', '2024-12-04', '2024-12-05', 'bakingSheet')
+    ]);
+
+    t.assertEqual(result.bookingIds.length, 2);
+    t.assert(db.snapshot('bookingLocks/bakingSheet_2024-12-05').exists(), 'Locks for every item should be claimed');
+});
+
+runner.test('createBookingsWithLocks - cart books nothing when one item is taken', async (t) => {
+    const db = new InMemoryFirestore();
+    await createBookingWithLocks(db, mockBooking('renterB', '2024-12-05', '2024-12-05', 'bakingSheet'));
+
+    const result = await createBookingsWithLocks(db, [
+        mockBooking('renterA', '2024-12-04', '2024-12-05', 'mixer'),
+        mockBooking('renterA', '2024-12-04', '2024-12-05', 'bakingSheet')
+    ]);
+
+    t.assertDeepEqual(result.bookingIds, []);
+    t.assertDeepEqual(result.conflicts, [{ itemId: 'bakingSheet', dates: ['2024-12-05'] }]);
+    t.assert(!db.snapshot('bookingLocks/mixer_2024-12-04').exists(), 'Free items must not be booked either');
+});
+
+runner.test('createBookingsWithLocks - waitlist hold is reserved for its renter until it expires', async (t) => {
+    const db = new InMemoryFirestore();
+    const holdFor = (renterId, expiresInMs) => ({
+        waitlistId: 'wait1',
+        holdFor: renterId,
+        holdExpiresAt: { toMillis: () => Date.now() + expiresInMs }
+    });
+
+    db.docs.set('bookingLocks/item1_2024-12-04', holdFor('renterA', 60000));
+    const blocked = await createBookingWithLocks(db, mockBooking('renterB', '2024-12-04', '2024-12-04'));
+    t.assertDeepEqual(blocked.conflictDates, ['2024-12-04'], 'Other renters cannot take held dates');
+
+    const claimed = await createBookingWithLocks(db, mockBooking('renterA', '2024-12-04', '2024-12-04'));
+    t.assert(claimed.bookingId, 'The waitlisted renter can claim the hold');
+
+    db.docs.set('bookingLocks/item1_2024-12-06', holdFor('renterA', -60000));
+    const afterExpiry = await createBookingWithLocks(db, mockBooking('renterB', '2024-12-06', '2024-12-06'));
+    t.assert(afterExpiry.bookingId, 'Expired holds are free for anyone');
+});
+
+runner.test('planTransition - allows each role only its own transitions', (t) => {
+    const pending = { status: 'pending' };
+    t.assertDeepEqual(planTransition(pending, 'accepted', 'owner').effects, ['declineOverlapping', 'reserveBuffer', 'notifyRenter']);
+    t.assertEqual(planTransition(pending, 'cancelled', 'renter').stampField, 'cancelledAt');
+    t.assertEqual(planTransition({ status: 'declined' }, 'archived', 'system').from, 'declined');
+
+    let error = null;
+    try { planTransition(pending, 'accepted', 'renter'); } catch (e) { error = e; }
+    t.assertEqual(error?.message, 'Only the owner or the system can mark a booking accepted.');
+    error = null;
+    try { planTransition({ status: 'picked_up' }, 'overdue', 'owner'); } catch (e) { error = e; }
+    t.assertEqual(error?.message, 'Only the system can mark a booking overdue.');
+});
+
+runner.test('planTransition - alternates counter-offers between owner and renter', (t) => {
+    t.assertDeepEqual(planTransition({ status: 'pending' }, 'countered', 'owner').effects, ['notifyRenter']);
+    t.assertDeepEqual(planTransition({ status: 'countered' }, 'pending', 'renter').effects, ['notifyOwner']);
+    t.assertDeepEqual(planTransition({ status: 'countered' }, 'accepted', 'renter').effects, ['declineOverlapping', 'reserveBuffer', 'notifyOwner']);
+    t.assert(canTransition('countered', 'cancelled', 'renter'));
+    t.assert(canTransition('countered', 'declined', 'owner'));
+    t.assert(!canTransition('pending', 'countered', 'renter'));
+    t.assert(!canTransition('countered', 'accepted', 'owner'));
+    t.assert(!canTransition('accepted', 'countered', 'owner'));
+});
+
+runner.test('planTransition - rejects illegal transitions with clear errors', (t) => {
+    const cases = [
+        [{ status: 'declined' }, 'accepted', 'owner', 'A declined booking cannot be accepted.'],
+        [{ status: 'archived' }, 'cancelled', 'renter', 'An archived booking cannot be cancelled.'],
+        [{ status: 'picked_up' }, 'cancelled', 'renter', 'A picked up booking cannot be cancelled.'],
+        [{ status: 'returned' }, 'overdue', 'system', 'A returned booking cannot be overdue.'],
+        [{ status: 'bogus' }, 'accepted', 'owner', 'Unknown booking status "bogus".']
+    ];
+    cases.forEach(([booking, next, role, message]) => {
+        let error = null;
+        try { planTransition(booking, next, role); } catch (e) { error = e; }
+        t.assertEqual(error?.message, message);
+    });
+});
+
+runner.test('planTransition - treats legacy confirmed and missing statuses', (t) => {
+    t.assertEqual(normalizeBookingStatus('confirmed'), 'accepted');
+    t.assertEqual(normalizeBookingStatus(undefined), 'pending');
+    t.assertEqual(planTransition({ status: 'confirmed' }, 'picked_up', 'renter').from, 'accepted');
+    t.assertEqual(planTransition({}, 'declined', 'system').from, 'pending');
+});
+
+runner.test('canTransition - matches the renter cancel rules', (t) => {
+    t.assert(canTransition('pending', 'cancelled', 'renter'));
+    t.assert(canTransition('confirmed', 'cancelled', 'renter'));
+    t.assert(!canTransition('accepted', 'cancelled', 'owner'));
+    t.assert(!canTransition('overdue', 'cancelled', 'renter'));
+    t.assert(!canTransition('returned', 'returned', 'owner'));
+});
+
+runner.test('BOOKING_TRANSITIONS - every target is a known status and terminal states stay terminal', (t) => {
+    const statuses = Object.values(BOOKING_STATUSES);
+    t.assertDeepEqual(Object.keys(BOOKING_TRANSITIONS).sort(), [...statuses].sort());
+    Object.values(BOOKING_TRANSITIONS).forEach(targets => {
+        Object.entries(targets).forEach(([next, transition]) => {
+            t.assert(statuses.includes(next), `unknown target ${next}`);
+            t.assert(transition.roles.length > 0, `no role may move to ${next}`);
+        });
+    });
+    t.assertDeepEqual(BOOKING_TRANSITIONS.cancelled, {});
+    t.assertDeepEqual(BOOKING_TRANSITIONS.archived, {});
+    t.assertEqual(getBookingRole({ ownerId: 'o', renterId: 'r' }, 'r'), 'renter');
+    t.assertEqual(getBookingRole({ ownerId: 'o', renterId: 'r' }, 'x'), null);
+});
+
+runner.test('BOOKING_TRANSITIONS - the Cloud Functions enforce the same transitions as the browser', async (t) => {
+    const functionsState = await import('./functions/booking-state.js');
+    t.assertDeepEqual(functionsState.BOOKING_TRANSITIONS, BOOKING_TRANSITIONS);
+    t.assertEqual(functionsState.planTransition({ status: 'confirmed' }, 'picked_up', 'renter').from, 'accepted');
+    t.assertEqual(functionsState.planTransition({}, 'declined', 'system').from, 'pending');
+
+    let error = null;
+    try { functionsState.planTransition({ status: 'picked_up' }, 'overdue', 'owner'); } catch (e) { error = e; }
+    t.assertEqual(error?.message, 'Only the system can mark a booking overdue.');
+});
+
+runner.test('createBookingsWithLocks - instant booking claims only the free buffer days', async (t) => {
+    const db = new InMemoryFirestore();
+    db.docs.set('bookingLocks/item1_2024-12-09', { bookingId: 'other', itemId: 'item1', date: '2024-12-09' });
+    const booking = {
+        ...mockBooking('renterA', '2024-12-10', '2024-12-11'),
+        status: 'accepted',
+        bufferLockIds: ['item1_2024-12-09', 'item1_2024-12-12']
+    };
+
+    const { bookingId } = await createBookingWithLocks(db, booking);
+    t.assert(bookingId, 'A taken buffer day does not block the booking');
+    t.assertDeepEqual(db.docs.get(`bookings/${bookingId}`).bufferLockIds, ['item1_2024-12-12']);
+    t.assertEqual(db.docs.get('bookingLocks/item1_2024-12-12').buffer, true);
+    t.assertEqual(db.docs.get('bookingLocks/item1_2024-12-09').bookingId, 'other');
+});
+
+runner.test('summarizeRenterHistory - counts returns and flags, including archived bookings', (t) => {
+    const history = summarizeRenterHistory([
+        { status: 'archived', statusHistory: [{ status: 'pending' }, { status: 'returned' }, { status: 'archived' }] },
+        { status: 'returned', statusHistory: [] },
+        { status: 'archived', statusHistory: [{ status: 'declined' }, { status: 'archived' }] },
+        { status: 'pending' }
+    ]);
+    t.assertDeepEqual(history, { completedBookings: 2, hasOverdue: false, hasDamage: false });
+    t.assertEqual(summarizeRenterHistory([{ status: 'returned', statusHistory: [{ status: 'overdue' }] }]).hasOverdue, true);
+    t.assertEqual(summarizeRenterHistory([{ status: 'archived', damageFlagged: true }]).hasDamage, true);
+    t.assertEqual(summarizeRenterHistory([{ status: 'archived', damageClaim: { status: 'resolved', resolution: { chargedAmount: 15 } } }]).hasDamage, true,
+        'A charged claim counts without the flag');
+    t.assertEqual(summarizeRenterHistory([{ status: 'archived', damageClaim: { status: 'resolved', resolution: { chargedAmount: 0 } } }]).hasDamage, false);
+});
+
+runner.test('checkInstantBookEligibility - applies each criterion', (t) => {
+    const settings = { enabled: true, minCompletedBookings: 2, requireVerifiedEdu: true, requireCleanHistory: true };
+    const renter = { email: 'sam@school.edu', emailVerified: true };
+    const clean = { completedBookings: 2, hasOverdue: false, hasDamage: false };
+
+    t.assertDeepEqual(checkInstantBookEligibility(settings, renter, clean), { eligible: true, reasons: [] });
+    t.assertDeepEqual(checkInstantBookEligibility(settings, renter, { ...clean, completedBookings: 1 }).reasons, ['needs 2 completed bookings']);
+    t.assertDeepEqual(checkInstantBookEligibility(settings, { ...renter, emailVerified: false }, clean).reasons, ['needs a verified .edu email']);
+    t.assertDeepEqual(checkInstantBookEligibility(settings, renter, { ...clean, hasDamage: true }).reasons, ['has an overdue or damage flag']);
+    const relaxed = { ...settings, minCompletedBookings: 0, requireVerifiedEdu: false, requireCleanHistory: false };
+    t.assert(checkInstantBookEligibility(relaxed, { email: 'x@gmail.com' }, { completedBookings: 0, hasOverdue: true, hasDamage: true }).eligible);
+});
+
+runner.test('isInstantBookEnabled - listing setting overrides the owner default', (t) => {
+    t.assertEqual(isInstantBookEnabled({ enabled: true }, {}), true);
+    t.assertEqual(isInstantBookEnabled({ enabled: true }, { instantBook: 'default' }), true);
+    t.assertEqual(isInstantBookEnabled({ enabled: true }, { instantBook: 'off' }), false);
+    t.assertEqual(isInstantBookEnabled({ enabled: false }, { instantBook: 'on' }), true);
+    t.assertEqual(isInstantBookEnabled(DEFAULT_INSTANT_BOOK_SETTINGS, {}), false);
+});
+
+runner.test('expandRecurrence - repeats on the same weekday up to the end date', (t) => {
+    const tuesdays = expandRecurrence('2025-09-02', { everyWeeks: 1, untilKey: '2025-09-30' });
+    t.assertDeepEqual(tuesdays, ['2025-09-02', '2025-09-09', '2025-09-16', '2025-09-23', '2025-09-30']);
+    t.assert(tuesdays.every(day => dayOfWeek(day) === 2), 'Every occurrence is a Tuesday');
+
+    t.assertDeepEqual(expandRecurrence('2025-09-02', { everyWeeks: 2, untilKey: '2025-09-29' }), ['2025-09-02', '2025-09-16']);
+    t.assertDeepEqual(expandRecurrence('2025-09-02', { everyWeeks: 1, untilKey: '2025-09-01' }), []);
+});
+
+runner.test('expandRecurrence - keeps the weekday across daylight-saving changes', (t) => {
+    const days = expandRecurrence('2025-10-21', { everyWeeks: 1, untilKey: '2025-11-11' });
+    t.assertDeepEqual(days, ['2025-10-21', '2025-10-28', '2025-11-04', '2025-11-11']);
+    t.assert(days.every(day => checkBookable({ availability: { type: 'recurring', daysOfWeek: [2] } }, day, day, { now: new Date(2025, 0, 1) }).valid));
+});
+
+runner.test('canRaiseDamageClaim - only within the claim window after a confirmed return', (t) => {
+    t.assertEqual(planTransition({ status: 'picked_up' }, 'returned', 'owner').stampField, 'returnedAt');
+
+    const returnedAt = { toDate: () => new Date(2025, 5, 10) };
+    const booking = { status: 'returned', quote: { securityDeposit: 50 }, returnedAt };
+    t.assert(canRaiseDamageClaim(booking, new Date(2025, 5, 12)));
+    t.assert(!canRaiseDamageClaim(booking, new Date(2025, 5, 14)), 'Window has closed');
+    t.assert(!canRaiseDamageClaim({ ...booking, quote: { securityDeposit: 0 } }, new Date(2025, 5, 11)), 'No deposit to claim from');
+    t.assert(!canRaiseDamageClaim({ ...booking, damageClaim: { status: 'open' } }, new Date(2025, 5, 11)), 'Only one claim per booking');
+    t.assert(!canRaiseDamageClaim({ ...booking, status: 'picked_up' }, new Date(2025, 5, 11)), 'Item not returned yet');
+});
+
+runner.test('validateDamageClaim - claims must be positive and within the deposit', (t) => {
+    t.assert(validateDamageClaim(30, 50).valid);
+    t.assert(validateDamageClaim(50, 50).valid);
+    t.assertEqual(validateDamageClaim(60, 50).message, 'A claim cannot exceed the $50.00 security deposit');
+    t.assert(!validateDamageClaim(0, 50).valid);
+    t.assert(!validateDamageClaim(NaN, 50).valid);
+});
+
+runner.test('settleDeposit - splits the deposit and caps the charge', (t) => {
+    t.assertDeepEqual(settleDeposit(50, 20), { chargedAmount: 20, refundAmount: 30 });
+    t.assertDeepEqual(settleDeposit(50, 80), { chargedAmount: 50, refundAmount: 0 });
+    t.assertDeepEqual(settleDeposit(50, 0), { chargedAmount: 0, refundAmount: 50 });
+    t.assertDeepEqual(settleDeposit(40, 12.345), { chargedAmount: 12.35, refundAmount: 27.65 });
+});
+
+runner.test('generateHandoverCode - six symbols from the unambiguous alphabet', (t) => {
+    for (let i = 0; i < 50; i++) {
+        const code = generateHandoverCode();
+        t.assertEqual(code.length, 6);
+        t.assert([...code].every(symbol => CODE_ALPHABET.includes(symbol)), `Unexpected symbol in ${code}`);
+    }
+    t.assertEqual(normalizeHandoverCode(' abc-23k '), 'ABC23K');
+});
+
+runner.test('parseHandoverPayload - reads back built payloads and rejects other QR codes', (t) => {
+    t.assertDeepEqual(parseHandoverPayload(buildHandoverPayload('b1', 'pickup', 'ABC23K')), { bookingId: 'b1', stage: 'pickup', code: 'ABC23K' });
+    t.assertEqual(parseHandoverPayload('https://example.com'), null);
+    t.assertEqual(parseHandoverPayload('cshare-handover:b1:delivery:ABC23K'), null);
+    t.assertEqual(parseHandoverPayload('cshare-handover:b1:pickup:'), null);
+    t.assertEqual(parseHandoverPayload('cshare-handover:b1:pickup:ABC23K:extra'), null);
+});
+
+runner.test('verifyHandoverCode - accepts the issued code only before expiry', async (t) => {
+    const issuedAt = new Date(2025, 5, 10, 9, 0);
+    const issued = {
+        salt: 'a1b2c3',
+        codeHash: await hashHandoverCode('a1b2c3', 'ABC23K'),
+        attempts: 0,
+        expiresAt: { toDate: () => new Date(issuedAt.getTime() + 15 * 60 * 1000) }
+    };
+    const now = new Date(2025, 5, 10, 9, 5);
+    t.assert((await verifyHandoverCode(issued, 'abc-23k', now)).valid, 'Typed codes are normalized');
+    t.assert(!(await verifyHandoverCode(issued, 'ABC23L', now)).valid, 'Wrong code');
+    t.assert(!(await verifyHandoverCode({ ...issued, salt: 'd4e5f6' }, 'ABC23K', now)).valid, 'Hash is tied to its salt');
+    t.assert(!(await verifyHandoverCode(null, 'ABC23K', now)).valid, 'No code issued');
+    const expired = await verifyHandoverCode(issued, 'ABC23K', new Date(2025, 5, 10, 9, 20));
+    t.assertEqual(expired.message, 'This code has expired. Ask for a new one.');
+});
+
+runner.test('verifyHandoverCode - wrong guesses use up attempts until the code is void', async (t) => {
+    const issued = {
+        salt: 'a1b2c3',
+        codeHash: await hashHandoverCode('a1b2c3', 'ABC23K'),
+        attempts: 0,
+        expiresAt: { toDate: () => new Date(2025, 5, 10, 9, 15) }
+    };
+    const now = new Date(2025, 5, 10, 9, 5);
+    t.assert((await verifyHandoverCode(issued, 'ABC23L', now)).countsAsAttempt, 'Wrong guesses count');
+    t.assert(!(await verifyHandoverCode(null, 'ABC23K', now)).countsAsAttempt, 'A missing code does not');
+
+    const spent = { ...issued, attempts: MAX_CODE_ATTEMPTS };
+    const result = await verifyHandoverCode(spent, 'ABC23K', now);
+    t.assert(!result.valid, 'Even the right code is refused once the attempts are used up');
+    t.assertEqual(result.message, 'Too many wrong attempts. Ask for a new code.');
+    t.assert(!result.countsAsAttempt, 'A void code is not charged again');
+});
+
+runner.test('describeHandoverTime - uses the item time zone and handover window', async (t) => {
+    const { describeHandoverTime } = await import('./functions/booking-rules.js');
+    // Midnight in New York is 04:00 UTC during daylight saving time
+    const start = new Date(Date.UTC(2025, 5, 10, 4, 0));
+    const item = { timeZone: 'America/New_York', handoverTime: { start: '09:00', end: '17:00' } };
+    t.assertEqual(describeHandoverTime(item, {}, start), 'Tue, Jun 10 between 09:00 and 17:00');
+    t.assertEqual(describeHandoverTime({ timeZone: 'America/New_York', availability: { timeStart: '10:00' } }, {}, start), 'Tue, Jun 10 from 10:00');
+    t.assertEqual(describeHandoverTime({ timeZone: 'America/New_York' }, {}, start), 'Tue, Jun 10');
+
+    const slot = new Date(Date.UTC(2025, 5, 10, 14, 30));
+    t.assertEqual(describeHandoverTime(item, { slots: ['10:30'] }, slot), 'Tue, Jun 10 at 10:30 AM');
+});
+
+runner.test('describeHandoverTime - items without a time zone use the booking\'s', async (t) => {
+    const { describeHandoverTime } = await import('./functions/booking-rules.js');
+    // Midnight in Los Angeles is already the next day in UTC
+    const start = new Date(Date.UTC(2025, 5, 10, 7, 0));
+    t.assertEqual(describeHandoverTime({}, { timeZone: 'America/Los_Angeles' }, start), 'Tue, Jun 10');
+    t.assertEqual(describeHandoverTime({ timeZone: 'Asia/Tokyo' }, { timeZone: 'America/Los_Angeles' }, start), 'Tue, Jun 10');
+
+    const slot = new Date(Date.UTC(2025, 5, 10, 16, 0));
+    t.assertEqual(describeHandoverTime({}, { slots: ['09:00'], timeZone: 'America/Los_Angeles' }, slot), 'Tue, Jun 10 at 09:00 AM');
+    t.assertEqual(describeHandoverTime({}, { slots: ['16:00'] }, slot), 'Tue, Jun 10 at 04:00 PM', 'Legacy bookings fall back to UTC');
+});
+
+runner.test('layoutBookingBars - clips bars to the range and stacks overlaps on lanes', (t) => {
+    const bookings = [
+        { id: 'a', startKey: '2025-06-01', endKey: '2025-06-03' },
+        { id: 'b', startKey: '2025-06-02', endKey: '2025-06-04' },
+        { id: 'c', startKey: '2025-06-05', endKey: '2025-06-12' },
+        { id: 'd', startKey: '2025-05-20', endKey: '2025-05-25' }
+    ];
+    const { bars, lanes } = layoutBookingBars(bookings, '2025-06-01', '2025-06-07');
+    const byId = Object.fromEntries(bars.map(bar => [bar.booking.id, bar]));
+
+    t.assertEqual(lanes, 2);
+    t.assertEqual(byId.d, undefined, 'Bookings outside the range are left out');
+    t.assertDeepEqual([byId.a.startCol, byId.a.span, byId.a.lane], [0, 3, 0]);
+    t.assertDeepEqual([byId.b.startCol, byId.b.span, byId.b.lane], [1, 3, 1]);
+    t.assertDeepEqual([byId.c.startCol, byId.c.span, byId.c.lane, byId.c.clippedEnd], [4, 3, 0, true]);
+    t.assertEqual(layoutBookingBars([], '2025-06-01', '2025-06-07').lanes, 1);
+});
+
+runner.test('classifyCalendarDays - marks booked days, gaps and days the owner does not lend', (t) => {
+    const item = { availability: { type: 'recurring', daysOfWeek: [1, 2, 3, 4, 5] } };
+    const days = eachDay('2025-06-06', '2025-06-10'); // Fri - Tue
+    t.assertDeepEqual(
+        classifyCalendarDays(item, days, [{ startKey: '2025-06-09', endKey: '2025-06-09' }]),
+        ['free', 'unavailable', 'unavailable', 'booked', 'free']
+    );
+});
+
+runner.test('createBatchWriter - stays under the batch limit without splitting a booking', async (t) => {
+    const { createBatchWriter } = await import('./functions/booking-state.js');
+    const { db, committed } = createRecordingDb();
+    const writer = createBatchWriter(db, false);
+    // 40 bookings, each with a status update and 20 lock deletes
+    for (let booking = 0; booking < 40; booking++) {
+        writer.update(`booking-${booking}`);
+        for (let lock = 0; lock < 20; lock++) writer.delete(`booking-${booking}-lock-${lock}`);
+        await writer.flush();
+    }
+    await writer.close();
+
+    t.assertEqual(writer.stats.writes, 840);
+    t.assertEqual(committed.length, writer.stats.batches);
+    t.assert(committed.every(writes => writes.length <= 500), 'Every batch is within the limit');
+    t.assert(committed.every(writes => writes.length % 21 === 0), 'Each booking stays in one batch');
+    t.assertEqual(committed.flat().length, 840);
+});
+
+runner.test('createBatchWriter - dry run counts writes without committing', async (t) => {
+    const { createBatchWriter } = await import('./functions/booking-state.js');
+    const { db, committed } = createRecordingDb();
+    const writer = createBatchWriter(db, true);
+    for (let i = 0; i < 700; i++) writer.delete(`lock-${i}`);
+    await writer.close();
+
+    t.assertEqual(committed.length, 0);
+    t.assertEqual(writer.stats.writes, 700);
+    t.assertEqual(writer.stats.batches, 2);
+});
+
+runner.test('zonedTime - reads a day and time in the renter time zone', async (t) => {
+    const { zonedTime } = await import('./functions/booking-rules.js');
+    t.assertEqual(zonedTime('2026-10-20', '09:00', 'America/New_York').toISOString(), '2026-10-20T13:00:00.000Z');
+    t.assertEqual(zonedTime('2026-07-01', '09:00', 'Asia/Kolkata').toISOString(), '2026-07-01T03:30:00.000Z');
+    t.assertEqual(zonedTime('2026-10-20', null, 'UTC').toISOString(), '2026-10-20T00:00:00.000Z');
+});
+
+runner.test('zonedTime - follows daylight-saving changes', async (t) => {
+    const { zonedTime } = await import('./functions/booking-rules.js');
+    t.assertEqual(zonedTime('2026-03-08', '00:00', 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+    t.assertEqual(zonedTime('2026-03-08', '12:00', 'America/New_York').toISOString(), '2026-03-08T16:00:00.000Z');
+    t.assertEqual(zonedTime('2026-11-01', '12:00', 'America/New_York').toISOString(), '2026-11-01T17:00:00.000Z');
+});
+
+runner.test('rangeFromLockIds - reads held days and slots and rejects other items', async (t) => {
+    const { rangeFromLockIds } = await import('./functions/booking-rules.js');
+    t.assertDeepEqual(rangeFromLockIds('item1', ['item1_2024-12-06', 'item1_2024-12-04', 'item1_2024-12-05']),
+        { startKey: '2024-12-04', endKey: '2024-12-06', slots: [] });
+    t.assertDeepEqual(rangeFromLockIds('item1', ['item1_2024-12-04T10:00', 'item1_2024-12-04T09:30']),
+        { startKey: '2024-12-04', endKey: '2024-12-04', slots: ['09:30', '10:00'] });
+    t.assertEqual(rangeFromLockIds('item1', ['item1_2024-12-04', 'item2_2024-12-05']), null);
+    t.assertEqual(rangeFromLockIds('item1', []), null);
+});
+
+runner.test('returnDueAt - a booking on its last day is not overdue before the day or handover window ends', async (t) => {
+    const { returnDueAt } = await import('./functions/booking-rules.js');
+    // Day bookings store midnight at the start of their last day; 2026-10-20 in New York
+    const booking = { endDate: { toDate: () => new Date('2026-10-20T04:00:00Z') }, timeZone: 'America/New_York' };
+    const lastDayNoon = new Date('2026-10-20T16:00:00Z');
+
+    t.assert(returnDueAt(booking, {}) > lastDayNoon, 'Not overdue during the last day');
+    t.assertEqual(returnDueAt(booking, {}).toISOString(), '2026-10-21T04:00:00.000Z');
+    t.assertEqual(returnDueAt(booking, { handoverTime: { start: '09:00', end: '17:00' } }).toISOString(), '2026-10-20T21:00:00.000Z');
+    t.assertEqual(returnDueAt(booking, { availability: { timeEnd: '18:00' } }).toISOString(), '2026-10-20T22:00:00.000Z');
+});
+
+runner.test('returnDueAt - slot bookings end with their last slot and legacy bookings get a full day', async (t) => {
+    const { returnDueAt } = await import('./functions/booking-rules.js');
+    const slotEnd = new Date('2026-10-20T15:00:00Z');
+    t.assertEqual(returnDueAt({ endDate: { toDate: () => slotEnd }, slots: ['10:00'], timeZone: 'America/New_York' }).getTime(), slotEnd.getTime());
+
+    const legacy = { endDate: { toDate: () => new Date('2026-10-20T04:00:00Z') } };
+    t.assertEqual(returnDueAt(legacy, { handoverTime: { end: '17:00' } }).toISOString(), '2026-10-21T04:00:00.000Z');
+});
+
+runner.test('escapeHtml - escapes markup and quotes for text and attributes', (t) => {
+    t.assertEqual(escapeHtml('<img src=x onerror="alert(1)">'), '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    t.assertEqual(escapeHtml("Tom & Jerry's"), 'Tom &amp; Jerry&#39;s');
+    t.assertEqual(escapeHtml(undefined), '');
+    t.assertEqual(escapeHtml(0), '0');
+});
+
+runner.test('isOpenHoldOffer - only unexpired offers are shown as held for the renter', (t) => {
+    const expiresIn = (ms) => ({ toMillis: () => Date.now() + ms });
+
+    t.assert(isOpenHoldOffer({ status: 'offered', holdExpiresAt: expiresIn(60000) }), 'A fresh hold is open');
+    t.assert(!isOpenHoldOffer({ status: 'offered', holdExpiresAt: expiresIn(-60000) }), 'An expired hold the scheduler has not cleared yet is not');
+    t.assert(!isOpenHoldOffer({ status: 'waiting' }), 'Waiting entries have no hold');
+    t.assert(!isOpenHoldOffer({ status: 'fulfilled', holdExpiresAt: expiresIn(60000) }), 'Claimed holds are done');
+});
+
+runner.test('nextSelection - picks a start day, then an end day for a free range', (t) => {
+    const item = { availability: { type: 'always' } };
+    const first = nextSelection(item, { start: null, end: null }, '2030-03-10', []);
+    t.assertDeepEqual(first, { selection: { start: '2030-03-10', end: null }, message: null });
+
+    const second = nextSelection(item, first.selection, '2030-03-12', []);
+    t.assertDeepEqual(second, { selection: { start: '2030-03-10', end: '2030-03-12' }, message: null });
+
+    // A click before the start, or after a finished range, starts over
+    t.assertDeepEqual(nextSelection(item, first.selection, '2030-03-08', []).selection, { start: '2030-03-08', end: null });
+    t.assertDeepEqual(nextSelection(item, second.selection, '2030-03-20', []).selection, { start: '2030-03-20', end: null });
+});
+
+runner.test('nextSelection - rejects a range across a booked day and clears the selection', (t) => {
+    const item = { availability: { type: 'always' } };
+    const result = nextSelection(item, { start: '2030-03-10', end: null }, '2030-03-14', ['2030-03-12']);
+
+    t.assertDeepEqual(result.selection, { start: null, end: null });
+    t.assertEqual(result.message, `Already booked on: ${formatDay('2030-03-12')}. Please choose another range.`);
+    t.assertEqual(nextSelection(item, { start: '2030-03-13', end: null }, '2030-03-14', ['2030-03-12']).message, null, 'Ranges after the booked day are fine');
+});
+
+runner.test('nextSelection - rejects a range across a blackout and names it', (t) => {
+    const item = {
+        availability: {
+            type: 'always',
+            blackouts: [{ start: '2030-03-11', end: '2030-03-12', label: 'Spring break' }]
+        }
+    };
+    const result = nextSelection(item, { start: '2030-03-10', end: null }, '2030-03-15', []);
+
+    t.assertDeepEqual(result.selection, { start: null, end: null });
+    t.assertEqual(result.message, `Item is unavailable ${formatDay('2030-03-11')} - ${formatDay('2030-03-12')} (Spring break). Please choose another range.`);
+});
+
+runner.test('nextSelection - slot and recurring items select a single day on the first click', (t) => {
+    const slotItem = { availability: { type: 'always' }, slotLengthMinutes: 60 };
+    t.assertDeepEqual(nextSelection(slotItem, { start: null, end: null }, '2030-03-10', []).selection, { start: '2030-03-10', end: '2030-03-10' });
+
+    const recurringItem = { availability: { type: 'recurring', daysOfWeek: [0, 6] } };
+    t.assertDeepEqual(nextSelection(recurringItem, { start: '2030-03-09', end: '2030-03-09' }, '2030-03-10', []).selection, { start: '2030-03-10', end: '2030-03-10' });
+});
+
+runner.test('collectTakenDays - slot items count a day as booked only once every slot is taken', (t) => {
+    const locks = [
+        { date: '2030-03-10', slot: '18:00' },
+        { date: '2030-03-10', slot: '19:00' },
+        { date: '2030-03-11', slot: '18:00' },
+        { date: '2030-03-12' }
+    ];
+
+    t.assertDeepEqual(collectTakenDays(locks, 2).sort(), ['2030-03-10', '2030-03-12']);
+    t.assertDeepEqual(collectTakenDays(locks, 3), ['2030-03-12'], 'Days with a free slot stay selectable');
+
+    // A slot-full day cannot be clicked, and blocks a range through it like any booked day
+    const slotItem = { availability: { type: 'always' }, slotLengthMinutes: 60 };
+    const free = listFreeDates(slotItem, 2030, 2, { takenDays: collectTakenDays(locks, 2), fromKey: '2030-03-01' });
+    t.assert(!free.includes('2030-03-10') && free.includes('2030-03-11'), 'Only the slot-full day drops out of the free days');
+
+    const item = { availability: { type: 'always' } };
+    const result = nextSelection(item, { start: '2030-03-09', end: null }, '2030-03-11', collectTakenDays(locks, 2));
+    t.assertEqual(result.message, `Already booked on: ${formatDay('2030-03-10')}. Please choose another range.`);
+});
+
+runner.test('cancelBooking - applies the refund tier, releases held locks and records the cancellation', async (t) => {
+    const { planTransition, prepareCancellation, readHeldLocks, transitionFields } = await import('./functions/booking-state.js');
+    const start = new Date(2025, 5, 10, 9, 0);
+    const now = { toDate: () => new Date(start.getTime() - 48 * 60 * 60 * 1000) };
+    const booking = {
+        status: 'accepted',
+        renterId: 'renterA',
+        cancellationPolicy: 'moderate',
+        startDate: { toDate: () => new Date(start) },
+        quote: { rentalTotal: 40, securityDeposit: 25 },
+        lockIds: ['item1_2025-06-10', 'item1_2025-06-11'],
+        bufferLockIds: ['item1_2025-06-09', 'item1_2025-06-12'],
+        statusHistory: [{ status: 'pending', by: 'renterA' }, { status: 'accepted', by: 'ownerA' }]
+    };
+    // item1_2025-06-12 went to another booking after this one's buffer was released
+    const locks = new Map([
+        ['item1_2025-06-09', { bookingId: 'booking1', buffer: true }],
+        ['item1_2025-06-10', { bookingId: 'booking1' }],
+        ['item1_2025-06-11', { bookingId: 'booking1' }],
+        ['item1_2025-06-12', { bookingId: 'booking2' }]
+    ]);
+    const db = { collection: (name) => ({ doc: (id) => ({ id, path: `${name}/${id}` }) }) };
+    const transaction = {
+        getAll: async (...refs) => refs.map((ref) => ({ ref, exists: locks.has(ref.id), data: () => locks.get(ref.id) }))
+    };
+    const docSnap = { id: 'booking1', data: () => booking };
+
+    const transition = planTransition(booking, 'cancelled', 'renter');
+    t.assert(transition.effects.includes('releaseLocks'), 'Cancelling releases the booking\'s locks');
+
+    const { cancellation, updates, reason } = prepareCancellation(booking, now);
+    t.assertEqual(cancellation.refundPercent, 50, 'Moderate policy refunds half inside 5 days');
+    t.assertEqual(cancellation.refundAmount, 20);
+    t.assertEqual(cancellation.penaltyAmount, 20);
+    t.assertEqual(cancellation.depositRefund, 25);
+
+    const released = await readHeldLocks(db, transaction, docSnap);
+    t.assertDeepEqual(released.map((ref) => ref.id), ['item1_2025-06-10', 'item1_2025-06-11', 'item1_2025-06-09'],
+        'Date and buffer locks are released, locks another booking took are not');
+
+    const fields = transitionFields(booking, transition, now, { by: 'renterA', reason, updates });
+    t.assertEqual(fields.status, 'cancelled');
+    t.assertEqual(fields.cancelledAt, now);
+    t.assertDeepEqual(fields.cancellation, { ...cancellation, at: now });
+    t.assertEqual(fields.statusHistory.length, 3, 'History keeps earlier entries');
+    t.assertDeepEqual(fields.statusHistory[2], { status: 'cancelled', at: now, by: 'renterA' });
+});
+
+runner.test('cancelBooking - rejecting a counter-offer refunds in full and says why in the history', async (t) => {
+    const { planTransition, prepareCancellation, transitionFields } = await import('./functions/booking-state.js');
+    const now = { toDate: () => new Date(2025, 5, 9, 23) };
+    const booking = {
+        status: 'countered',
+        cancellationPolicy: 'strict',
+        startDate: { toDate: () => new Date(2025, 5, 10) },
+        quote: { rentalTotal: 40, securityDeposit: 0 }
+    };
+
+    const { cancellation, updates, reason } = prepareCancellation(booking, now);
+    t.assertEqual(cancellation.refundAmount, 40, 'The owner never agreed, so nothing is withheld');
+    t.assertEqual(reason, 'Counter-offer rejected');
+
+    const fields = transitionFields(booking, planTransition(booking, 'cancelled', 'renter'), now, { by: 'renterA', reason, updates });
+    t.assertDeepEqual(fields.statusHistory, [{ status: 'cancelled', at: now, by: 'renterA', reason: 'Counter-offer rejected' }]);
+});
+
+runner.test('bookingsOverlap - back-to-back slots do not overlap, touching days do', async (t) => {
+    const { bookingsOverlap } = await import('./functions/booking-state.js');
+    const at = (iso) => ({ toMillis: () => Date.parse(iso) });
+    const slot = (start, end) => ({ startDate: at(start), endDate: at(end), slots: [start.slice(11, 16)] });
+    const days = (start, end) => ({ startDate: at(`${start}T00:00:00Z`), endDate: at(`${end}T00:00:00Z`) });
+
+    t.assert(!bookingsOverlap(slot('2026-11-04T18:00:00Z', '2026-11-04T19:00:00Z'), slot('2026-11-04T19:00:00Z', '2026-11-04T20:00:00Z')),
+        'A 19:00 slot starts when the 18:00 slot ends');
+    t.assert(bookingsOverlap(slot('2026-11-04T18:00:00Z', '2026-11-04T20:00:00Z'), slot('2026-11-04T19:00:00Z', '2026-11-04T20:00:00Z')));
+
+    t.assert(bookingsOverlap(days('2026-11-04', '2026-11-06'), days('2026-11-06', '2026-11-08')), 'Both bookings hold 2026-11-06');
+    t.assert(!bookingsOverlap(days('2026-11-04', '2026-11-06'), days('2026-11-07', '2026-11-08')));
+    t.assert(bookingsOverlap(days('2026-11-04', '2026-11-06'), days('2026-11-07', '2026-11-08'), 24 * 60 * 60 * 1000),
+        'A one-day buffer reaches the next day');
+});
+
 // Performance Tests
 runner.test('Performance - formatPrice handles 1000 calls efficiently', (t) => {
     const start = Date.now();